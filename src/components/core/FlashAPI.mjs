@@ -17,6 +17,13 @@ import { TokenPlacementManager } from "../managers/TokenPlacementManager.mjs";
 import { TokenTeleportManager } from "../managers/TokenTeleportManager.mjs";
 import { TransformationManager } from "../managers/TransformationManager.mjs";
 import { GeneralUtil } from "../utils/GeneralUtil.mjs";
+import { PendingRequestsDialog } from "../ui/dialogs/PendingRequestsDialog.mjs";
+import { RequestTrackerDialog } from "../ui/dialogs/RequestTrackerDialog.mjs";
+import { RollHistoryDialog } from "../ui/dialogs/RollHistoryDialog.mjs";
+import { RollSequenceDialog } from "../ui/dialogs/RollSequenceDialog.mjs";
+import { RollSequenceManager } from "../managers/RollSequenceManager.mjs";
+import { ExternalDiceSources } from "../integrations/ExternalDiceSources.mjs";
+import { RollResultsManager } from "../managers/RollResultsManager.mjs";
 
 /**
  * Public API for Flash Token Bar 5e that can be used by other modules
@@ -40,7 +47,19 @@ export class FlashAPI {
    * @param {boolean} [options.sendAsRequest] - Send to players instead of rolling locally
    * @param {string} [options.groupRollId=null] - Group roll identifier for combining multiple rolls into one message
    * @param {boolean} [options.isContestedRoll=false] - Whether this is part of a contested roll
-   * @returns {Promise<void>}
+   * @param {Object} [options.outcomes] - Actions applied when every result is in, see RollOutcomes in RollOutcomeManager. Needs a DC.
+   *   API only, the roll requests menu doesn't set outcomes
+   * @param {boolean} [options.trackResults=false] - Put a single actor's roll on a group roll card, so its results can be followed.
+   *   Requests for several actors, or with outcomes, always get a card
+   * @param {number} [options.resultsTimeout] - Seconds after which the handle's results() resolves with the results so far.
+   *   Defaults to the request expiry time
+   * @returns {Promise<RollRequestHandle|null>} Handle to follow the results, see RollResultsManager.
+   *   Null if the request wasn't sent, if it has no group roll card, or if group roll messages are disabled, since results are read from the card
+   *
+   * @example
+   * const request = await FlashAPI.requestRoll({ requestType: "save", rollKey: "dex", actorIds, dc: 15 });
+   * request?.onUpdate(({ results }) => console.log(`${results.filter(r => r.rolled).length} rolled`));
+   * const { results, groupResult } = await request.results();
    */
   static async requestRoll(options = {}) {
     try {
@@ -50,7 +69,7 @@ export class FlashAPI {
         return;
       }
 
-      const { requestType, rollKey = null, actorIds = [], dc, situationalBonus, advantage, disadvantage, rollMode, skipRollDialog, sendAsRequest = true, groupRollId = null, isContestedRoll = false, workflowId = null } = options;
+      const { requestType, rollKey = null, actorIds = [], dc, situationalBonus, advantage, disadvantage, rollMode, skipRollDialog, sendAsRequest = true, isContestedRoll = false, workflowId = null, outcomes = null, trackResults = false, resultsTimeout } = options;
 
       if (!requestType) {
         ui.notifications.error(game.i18n.localize("FLASH_ROLLS.notifications.missingRequestType"));
@@ -58,9 +77,6 @@ export class FlashAPI {
       }
 
       const fromMidiWorkflow = !!workflowId;
-      const config = { dc, situationalBonus, advantage, disadvantage, rollMode, skipRollDialog, sendAsRequest, groupRollId, isContestedRoll, fromMidiWorkflow };
-
-      LogUtil.log('FlashAPI.requestRoll', [requestType, rollKey, actorIds, 'workflowId:', workflowId, 'fromMidiWorkflow:', fromMidiWorkflow, config]);
       
       // Find roll option by either uppercase key or lowercase name
       let rollOption = MODULE.ROLL_REQUEST_OPTIONS[requestType];
@@ -127,6 +143,15 @@ export class FlashAPI {
         return;
       }
       
+      // Outcomes and results are read from the group roll card. A single actor only gets one when the caller asks for it
+      const SETTINGS = getSettings();
+      const groupRollsMsgEnabled = SettingsUtil.get(SETTINGS.groupRollsMsgEnabled.tag) === true;
+      const getsGroupCard = actorsData.length > 1 || SettingsUtil.get(SETTINGS.useCondensedRollMessage.tag) === true;
+      const groupRollId = options.groupRollId || (outcomes || trackResults || getsGroupCard ? foundry.utils.randomID() : null);
+      const config = { dc, situationalBonus, advantage, disadvantage, rollMode, skipRollDialog, sendAsRequest, groupRollId, isContestedRoll, fromMidiWorkflow, outcomes };
+
+      LogUtil.log('FlashAPI.requestRoll', [requestType, rollKey, actorIds, 'workflowId:', workflowId, 'fromMidiWorkflow:', fromMidiWorkflow, config]);
+
       // Create a mock menu object with the necessary properties
       const mockMenu = {
         selectedActors: new Set(actorIds),
@@ -135,8 +160,18 @@ export class FlashAPI {
         close: () => {}
       };
 
+      const handle = groupRollsMsgEnabled && groupRollId
+        ? RollResultsManager.track(groupRollId, { timeout: resultsTimeout })
+        : null;
+
       // Use orchestrator to handle the roll request
-      return RollMenuOrchestrator.triggerRoll(normalizedRequestType, rollKey, mockMenu, config);
+      await RollMenuOrchestrator.triggerRoll(normalizedRequestType, rollKey, mockMenu, config);
+
+      if (handle && !ChatMessageManager.getGroupRollMessage(groupRollId)) {
+        handle.cancel();
+        return null;
+      }
+      return handle;
     } catch (error) {
       LogUtil.error('FlashAPI.requestRoll - Execution error:', [error]);
       ui.notifications.error(game.i18n.localize("FLASH_ROLLS.notifications.macroExecutionFailed"));
@@ -144,6 +179,32 @@ export class FlashAPI {
     }
   }
   
+  /**
+   * Request several rolls one after the other, each step waiting for every result of the step before (GM only)
+   * Steps can be limited to actors who failed or passed an earlier step, and take their DC from an earlier step's totals.
+   * Every step gets its own group roll card, and a single card summarizes the whole sequence.
+   * @param {Object[]} steps - The steps to run in order, see RollSequenceStep in RollSequenceManager
+   * @param {Object} [options] - Sequence options
+   * @param {string[]} [options.actorIds] - Actor or token IDs rolling the sequence. Uses the menu selection if empty
+   * @param {string} [options.title] - Title of the summary card
+   * @param {Object} [options.requestOptions] - Options passed to every roll request, e.g. rollMode or skipRollDialog
+   * @param {number} [options.stepTimeout] - Seconds to wait for the results of a step, the request expiry time by default
+   * @returns {Promise<Object[]|null>} Result of every step once the sequence is over, or null if it couldn't start
+   * @example
+   * // Perception for everyone, then Investigation only for those who missed it
+   * const steps = await FlashAPI.requestSequence([
+   *   { requestType: "skill", rollKey: "prc", dc: 13 },
+   *   { requestType: "skill", rollKey: "inv", dc: 15, actors: "failed" }
+   * ], { actorIds: ["actorId1", "actorId2"] });
+   */
+  static async requestSequence(steps, options = {}) {
+    if (!game.user.isGM) {
+      FlashAPI.notify('warn', game.i18n.localize("FLASH_ROLLS.notifications.gmOnly"));
+      return null;
+    }
+    return RollSequenceManager.run(steps, options);
+  }
+
   /**
    * Get list of available roll types
    * @returns {Object} Available roll request options with name and label only
@@ -322,7 +383,8 @@ export class FlashAPI {
   /**
    * Calculate group roll results using Flash Token Bar 5e calculation methods
    * @param {Object} options - Group roll calculation options
-   * @param {number|string} options.method - Calculation method: 1/"Standard Rule", 2/"Group Average", 3/"Leader with Help", 4/"Weakest Link"
+   * @param {number|string} options.method - Calculation method: 1/"Standard Rule", 2/"Group Average", 3/"Leader with Help", 4/"Weakest Link",
+   *   or the id/name of a method added with FlashAPI.registerGroupMethod
    * @param {Object[]} options.rollResults - Array of roll results with { actorId, total, actorName? }
    * @param {number} options.dc - Difficulty Class to check against
    * @param {Object[]} [options.actors] - Array of actor objects (auto-resolved from rollResults actorId if not provided)
@@ -351,30 +413,16 @@ export class FlashAPI {
    */
   static calculateGroupRoll(options = {}) {
     const { rollResults, dc, rollType, rollKey } = options;
-    let { method, actors } = options;
-    
-    // Convert string method names to numbers
-    const methodMap = {
-      "standard rule": 1,
-      "group average": 2, 
-      "leader with help": 3,
-      "weakest link": 4
-    };
+    let { actors } = options;
     
-    if (typeof method === 'string') {
-      const normalizedMethod = method.toLowerCase();
-      method = methodMap[normalizedMethod];
-      if (!method) {
-        ui.notifications.error(`Invalid method name: "${options.method}". Valid options: "Standard Rule", "Group Average", "Leader with Help", "Weakest Link", or numbers 1-4`);
-        return null;
-      }
-    }
-    
-    // Validate required parameters
-    if (!method || ![1, 2, 3, 4].includes(method)) {
-      ui.notifications.error("Method must be 1-4 or valid method name: 'Standard Rule', 'Group Average', 'Leader with Help', 'Weakest Link'");
+    // Accepts method ids, numbers and case-insensitive method names
+    const methodId = RollHelpers.resolveGroupMethodId(options.method);
+    if (!methodId) {
+      const validNames = Array.from(RollHelpers.groupMethods.values()).map(m => `"${m.name}"`).join(', ');
+      ui.notifications.error(`Invalid method: "${options.method}". Valid options: ${validNames}, or their ids (${Array.from(RollHelpers.groupMethods.keys()).join(', ')})`);
       return null;
     }
+    const method = RollHelpers.getGroupMethod(methodId);
     
     if (!Array.isArray(rollResults) || rollResults.length === 0) {
       ui.notifications.error("rollResults must be a non-empty array");
@@ -413,97 +461,54 @@ export class FlashAPI {
       });
     }
     
-    // Methods 3 and 4 require additional parameters
-    if ([3, 4].includes(method)) {
+    // Methods that read actor modifiers (Leader with Help, Weakest Link) require additional parameters
+    if (method.requiresRollKey) {
       if (!rollType) {
-        ui.notifications.error("rollType is required for Leader with Help and Weakest Link methods");
+        ui.notifications.error(`rollType is required for the ${method.name} method`);
         return null;
       }
       if (!rollKey) {
-        ui.notifications.error("rollKey is required for Leader with Help and Weakest Link methods");
+        ui.notifications.error(`rollKey is required for the ${method.name} method`);
         return null;
       }
-      
-      // Auto-resolve actors from rollResults if not provided
-      if (!Array.isArray(actors) || actors.length === 0) {
-        actors = [];
-        for (const roll of enhancedRollResults) {
-          const actor = getActorData(roll.actorId);
-          if (actor) {
-            actors.push(actor);
-          }
-        }
-        
-        if (actors.length === 0) {
-          ui.notifications.error("No valid actors could be resolved from the rollResults for Leader with Help and Weakest Link methods");
-          return null;
+    }
+    
+    // Auto-resolve actors from rollResults if not provided
+    if (!Array.isArray(actors) || actors.length === 0) {
+      actors = [];
+      for (const roll of enhancedRollResults) {
+        const actor = getActorData(roll.actorId);
+        if (actor) {
+          actors.push(actor);
         }
       }
+      
+      if (method.requiresRollKey && actors.length === 0) {
+        ui.notifications.error(`No valid actors could be resolved from the rollResults for the ${method.name} method`);
+        return null;
+      }
     }
     
     try {
-      let calculationResult;
-      let methodName;
+      const calculation = RollHelpers.calculateGroupMethod(methodId, { rollResults, dc, actors, rollType, rollKey });
+      const details = calculation.details;
       
-      switch (method) {
-        case 1: // Standard Rule
-          calculationResult = RollHelpers.calculateStandardRule(rollResults, dc);
-          methodName = 'Standard Rule';
-          return {
-            success: calculationResult.finalResult,
-            result: calculationResult.finalResult ? 1 : 0, // 1=success, 0=failure
-            details: calculationResult,
-            method: methodName,
-            actorResults: enhancedRollResults
-          };
-          
-        case 2: // Group Average
-          calculationResult = RollHelpers.calculateGroupAverage(rollResults, dc);
-          methodName = 'Group Average';
-          return {
-            success: calculationResult.success,
-            result: calculationResult.finalResult, // Numeric average result
-            details: calculationResult,
-            method: methodName,
-            actorResults: enhancedRollResults
-          };
-          
-        case 3: // Leader with Help
-          calculationResult = RollHelpers.calculateLeaderWithHelp(rollResults, dc, actors, rollType, rollKey);
-          methodName = 'Leader with Help';
-          // Add isLeadRoll property to identify the leader
-          const enhancedResultsWithLeader = enhancedRollResults.map(result => ({
+      // Flag the roll that decided the result (the leader for Leader with Help, the weakest for Weakest Link)
+      const leadActorId = details.leaderActorId || details.weakestActorId || details.leadActorId;
+      const actorResults = leadActorId 
+        ? enhancedRollResults.map(result => ({
             ...result,
-            isLeadRoll: result.actorId === calculationResult.leaderActorId
-          }));
-          return {
-            success: calculationResult.success,
-            result: calculationResult.finalResult, // Modified leader result
-            details: calculationResult,
-            method: methodName,
-            actorResults: enhancedResultsWithLeader
-          };
-          
-        case 4: // Weakest Link
-          calculationResult = RollHelpers.calculateWeakestLink(rollResults, dc, actors, rollType, rollKey);
-          methodName = 'Weakest Link';
-          // Add isLeadRoll property to identify the weakest link (the "lead" in this context)
-          const enhancedResultsWithWeakest = enhancedRollResults.map(result => ({
-            ...result,
-            isLeadRoll: result.actorId === calculationResult.weakestActorId
-          }));
-          return {
-            success: calculationResult.success,
-            result: calculationResult.finalResult, // Modified weakest result
-            details: calculationResult,
-            method: methodName,
-            actorResults: enhancedResultsWithWeakest
-          };
-          
-        default:
-          ui.notifications.error(`Invalid calculation method: ${method}`);
-          return null;
-      }
+            isLeadRoll: result.actorId === leadActorId
+          }))
+        : enhancedRollResults;
+      
+      return {
+        success: calculation.success,
+        result: calculation.result,
+        details,
+        method: calculation.method,
+        actorResults
+      };
     } catch (error) {
       LogUtil.error('FlashAPI.calculateGroupRoll - Error:', [error]);
       ui.notifications.error(`Error calculating group roll: ${error.message}`);
@@ -511,6 +516,49 @@ export class FlashAPI {
     }
   }
 
+  /**
+   * Register a custom group roll calculation method
+   * Registered methods appear in the Group Roll Calculation setting, are used on group roll chat cards 
+   * when selected, and can be passed by id or name to FlashAPI.calculateGroupRoll
+   * @param {string|number} id - Unique method id (1-4 are reserved for the built-in methods)
+   * @param {Object} definition - Method definition
+   * @param {string} definition.label - Display label or localization key
+   * @param {string} [definition.name] - Name accepted by calculateGroupRoll, defaults to the label
+   * @param {Function} definition.calculate - Receives { rollResults, dc, actors, rollType, rollKey } and returns
+   *   an object with { success, finalResult, summary }. finalResult may be a boolean or a number,
+   *   and an optional leadActorId marks the deciding roll in actorResults
+   * @param {Function} [definition.render] - Receives (details, context) and returns HTML shown in the group roll card footer
+   * @param {boolean} [definition.requiresRollKey=false] - Whether calculateGroupRoll must receive rollType and rollKey
+   * @returns {boolean} Whether the method was registered
+   * 
+   * @example
+   * Hooks.once("flash-rolls-5e.ready", () => {
+   *   FlashAPI.registerGroupMethod("best-of", {
+   *     label: "Best Roll",
+   *     calculate: ({ rollResults, dc }) => {
+   *       const best = Math.max(...rollResults.map(r => r.total));
+   *       return { success: best >= dc, finalResult: best, summary: `Best roll: ${best} vs DC ${dc}` };
+   *     }
+   *   });
+   * });
+   */
+  static registerGroupMethod(id, definition = {}) {
+    return RollHelpers.registerGroupMethod(id, { ...definition, builtIn: false });
+  }
+
+  /**
+   * Get all registered group roll calculation methods
+   * @returns {Object[]} Array of { id, name, label, builtIn }
+   */
+  static getGroupMethods() {
+    return Array.from(RollHelpers.groupMethods.entries()).map(([id, method]) => ({
+      id,
+      name: method.name,
+      label: game.i18n.localize(method.label),
+      builtIn: method.builtIn
+    }));
+  }
+
   static async createGroupRollMessage(actorEntries, rollType, rollKey, config = {}, groupRollId) {
     return ChatMessageManager.createGroupRollMessage(actorEntries, rollType, rollKey, config, groupRollId);
   }
@@ -840,31 +888,238 @@ export class FlashAPI {
   /**
    * Open the contested roll dialog for selected actors
    * @param {string[]} actorIds - Array of actor/token IDs for contested roll
+   * @param {Object} [options] - Contest options
+   * @param {Object[]} [options.teams] - Teams for a team contest, as [{ name, actorIds }]. Team members are added to actorIds
+   * @param {string} [options.teamMethod] - Group roll method id used to score each team, defaults to the group roll setting
+   * @param {number} [options.teamDC=10] - DC used by team methods that count successes
+   * @param {string} [options.tieBreaker] - Tie-break rule for individual contests: "shared", "modifier" or "reroll"
+   * @param {string} [options.rollType] - Roll preselected for every actor, e.g. "skill:ath", "ability:str" or "dice:1d20"
+   * 
+   * @example
+   * // Tug-of-war between the party and a goblin band, each side scored with Group Average
+   * FlashAPI.openContestedRoll([], {
+   *   teams: [
+   *     { name: "Party", actorIds: ["actorId1", "actorId2"] },
+   *     { name: "Goblins", actorIds: ["tokenId1", "tokenId2", "tokenId3"] }
+   *   ],
+   *   teamMethod: "2",
+   *   rollType: "skill:ath"
+   * });
    */
-  static async openContestedRoll(actorIds) {
+  static async openContestedRoll(actorIds, options = {}) {
     const menu = RollRequestsMenu.getInstance();
+    const teamActorIds = (options.teams || []).flatMap(team => team.actorIds || []);
+    const contestActorIds = [...new Set([...(actorIds || []), ...teamActorIds])];
 
-    if (actorIds && actorIds.length > 0) {
-      const tempMenu = { selectedActors: new Set(actorIds) };
-      await RollMenuEventManager.openContestedRollDialog(tempMenu);
+    if (contestActorIds.length > 0) {
+      const tempMenu = { selectedActors: new Set(contestActorIds) };
+      await RollMenuEventManager.openContestedRollDialog(tempMenu, options);
     } else if (menu && menu.rendered) {
-      await RollMenuEventManager.openContestedRollDialog(menu);
+      await RollMenuEventManager.openContestedRollDialog(menu, options);
     } else {
       FlashAPI.notify('warn', game.i18n.localize("FLASH_ROLLS.notifications.noActorsSelected"));
     }
   }
 
+  /**
+   * Open the roll sequence dialog for the given actors
+   * @param {string[]} actorIds - Array of actor or token IDs. Uses the menu selection if empty
+   */
+  static openRollSequence(actorIds) {
+    if (!game.user.isGM) {
+      FlashAPI.notify('warn', game.i18n.localize("FLASH_ROLLS.notifications.gmOnly"));
+      return;
+    }
+    const sequenceActorIds = actorIds?.length ? actorIds : FlashAPI.getSelectedActors();
+    if (sequenceActorIds.length === 0) {
+      FlashAPI.notify('warn', game.i18n.localize("FLASH_ROLLS.notifications.noActorsSelected"));
+      return;
+    }
+    RollSequenceDialog.show(sequenceActorIds);
+  }
+
+  /**
+   * Open the request tracker listing roll requests that players haven't rolled yet
+   */
+  static openRequestTracker() {
+    if (!game.user.isGM) {
+      FlashAPI.notify('warn', game.i18n.localize("FLASH_ROLLS.notifications.gmOnly"));
+      return;
+    }
+    RequestTrackerDialog.show();
+  }
+
+  /**
+   * Open the roll history, which keeps roll request results after the chat log is cleared
+   */
+  static openRollHistory() {
+    if (!game.user.isGM) {
+      FlashAPI.notify('warn', game.i18n.localize("FLASH_ROLLS.notifications.gmOnly"));
+      return;
+    }
+    RollHistoryDialog.show();
+  }
+
+  /**
+   * Import a character from a saved D&D Beyond character JSON file, picked by the user
+   * Works without network access or a patron session
+   * @returns {Promise<Actor|null>} The created actor, or null if cancelled or failed
+   */
+  static async importDnDBCharacterFile() {
+    if (!game.user.isGM) {
+      FlashAPI.notify('warn', game.i18n.localize("FLASH_ROLLS.notifications.gmOnly"));
+      return null;
+    }
+    const { DnDBCharacterImporter } = await import("../integrations/dnd-beyond/DnDBCharacterImporter.mjs");
+    return DnDBCharacterImporter.promptImportFromFile();
+  }
+
+  /**
+   * Start recording the roll events received from D&D Beyond
+   * Only rolls are recorded; stop with stopDnDBRecording to download them
+   */
+  static async recordDnDBRolls() {
+    if (!game.user.isGM) {
+      FlashAPI.notify('warn', game.i18n.localize("FLASH_ROLLS.notifications.gmOnly"));
+      return;
+    }
+    const { DnDBEventRecorder } = await import("../integrations/dnd-beyond/DnDBEventRecorder.mjs");
+    DnDBEventRecorder.startRecording();
+    FlashAPI.notify('info', game.i18n.localize("FLASH_ROLLS.notifications.ddbRecordingStarted"));
+  }
+
+  /**
+   * Stop recording D&D Beyond roll events
+   * @param {boolean} [download=true] - Download the recording as a JSON file
+   * @returns {Promise<Object|null>} The recording, or null if nothing was being recorded
+   */
+  static async stopDnDBRecording(download = true) {
+    if (!game.user.isGM) return null;
+    const { DnDBEventRecorder } = await import("../integrations/dnd-beyond/DnDBEventRecorder.mjs");
+    const recording = DnDBEventRecorder.stopRecording();
+    if (!recording) return null;
+
+    if (download) DnDBEventRecorder.saveRecording(recording);
+    FlashAPI.notify('info', game.i18n.format("FLASH_ROLLS.notifications.ddbRecordingStopped", { count: recording.events.length }));
+    return recording;
+  }
+
+  /**
+   * Replay D&D Beyond roll events through the integration, as if they were rolled live
+   * @param {Object|string} [source] - A recording from stopDnDBRecording, the URL of an SSE endpoint, or nothing to pick a recording file
+   * @param {Object} [options]
+   * @param {number} [options.speed=1] - Playback speed for recordings, e.g. 4 for four times as fast, or 0 for no delay
+   * @returns {Promise<number>} Number of events replayed
+   */
+  static async replayDnDBRolls(source, options = {}) {
+    if (!game.user.isGM) {
+      FlashAPI.notify('warn', game.i18n.localize("FLASH_ROLLS.notifications.gmOnly"));
+      return 0;
+    }
+    const { DnDBEventRecorder } = await import("../integrations/dnd-beyond/DnDBEventRecorder.mjs");
+    const { DnDBeyondIntegration } = await import("../integrations/DnDBeyondIntegration.mjs");
+
+    if (typeof source === 'string') {
+      return DnDBeyondIntegration.replayStream(source);
+    }
+
+    const recording = source ?? await DnDBEventRecorder.promptRecording();
+    if (!recording) return 0;
+    if (!Array.isArray(recording.events)) {
+      FlashAPI.notify('error', game.i18n.localize("FLASH_ROLLS.notifications.ddbRecordingInvalid"));
+      return 0;
+    }
+    return DnDBeyondIntegration.replayRecording(recording, options);
+  }
+
+  /**
+   * Stop a running replay of D&D Beyond roll events
+   */
+  static async stopDnDBReplay() {
+    const { DnDBEventRecorder } = await import("../integrations/dnd-beyond/DnDBEventRecorder.mjs");
+    DnDBEventRecorder.stopReplay();
+  }
+
+  /**
+   * Register an external dice source, such as a smart dice bridge, a chat bot or a phone app
+   * The source emits normalized roll events, which are executed like D&D Beyond rolls:
+   * mapped to an actor, categorized, and injected into the matching Foundry roll
+   * @param {Object} adapter - The source adapter
+   * @param {string} adapter.id - Unique source id
+   * @param {string} [adapter.label] - Display name of the source
+   * @param {Function} adapter.connect - Called with an emit function; call emit(event) for every roll
+   * @param {Function} [adapter.disconnect] - Called when the source is unregistered
+   * @returns {Promise<boolean>} Whether the source was registered
+   *
+   * @example
+   * await FlashAPI.registerDiceSource({
+   *   id: "dice-bridge",
+   *   label: "Dice Bridge",
+   *   connect(emit) {
+   *     this.socket = new WebSocket("ws://localhost:8765");
+   *     this.socket.onmessage = (message) => emit(JSON.parse(message.data));
+   *   },
+   *   disconnect() {
+   *     this.socket?.close();
+   *   }
+   * });
+   */
+  static registerDiceSource(adapter) {
+    return ExternalDiceSources.register(adapter);
+  }
+
+  /**
+   * Disconnect and remove an external dice source
+   * @param {string} sourceId - The source id
+   * @returns {Promise<boolean>} Whether a source was removed
+   */
+  static unregisterDiceSource(sourceId) {
+    return ExternalDiceSources.unregister(sourceId);
+  }
+
+  /**
+   * Get the registered external dice sources
+   * @returns {Object[]} Array of { id, label }
+   */
+  static getDiceSources() {
+    return ExternalDiceSources.getSources();
+  }
+
+  /**
+   * Execute a roll from an external dice source without registering an adapter
+   * @param {string} sourceId - Id or name of the source that rolled
+   * @param {Object} event - The normalized roll event, see the README for its fields
+   * @returns {Promise<boolean>} Whether the event was accepted
+   */
+  static emitDiceRoll(sourceId, event) {
+    return ExternalDiceSources.emit(sourceId, event);
+  }
+
+  /**
+   * Open the pending roll requests panel for the current player
+   * Lists requests that haven't been rolled yet, including those restored after a reload
+   */
+  static openPendingRequests() {
+    if (game.user.isGM) {
+      FlashAPI.notify('warn', game.i18n.localize("FLASH_ROLLS.notifications.playerOnly"));
+      return;
+    }
+    PendingRequestsDialog.show();
+  }
+
   /**
    * Place tokens for selected actors on the canvas
    * @param {string[]} actorIds - Array of actor/token IDs to place
    * @param {Object} [location] - Optional location to place tokens {x: number, y: number}. If not provided, enters interactive placement mode.
+   * @param {Object} [options] - Placement options
+   * @param {string} [options.formation] - "cluster", "line", "column", "wedge", "circle" or "marchingOrder". Defaults to the formation setting
    */
-  static async placeTokens(actorIds, location = null) {
+  static async placeTokens(actorIds, location = null, options = {}) {
     const menu = RollRequestsMenu.getInstance();
 
     if (actorIds && actorIds.length > 0) {
       if (location && typeof location === 'object' && typeof location.x === 'number' && typeof location.y === 'number') {
-        await TokenPlacementManager.placeTokensAtLocation(actorIds, location);
+        await TokenPlacementManager.placeTokensAtLocation(actorIds, location, options);
       } else {
         const tempMenu = { selectedActors: new Set(actorIds) };
         await TokenPlacementManager.placeTokensForSelectedActors(tempMenu);
@@ -876,18 +1131,37 @@ export class FlashAPI {
     }
   }
 
+  /**
+   * Save the arrangement of tokens on the canvas as the marching order used by the marching order formation
+   * @param {string[]} [tokenIds] - Token or actor IDs in marching order, the first one leading. Defaults to the controlled tokens, from the top of the canvas down
+   * @returns {Promise<Array<{actorId: string, dx: number, dy: number}>>} The saved marching order
+   */
+  static async saveMarchingOrder(tokenIds = []) {
+    let tokens;
+    if (tokenIds && tokenIds.length > 0) {
+      tokens = tokenIds
+        .map(id => canvas.tokens.get(id) || canvas.tokens.placeables.find(t => t.actor?.id === id))
+        .filter(Boolean);
+    } else {
+      tokens = [...canvas.tokens.controlled].sort((a, b) => a.document.y - b.document.y || a.document.x - b.document.x);
+    }
+    return TokenPlacementManager.saveMarchingOrder(tokens);
+  }
+
   /**
    * Teleport tokens to a destination scene and location
    * @param {string[]} actorIds - Array of actor/token IDs to teleport
    * @param {string|Object} [destinationScene] - Optional scene ID, name, or scene object. If not provided, enters interactive teleport mode.
    * @param {Object} [centerLocation] - Optional center location {x: number, y: number}. Required if destinationScene is provided.
+   * @param {Object} [options] - Teleport options
+   * @param {boolean} [options.keepFormation] - Keep the exact formation instead of moving blocked tokens to the nearest free square. Defaults to the Keep Teleport Formation setting
    */
-  static async teleportTokens(actorIds, destinationScene = null, centerLocation = null) {
+  static async teleportTokens(actorIds, destinationScene = null, centerLocation = null, options = {}) {
     const menu = RollRequestsMenu.getInstance();
 
     if (actorIds && actorIds.length > 0) {
       if (destinationScene && centerLocation && typeof centerLocation === 'object' && typeof centerLocation.x === 'number' && typeof centerLocation.y === 'number') {
-        await TokenTeleportManager.teleportToDestination(actorIds, destinationScene, centerLocation);
+        await TokenTeleportManager.teleportToDestination(actorIds, destinationScene, centerLocation, options);
       } else {
         const tempMenu = { selectedActors: new Set(actorIds) };
         await TokenTeleportManager.teleportSelectedTokens(tempMenu);
@@ -11,6 +11,10 @@ import { MODULE_ID } from "../../constants/General.mjs";
 import { GeneralUtil } from "../utils/GeneralUtil.mjs";
 import { ModuleHelpers } from "../helpers/ModuleHelpers.mjs";
 import { ChatMessageManager } from "../managers/ChatMessageManager.mjs";
+import { RollRequestManager } from "../managers/RollRequestManager.mjs";
+import { RequestTrackerManager } from "../managers/RequestTrackerManager.mjs";
+import { RollSequenceManager } from "../managers/RollSequenceManager.mjs";
+import { RollResultsManager } from "../managers/RollResultsManager.mjs";
 import RollRequestsMenu from "../ui/RollRequestsMenu.mjs";
 import { ActorStatusManager } from "../managers/ActorStatusManager.mjs";
 import { ActorDirectoryIconUtil } from "../utils/ActorDirectoryIconUtil.mjs";
@@ -28,6 +32,8 @@ import { MidiActivityManager } from "../managers/MidiActivityManager.mjs";
 import { LibWrapperUtil } from "../utils/LibWrapperUtil.mjs";
 import { MonksActiveTilesIntegration } from "../integrations/MonksActiveTilesIntegration.mjs";
 import { DnDBeyondIntegration } from "../integrations/DnDBeyondIntegration.mjs";
+import { ExternalDiceSources } from "../integrations/ExternalDiceSources.mjs";
+import { DnDBHomebrewManager } from "../integrations/dnd-beyond/DnDBHomebrewManager.mjs";
 import { PatronSessionManager } from "../managers/PatronSessionManager.mjs";
 
 /**
@@ -78,6 +84,20 @@ export class HooksManager {
       this._addGroupRollContextOptions(document, contextOptions);
     });
     
+    Hooks.on(HOOKS_CORE.GET_COMPENDIUM_CONTEXT_OPTIONS, (application, contextOptions) => {
+      if (!game.user.isGM) return;
+
+      contextOptions.push({
+        name: game.i18n.localize("FLASH_ROLLS.contextMenu.rematchPlaceholders"),
+        icon: '<i class="fas fa-wand-magic-sparkles"></i>',
+        callback: li => DnDBHomebrewManager.rematchPlaceholders(),
+        condition: li => {
+          const pack = game.packs.get(li?.dataset?.pack);
+          return !!pack && DnDBHomebrewManager.isHomebrewPack(pack);
+        }
+      });
+    });
+
     Hooks.on(HOOKS_CORE.CLIENT_SETTING_CHANGED, this._onClientSettingChanged.bind(this));
 
     this._registerTidy5eHooks();
@@ -275,12 +295,14 @@ export class HooksManager {
       RollInterceptor.initialize();
       RollRequestsMenu.showOnLoadIfEnabled();
       GroupTokenTracker.initialize();
+      RequestTrackerManager.initialize();
       // Initialize user connections for dice config
       game.users.forEach(user => {
         this._onUserConnected(user);
       });
     } else {
       DiceConfigUtil.getDiceConfig();
+      RollRequestManager.restorePendingRequests();
     }
     updateSidebarClass(isSidebarExpanded());
     TokenMovementManager.initializeCombatMovementRestrictions();
@@ -291,6 +313,8 @@ export class HooksManager {
       module.api = FlashAPI;
     }
 
+    ExternalDiceSources.initialize();
+
     globalThis.FlashAPI = FlashAPI;
     globalThis.FlashRolls5e = FlashAPI;
     Hooks.call("flash-rolls-5e.ready");
@@ -327,6 +351,10 @@ export class HooksManager {
     this._registerHook(HOOKS_CORE.PRE_CREATE_CHAT_MESSAGE, ChatMessageManager.onPreCreateChatMessage.bind(ChatMessageManager));
     this._registerHook(HOOKS_CORE.RENDER_CHAT_LOG, ChatMessageManager.onRenderChatLog.bind(ChatMessageManager));
 
+    // Results of roll requests made through the API
+    this._registerHook(HOOKS_CORE.UPDATE_CHAT_MESSAGE, RollResultsManager.onUpdateChatMessage.bind(RollResultsManager));
+    this._registerHook(HOOKS_CORE.DELETE_CHAT_MESSAGE, RollResultsManager.onDeleteChatMessage.bind(RollResultsManager));
+
     // Token movement restriction hook
     this._registerHook(HOOKS_CORE.PRE_UPDATE_TOKEN, this._onPreUpdateToken.bind(this));
 
@@ -348,6 +376,10 @@ export class HooksManager {
     // User connection
     this._registerHook(HOOKS_CORE.USER_CONNECTED, this._onUserConnected.bind(this));
 
+    // Group roll completion for roll sequences
+    this._registerHook(HOOKS_CORE.UPDATE_CHAT_MESSAGE, RollSequenceManager.onUpdateChatMessage.bind(RollSequenceManager));
+    this._registerHook(HOOKS_CORE.DELETE_CHAT_MESSAGE, RollSequenceManager.onDeleteChatMessage.bind(RollSequenceManager));
+
     // Roll interception (delegated to RollHooksHandler)
     this._registerHook(HOOKS_DND5E.PRE_ROLL_V2, RollHooksHandler.onPreRollGM.bind(RollHooksHandler));
 
@@ -10,6 +10,8 @@ import { HOOKS_CORE } from "../../constants/Hooks.mjs";
 import { ActorDirectoryIconUtil } from "../utils/ActorDirectoryIconUtil.mjs";
 import { GeneralUtil } from "../utils/GeneralUtil.mjs";
 import { GroupTokenTracker } from "../managers/GroupTokenTracker.mjs";
+import { ChatMessageManager } from "../managers/ChatMessageManager.mjs";
+import { RequestTrackerManager } from "../managers/RequestTrackerManager.mjs";
 
 /**
  * @typedef {import("./RollRequestManager.mjs").RollRequestData} RollRequestData
@@ -57,6 +59,48 @@ export class Main {
     SocketUtil.registerCall(SOCKET_CALLS.removeTemplate, GeneralUtil.removeTemplate);
     SocketUtil.registerCall(SOCKET_CALLS.broadcastRollComplete, Main.handleBroadcastRollComplete);
     SocketUtil.registerCall(SOCKET_CALLS.deleteChatMessage, Main.handleDeleteChatMessage);
+    SocketUtil.registerCall(SOCKET_CALLS.declineRollRequest, Main.handleDeclineRollRequest);
+    SocketUtil.registerCall(SOCKET_CALLS.remindRollRequest, Main.handleRemindRollRequest);
+    SocketUtil.registerCall(SOCKET_CALLS.cancelRollRequest, Main.handleCancelRollRequest);
+    SocketUtil.registerCall(SOCKET_CALLS.timeoutRollRequest, Main.handleTimeoutRollRequest);
+  }
+
+  /**
+   * Handle a roll request declined by a player
+   * @param {Object} declineData - Request details and the name of the declining user
+   */
+  static async handleDeclineRollRequest(declineData) {
+    if (!game.user.isGM) return;
+    LogUtil.log('Main.handleDeclineRollRequest', [declineData]);
+    RequestTrackerManager.remove(declineData.requestId);
+    return ChatMessageManager.markResultDeclined(declineData);
+  }
+
+  /**
+   * Handle a reminder from the GM about a request that hasn't been rolled yet
+   * @param {Object} reminderData - Request ID, actor name, roll label and GM name
+   */
+  static handleRemindRollRequest(reminderData) {
+    LogUtil.log('Main.handleRemindRollRequest', [reminderData]);
+    return RollRequestManager.onRequestReminder(reminderData);
+  }
+
+  /**
+   * Handle a request cancelled by the GM
+   * @param {Object} cancelData - Request ID and the message to show the player
+   */
+  static async handleCancelRollRequest(cancelData) {
+    LogUtil.log('Main.handleCancelRollRequest', [cancelData]);
+    return RollRequestManager.onRequestCancelled(cancelData);
+  }
+
+  /**
+   * Handle a request that timed out and should be rolled automatically for the player
+   * @param {Object} timeoutData - Request ID of the timed out request
+   */
+  static async handleTimeoutRollRequest(timeoutData) {
+    LogUtil.log('Main.handleTimeoutRollRequest', [timeoutData]);
+    return RollRequestManager.autoRollRequest(timeoutData.requestId);
   }
 
   /**
@@ -2,7 +2,6 @@ import { HOOKS_DND5E } from '../../constants/Hooks.mjs';
 import { getSettings } from '../../constants/Settings.mjs';
 import { SettingsUtil } from '../utils/SettingsUtil.mjs';
 import { LogUtil } from '../utils/LogUtil.mjs';
-import { SocketUtil } from '../utils/SocketUtil.mjs';
 import { MODULE_ID, DEBUG_TAG, ROLL_TYPES, ACTIVITY_TYPES } from '../../constants/General.mjs';
 import { GMRollConfigDialog, GMSkillToolConfigDialog, GMHitDieConfigDialog, GMDamageConfigDialog, GMAttackConfigDialog } from '../ui/dialogs/gm-dialogs/index.mjs';
 import { RollHandlers } from './RollHandlers.mjs';
@@ -11,6 +10,7 @@ import { GeneralUtil } from '../utils/GeneralUtil.mjs';
 import { FlashAPI } from '../core/FlashAPI.mjs';
 import { ModuleHelpers } from '../helpers/ModuleHelpers.mjs';
 import { OfflinePlayerManager } from '../managers/roll-menu/OfflinePlayerManager.mjs';
+import { RequestTrackerManager } from '../managers/RequestTrackerManager.mjs';
 import { RollHelpers } from '../helpers/RollHelpers.mjs';
 import { HooksManager } from '../core/HooksManager.mjs';
 import { DiceConfigUtil } from '../utils/DiceConfigUtil.mjs';
@@ -735,7 +735,7 @@ export class RollInterceptor {
     }
     
     // Owner is active, send the request
-    SocketUtil.execForUser('handleRollRequest', owner.id, requestData);
+    RequestTrackerManager.sendRequest(owner, requestData, actor);
     FlashAPI.notify('info',game.i18n.format('FLASH_ROLLS.notifications.rollRequestSent', { 
       player: owner?.name || 'Unknown',
       actor: actor.name || 'Unknown' 
@@ -615,6 +615,163 @@ export const RollHelpers = {
     }
   },
 
+  /* -------------------------------------------- */
+  /*  Group Roll Method Registry                  */
+  /* -------------------------------------------- */
+
+  /**
+   * @typedef {Object} GroupMethodDefinition
+   * @property {string} label - Display label or localization key for the method
+   * @property {string} [name] - Alternative name accepted by the API string lookup (e.g. "Standard Rule")
+   * @property {Function} calculate - Receives { rollResults, dc, actors, rollType, rollKey } and returns
+   *   details with at least { success, finalResult, summary }
+   * @property {Function} [render] - Receives (details, context) and returns HTML for the group roll card footer
+   * @property {boolean} [requiresRollKey=false] - Whether the method needs rollType/rollKey to read actor modifiers
+   * @property {boolean} [builtIn=false] - Whether the method ships with the module
+   */
+
+  /**
+   * Registered group roll calculation methods, keyed by method id
+   * @type {Map<string, GroupMethodDefinition>}
+   */
+  groupMethods: new Map(),
+
+  /**
+   * Register a group roll calculation method
+   * Built-in methods use the ids "1" to "4" and cannot be replaced
+   * @param {string|number} id - Unique method identifier, stored in the groupRollResultMode setting
+   * @param {GroupMethodDefinition} definition - The method definition
+   * @returns {boolean} Whether the method was registered
+   */
+  registerGroupMethod(id, definition = {}) {
+    const methodId = id !== undefined && id !== null ? String(id).trim() : '';
+    if (!methodId) {
+      LogUtil.error('RollHelpers.registerGroupMethod - A method id is required', [id]);
+      return false;
+    }
+    if (typeof definition.calculate !== 'function') {
+      LogUtil.error('RollHelpers.registerGroupMethod - calculate must be a function', [methodId, definition]);
+      return false;
+    }
+    if (definition.render !== undefined && typeof definition.render !== 'function') {
+      LogUtil.error('RollHelpers.registerGroupMethod - render must be a function', [methodId, definition]);
+      return false;
+    }
+    if (this.groupMethods.get(methodId)?.builtIn) {
+      LogUtil.error('RollHelpers.registerGroupMethod - Built-in methods cannot be replaced', [methodId]);
+      return false;
+    }
+
+    this.groupMethods.set(methodId, {
+      label: definition.label || methodId,
+      name: definition.name || definition.label || methodId,
+      calculate: definition.calculate,
+      render: definition.render,
+      requiresRollKey: definition.requiresRollKey === true,
+      builtIn: definition.builtIn === true
+    });
+    LogUtil.log('RollHelpers.registerGroupMethod', [methodId]);
+    return true;
+  },
+
+  /**
+   * Get a registered group roll method by id
+   * @param {string|number} id - The method id
+   * @returns {GroupMethodDefinition|null} The method definition or null if not registered
+   */
+  getGroupMethod(id) {
+    if (id === undefined || id === null) return null;
+    return this.groupMethods.get(String(id)) || null;
+  },
+
+  /**
+   * Get the localized label of a group roll method
+   * @param {string|number} id - The method id
+   * @returns {string} The localized label, or the id if the method is not registered
+   */
+  getGroupMethodLabel(id) {
+    const method = this.getGroupMethod(id);
+    return method ? game.i18n.localize(method.label) : String(id);
+  },
+
+  /**
+   * Get select choices for all registered group roll methods
+   * @returns {Object<string, string>} Map of method id to localized label
+   */
+  getGroupMethodChoices() {
+    const choices = {};
+    for (const id of this.groupMethods.keys()) {
+      choices[id] = this.getGroupMethodLabel(id);
+    }
+    return choices;
+  },
+
+  /**
+   * Resolve a method reference (id, number, name or label) to a registered method id
+   * @param {string|number} method - The method reference, case-insensitive for names and labels
+   * @returns {string|null} The matching method id or null if none matches
+   */
+  resolveGroupMethodId(method) {
+    if (method === undefined || method === null || method === '') return null;
+    const reference = String(method).trim();
+    if (this.groupMethods.has(reference)) return reference;
+
+    const normalized = reference.toLowerCase();
+    for (const [id, definition] of this.groupMethods.entries()) {
+      const names = [definition.name, definition.label, game.i18n.localize(definition.label)];
+      if (names.some(name => name?.toLowerCase() === normalized)) {
+        return id;
+      }
+    }
+    return null;
+  },
+
+  /**
+   * Get the group roll method currently selected in settings
+   * Falls back to Standard Rule if the stored method is no longer registered
+   * @returns {string} The method id
+   */
+  getSelectedGroupMethodId() {
+    const SETTINGS = getSettings();
+    const resultMode = SettingsUtil.get(SETTINGS.groupRollResultMode.tag);
+    return this.getGroupMethod(resultMode) ? String(resultMode) : '1';
+  },
+
+  /**
+   * Run a group roll method and normalize its output
+   * @param {string|number} methodId - The method id
+   * @param {Object} context - Calculation context
+   * @param {Object[]} context.rollResults - Array of roll results with { actorId, total }
+   * @param {number} context.dc - The DC to check against
+   * @param {Actor[]} [context.actors] - Array of actors (needed for some methods)
+   * @param {string} [context.rollType] - Type of roll
+   * @param {string} [context.rollKey] - The specific roll key
+   * @returns {Object} Result object with { success, result, details, method, summaryHtml }
+   */
+  calculateGroupMethod(methodId, context) {
+    const method = this.getGroupMethod(methodId) || this.getGroupMethod('1');
+    const details = method.calculate({ actors: [], ...context }) || {};
+    const finalResult = details.finalResult;
+    const success = details.success !== undefined ? !!details.success : !!finalResult;
+
+    let summaryHtml = null;
+    if (method.render) {
+      try {
+        summaryHtml = method.render(details, context) || null;
+      } catch (error) {
+        LogUtil.error('RollHelpers.calculateGroupMethod - render error', [methodId, error]);
+      }
+    }
+
+    return {
+      success,
+      result: typeof finalResult === 'boolean' ? (finalResult ? 1 : 0) : finalResult,
+      details,
+      method: method.name,
+      summaryHtml
+    };
+  },
+
   /**
    * Get the group roll result based on the selected calculation method
    * @param {Object[]} rollResults - Array of roll results with { actorId, total }
@@ -622,11 +779,16 @@ export const RollHelpers = {
    * @param {Actor[]} actors - Array of actors (needed for some methods)
    * @param {string} rollType - Type of roll (needed for modifier calculation)
    * @param {string} rollKey - The specific roll key (needed for modifier calculation)
-   * @returns {Object} Result object with { complete, success, result }
+   * @param {string} [methodId] - Method to use, defaults to the groupRollResultMode setting
+   * @returns {Object} Result object with { complete, success, result, details, summaryHtml }
    */
-  getGroupResult(rollResults, dc, actors, rollType, rollKey) {
-    const complete = rollResults.every(r => r.total !== null && r.total !== undefined);
-    
+  getGroupResult(rollResults, dc, actors, rollType, rollKey, methodId = null) {
+    // Results resolved by a request timeout: dropped ones don't count, auto-failed ones count as a 0
+    rollResults = rollResults
+      .filter(r => !r.dropped)
+      .map(r => r.autoFailed ? { ...r, total: 0 } : r);
+    const complete = rollResults.length > 0 && rollResults.every(r => r.total !== null && r.total !== undefined);
+
     if (!complete) {
       return {
         complete: false,
@@ -635,56 +797,26 @@ export const RollHelpers = {
       };
     }
 
-    const SETTINGS = getSettings();
-    const resultMode = SettingsUtil.get(SETTINGS.groupRollResultMode.tag) || 1;
-    
-    let calculationResult;
-    
-    switch (resultMode) {
-      case 1: // Standard Rule
-        calculationResult = this.calculateStandardRule(rollResults, dc);
-        return {
-          complete: true,
-          success: calculationResult.finalResult,
-          result: calculationResult.finalResult ? 1 : 0,
-          details: calculationResult
-        };
-        
-      case 2: // Group Average
-        calculationResult = this.calculateGroupAverage(rollResults, dc);
-        return {
-          complete: true,
-          success: calculationResult.success,
-          result: calculationResult.finalResult,
-          details: calculationResult
-        };
-        
-      case 3: // Leader with Help
-        calculationResult = this.calculateLeaderWithHelp(rollResults, dc, actors, rollType, rollKey);
-        return {
-          complete: true,
-          success: calculationResult.success,
-          result: calculationResult.finalResult,
-          details: calculationResult
-        };
-        
-      case 4: // Weakest Link
-        calculationResult = this.calculateWeakestLink(rollResults, dc, actors, rollType, rollKey);
-        return {
-          complete: true,
-          success: calculationResult.success,
-          result: calculationResult.finalResult,
-          details: calculationResult
-        };
-        
-      default:
-        calculationResult = this.calculateStandardRule(rollResults, dc);
-        return {
-          complete: true,
-          success: calculationResult.finalResult,
-          result: calculationResult.finalResult ? 1 : 0,
-          details: calculationResult
-        };
+    const resultMode = this.getGroupMethod(methodId) ? methodId : this.getSelectedGroupMethodId();
+
+    try {
+      const calculation = this.calculateGroupMethod(resultMode, { rollResults, dc, actors, rollType, rollKey });
+      return {
+        complete: true,
+        success: calculation.success,
+        result: calculation.result,
+        details: calculation.details,
+        summaryHtml: calculation.summaryHtml
+      };
+    } catch (error) {
+      LogUtil.error('RollHelpers.getGroupResult - calculation error, using Standard Rule', [resultMode, error]);
+      const calculationResult = this.calculateStandardRule(rollResults, dc);
+      return {
+        complete: true,
+        success: calculationResult.finalResult,
+        result: calculationResult.finalResult ? 1 : 0,
+        details: calculationResult
+      };
     }
   },
   /**
@@ -892,3 +1024,32 @@ export const RollHelpers = {
   }
 };
 
+RollHelpers.registerGroupMethod(1, {
+  name: 'Standard Rule',
+  label: "FLASH_ROLLS.settings.groupRollResultMode.choices.1",
+  calculate: ({ rollResults, dc }) => RollHelpers.calculateStandardRule(rollResults, dc),
+  builtIn: true
+});
+
+RollHelpers.registerGroupMethod(2, {
+  name: 'Group Average',
+  label: "FLASH_ROLLS.settings.groupRollResultMode.choices.2",
+  calculate: ({ rollResults, dc }) => RollHelpers.calculateGroupAverage(rollResults, dc),
+  builtIn: true
+});
+
+RollHelpers.registerGroupMethod(3, {
+  name: 'Leader with Help',
+  label: "FLASH_ROLLS.settings.groupRollResultMode.choices.3",
+  calculate: ({ rollResults, dc, actors, rollType, rollKey }) => RollHelpers.calculateLeaderWithHelp(rollResults, dc, actors, rollType, rollKey),
+  requiresRollKey: true,
+  builtIn: true
+});
+
+RollHelpers.registerGroupMethod(4, {
+  name: 'Weakest Link',
+  label: "FLASH_ROLLS.settings.groupRollResultMode.choices.4",
+  calculate: ({ rollResults, dc, actors, rollType, rollKey }) => RollHelpers.calculateWeakestLink(rollResults, dc, actors, rollType, rollKey),
+  requiresRollKey: true,
+  builtIn: true
+});
@@ -1,19 +1,33 @@
-import { MODULE_ID } from "../../constants/General.mjs";
+import { MODULE_ID, ROLL_TYPES, DDB_ROLL_ROUTES } from "../../constants/General.mjs";
 import { getSettings } from "../../constants/Settings.mjs";
 import { LogUtil } from "../utils/LogUtil.mjs";
 import { SettingsUtil } from "../utils/SettingsUtil.mjs";
 import { SocketUtil } from "../utils/SocketUtil.mjs";
 import { getPlayerOwner } from "../helpers/Helpers.mjs";
 import { DnDBConnection } from "./dnd-beyond/DnDBConnection.mjs";
+import { DnDBEventRecorder } from "./dnd-beyond/DnDBEventRecorder.mjs";
 import { DnDBRollParser } from "./dnd-beyond/DnDBRollParser.mjs";
 import { DnDBRollExecutor } from "./dnd-beyond/DnDBRollExecutor.mjs";
+import { DnDBRollRouting } from "./dnd-beyond/DnDBRollRouting.mjs";
 import { DnDBIntegration } from "./dnd-beyond/DnDBIntegration.mjs";
 import { PatronSessionManager } from "../managers/PatronSessionManager.mjs";
+import { ChatMessageManager } from "../managers/ChatMessageManager.mjs";
+import { RequestTrackerManager } from "../managers/RequestTrackerManager.mjs";
 
 const SOCKET_HANDLERS = {
   EXECUTE_DDB_ROLL: "executeDnDBRoll"
 };
 
+/**
+ * Flash Rolls request types each DnDB roll category can answer
+ */
+const REQUEST_ROLL_TYPES = {
+  save: [ROLL_TYPES.SAVE, ROLL_TYPES.SAVING_THROW],
+  abilityCheck: [ROLL_TYPES.ABILITY, ROLL_TYPES.ABILITY_CHECK],
+  skill: [ROLL_TYPES.SKILL],
+  tool: [ROLL_TYPES.TOOL]
+};
+
 /**
  * Integration with D&D Beyond Game Log via proxy server
  * Orchestrates connection, roll parsing, and execution
@@ -72,7 +86,7 @@ export class DnDBeyondIntegration {
    * @returns {Promise<boolean>} Success status
    */
   static async _handleSocketRollExecution(data) {
-    const { actorId, rollInfo, category } = data;
+    const { actorId, actorUuid, rollInfo, category } = data;
     LogUtil.log("DnDBeyondIntegration._handleSocketRollExecution - Received roll request", [
       "actorId:", actorId,
       "action:", rollInfo.action,
@@ -81,7 +95,7 @@ export class DnDBeyondIntegration {
       "isGM:", game.user.isGM
     ]);
 
-    const actor = game.actors.get(actorId);
+    const actor = (actorUuid && fromUuidSync(actorUuid)) || game.actors.get(actorId);
     if (!actor) {
       LogUtil.warn("DnDBeyondIntegration._handleSocketRollExecution - Actor not found", [actorId]);
       return false;
@@ -112,25 +126,47 @@ export class DnDBeyondIntegration {
   static async _processRollEvent(rollData) {
     const characterId = rollData.entityId;
     const entityType = rollData.entityType;
-    const actor = this._getActorForCharacter(characterId, entityType);
+    let actor = this._getActorForCharacter(characterId, entityType);
 
     const rollInfo = DnDBRollParser.extractRollInfo(rollData);
+    if (entityType === "monster") {
+      actor = this._getMonsterTokenActor(characterId, actor, rollInfo.characterName) ?? actor;
+    }
+    await this.processRoll(actor, rollInfo);
+  }
+
+  /**
+   * Execute parsed roll info for an actor
+   * Answers a pending request, then follows the roll's route: sends it to the owning player,
+   * executes it as GM, posts it to chat only, or ignores it.
+   * Falls back to a plain roll message when there is no actor.
+   * Shared by DnDB and external dice sources.
+   * @param {Actor|null} actor - The actor that rolled
+   * @param {Object} rollInfo - Roll info in the shape returned by DnDBRollParser.extractRollInfo
+   */
+  static async processRoll(actor, rollInfo) {
     const category = DnDBRollParser.determineRollCategory(
       rollInfo.action,
       rollInfo.rollType,
       actor
     );
+    const route = DnDBRollRouting.getRoute(category, rollInfo.characterId);
 
     LogUtil.log("DnDBeyondIntegration: Processing roll", [
       rollInfo.action,
       rollInfo.rollType,
       category.category,
-      actor?.name
+      actor?.name,
+      "route:", route
     ]);
 
-    if (actor) {
+    if (route === DDB_ROLL_ROUTES.IGNORE) return;
+
+    if (actor && await this._fulfilPendingRequest(actor, rollInfo, category)) return;
+
+    if (actor && route !== DDB_ROLL_ROUTES.CHAT) {
       const playerOwner = getPlayerOwner(actor);
-      const shouldPlayerExecute = this._shouldPlayerExecute(playerOwner);
+      const shouldPlayerExecute = this._shouldPlayerExecute(playerOwner, route);
       LogUtil.log("DnDBeyondIntegration: shouldPlayerExecute", [shouldPlayerExecute]);
 
       if (shouldPlayerExecute) {
@@ -146,28 +182,97 @@ export class DnDBeyondIntegration {
       if (success) return;
     }
 
-    await this._createFallbackMessage(rollInfo);
+    await this._createFallbackMessage(rollInfo, actor);
   }
 
   /**
-   * Check if a player should execute the roll based on settings and online status
-   * @param {User|null} playerOwner - The player owner of the actor
-   * @returns {boolean} Whether the player should execute the roll
+   * Answer a pending roll request for the actor with the DnDB roll, instead of executing it as a new roll
+   * The result goes into the request's group roll card, checked against the DC the GM set
+   * @param {Actor} actor - The actor that rolled on DnDB
+   * @param {Object} rollInfo - The parsed roll info
+   * @param {Object} category - The roll category
+   * @returns {Promise<boolean>} Whether a pending request was answered
    */
-  static _shouldPlayerExecute(playerOwner) {
+  static async _fulfilPendingRequest(actor, rollInfo, category) {
+    const match = this._findPendingRequest(actor, category);
+    if (!match) return false;
+
+    const message = ChatMessageManager.getGroupRollMessage(match.groupRollId);
+    const dc = message?.getFlag(MODULE_ID, 'rollData')?.dc ?? null;
+    const roll = await DnDBRollExecutor.rollForRequest(actor, rollInfo, category, dc);
+    if (!roll) return false;
+
+    LogUtil.log("DnDBeyondIntegration: Answering pending request with DnDB roll", [
+      match.groupRollId,
+      actor.name,
+      roll.total,
+      "dc:", dc
+    ]);
+
+    const request = RequestTrackerManager.findRequest(match.groupRollId, [match.uniqueId, actor.id]);
+    if (request) {
+      RequestTrackerManager.cancel(request.requestId, 'FLASH_ROLLS.notifications.rollRequestAnsweredByDDB');
+    }
+
+    await ChatMessageManager.updateGroupRollMessage(match.groupRollId, match.uniqueId, roll, rollInfo.rollMode);
+    return true;
+  }
+
+  /**
+   * Find the oldest pending roll request the DnDB roll can answer for the actor
+   * Requests match on roll type and key, and must have been sent within the configured time window
+   * @param {Actor} actor - The actor that rolled on DnDB
+   * @param {Object} category - The roll category
+   * @returns {{groupRollId: string, uniqueId: string, createdAt: number}|null}
+   */
+  static _findPendingRequest(actor, category) {
+    const requestTypes = REQUEST_ROLL_TYPES[category.category];
+    if (!requestTypes) return null;
+
     const SETTINGS = getSettings();
-    const rollOwnership = SettingsUtil.get(SETTINGS.ddbRollOwnership.tag) ?? 0;
+    const matchSeconds = Number(SettingsUtil.get(SETTINGS.ddbRequestMatchSeconds.tag)) || 0;
+    if (matchSeconds <= 0) return null;
+
+    const rollKey = category.ability || category.skill || category.tool?.system?.type?.baseItem;
+    const cutoff = Date.now() - matchSeconds * 1000;
+    let match = null;
+
+    for (const [groupRollId, pendingData] of ChatMessageManager.pendingRolls.entries()) {
+      if (!pendingData.createdAt || pendingData.createdAt < cutoff) continue;
+      if (!requestTypes.includes(pendingData.rollType?.toLowerCase())) continue;
+      if (pendingData.rollKey && pendingData.rollKey !== rollKey) continue;
+
+      const actorEntry = pendingData.actorEntries?.find(entry =>
+        entry.actorId === actor.id
+        && (!actor.isToken || !entry.tokenId || entry.tokenId === actor.token.id)
+        && !pendingData.results?.has(entry.uniqueId)
+      );
+      if (!actorEntry) continue;
+
+      if (!match || pendingData.createdAt < match.createdAt) {
+        match = { groupRollId, uniqueId: actorEntry.uniqueId, createdAt: pendingData.createdAt };
+      }
+    }
 
+    return match;
+  }
+
+  /**
+   * Check if a player should execute the roll based on its route and the player's online status
+   * @param {User|null} playerOwner - The player owner of the actor
+   * @param {string} route - The roll route from DnDBRollRouting
+   * @returns {boolean} Whether the player should execute the roll
+   */
+  static _shouldPlayerExecute(playerOwner, route) {
     LogUtil.log("DnDBeyondIntegration._shouldPlayerExecute", [
       "playerOwner:", playerOwner?.name,
       "playerActive:", playerOwner?.active,
-      "rollOwnership setting:", rollOwnership,
-      "result:", rollOwnership === 1 && !!playerOwner && playerOwner.active
+      "route:", route
     ]);
 
     if (!playerOwner) return false;
     if (!playerOwner.active) return false;
-    return rollOwnership === 1;
+    return route === DDB_ROLL_ROUTES.PLAYER;
   }
 
   /**
@@ -182,6 +287,7 @@ export class DnDBeyondIntegration {
     try {
       const data = {
         actorId: actor.id,
+        actorUuid: actor.uuid,
         rollInfo: rollInfo,
         category: category
       };
@@ -201,12 +307,13 @@ export class DnDBeyondIntegration {
   }
 
   /**
-   * Create a fallback roll message when no actor is mapped
+   * Create a fallback roll message when no actor is mapped, or for rolls routed to chat only
    * Creates a proper Roll object using DnDB dice values
    * @param {Object} rollInfo - The parsed roll information
+   * @param {Actor|null} [actor=null] - The actor that rolled, if any
    */
-  static async _createFallbackMessage(rollInfo) {
-    await DnDBRollExecutor.createSimpleRollMessage(rollInfo);
+  static async _createFallbackMessage(rollInfo, actor = null) {
+    await DnDBRollExecutor.createSimpleRollMessage(rollInfo, actor);
   }
 
   /**
@@ -262,6 +369,47 @@ export class DnDBeyondIntegration {
     return null;
   }
 
+  /**
+   * Find the scene token a DnDB monster roll belongs to
+   * Prefers the controlled token, then the current combatant, then the only matching token.
+   * Several matching tokens fall back to the world actor, so the roll pipeline never waits on the GM
+   * @param {string|number} entityId - The DnDB monster ID
+   * @param {Actor|null} worldActor - The world actor found for the monster
+   * @param {string} monsterName - The monster name from DnDB
+   * @returns {Actor|null} The token's actor, or null to use the world actor
+   */
+  static _getMonsterTokenActor(entityId, worldActor, monsterName) {
+    const SETTINGS = getSettings();
+    if (SettingsUtil.get(SETTINGS.ddbMonsterTokenTarget.tag) !== 1) return null;
+
+    const scene = game.scenes.active;
+    if (!scene) return null;
+
+    const entityIdStr = String(entityId);
+    const tokens = scene.tokens.filter(token => {
+      if (!token.actor) return false;
+      if (worldActor && token.actorId === worldActor.id) return true;
+      const ddbId = token.actor.flags?.ddbimporter?.id;
+      return ddbId && String(ddbId) === entityIdStr;
+    });
+    if (!tokens.length) return null;
+
+    const controlled = tokens.filter(token => token.object?.controlled);
+    if (controlled.length === 1) return controlled[0].actor;
+
+    const combatant = game.combat?.combatant;
+    const combatantToken = combatant?.sceneId === scene.id
+      ? tokens.find(token => token.id === combatant.tokenId)
+      : null;
+    if (combatantToken) return combatantToken.actor;
+
+    const candidates = controlled.length ? controlled : tokens;
+    if (candidates.length === 1) return candidates[0].actor;
+
+    LogUtil.log("DnDBeyondIntegration: Several monster tokens match, using world actor", [monsterName, candidates.length]);
+    return null;
+  }
+
   /**
    * Connect to the proxy server
    */
@@ -285,6 +433,27 @@ export class DnDBeyondIntegration {
     await DnDBConnection.reconnect();
   }
 
+  /**
+   * Replay recorded roll events as if they came from the live connection
+   * @param {DnDBRecording} recording - The recording to replay
+   * @param {Object} options - Replay options, as for DnDBEventRecorder.replay
+   * @returns {Promise<number>} Number of events replayed
+   */
+  static async replayRecording(recording, options = {}) {
+    DnDBConnection.setRollEventHandler((data) => this._onRollEvent(data));
+    return await DnDBEventRecorder.replay(recording, options);
+  }
+
+  /**
+   * Replay roll events from an SSE endpoint as if they came from the live connection
+   * @param {string} url - URL of the SSE endpoint
+   * @returns {Promise<number>} Number of events received
+   */
+  static async replayStream(url) {
+    DnDBConnection.setRollEventHandler((data) => this._onRollEvent(data));
+    return await DnDBEventRecorder.replayStream(url);
+  }
+
   /**
    * Check if currently connected
    * @returns {boolean}
@@ -0,0 +1,252 @@
+import { LogUtil } from "../utils/LogUtil.mjs";
+import { SocketUtil } from "../utils/SocketUtil.mjs";
+import { DnDBRollParser } from "./dnd-beyond/DnDBRollParser.mjs";
+import { DnDBeyondIntegration } from "./DnDBeyondIntegration.mjs";
+
+const SOCKET_HANDLERS = {
+  EMIT_EXTERNAL_ROLL: "emitExternalDiceRoll"
+};
+
+/**
+ * Roll types accepted in external roll events, as used by D&D Beyond
+ */
+const ROLL_EVENT_TYPES = ["check", "save", "to hit", "attack", "damage", "heal", "healing", "roll"];
+
+/**
+ * @typedef {Object} DiceSourceAdapter
+ * @property {string} id - Unique source id, e.g. "pixels-bridge"
+ * @property {string} [label] - Display name, used as the source of the roll messages
+ * @property {Function} connect - Called with an emit function once registered; the adapter calls emit(event) for every roll
+ * @property {Function} [disconnect] - Called when the source is unregistered
+ */
+
+/**
+ * @typedef {Object} ExternalRollEvent
+ * @property {Actor|string} [actor] - The actor that rolled, as an Actor, actor id or actor UUID
+ * @property {string|number} [characterId] - A D&D Beyond character id, resolved through the DnDB character mappings
+ * @property {string} [characterName] - Speaker name used when no actor is found
+ * @property {string} action - What was rolled, e.g. "Stealth", "Dexterity", "Initiative" or an item name
+ * @property {string} rollType - "check", "save", "to hit", "damage", "heal" or "roll"
+ * @property {string} [rollKind] - "advantage", "disadvantage" or "critical hit"
+ * @property {Array<{type: string, value: number}>} dice - Physical dice results, e.g. { type: "d20", value: 17 }
+ * @property {number} [modifier=0] - Flat modifier added by the source
+ * @property {number} [total] - Roll total, defaults to the sum of the dice and the modifier
+ * @property {string} [rollMode] - Foundry roll mode, defaults to public
+ */
+
+/**
+ * Registry of external dice sources, such as smart dice bridges, chat bots or phone apps
+ * Sources emit normalized roll events, which are converted to DnDB roll info and executed through
+ * DnDBeyondIntegration.processRoll, reusing its actor mapping, category detection and dice value injection.
+ * Events emitted on a player client are forwarded to the active GM, who only executes them for actors the player owns.
+ */
+export class ExternalDiceSources {
+  /** @type {Map<string, DiceSourceAdapter>} */
+  static sources = new Map();
+
+  /**
+   * Register the socket handler that receives events forwarded by players
+   * socketlib passes the sending user in this.socketdata, so the handler can't be an arrow function
+   */
+  static initialize() {
+    const sources = this;
+    SocketUtil.registerCall(SOCKET_HANDLERS.EMIT_EXTERNAL_ROLL, function(sourceId, event) {
+      return sources._onForwardedRoll(this?.socketdata?.userId, sourceId, event);
+    });
+  }
+
+  /**
+   * Register an external dice source and connect it
+   * @param {DiceSourceAdapter} adapter - The source adapter
+   * @returns {Promise<boolean>} Whether the source was registered
+   */
+  static async register(adapter = {}) {
+    const sourceId = adapter.id !== undefined && adapter.id !== null ? String(adapter.id).trim() : '';
+    if (!sourceId) {
+      LogUtil.error("ExternalDiceSources.register - A source id is required", [adapter]);
+      return false;
+    }
+    if (typeof adapter.connect !== 'function') {
+      LogUtil.error("ExternalDiceSources.register - connect must be a function", [sourceId, adapter]);
+      return false;
+    }
+    if (adapter.disconnect !== undefined && typeof adapter.disconnect !== 'function') {
+      LogUtil.error("ExternalDiceSources.register - disconnect must be a function", [sourceId, adapter]);
+      return false;
+    }
+
+    if (this.sources.has(sourceId)) await this.unregister(sourceId);
+    this.sources.set(sourceId, adapter);
+
+    try {
+      await adapter.connect((event) => this.emit(sourceId, event));
+    } catch (error) {
+      LogUtil.error("ExternalDiceSources.register - Source failed to connect", [sourceId, error]);
+      this.sources.delete(sourceId);
+      return false;
+    }
+
+    LogUtil.log("ExternalDiceSources.register", [sourceId]);
+    return true;
+  }
+
+  /**
+   * Disconnect and remove an external dice source
+   * @param {string} sourceId - The source id
+   * @returns {Promise<boolean>} Whether a source was removed
+   */
+  static async unregister(sourceId) {
+    const adapter = this.sources.get(String(sourceId));
+    if (!adapter) return false;
+
+    this.sources.delete(String(sourceId));
+    try {
+      await adapter.disconnect?.();
+    } catch (error) {
+      LogUtil.error("ExternalDiceSources.unregister - Source failed to disconnect", [sourceId, error]);
+    }
+    LogUtil.log("ExternalDiceSources.unregister", [sourceId]);
+    return true;
+  }
+
+  /**
+   * Get the registered sources
+   * @returns {Array<{id: string, label: string}>}
+   */
+  static getSources() {
+    return Array.from(this.sources.entries()).map(([id, adapter]) => ({ id, label: adapter.label || id }));
+  }
+
+  /**
+   * Execute a roll event from an external source
+   * @param {string} sourceId - The id of the source that rolled
+   * @param {ExternalRollEvent} event - The normalized roll event
+   * @returns {Promise<boolean>} Whether the event was accepted
+   */
+  static async emit(sourceId, event) {
+    if (!this._isValidEvent(event)) {
+      LogUtil.warn("ExternalDiceSources.emit - Invalid roll event", [sourceId, event]);
+      return false;
+    }
+
+    if (!game.user.isGM) {
+      const activeGM = game.users.activeGM;
+      if (!activeGM) {
+        LogUtil.warn("ExternalDiceSources.emit - No active GM to execute the roll", [sourceId]);
+        return false;
+      }
+      const actor = event.actor instanceof Actor ? event.actor.uuid : event.actor;
+      const result = await SocketUtil.execForUser(SOCKET_HANDLERS.EMIT_EXTERNAL_ROLL, activeGM.id, sourceId, { ...event, actor });
+      return result === true;
+    }
+
+    const actor = this._resolveActor(event);
+    const rollInfo = this.toRollInfo(sourceId, event);
+
+    LogUtil.log("ExternalDiceSources: Roll event", [sourceId, rollInfo.action, rollInfo.rollType, actor?.name]);
+    await DnDBeyondIntegration.processRoll(actor, rollInfo);
+    return true;
+  }
+
+  /**
+   * Execute a roll event forwarded by a player, if the player is a GM or owns the actor that rolled
+   * @param {string} userId - ID of the user who sent the event
+   * @param {string} sourceId - The id of the source that rolled
+   * @param {ExternalRollEvent} event - The normalized roll event
+   * @returns {Promise<boolean>} Whether the event was accepted
+   * @private
+   */
+  static async _onForwardedRoll(userId, sourceId, event) {
+    const user = game.users.get(userId);
+    if (!user) {
+      LogUtil.warn("ExternalDiceSources: Roll event from an unknown user", [sourceId, userId]);
+      return false;
+    }
+
+    if (!user.isGM && this._isValidEvent(event)) {
+      const actor = this._resolveActor(event);
+      if (!actor?.testUserPermission(user, "OWNER")) {
+        LogUtil.warn("ExternalDiceSources: Roll event for an actor the user doesn't own", [sourceId, user.name, actor?.name]);
+        return false;
+      }
+    }
+
+    return this.emit(sourceId, event);
+  }
+
+  /**
+   * Convert a normalized roll event to the roll info produced by DnDBRollParser
+   * The dice are grouped into a DnDB dice notation, so DnDBRollUtil can inject them into Foundry rolls
+   * @param {string} sourceId - The id of the source that rolled
+   * @param {ExternalRollEvent} event - The normalized roll event
+   * @returns {Object} Roll info
+   */
+  static toRollInfo(sourceId, event) {
+    const sets = new Map();
+    for (const die of event.dice) {
+      const dieType = String(die.type).toLowerCase();
+      if (!sets.has(dieType)) sets.set(dieType, { count: 0, dieType, dice: [] });
+      const set = sets.get(dieType);
+      set.count++;
+      set.dice.push({ dieType, dieValue: Number(die.value) });
+    }
+
+    const modifier = Number(event.modifier) || 0;
+    const diceTotal = event.dice.reduce((sum, die) => sum + Number(die.value), 0);
+    const actor = event.actor instanceof Actor ? event.actor : null;
+
+    const rollData = {
+      entityId: event.characterId ?? null,
+      source: this.sources.get(sourceId)?.label || sourceId,
+      data: {
+        action: event.action,
+        context: { name: event.characterName || actor?.name },
+        rolls: [{
+          rollType: event.rollType,
+          rollKind: event.rollKind || "",
+          diceNotation: { set: Array.from(sets.values()), constant: modifier },
+          result: { total: Number.isFinite(event.total) ? event.total : diceTotal + modifier }
+        }]
+      }
+    };
+
+    const rollInfo = DnDBRollParser.extractRollInfo(rollData);
+    if (event.rollMode && Object.values(CONST.DICE_ROLL_MODES).includes(event.rollMode)) {
+      rollInfo.rollMode = event.rollMode;
+    }
+    return rollInfo;
+  }
+
+  /**
+   * Find the actor of a roll event
+   * Uses the given actor, id or UUID first, then the DnDB character mappings
+   * @param {ExternalRollEvent} event - The normalized roll event
+   * @returns {Actor|null}
+   * @private
+   */
+  static _resolveActor(event) {
+    if (event.actor instanceof Actor) return event.actor;
+    if (typeof event.actor === 'string' && event.actor) {
+      const actor = game.actors.get(event.actor) || fromUuidSync(event.actor);
+      if (actor instanceof Actor) return actor;
+      LogUtil.warn("ExternalDiceSources: Actor not found", [event.actor]);
+    }
+    if (event.characterId !== undefined && event.characterId !== null) {
+      return DnDBeyondIntegration._getActorForCharacter(event.characterId);
+    }
+    return null;
+  }
+
+  /**
+   * Check the shape of a roll event
+   * @param {ExternalRollEvent} event - The event to check
+   * @returns {boolean}
+   * @private
+   */
+  static _isValidEvent(event) {
+    return typeof event?.action === 'string' && !!event.action
+      && ROLL_EVENT_TYPES.includes(event.rollType)
+      && Array.isArray(event.dice) && event.dice.length > 0
+      && event.dice.every(die => /^d\d+$/i.test(String(die?.type)) && Number.isFinite(Number(die.value)));
+  }
+}
@@ -1,9 +1,14 @@
-import { MODULE_ID, ROLL_TYPES, ROLL_REQUEST_OPTIONS, DICE_OPTIONS } from '../../constants/General.mjs';
+import { MODULE_ID, ROLL_TYPES, ROLL_REQUEST_OPTIONS, DICE_OPTIONS, CONTEST_TIE_BREAKERS } from '../../constants/General.mjs';
 import { LogUtil } from '../utils/LogUtil.mjs';
 import { FlashAPI } from '../core/FlashAPI.mjs';
 import { getActorData } from '../helpers/Helpers.mjs';
 import { TokenTeleportManager } from '../managers/TokenTeleportManager.mjs';
+import { TokenPlacementManager } from '../managers/TokenPlacementManager.mjs';
+import { RollMenuStatusManager } from '../managers/roll-menu/RollMenuStatusManager.mjs';
 import { GeneralUtil } from '../utils/GeneralUtil.mjs';
+import { RollHelpers } from '../helpers/RollHelpers.mjs';
+import { getSettings } from '../../constants/Settings.mjs';
+import { SettingsUtil } from '../utils/SettingsUtil.mjs';
 
 /**
  * Integration with Monk's Active Tiles module
@@ -33,6 +38,11 @@ export class MonksActiveTilesIntegration {
       this._registerToggleMovementAction(app);
       this._registerTeleportTokensAction(app);
       this._registerTransformActorsAction(app);
+      this._registerTeamContestAction(app);
+      this._registerContestedRollAction(app);
+      this._registerStatusEffectAction(app);
+      this._registerPlaceTokensAction(app);
+      this._registerRevertTransformationAction(app);
     });
   }
 
@@ -183,6 +193,48 @@ export class MonksActiveTilesIntegration {
           name: 'Skip Roll Dialog',
           type: 'checkbox',
           defvalue: false
+        },
+        {
+          id: 'waitForResults',
+          name: game.i18n.localize('FLASH_ROLLS.ui.dialogs.matt.requestRoll.waitForResults'),
+          type: 'checkbox',
+          defvalue: false,
+          help: game.i18n.localize('FLASH_ROLLS.ui.dialogs.matt.requestRoll.waitForResultsHint'),
+          onClick: (app) => app.checkConditional()
+        },
+        {
+          id: 'branchOn',
+          name: game.i18n.localize('FLASH_ROLLS.ui.dialogs.matt.requestRoll.branchOn'),
+          type: 'list',
+          list: () => ({
+            token: game.i18n.localize('FLASH_ROLLS.ui.dialogs.matt.requestRoll.branchOnToken'),
+            group: game.i18n.localize('FLASH_ROLLS.ui.dialogs.matt.requestRoll.branchOnGroup')
+          }),
+          defvalue: 'token',
+          conditional: (app) => this._isWaitingForResults(app)
+        },
+        {
+          id: 'successTag',
+          name: game.i18n.localize('FLASH_ROLLS.ui.dialogs.matt.requestRoll.successTag'),
+          type: 'text',
+          help: game.i18n.localize('FLASH_ROLLS.ui.dialogs.matt.requestRoll.tagHint'),
+          conditional: (app) => this._isWaitingForResults(app)
+        },
+        {
+          id: 'failureTag',
+          name: game.i18n.localize('FLASH_ROLLS.ui.dialogs.matt.requestRoll.failureTag'),
+          type: 'text',
+          help: game.i18n.localize('FLASH_ROLLS.ui.dialogs.matt.requestRoll.tagHint'),
+          conditional: (app) => this._isWaitingForResults(app)
+        },
+        {
+          id: 'resultsTimeout',
+          name: game.i18n.localize('FLASH_ROLLS.ui.dialogs.matt.requestRoll.resultsTimeout'),
+          type: 'number',
+          defvalue: 0,
+          min: 0,
+          help: game.i18n.localize('FLASH_ROLLS.ui.dialogs.matt.requestRoll.resultsTimeoutHint'),
+          conditional: (app) => this._isWaitingForResults(app)
         }
       ],
       fn: async (args) => {
@@ -227,13 +279,18 @@ export class MonksActiveTilesIntegration {
               pending.actorIds.push(actorId);
             }
           }
-          return {};
+          if (!action.data.waitForResults) return {};
+
+          const outcome = await pending.outcome;
+          return outcome ? this._branchOnOutcome(action, outcome, entities) : {};
         }
 
+        let resolveOutcome;
         this._pendingGroupRolls.set(groupRollId, {
           actorIds: [...actorIds],
           action: action,
-          tile: tile
+          tile: tile,
+          outcome: new Promise(resolve => { resolveOutcome = resolve; })
         });
 
         await new Promise(resolve => setTimeout(resolve, 50));
@@ -259,9 +316,23 @@ export class MonksActiveTilesIntegration {
         if (action.data.bonus) {
           options.situationalBonus = action.data.bonus;
         }
-        await FlashAPI.requestRoll(options);
+        if (action.data.waitForResults && action.data.resultsTimeout > 0) {
+          options.resultsTimeout = action.data.resultsTimeout;
+        }
+        const request = await FlashAPI.requestRoll(options);
 
-        return {};
+        if (!action.data.waitForResults || !request) {
+          if (action.data.waitForResults && !this._canFollowResults()) {
+            FlashAPI.notify('warn', game.i18n.localize('FLASH_ROLLS.ui.dialogs.matt.warnings.resultsUnavailable'));
+          }
+          resolveOutcome(null);
+          return {};
+        }
+        const outcome = await request.results();
+        resolveOutcome(outcome);
+        if (!outcome) return {};
+
+        return this._branchOnOutcome(action, outcome, entities);
       },
       content: async (trigger, action) => {
         const requestType = action.data?.requestType;
@@ -282,8 +353,15 @@ export class MonksActiveTilesIntegration {
         const advLabel = this._getAdvantageLabel(advType);
         const bonus = action.data?.bonus ? ` (${action.data.bonus})` : '';
         const skipDialog = action.data?.skipRollDialog ? ' [Skip Dialog]' : '';
-
-        return `<div>Request <span class="value">${typeName}${rollKeyName}</span>${dc}${advLabel ? ' ' + advLabel : ''}${bonus}${skipDialog}</div>`;
+        const landings = action.data?.waitForResults
+          ? [
+              action.data.successTag ? `<span class="value">${action.data.successTag}</span> on success` : '',
+              action.data.failureTag ? `<span class="value">${action.data.failureTag}</span> on failure` : ''
+            ].filter(Boolean).join(', ')
+          : '';
+        const branch = landings ? `<div>Go to ${landings}${action.data.branchOn === 'group' ? ' (group result)' : ''}</div>` : '';
+
+        return `<div>Request <span class="value">${typeName}${rollKeyName}</span>${dc}${advLabel ? ' ' + advLabel : ''}${bonus}${skipDialog}</div>${branch}`;
       }
     });
   }
@@ -908,6 +986,528 @@ export class MonksActiveTilesIntegration {
     });
   }
 
+  /**
+   * Register Team Contest tile action
+   * Splits the selected tokens into teams and opens the contested roll dialog in team mode
+   */
+  static _registerTeamContestAction(app) {
+    app.registerTileAction(MODULE_ID, 'team-contest', {
+      name: game.i18n.localize('FLASH_ROLLS.ui.dialogs.matt.actions.teamContest'),
+      group: MODULE_ID,
+      ctrls: [
+        {
+          id: 'entity',
+          name: 'Actors',
+          type: 'select',
+          subtype: 'entity',
+          options: { show: ['token', 'within', 'players', 'previous'] },
+          restrict: (entity) => {
+            return entity instanceof foundry.canvas.placeables.Token;
+          },
+          defaultType: 'tokens'
+        },
+        {
+          id: 'teamSplit',
+          name: game.i18n.localize('FLASH_ROLLS.ui.dialogs.matt.teamContest.teamSplit'),
+          type: 'list',
+          list: () => {
+            return {
+              'disposition': game.i18n.localize('FLASH_ROLLS.ui.dialogs.matt.teamContest.byDisposition'),
+              'ownership': game.i18n.localize('FLASH_ROLLS.ui.dialogs.matt.teamContest.byOwnership')
+            };
+          },
+          defvalue: 'disposition'
+        },
+        {
+          id: 'rollType',
+          name: 'Roll Type',
+          type: 'list',
+          list: () => this._getContestRollTypeChoices(),
+          defvalue: ''
+        },
+        {
+          id: 'teamMethod',
+          name: game.i18n.localize('FLASH_ROLLS.ui.dialogs.contestedRoll.teamMethod'),
+          type: 'list',
+          list: () => RollHelpers.getGroupMethodChoices(),
+          defvalue: '2'
+        },
+        {
+          id: 'teamDC',
+          name: game.i18n.localize('FLASH_ROLLS.ui.dialogs.contestedRoll.teamDC'),
+          type: 'number',
+          defvalue: 10,
+          min: 0,
+          max: 50
+        }
+      ],
+      fn: async (args) => {
+        const { action, tokens, tile } = args;
+
+        if (TokenTeleportManager._isTeleporting) {
+          LogUtil.log('MATT Action - Skipping action because teleportation is in progress');
+          return {};
+        }
+
+        const entities = await this._resolveEntities(action, tokens, tile);
+        const teams = this._splitIntoTeams(entities, action.data?.teamSplit);
+
+        if (teams.length < 2) {
+          FlashAPI.notify('warn', game.i18n.localize('FLASH_ROLLS.notifications.twoTeamsRequired'));
+          return {};
+        }
+
+        await FlashAPI.openContestedRoll([], {
+          teams,
+          teamMethod: action.data?.teamMethod,
+          teamDC: action.data?.teamDC,
+          rollType: action.data?.rollType || null
+        });
+
+        return {};
+      },
+      content: async (trigger, action) => {
+        const split = action.data?.teamSplit === 'ownership'
+          ? game.i18n.localize('FLASH_ROLLS.ui.dialogs.matt.teamContest.byOwnership')
+          : game.i18n.localize('FLASH_ROLLS.ui.dialogs.matt.teamContest.byDisposition');
+        const method = RollHelpers.getGroupMethodLabel(action.data?.teamMethod || '2');
+        return `<div>${game.i18n.format('FLASH_ROLLS.ui.dialogs.matt.content.teamContest', {
+          split: `<span class="value">${split}</span>`,
+          method
+        })}</div>`;
+      }
+    });
+  }
+
+  /**
+   * Register Contested Roll tile action
+   * Opens the contested roll dialog with every selected token as a contestant
+   */
+  static _registerContestedRollAction(app) {
+    app.registerTileAction(MODULE_ID, 'contested-roll', {
+      name: game.i18n.localize('FLASH_ROLLS.ui.dialogs.matt.actions.contestedRoll'),
+      group: MODULE_ID,
+      ctrls: [
+        {
+          id: 'entity',
+          name: 'Actors',
+          type: 'select',
+          subtype: 'entity',
+          options: { show: ['token', 'within', 'players', 'previous'] },
+          restrict: (entity) => {
+            return entity instanceof foundry.canvas.placeables.Token;
+          },
+          defaultType: 'tokens'
+        },
+        {
+          id: 'rollType',
+          name: 'Roll Type',
+          type: 'list',
+          list: () => this._getContestRollTypeChoices(),
+          defvalue: ''
+        },
+        {
+          id: 'tieBreaker',
+          name: game.i18n.localize('FLASH_ROLLS.ui.dialogs.contestedRoll.tieBreaker'),
+          type: 'list',
+          list: () => Object.fromEntries(Object.values(CONTEST_TIE_BREAKERS).map(value => [
+            value,
+            game.i18n.localize(`FLASH_ROLLS.ui.dialogs.contestedRoll.tieBreakers.${value}`)
+          ])),
+          defvalue: CONTEST_TIE_BREAKERS.SHARED
+        }
+      ],
+      fn: async (args) => {
+        const { action, tokens, tile } = args;
+
+        if (TokenTeleportManager._isTeleporting) {
+          LogUtil.log('MATT Action - Skipping action because teleportation is in progress');
+          return {};
+        }
+
+        const entities = await this._resolveEntities(action, tokens, tile);
+        const tokenIds = this._getTokenDocuments(entities).map(tokenDoc => tokenDoc.id);
+
+        if (tokenIds.length < 2) {
+          FlashAPI.notify('warn', game.i18n.localize('FLASH_ROLLS.notifications.twoActorsRequired'));
+          return {};
+        }
+
+        await FlashAPI.openContestedRoll(tokenIds, {
+          rollType: action.data?.rollType || null,
+          tieBreaker: action.data?.tieBreaker
+        });
+
+        return {};
+      },
+      content: async (trigger, action) => {
+        const rollType = action.data?.rollType;
+        const rollName = rollType
+          ? this._getContestRollTypeChoices()[rollType] || rollType
+          : game.i18n.localize('FLASH_ROLLS.ui.dialogs.matt.teamContest.chooseInDialog');
+        return `<div>${game.i18n.format('FLASH_ROLLS.ui.dialogs.matt.content.contestedRoll', {
+          roll: `<span class="value">${rollName}</span>`
+        })}</div>`;
+      }
+    });
+  }
+
+  /**
+   * Register Status Effect tile action
+   * Applies, removes or toggles a status effect through the roll menu status manager
+   */
+  static _registerStatusEffectAction(app) {
+    app.registerTileAction(MODULE_ID, 'status-effect', {
+      name: game.i18n.localize('FLASH_ROLLS.ui.dialogs.matt.actions.statusEffect'),
+      group: MODULE_ID,
+      ctrls: [
+        {
+          id: 'entity',
+          name: 'Actors',
+          type: 'select',
+          subtype: 'entity',
+          options: { show: ['token', 'within', 'players', 'previous'] },
+          restrict: (entity) => {
+            return entity instanceof foundry.canvas.placeables.Token;
+          },
+          defaultType: 'tokens'
+        },
+        {
+          id: 'statusId',
+          name: game.i18n.localize('FLASH_ROLLS.ui.dialogs.matt.statusEffect.status'),
+          type: 'list',
+          list: () => Object.fromEntries(
+            RollMenuStatusManager.getStatusEffectsForTemplate().map(effect => [effect.id, game.i18n.localize(effect.displayName)])
+          ),
+          required: true
+        },
+        {
+          id: 'mode',
+          name: game.i18n.localize('FLASH_ROLLS.ui.dialogs.matt.statusEffect.mode'),
+          type: 'list',
+          list: () => ({
+            apply: game.i18n.localize('FLASH_ROLLS.ui.dialogs.matt.statusEffect.apply'),
+            remove: game.i18n.localize('FLASH_ROLLS.ui.dialogs.matt.statusEffect.remove'),
+            toggle: game.i18n.localize('FLASH_ROLLS.ui.dialogs.matt.statusEffect.toggle')
+          }),
+          defvalue: 'apply'
+        }
+      ],
+      fn: async (args) => {
+        const { action, tokens, tile } = args;
+
+        if (TokenTeleportManager._isTeleporting) {
+          LogUtil.log('MATT Action - Skipping action because teleportation is in progress');
+          return {};
+        }
+
+        const statusEffect = CONFIG.statusEffects.find(effect => effect.id === action.data?.statusId);
+        if (!statusEffect) {
+          FlashAPI.notify('warn', `Status effect "${action.data?.statusId}" not found`);
+          return {};
+        }
+
+        const entities = await this._resolveEntities(action, tokens, tile);
+        const tokenDocs = this._getTokenDocuments(entities);
+
+        if (tokenDocs.length === 0) {
+          FlashAPI.notify('warn', game.i18n.localize('FLASH_ROLLS.ui.dialogs.matt.warnings.noActorsFound'));
+          return {};
+        }
+
+        const mode = action.data?.mode || 'apply';
+        for (const tokenDoc of tokenDocs) {
+          const actor = tokenDoc.actor;
+          const hasEffect = actor.appliedEffects.some(effect => effect.statuses?.has(statusEffect.id));
+          const remove = mode === 'remove' || (mode === 'toggle' && hasEffect);
+
+          if (remove) {
+            await RollMenuStatusManager.removeStatusFromActor(statusEffect, actor);
+          } else {
+            await RollMenuStatusManager.applyStatusToActor(statusEffect, actor);
+          }
+        }
+
+        return {};
+      },
+      content: async (trigger, action) => {
+        const statusEffect = CONFIG.statusEffects.find(effect => effect.id === action.data?.statusId);
+        const statusName = statusEffect
+          ? game.i18n.localize(statusEffect.name || statusEffect.label || statusEffect.id)
+          : action.data?.statusId || '';
+        const mode = action.data?.mode || 'apply';
+        return `<div>${game.i18n.format(`FLASH_ROLLS.ui.dialogs.matt.content.statusEffect.${mode}`, {
+          status: `<span class="value">${statusName}</span>`
+        })}</div>`;
+      }
+    });
+  }
+
+  /**
+   * Register Place Tokens tile action
+   * Creates tokens for the chosen actor, or every member of a group actor, at a tile or coordinates
+   */
+  static _registerPlaceTokensAction(app) {
+    app.registerTileAction(MODULE_ID, 'place-tokens', {
+      name: game.i18n.localize('FLASH_ROLLS.ui.dialogs.matt.actions.placeTokens'),
+      group: MODULE_ID,
+      ctrls: [
+        {
+          id: 'actor',
+          name: game.i18n.localize('FLASH_ROLLS.ui.dialogs.matt.placeTokens.actor'),
+          type: 'select',
+          subtype: 'entity',
+          options: { show: ['actor'] },
+          restrict: (entity) => {
+            return entity instanceof Actor;
+          },
+          required: true
+        },
+        {
+          id: 'location',
+          name: 'Select Coordinates',
+          type: 'select',
+          subtype: 'either',
+          options: { show: ['either', 'tile', 'previous'] },
+          restrict: (entity, document) => {
+            return (entity instanceof foundry.canvas.placeables.Tile || entity instanceof Scene);
+          },
+          required: true,
+          placeholder: 'Select a location'
+        }
+      ],
+      fn: async (args) => {
+        const { action, value } = args;
+
+        if (TokenTeleportManager._isTeleporting) {
+          LogUtil.log('MATT Action - Skipping action because teleportation is in progress');
+          return {};
+        }
+
+        const actorUuid = typeof action.data?.actor === 'string' ? action.data.actor : action.data?.actor?.id;
+        const actor = actorUuid ? await fromUuid(actorUuid) : null;
+        if (!(actor instanceof Actor)) {
+          FlashAPI.notify('warn', game.i18n.localize('FLASH_ROLLS.ui.dialogs.matt.warnings.noActorsFound'));
+          return {};
+        }
+
+        const location = await this._resolveLocation(action.data?.location, value);
+        if (!location) {
+          LogUtil.warn('MATT Place Tokens - No valid location found', [action.data?.location]);
+          return {};
+        }
+        if (location.sceneId && location.sceneId !== canvas.scene?.id) {
+          LogUtil.warn('MATT Place Tokens - Tokens can only be placed on the viewed scene', [location.sceneId]);
+          return {};
+        }
+
+        const created = await TokenPlacementManager.placeTokensAtLocation([actor.id], location);
+        return { tokens: created };
+      },
+      content: async (trigger, action) => {
+        const actorUuid = typeof action.data?.actor === 'string' ? action.data.actor : action.data?.actor?.id;
+        let actorName = 'Unknown Actor';
+        if (actorUuid) {
+          try {
+            actorName = (await fromUuid(actorUuid))?.name || actorName;
+          } catch (e) {
+            actorName = 'Invalid UUID';
+          }
+        }
+
+        const location = action.data?.location;
+        let locationText = 'coordinates';
+        if (location?.id === 'previous') {
+          locationText = 'previous location';
+        } else if (location?.id) {
+          locationText = location.id;
+        }
+
+        return `<div>${game.i18n.format('FLASH_ROLLS.ui.dialogs.matt.content.placeTokens', {
+          actor: `<span class="value">${actorName}</span>`,
+          location: `<span class="value">${locationText}</span>`
+        })}</div>`;
+      }
+    });
+  }
+
+  /**
+   * Register Revert Transformation tile action
+   */
+  static _registerRevertTransformationAction(app) {
+    app.registerTileAction(MODULE_ID, 'revert-transformation', {
+      name: game.i18n.localize('FLASH_ROLLS.ui.dialogs.matt.actions.revertTransformation'),
+      group: MODULE_ID,
+      ctrls: [
+        {
+          id: 'entity',
+          name: game.i18n.localize('FLASH_ROLLS.ui.dialogs.matt.transform.actors'),
+          type: 'select',
+          subtype: 'entity',
+          options: { show: ['token', 'within', 'players', 'previous'] },
+          restrict: (entity) => {
+            return entity instanceof foundry.canvas.placeables.Token;
+          },
+          defaultType: 'tokens'
+        }
+      ],
+      fn: async (args) => {
+        const { action, tokens, tile } = args;
+
+        if (TokenTeleportManager._isTeleporting) {
+          LogUtil.log('MATT Action - Skipping action because teleportation is in progress');
+          return {};
+        }
+
+        const entities = await this._resolveEntities(action, tokens, tile);
+        const transformedTokenDocIds = this._getTokenDocuments(entities)
+          .filter(tokenDoc => tokenDoc.actor?.getFlag("dnd5e", "isPolymorphed"))
+          .map(tokenDoc => tokenDoc.id);
+
+        if (transformedTokenDocIds.length > 0) {
+          await FlashAPI.revertTransformation(transformedTokenDocIds);
+        }
+
+        return {};
+      },
+      content: async (trigger, action) => {
+        return `<div>${game.i18n.localize('FLASH_ROLLS.ui.dialogs.matt.content.revertTransformation')}</div>`;
+      }
+    });
+  }
+
+  /**
+   * Get the roll type choices of contest actions, keyed as "skill:key" and "ability:key"
+   * @returns {Object<string, string>}
+   */
+  static _getContestRollTypeChoices() {
+    const options = { '': game.i18n.localize('FLASH_ROLLS.ui.dialogs.matt.teamContest.chooseInDialog') };
+    for (const [key, value] of Object.entries(CONFIG.DND5E?.skills || {})) {
+      options[`skill:${key}`] = value.label;
+    }
+    for (const [key, value] of Object.entries(CONFIG.DND5E?.abilities || {})) {
+      options[`ability:${key}`] = value.label;
+    }
+    return options;
+  }
+
+  /**
+   * Get the token documents of resolved entities, skipping duplicates and tokens without an actor
+   * Actors are matched to their first token on the canvas
+   * @param {Array} entities - Tokens, token documents or actors
+   * @returns {TokenDocument[]}
+   */
+  static _getTokenDocuments(entities) {
+    const tokenDocs = [];
+    for (const entity of entities || []) {
+      let tokenDoc = null;
+      if (entity instanceof TokenDocument) {
+        tokenDoc = entity;
+      } else if (entity instanceof foundry.canvas.placeables.Token) {
+        tokenDoc = entity.document;
+      } else if (entity instanceof Actor) {
+        tokenDoc = canvas.tokens.placeables.find(t => t.actor?.id === entity.id)?.document || null;
+      }
+      if (tokenDoc?.actor && !tokenDocs.includes(tokenDoc)) {
+        tokenDocs.push(tokenDoc);
+      }
+    }
+    return tokenDocs;
+  }
+
+  /**
+   * Resolve the point of a location control
+   * A selected tile resolves to its center
+   * @param {Object} locationData - The location control value
+   * @param {Object} [value] - Values passed on by previous actions
+   * @returns {Promise<{x: number, y: number, sceneId: string|null}|null>}
+   */
+  static async _resolveLocation(locationData, value) {
+    if (!locationData) return null;
+
+    let tile = value?.stopdata?.tile || null;
+    if (!tile && locationData.id && typeof locationData.id === 'string' && !locationData.x && !locationData.y) {
+      const entity = await fromUuid(locationData.id);
+      tile = entity instanceof TileDocument ? entity.object : entity;
+    }
+
+    if (tile instanceof foundry.canvas.placeables.Tile) {
+      const tileDoc = tile.document;
+      return {
+        x: tileDoc.x + tileDoc.width / 2,
+        y: tileDoc.y + tileDoc.height / 2,
+        sceneId: tileDoc.parent?.id || null
+      };
+    }
+    if (locationData.x !== undefined && locationData.y !== undefined) {
+      return { x: locationData.x, y: locationData.y, sceneId: locationData.sceneId || null };
+    }
+    if (value?.location) {
+      return { x: value.location.x, y: value.location.y, sceneId: value.location.sceneId || null };
+    }
+    return null;
+  }
+
+  /**
+   * Resolve the entities an action applies to from its entity control
+   * @param {Object} action - The tile action
+   * @param {Array} tokens - Tokens that triggered the tile
+   * @param {Object} tile - The triggering tile
+   * @returns {Promise<Array>} Resolved entities
+   */
+  static async _resolveEntities(action, tokens, tile) {
+    let entities = tokens;
+
+    if (action.data?.entity?.id === 'within' && tile && typeof tile.entitiesWithin === 'function') {
+      const withinEntities = tile.entitiesWithin({ collection: 'tokens' });
+      if (Array.isArray(withinEntities) && withinEntities.length > 0) {
+        entities = withinEntities;
+      }
+    } else if (action.data?.entity?.id === 'players') {
+      entities = canvas.tokens.placeables.filter(t => t.actor?.hasPlayerOwner);
+    } else if (action.data?.entity?.id && typeof action.data.entity.id === 'string' &&
+               !['tokens', 'within', 'players', 'previous'].includes(action.data.entity.id)) {
+      const resolvedEntity = await fromUuid(action.data.entity.id);
+      if (resolvedEntity) {
+        entities = [resolvedEntity];
+      }
+    }
+
+    return entities || [];
+  }
+
+  /**
+   * Split token entities into contest teams
+   * Token ids are kept so several unlinked tokens of the same actor can take part
+   * @param {Array} entities - Token entities
+   * @param {string} [splitMode='disposition'] - 'disposition' (friendly, neutral, hostile) or 'ownership' (players vs others)
+   * @returns {Array<{name: string, actorIds: string[]}>} Teams with at least one member
+   */
+  static _splitIntoTeams(entities, splitMode = 'disposition') {
+    const groups = new Map();
+
+    for (const entity of entities || []) {
+      const tokenDoc = entity?.document ?? entity;
+      if (!tokenDoc?.actor) continue;
+
+      let key;
+      let name;
+      if (splitMode === 'ownership') {
+        key = tokenDoc.actor.hasPlayerOwner ? 'players' : 'others';
+        name = game.i18n.localize(`FLASH_ROLLS.ui.dialogs.matt.teamContest.${key}`);
+      } else {
+        const disposition = tokenDoc.disposition ?? CONST.TOKEN_DISPOSITIONS.NEUTRAL;
+        key = Object.keys(CONST.TOKEN_DISPOSITIONS).find(k => CONST.TOKEN_DISPOSITIONS[k] === disposition) || 'NEUTRAL';
+        name = game.i18n.localize(`TOKEN.DISPOSITION.${key}`);
+      }
+
+      if (!groups.has(key)) groups.set(key, { name, actorIds: [] });
+      groups.get(key).actorIds.push(tokenDoc.id);
+    }
+
+    return Array.from(groups.values());
+  }
+
   /**
    * Filter tokens to only those truly within tile bounds
    * @param {Array} entities - Array of token entities from MATT
@@ -1040,6 +1640,73 @@ export class MonksActiveTilesIntegration {
     }
   }
 
+  /**
+   * Check if the Request Roll action being edited waits for results
+   * @param {Application} app - The MATT action config app
+   * @returns {boolean}
+   */
+  static _isWaitingForResults(app) {
+    return app.element?.querySelector('input[name="data.waitForResults"]')?.checked === true;
+  }
+
+  /**
+   * Check if roll results can be followed, which needs group roll messages
+   * @returns {boolean}
+   */
+  static _canFollowResults() {
+    const SETTINGS = getSettings();
+    return SettingsUtil.get(SETTINGS.groupRollsMsgEnabled.tag) === true;
+  }
+
+  /**
+   * Send the tokens of a finished roll request to the success and failure landings
+   * Tokens of a branch without a landing continue with the next action as the previous entities,
+   * and so do tokens without a success or failure, e.g. when the request has no DC
+   * @param {Object} action - The MATT action
+   * @param {Object} outcome - The request results from FlashAPI.requestRoll
+   * @param {Array} entities - The tokens the roll was requested for
+   * @returns {Object} MATT action result with tokens and goto landings
+   */
+  static _branchOnOutcome(action, outcome, entities) {
+    const tokens = (entities || []).map(entity => entity?.document ?? entity).filter(token => token?.actor);
+    const passed = [];
+    const failed = [];
+    const remaining = [];
+
+    if (action.data.branchOn === 'group') {
+      if (!outcome.groupResult) {
+        remaining.push(...tokens);
+      } else {
+        (outcome.groupResult.success ? passed : failed).push(...tokens);
+      }
+    } else {
+      for (const token of tokens) {
+        const result = outcome.results.find(r => r.tokenId === token.id)
+          || outcome.results.find(r => !r.tokenId && r.actorId === token.actor.id);
+        if (!result?.rolled || result.dropped) continue;
+        if (result.success === null || result.success === undefined) {
+          remaining.push(token);
+          continue;
+        }
+        (result.success ? passed : failed).push(token);
+      }
+    }
+
+    LogUtil.log('MATT Action - Request roll outcome', [outcome.groupRollId, 'passed:', passed.length, 'failed:', failed.length, 'unbranched:', remaining.length]);
+
+    const goto = [];
+    for (const [tag, branchTokens] of [[action.data.successTag, passed], [action.data.failureTag, failed]]) {
+      if (!branchTokens.length) continue;
+      if (tag) {
+        goto.push({ tag, tokens: branchTokens });
+      } else {
+        remaining.push(...branchTokens);
+      }
+    }
+
+    return goto.length ? { tokens: remaining, goto } : { tokens: remaining };
+  }
+
   /**
    * Generate a stable groupRollId for tile actions to combine simultaneous triggers
    * @param {Object} tile - The triggering tile
@@ -3,8 +3,11 @@ import { DnDBCharacterFetcher } from "./DnDBCharacterFetcher.mjs";
 import { DnDBCompendiumMatcher } from "./DnDBCompendiumMatcher.mjs";
 import { DnDBCharacterTransformer } from "./DnDBCharacterTransformer.mjs";
 import { DnDBHomebrewManager } from "./DnDBHomebrewManager.mjs";
+import { DnDBMatchOverrides } from "./DnDBMatchOverrides.mjs";
 import { DnDBeyondIntegration } from "../DnDBeyondIntegration.mjs";
 import { MODULE } from "../../../constants/General.mjs";
+import { getSettings } from "../../../constants/Settings.mjs";
+import { SettingsUtil } from "../../utils/SettingsUtil.mjs";
 
 /**
  * Main orchestrator for importing characters from D&D Beyond
@@ -35,6 +38,78 @@ export class DnDBCharacterImporter {
       return null;
     }
 
+    return await this.importCharacterData(ddbCharacter, options);
+  }
+
+  /**
+   * Import a character from a D&D Beyond character JSON file saved beforehand
+   * Runs without network access, so it needs no patron session or cobalt cookie and never delegates to DDB Importer
+   * @param {File} file - The character JSON file
+   * @param {Object} options - Import options, as for importCharacter
+   * @returns {Promise<Actor|null>} Created actor or null if cancelled/failed
+   */
+  static async importFromFile(file, options = {}) {
+    LogUtil.log("DnDBCharacterImporter: Starting import from file", [file?.name]);
+
+    let json;
+    try {
+      json = JSON.parse(await foundry.utils.readTextFromFile(file));
+    } catch (error) {
+      LogUtil.error("DnDBCharacterImporter: Failed to read character file", [file?.name, error.message]);
+      ui.notifications.error(game.i18n.format("FLASH_ROLLS.settings.premiumSettings.fileReadFailed", { name: file?.name || "" }));
+      return null;
+    }
+
+    const ddbCharacter = this.extractCharacterData(json);
+    if (!ddbCharacter) {
+      ui.notifications.error(game.i18n.format("FLASH_ROLLS.settings.premiumSettings.fileNotCharacter", { name: file.name }));
+      return null;
+    }
+
+    return await this.importCharacterData(ddbCharacter, options);
+  }
+
+  /**
+   * Let the user pick a D&D Beyond character JSON file and import it
+   * @param {Object} options - Import options, as for importCharacter
+   * @returns {Promise<Actor|null>} Created actor or null if cancelled/failed
+   */
+  static promptImportFromFile(options = {}) {
+    return new Promise(resolve => {
+      const input = document.createElement("input");
+      input.type = "file";
+      input.accept = ".json,application/json";
+      input.addEventListener("change", async () => {
+        const file = input.files?.[0];
+        resolve(file ? await this.importFromFile(file, options) : null);
+      }, { once: true });
+      input.addEventListener("cancel", () => resolve(null), { once: true });
+      input.click();
+    });
+  }
+
+  /**
+   * Get the character data from a saved D&D Beyond JSON file
+   * Accepts the character service response ({ success, data }) as well as the bare character object
+   * @param {Object} json - The parsed file contents
+   * @returns {Object|null} DDB character data or null if the file isn't a DDB character
+   */
+  static extractCharacterData(json) {
+    const candidates = [json?.data, json?.character?.data, json?.character, json];
+    return candidates.find(data =>
+      data && typeof data === "object" && data.name && Array.isArray(data.classes)
+    ) || null;
+  }
+
+  /**
+   * Import a character from already loaded D&D Beyond character data
+   * Matches items against compendiums, lets the user review the matches and creates the actor
+   * @param {Object} ddbCharacter - DDB character data
+   * @param {Object} options - Import options
+   * @param {boolean} options.skipDialog - Skip confirmation dialog
+   * @returns {Promise<Actor|null>} Created actor or null if cancelled/failed
+   */
+  static async importCharacterData(ddbCharacter, options = {}) {
     const matchResult = await DnDBCompendiumMatcher.matchCharacterItems(ddbCharacter);
 
     if (!options.skipDialog) {
@@ -65,6 +140,193 @@ export class DnDBCharacterImporter {
     return await this._createActorFromMatch(ddbCharacter, matchResult);
   }
 
+  /**
+   * Import several campaign characters at once with the compendium pipeline
+   * Characters are fetched and matched first, then reviewed together in one results dialog,
+   * where each item is listed once however many characters have it
+   * Created actors are mapped to their DDB characters and get the default ownership from the import settings
+   * @param {Array<string|number>} characterIds - DDB character IDs
+   * @param {Object} options - Import options
+   * @param {Function} [options.onProgress] - Called with a progress message at each step
+   * @returns {Promise<{imported: Actor[], failed: number}|null>} Import results or null if cancelled/nothing fetched
+   */
+  static async importCampaign(characterIds, options = {}) {
+    const onProgress = options.onProgress || (() => {});
+    LogUtil.log("DnDBCharacterImporter: Starting campaign import", [characterIds.length]);
+
+    onProgress(game.i18n.format("FLASH_ROLLS.ui.dialogs.characterImport.campaignFetching", { count: characterIds.length }));
+    const fetched = await DnDBCharacterFetcher.fetchCharacters(characterIds);
+    if (fetched.size === 0) {
+      ui.notifications.error(game.i18n.localize("FLASH_ROLLS.settings.premiumSettings.fetchFailed"));
+      return null;
+    }
+
+    const characters = [];
+    for (const [id, ddbCharacter] of fetched) {
+      onProgress(game.i18n.format("FLASH_ROLLS.ui.dialogs.characterImport.campaignMatching", { name: ddbCharacter.name }));
+      const matchResult = await DnDBCompendiumMatcher.matchCharacterItems(ddbCharacter);
+      characters.push({ id, ddbCharacter, matchResult });
+    }
+
+    onProgress(game.i18n.localize("FLASH_ROLLS.ui.dialogs.characterImport.campaignReviewing"));
+    const combined = this._combineMatchResults(characters);
+    const { CharacterImportResultsDialog } = await import(
+      "../../ui/dialogs/CharacterImportResultsDialog.mjs"
+    );
+
+    const dialogResult = await CharacterImportResultsDialog.show({
+      characterName: game.i18n.format("FLASH_ROLLS.ui.dialogs.characterImport.campaignTitle", { count: characters.length }),
+      tier: combined.tier,
+      matchRate: combined.matchRate,
+      matched: combined.matched,
+      unmatched: combined.unmatched,
+      characters: characters.map(({ id, ddbCharacter, matchResult }) => ({
+        id,
+        name: ddbCharacter.name,
+        classInfo: DnDBCharacterTransformer.getClassInfo(ddbCharacter),
+        tier: matchResult.tier,
+        matchPercentage: Math.round(matchResult.matchRate * 100),
+        matchedCount: matchResult.matched.length,
+        unmatchedCount: matchResult.unmatched.length,
+        include: true
+      }))
+    });
+
+    if (!dialogResult) {
+      LogUtil.log("DnDBCharacterImporter: Campaign import cancelled by user");
+      return null;
+    }
+
+    const SETTINGS = getSettings();
+    const giveOwnership = SettingsUtil.get(SETTINGS.ddbImportOwnership.tag) ?? true;
+    const ownershipLevel = giveOwnership ? CONST.DOCUMENT_OWNERSHIP_LEVELS.OWNER : CONST.DOCUMENT_OWNERSHIP_LEVELS.OBSERVER;
+
+    const included = characters.filter(character =>
+      dialogResult.characters.find(c => c.id === character.id)?.include
+    );
+    const imported = [];
+    let failed = characterIds.length - fetched.size;
+
+    for (const character of included) {
+      onProgress(game.i18n.format("FLASH_ROLLS.settings.premiumFeatures.bulkImportProgress", {
+        current: imported.length + 1,
+        total: included.length,
+        name: character.ddbCharacter.name
+      }));
+
+      const matchResult = this._applyCombinedChoices(character.matchResult, dialogResult);
+      const actor = await this._createActorFromMatch(character.ddbCharacter, matchResult, {
+        ownership: { default: ownershipLevel },
+        notify: false
+      });
+
+      if (actor) imported.push(actor);
+      else failed++;
+    }
+
+    LogUtil.log("DnDBCharacterImporter: Campaign import complete", [imported.length, failed]);
+    return { imported, failed };
+  }
+
+  /**
+   * Get the key used to list an item once across several characters
+   * Class features are kept apart per class, since the same feature can match differently
+   * @param {Object} ddbItem - DDB item object
+   * @returns {string}
+   * @private
+   */
+  static _getCombinedKey(ddbItem) {
+    const name = ddbItem.definition?.name || ddbItem.name;
+    const ddbId = ddbItem.definition?.id || ddbItem.id;
+    return `${DnDBMatchOverrides.getKey(ddbId, name)}|${ddbItem._className || ""}`;
+  }
+
+  /**
+   * Merge the match results of several characters into one list of matched and unmatched items
+   * Each combined entry lists the names of the characters that have the item
+   * @param {Array<Object>} characters - Fetched characters with their match results
+   * @returns {{matched: Array, unmatched: Array, matchRate: number, tier: string}}
+   * @private
+   */
+  static _combineMatchResults(characters) {
+    const matched = new Map();
+    const unmatched = new Map();
+    let matchedTotal = 0;
+    let itemTotal = 0;
+
+    const addEntry = (entries, entry, characterName) => {
+      const key = this._getCombinedKey(entry.ddbItem);
+      if (!entries.has(key)) {
+        entries.set(key, { ...entry, characterNames: [] });
+      }
+      entries.get(key).characterNames.push(characterName);
+    };
+
+    for (const { ddbCharacter, matchResult } of characters) {
+      matchedTotal += matchResult.matched.length;
+      itemTotal += matchResult.total;
+      matchResult.matched.forEach(match => addEntry(matched, match, ddbCharacter.name));
+      matchResult.unmatched.forEach(item => addEntry(unmatched, item, ddbCharacter.name));
+    }
+
+    const matchRate = itemTotal > 0 ? matchedTotal / itemTotal : 0;
+    return {
+      matched: Array.from(matched.values()),
+      unmatched: Array.from(unmatched.values()),
+      matchRate,
+      tier: matchRate >= 0.5 ? "B" : "C"
+    };
+  }
+
+  /**
+   * Apply the choices made in the combined results dialog to one character's match result
+   * Each character keeps its own DDB items, so quantities and equipped state stay per character
+   * @param {Object} matchResult - The character's match result
+   * @param {Object} dialogResult - The combined results dialog data
+   * @returns {Object} Match result with the chosen matches and the homebrew items to create
+   * @private
+   */
+  static _applyCombinedChoices(matchResult, dialogResult) {
+    const choices = new Map(dialogResult.matched.map(match => [this._getCombinedKey(match.ddbItem), match]));
+    const homebrewKeys = new Set(dialogResult.homebrewToCreate.map(item => this._getCombinedKey(item.ddbItem)));
+    const matched = [];
+    const homebrewToCreate = [];
+
+    for (const match of matchResult.matched) {
+      const key = this._getCombinedKey(match.ddbItem);
+      const choice = choices.get(key);
+
+      if (choice) {
+        matched.push({
+          ...match,
+          foundryUuid: choice.foundryUuid,
+          foundryName: choice.foundryName,
+          source: choice.source,
+          sourceLabel: choice.sourceLabel,
+          sourceVersion: choice.sourceVersion,
+          sourceTitle: choice.sourceTitle,
+          matchType: choice.matchType,
+          selectedIndex: choice.selectedIndex
+        });
+      } else if (homebrewKeys.has(key)) {
+        homebrewToCreate.push({
+          ddbItem: match.ddbItem,
+          name: match.ddbItem.definition?.name || match.ddbItem.name,
+          type: match.foundryType,
+          reason: "homebrew"
+        });
+      }
+    }
+
+    for (const item of matchResult.unmatched) {
+      if (homebrewKeys.has(this._getCombinedKey(item.ddbItem))) {
+        homebrewToCreate.push(item);
+      }
+    }
+
+    return { ...matchResult, matched, homebrewToCreate };
+  }
+
   /**
    * Check if DDB Importer module is active
    * @returns {boolean}
@@ -136,10 +398,13 @@ export class DnDBCharacterImporter {
    * Create actor from match results (Tier B/C)
    * @param {Object} ddbCharacter - DDB character data
    * @param {Object} matchResult - Compendium match results
+   * @param {Object} options - Creation options
+   * @param {Object} [options.ownership] - Ownership of the created actor
+   * @param {boolean} [options.notify=true] - Show a notification once the actor is created
    * @returns {Promise<Actor|null>}
    * @private
    */
-  static async _createActorFromMatch(ddbCharacter, matchResult) {
+  static async _createActorFromMatch(ddbCharacter, matchResult, options = {}) {
     const homebrewCount = matchResult.homebrewToCreate?.length || 0;
     LogUtil.log("DnDBCharacterImporter: Creating actor", [
       `Tier ${matchResult.tier}`,
@@ -149,13 +414,14 @@ export class DnDBCharacterImporter {
 
     try {
       const actorData = DnDBCharacterTransformer.transformToActor(ddbCharacter, matchResult);
+      if (options.ownership) actorData.ownership = options.ownership;
       const actor = await Actor.create(actorData);
 
       if (!actor) {
         throw new Error("Actor.create returned null");
       }
 
-      await this._addMatchedItems(actor, matchResult.matched);
+      await this.addMatchedItems(actor, matchResult.matched);
 
       if (matchResult.homebrewToCreate?.length > 0) {
         await this._createHomebrewItems(actor, matchResult.homebrewToCreate);
@@ -169,15 +435,17 @@ export class DnDBCharacterImporter {
 
       await DnDBeyondIntegration.mapCharacter(ddbCharacter.id, actor.id);
 
-      const tierLabel = matchResult.tier === "B" ? "partial" : "basic";
-      const totalCount = matchResult.matched.length + homebrewCount;
-      ui.notifications.info(
-        game.i18n.format("FLASH_ROLLS.settings.premiumSettings.success", {
-          name: actor.name,
-          tier: tierLabel,
-          count: totalCount
-        })
-      );
+      if (options.notify !== false) {
+        const tierLabel = matchResult.tier === "B" ? "partial" : "basic";
+        const totalCount = matchResult.matched.length + homebrewCount;
+        ui.notifications.info(
+          game.i18n.format("FLASH_ROLLS.settings.premiumSettings.success", {
+            name: actor.name,
+            tier: tierLabel,
+            count: totalCount
+          })
+        );
+      }
 
       LogUtil.log("DnDBCharacterImporter: Import complete", [actor.id, actor.name]);
       return actor;
@@ -208,9 +476,8 @@ export class DnDBCharacterImporter {
    * Skips advancement flow - adds class features directly from DDB data
    * @param {Actor} actor - The actor to add items to
    * @param {Array} matched - Array of matched items
-   * @private
    */
-  static async _addMatchedItems(actor, matched) {
+  static async addMatchedItems(actor, matched) {
     const classItems = [];
     const subclassItems = [];
     const raceBackgroundItems = [];
@@ -0,0 +1,370 @@
+import { LogUtil } from "../../utils/LogUtil.mjs";
+import { DnDBCharacterFetcher } from "./DnDBCharacterFetcher.mjs";
+import { DnDBCompendiumMatcher } from "./DnDBCompendiumMatcher.mjs";
+import { DnDBCharacterTransformer } from "./DnDBCharacterTransformer.mjs";
+import { DnDBCharacterImporter } from "./DnDBCharacterImporter.mjs";
+import { DnDBHomebrewManager } from "./DnDBHomebrewManager.mjs";
+import { MODULE } from "../../../constants/General.mjs";
+
+/**
+ * @typedef {Object} CharacterSyncChange
+ * @property {string} id - Unique identifier of the change within the sync
+ * @property {string} category - One of CHANGE_CATEGORIES
+ * @property {string} label - What changes, e.g. "Strength" or "Fighter level"
+ * @property {string} from - Current value on the actor, for display
+ * @property {string} to - Value from D&D Beyond, for display
+ * @property {Object} [update] - Actor update data applied if the change is accepted
+ * @property {Object} [itemUpdate] - Embedded item update data applied if the change is accepted
+ * @property {string} [itemRemove] - ID of the actor item deleted if the change is accepted
+ * @property {Object} [itemAdd] - Compendium match added to the actor if the change is accepted
+ * @property {Object} [homebrewAdd] - Unmatched DDB item added as a placeholder if the change is accepted
+ */
+
+/**
+ * Item types brought in by a D&D Beyond import, the only ones offered for removal
+ * Only items flagged as imported from D&D Beyond are removed, homebrew and GM-added items are left alone.
+ * Items imported before the flag existed have none, so they are never offered for removal.
+ */
+const SYNCED_ITEM_TYPES = ["class", "subclass", "race", "background", "feat", "spell", "weapon", "equipment", "consumable", "tool", "loot", "container"];
+
+/**
+ * Updates an existing actor from D&D Beyond in place, without DDB Importer
+ * Changes are computed against the actor and reviewed before being applied,
+ * so token configuration, flags and group memberships of the actor are kept
+ */
+export class DnDBCharacterSync {
+
+  static CHANGE_CATEGORIES = {
+    ABILITIES: "abilities",
+    HP: "hp",
+    SKILLS: "skills",
+    SPELL_SLOTS: "spellSlots",
+    ITEMS: "items"
+  };
+
+  /**
+   * Fetch a character from D&D Beyond and update the actor from it
+   * @param {Actor} actor - The actor to update
+   * @param {string|number} characterId - DDB character ID
+   * @returns {Promise<boolean>} Whether the actor was updated
+   */
+  static async syncCharacter(actor, characterId) {
+    const ddbCharacter = await DnDBCharacterFetcher.fetchCharacter(characterId);
+    if (!ddbCharacter) {
+      ui.notifications.error(game.i18n.localize("FLASH_ROLLS.settings.premiumSettings.fetchFailed"));
+      return false;
+    }
+
+    return await this.syncFromData(actor, ddbCharacter);
+  }
+
+  /**
+   * Update the actor from already loaded D&D Beyond character data
+   * Shows the changes for review and applies the accepted ones
+   * @param {Actor} actor - The actor to update
+   * @param {Object} ddbCharacter - DDB character data
+   * @returns {Promise<boolean>} Whether the actor was updated
+   */
+  static async syncFromData(actor, ddbCharacter) {
+    const changes = await this.computeChanges(actor, ddbCharacter);
+
+    if (changes.length === 0) {
+      ui.notifications.info(game.i18n.format("FLASH_ROLLS.ui.dialogs.characterSync.upToDate", { name: actor.name }));
+      return false;
+    }
+
+    const { CharacterSyncDialog } = await import("../../ui/dialogs/CharacterSyncDialog.mjs");
+    const accepted = await CharacterSyncDialog.show({ actorName: actor.name, changes });
+    if (!accepted?.length) {
+      LogUtil.log("DnDBCharacterSync: Sync cancelled or no changes accepted", [actor.name]);
+      return false;
+    }
+
+    await this.applyChanges(actor, accepted);
+    ui.notifications.info(game.i18n.format("FLASH_ROLLS.settings.premiumFeatures.characterSynced", { name: actor.name }));
+    return true;
+  }
+
+  /**
+   * Compare the actor with D&D Beyond character data
+   * @param {Actor} actor - The actor to compare
+   * @param {Object} ddbCharacter - DDB character data
+   * @returns {Promise<CharacterSyncChange[]>} The differences, in display order
+   */
+  static async computeChanges(actor, ddbCharacter) {
+    const matchResult = await DnDBCompendiumMatcher.matchCharacterItems(ddbCharacter);
+    const actorData = DnDBCharacterTransformer.transformToActor(ddbCharacter, matchResult);
+    const changes = [];
+    const addChange = (change) => changes.push({ id: `change-${changes.length}`, ...change });
+
+    this._diffAbilities(actor, actorData, addChange);
+    this._diffHP(actor, actorData, addChange);
+    this._diffSkills(actor, actorData, addChange);
+    this._diffSpellSlots(actor, DnDBCharacterTransformer.getSpellSlots(ddbCharacter), addChange);
+    this._diffItems(actor, matchResult, addChange);
+
+    LogUtil.log("DnDBCharacterSync: Changes computed", [actor.name, changes.length]);
+    return changes;
+  }
+
+  /**
+   * Apply accepted changes to the actor
+   * @param {Actor} actor - The actor to update
+   * @param {CharacterSyncChange[]} changes - The accepted changes
+   */
+  static async applyChanges(actor, changes) {
+    const actorUpdate = {};
+    const itemUpdates = [];
+    const itemRemovals = [];
+    const matchedToAdd = [];
+    const homebrewToAdd = [];
+
+    for (const change of changes) {
+      if (change.update) Object.assign(actorUpdate, change.update);
+      if (change.itemUpdate) itemUpdates.push(change.itemUpdate);
+      if (change.itemRemove) itemRemovals.push(change.itemRemove);
+      if (change.itemAdd) matchedToAdd.push(change.itemAdd);
+      if (change.homebrewAdd) homebrewToAdd.push(change.homebrewAdd);
+    }
+
+    actorUpdate[`flags.${MODULE.ID}.syncDate`] = Date.now();
+    await actor.update(actorUpdate);
+
+    if (itemRemovals.length > 0) {
+      await actor.deleteEmbeddedDocuments("Item", itemRemovals);
+    }
+    if (itemUpdates.length > 0) {
+      await actor.updateEmbeddedDocuments("Item", itemUpdates);
+    }
+    if (matchedToAdd.length > 0) {
+      await DnDBCharacterImporter.addMatchedItems(actor, matchedToAdd);
+    }
+    if (homebrewToAdd.length > 0) {
+      await DnDBHomebrewManager.createHomebrewItemsForActor(actor, homebrewToAdd);
+    }
+
+    LogUtil.log("DnDBCharacterSync: Changes applied", [
+      actor.name,
+      `${Object.keys(actorUpdate).length - 1} fields`,
+      `${matchedToAdd.length + homebrewToAdd.length} items added`,
+      `${itemRemovals.length} items removed`,
+      `${itemUpdates.length} items updated`
+    ]);
+  }
+
+  /**
+   * Add changes for ability scores and saving throw proficiencies
+   * @private
+   */
+  static _diffAbilities(actor, actorData, addChange) {
+    const source = actor._source.system.abilities || {};
+
+    for (const [key, data] of Object.entries(actorData.system.abilities)) {
+      const label = game.i18n.localize(CONFIG.DND5E.abilities[key]?.label || key);
+      const current = source[key] || {};
+
+      if (current.value !== data.value) {
+        addChange({
+          category: this.CHANGE_CATEGORIES.ABILITIES,
+          label,
+          from: String(current.value ?? "-"),
+          to: String(data.value),
+          update: { [`system.abilities.${key}.value`]: data.value }
+        });
+      }
+
+      if ((current.proficient || 0) !== data.proficient) {
+        addChange({
+          category: this.CHANGE_CATEGORIES.ABILITIES,
+          label: game.i18n.format("FLASH_ROLLS.ui.dialogs.characterSync.saveProficiency", { ability: label }),
+          from: this._getProficiencyLabel(current.proficient || 0),
+          to: this._getProficiencyLabel(data.proficient),
+          update: { [`system.abilities.${key}.proficient`]: data.proficient }
+        });
+      }
+    }
+  }
+
+  /**
+   * Add changes for maximum, current and temporary hit points
+   * @private
+   */
+  static _diffHP(actor, actorData, addChange) {
+    const current = actor.system.attributes.hp;
+    const hp = actorData.system.attributes.hp;
+
+    for (const field of ["max", "value", "temp"]) {
+      if ((current[field] || 0) === (hp[field] || 0)) continue;
+      addChange({
+        category: this.CHANGE_CATEGORIES.HP,
+        label: game.i18n.localize(`FLASH_ROLLS.ui.dialogs.characterSync.hp.${field}`),
+        from: String(current[field] || 0),
+        to: String(hp[field] || 0),
+        update: { [`system.attributes.hp.${field}`]: hp[field] || 0 }
+      });
+    }
+  }
+
+  /**
+   * Add changes for skill proficiency levels
+   * @private
+   */
+  static _diffSkills(actor, actorData, addChange) {
+    const source = actor._source.system.skills || {};
+
+    for (const [key, config] of Object.entries(CONFIG.DND5E.skills)) {
+      const from = source[key]?.value || 0;
+      const to = actorData.system.skills[key]?.value || 0;
+      if (from === to) continue;
+
+      addChange({
+        category: this.CHANGE_CATEGORIES.SKILLS,
+        label: game.i18n.localize(config.label),
+        from: this._getProficiencyLabel(from),
+        to: this._getProficiencyLabel(to),
+        update: { [`system.skills.${key}.value`]: to }
+      });
+    }
+  }
+
+  /**
+   * Add changes for spell and pact slots
+   * @private
+   */
+  static _diffSpellSlots(actor, slotData, addChange) {
+    const spells = actor.system.spells || {};
+
+    for (let level = 1; level <= 9; level++) {
+      const slotKey = `spell${level}`;
+      const current = spells[slotKey] || {};
+      const slot = slotData.spellSlots[level] || { max: 0, value: 0 };
+      if ((current.max || 0) === slot.max && (current.value || 0) === slot.value) continue;
+
+      addChange({
+        category: this.CHANGE_CATEGORIES.SPELL_SLOTS,
+        label: game.i18n.format("FLASH_ROLLS.ui.dialogs.characterSync.spellLevel", { level }),
+        from: `${current.value || 0}/${current.max || 0}`,
+        to: `${slot.value}/${slot.max}`,
+        update: {
+          [`system.spells.${slotKey}.value`]: slot.value,
+          [`system.spells.${slotKey}.override`]: slot.max
+        }
+      });
+    }
+
+    const pact = slotData.pactSlots;
+    const currentPact = spells.pact || {};
+    if (pact && ((currentPact.max || 0) !== pact.max || (currentPact.value || 0) !== pact.value || currentPact.level !== pact.level)) {
+      addChange({
+        category: this.CHANGE_CATEGORIES.SPELL_SLOTS,
+        label: game.i18n.localize("FLASH_ROLLS.ui.dialogs.characterSync.pactSlots"),
+        from: `${currentPact.value || 0}/${currentPact.max || 0}`,
+        to: `${pact.value}/${pact.max}`,
+        update: {
+          "system.spells.pact.value": pact.value,
+          "system.spells.pact.override": pact.max,
+          "system.spells.pact.level": pact.level
+        }
+      });
+    }
+  }
+
+  /**
+   * Add changes for items added to or removed from the character, and for class level changes
+   * Items are matched to the actor's items by name
+   * @private
+   */
+  static _diffItems(actor, matchResult, addChange) {
+    const normalize = name => (name || "").trim().toLowerCase();
+    const actorItems = new Map();
+    for (const item of actor.items) {
+      const key = normalize(item.name);
+      if (!actorItems.has(key)) actorItems.set(key, item);
+    }
+
+    const ddbNames = new Set();
+    const added = new Set();
+    const addedLabel = game.i18n.localize("FLASH_ROLLS.ui.dialogs.characterSync.added");
+    const removedLabel = game.i18n.localize("FLASH_ROLLS.ui.dialogs.characterSync.removed");
+
+    for (const match of matchResult.matched) {
+      const ddbName = normalize(match.ddbItem.definition?.name || match.ddbItem.name);
+      const key = normalize(match.foundryName);
+      ddbNames.add(key);
+      ddbNames.add(ddbName);
+
+      const existing = actorItems.get(key) || actorItems.get(ddbName);
+      if (existing) {
+        const classLevel = match.ddbItem._classLevel;
+        if (existing.type === "class" && classLevel && existing.system.levels !== classLevel) {
+          addChange({
+            category: this.CHANGE_CATEGORIES.ITEMS,
+            label: game.i18n.format("FLASH_ROLLS.ui.dialogs.characterSync.classLevel", { name: existing.name }),
+            from: String(existing.system.levels),
+            to: String(classLevel),
+            itemUpdate: { _id: existing.id, "system.levels": classLevel }
+          });
+        }
+        continue;
+      }
+
+      if (added.has(key)) continue;
+      added.add(key);
+      addChange({
+        category: this.CHANGE_CATEGORIES.ITEMS,
+        label: match.foundryName,
+        from: "-",
+        to: addedLabel,
+        itemAdd: match
+      });
+    }
+
+    for (const unmatched of matchResult.unmatched) {
+      const key = normalize(unmatched.name);
+      ddbNames.add(key);
+      if (actorItems.has(key) || added.has(key)) continue;
+      added.add(key);
+      addChange({
+        category: this.CHANGE_CATEGORIES.ITEMS,
+        label: unmatched.name,
+        from: "-",
+        to: game.i18n.localize("FLASH_ROLLS.ui.dialogs.characterSync.addedPlaceholder"),
+        homebrewAdd: unmatched
+      });
+    }
+
+    for (const item of actor.items) {
+      if (!SYNCED_ITEM_TYPES.includes(item.type) || !this._isImportedItem(item)) continue;
+      if (ddbNames.has(normalize(item.name))) continue;
+      addChange({
+        category: this.CHANGE_CATEGORIES.ITEMS,
+        label: item.name,
+        from: game.i18n.localize(CONFIG.Item.typeLabels[item.type] || item.type),
+        to: removedLabel,
+        itemRemove: item.id
+      });
+    }
+  }
+
+  /**
+   * Check if an actor item was brought in from D&D Beyond, by an import, a sync or as a homebrew placeholder
+   * @param {Item} item - The actor item
+   * @returns {boolean}
+   * @private
+   */
+  static _isImportedItem(item) {
+    const flags = item.flags?.[MODULE.ID];
+    return !!(flags?.ddbImported || flags?.ddbPlaceholder);
+  }
+
+  /**
+   * Get the display label of a proficiency level
+   * @param {number} value - The proficiency multiplier
+   * @returns {string}
+   * @private
+   */
+  static _getProficiencyLabel(value) {
+    const label = CONFIG.DND5E.proficiencyLevels?.[value];
+    return label ? game.i18n.localize(label) : String(value);
+  }
+}
@@ -1,4 +1,5 @@
 import { LogUtil } from "../../utils/LogUtil.mjs";
+import { MODULE } from "../../../constants/General.mjs";
 
 /**
  * DDB ability ID to Foundry ability key mapping
@@ -220,10 +221,13 @@ export class DnDBCharacterTransformer {
 
   /**
    * Apply DDB item state to a Foundry item data object
+   * Flags the item as imported, so a later sync may offer to remove it
    * @param {Object} itemData - Foundry item data (will be modified)
    * @param {Object} ddbItem - DDB item data
    */
   static applyItemState(itemData, ddbItem) {
+    foundry.utils.setProperty(itemData, `flags.${MODULE.ID}.ddbImported`, true);
+
     if (itemData.system.equipped !== undefined && ddbItem.equipped !== undefined) {
       itemData.system.equipped = ddbItem.equipped;
     }
@@ -2,6 +2,7 @@ import { LogUtil } from "../../utils/LogUtil.mjs";
 import { SettingsUtil } from "../../utils/SettingsUtil.mjs";
 import { getSettings } from "../../../constants/Settings.mjs";
 import { DnDBCharacterTransformer } from "./DnDBCharacterTransformer.mjs";
+import { DnDBMatchOverrides } from "./DnDBMatchOverrides.mjs";
 import { DDB_SOURCE_BOOKS } from "../../../constants/DnDBeyond.mjs";
 
 /**
@@ -203,6 +204,8 @@ export class DnDBCompendiumMatcher {
 
   /**
    * Find ALL matching compendium items for a DDB item across all sources
+   * Manual match overrides come first: a homebrew override returns no matches,
+   * a UUID override puts that item ahead of every other match
    * @param {Object} ddbItem - DDB item object with definition and/or direct properties
    * @param {number|null} priorityOverride - Optional priority mode to use instead of setting
    * @returns {Promise<Array<MatchResult>>} All matching results sorted by priority
@@ -222,6 +225,16 @@ export class DnDBCompendiumMatcher {
       return [];
     }
 
+    const override = DnDBMatchOverrides.get(ddbItem);
+    if (override?.homebrew) {
+      LogUtil.log("DnDBCompendiumMatcher: Override marks item as homebrew", [name]);
+      return [];
+    }
+    const overrideMatch = override ? this._findByUuid(override.uuid) : null;
+    if (override && !overrideMatch) {
+      LogUtil.warn("DnDBCompendiumMatcher: Override item not found, matching normally", [name, override.uuid]);
+    }
+
     const matches = [];
 
     const ddbIdMatches = this._findAllByDDBId(ddbDefinitionId, name, className, raceName);
@@ -278,6 +291,12 @@ export class DnDBCompendiumMatcher {
     }
     matches.sort((a, b) => this._compareMatches(a, b, priorityMode));
 
+    if (overrideMatch) {
+      const overrideIndex = matches.findIndex(m => m.uuid === overrideMatch.uuid);
+      if (overrideIndex !== -1) matches.splice(overrideIndex, 1);
+      matches.unshift(overrideMatch);
+    }
+
     if (matches.length > 0) {
       LogUtil.log("DnDBCompendiumMatcher: Found matches", [name, `${matches.length} sources`]);
     }
@@ -568,6 +587,66 @@ export class DnDBCompendiumMatcher {
     return matches;
   }
 
+  /**
+   * Find an item by UUID, for manual match overrides
+   * Compendium items are read from the index, world items from the items directory
+   * @param {string} uuid - Item UUID
+   * @returns {MatchResult|null}
+   * @private
+   */
+  static _findByUuid(uuid) {
+    if (!uuid) return null;
+
+    const { collection, id } = foundry.utils.parseUuid(uuid) || {};
+    const indexData = collection?.collection ? this._indices.get(collection.collection) : null;
+
+    if (indexData) {
+      const entry = indexData.index.get(id);
+      if (!entry) return null;
+
+      const { pack } = indexData;
+      const source = pack.metadata.packageName;
+      const sourceBook = entry.system?.source?.book || "";
+      const sourceRules = entry.system?.source?.rules || "";
+      const sourceInfo = this._getSourceInfo(source);
+      return {
+        uuid: entry.uuid,
+        name: entry.name,
+        type: entry.type,
+        packId: pack.collection,
+        source,
+        sourceLabel: pack.metadata.label,
+        sourceVersion: sourceInfo.version,
+        sourceTitle: sourceInfo.title,
+        sourceBook,
+        sourceRules,
+        displayLabel: this._createDisplayLabel(pack.metadata.label, source, sourceBook, sourceRules),
+        matchType: "override",
+        requirementScore: 100
+      };
+    }
+
+    const item = fromUuidSync(uuid);
+    if (!(item instanceof Item)) return null;
+
+    const worldLabel = game.i18n.localize("FLASH_ROLLS.ui.dialogs.matchOverrides.worldItem");
+    return {
+      uuid: item.uuid,
+      name: item.name,
+      type: item.type,
+      packId: null,
+      source: "world",
+      sourceLabel: worldLabel,
+      sourceVersion: null,
+      sourceTitle: worldLabel,
+      sourceBook: "",
+      sourceRules: "",
+      displayLabel: worldLabel,
+      matchType: "override",
+      requirementScore: 100
+    };
+  }
+
   /**
    * Calculate a match score for class/race requirements (higher = better match)
    * @param {Object} entry - Compendium index entry
@@ -757,7 +836,7 @@ export class DnDBCompendiumMatcher {
           ddbItem,
           name: itemName,
           type: itemType,
-          reason: "not_found"
+          reason: DnDBMatchOverrides.get(ddbItem)?.homebrew ? "homebrew" : "not_found"
         });
       }
     }
@@ -1168,7 +1247,7 @@ export class DnDBCompendiumMatcher {
  * @property {string} name - Name of matched item
  * @property {string} type - Foundry item type
  * @property {string} packId - Compendium pack ID
- * @property {string} matchType - How the match was made: "ddbId", "exactName", or "partialName"
+ * @property {string} matchType - How the match was made: "ddbId", "exactName", "partialName" or "override"
  */
 
 /**
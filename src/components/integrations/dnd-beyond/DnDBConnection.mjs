@@ -3,6 +3,7 @@ import { LogUtil } from "../../utils/LogUtil.mjs";
 import { SettingsUtil } from "../../utils/SettingsUtil.mjs";
 import { PremiumFeaturesDialog } from "../../ui/dialogs/PremiumFeaturesDialog.mjs";
 import { PatronSessionManager } from "../../managers/PatronSessionManager.mjs";
+import { DnDBEventRecorder } from "./DnDBEventRecorder.mjs";
 
 const PROXY_BASE_URL = "https://proxy.carolingian.io";
 
@@ -139,8 +140,8 @@ export class DnDBConnection {
   }
 
   /**
-   * Handle events from the SSE stream
-   * @param {MessageEvent} event - The SSE event
+   * Handle events from the SSE stream, or replayed by DnDBEventRecorder
+   * @param {MessageEvent|{data: string}} event - The SSE event
    */
   static _handleEvent(event) {
     const raw = event.data;
@@ -151,6 +152,7 @@ export class DnDBConnection {
     try {
       const data = JSON.parse(raw);
       if (data.eventType === "dice/roll/fulfilled") {
+        DnDBEventRecorder.capture(raw);
         LogUtil.log("DnDBConnection: Roll received", [
           `messageScope=${data.messageScope}`,
           `messageTarget=${data.messageTarget}`,
@@ -0,0 +1,227 @@
+import { LogUtil } from "../../utils/LogUtil.mjs";
+import { DnDBConnection } from "./DnDBConnection.mjs";
+
+const RECORDING_VERSION = 1;
+
+/**
+ * @typedef {Object} DnDBRecording
+ * @property {number} version - Recording format version
+ * @property {number} recordedAt - Timestamp of the start of the recording
+ * @property {Array<{offset: number, data: string}>} events - Raw SSE event data, with the time in ms since the start of the recording
+ */
+
+/**
+ * Records D&D Beyond roll events received from the proxy and replays them later
+ * Replayed events go through DnDBConnection._handleEvent, so they are parsed and executed like live rolls.
+ * Used to reproduce roll parsing issues and to demo the integration without a live D&D Beyond game.
+ */
+export class DnDBEventRecorder {
+  static _recording = null;
+  static _replaySource = null;
+  static _replayTimer = null;
+  static _replayResolve = null;
+
+  /**
+   * Start capturing roll events from the live connection
+   */
+  static startRecording() {
+    this._recording = { version: RECORDING_VERSION, recordedAt: Date.now(), events: [] };
+    LogUtil.log("DnDBEventRecorder: Recording started");
+  }
+
+  /**
+   * Stop capturing roll events
+   * @returns {DnDBRecording|null} The recording, or null if not recording
+   */
+  static stopRecording() {
+    const recording = this._recording;
+    this._recording = null;
+    LogUtil.log("DnDBEventRecorder: Recording stopped", [recording?.events.length ?? 0]);
+    return recording;
+  }
+
+  /**
+   * Check if roll events are being recorded
+   * @returns {boolean}
+   */
+  static isRecording() {
+    return !!this._recording;
+  }
+
+  /**
+   * Check if a replay is running
+   * @returns {boolean}
+   */
+  static isReplaying() {
+    return !!this._replaySource;
+  }
+
+  /**
+   * Store a raw roll event while recording
+   * Called by DnDBConnection for every roll event; replayed events are not recorded again
+   * @param {string} raw - Raw SSE event data
+   */
+  static capture(raw) {
+    if (!this._recording || this._replaySource) return;
+    this._recording.events.push({ offset: Date.now() - this._recording.recordedAt, data: raw });
+  }
+
+  /**
+   * Download a recording as a JSON file
+   * @param {DnDBRecording} recording - The recording to save
+   */
+  static saveRecording(recording) {
+    const timestamp = new Date(recording.recordedAt).toISOString().slice(0, 19).replace(/[:T]/g, "-");
+    foundry.utils.saveDataToFile(JSON.stringify(recording, null, 2), "application/json", `ddb-rolls-${timestamp}.json`);
+  }
+
+  /**
+   * Read a recording from a JSON file
+   * @param {File} file - The recording file
+   * @returns {Promise<DnDBRecording|null>} The recording, or null if the file isn't a valid recording
+   */
+  static async loadRecording(file) {
+    let recording = null;
+    try {
+      recording = JSON.parse(await foundry.utils.readTextFromFile(file));
+    } catch (error) {
+      LogUtil.error("DnDBEventRecorder: Failed to read recording", [file?.name, error.message]);
+    }
+
+    if (!this._isValidRecording(recording)) {
+      ui.notifications.error(game.i18n.localize("FLASH_ROLLS.notifications.ddbRecordingInvalid"));
+      return null;
+    }
+    return recording;
+  }
+
+  /**
+   * Let the user pick a recording file
+   * @returns {Promise<DnDBRecording|null>} The recording, or null if cancelled or invalid
+   */
+  static promptRecording() {
+    return new Promise(resolve => {
+      const input = document.createElement("input");
+      input.type = "file";
+      input.accept = ".json,application/json";
+      input.addEventListener("change", async () => {
+        const file = input.files?.[0];
+        resolve(file ? await this.loadRecording(file) : null);
+      }, { once: true });
+      input.addEventListener("cancel", () => resolve(null), { once: true });
+      input.click();
+    });
+  }
+
+  /**
+   * Replay a recording through the connection's event handler
+   * @param {DnDBRecording} recording - The recording to replay
+   * @param {Object} options
+   * @param {number} [options.speed=1] - Playback speed, e.g. 2 for twice as fast, or 0 to replay every event at once
+   * @returns {Promise<number>} Number of events replayed
+   */
+  static async replay(recording, { speed = 1 } = {}) {
+    if (this._replaySource) this.stopReplay();
+    if (!this._isValidRecording(recording)) return 0;
+
+    const replayToken = {};
+    this._replaySource = replayToken;
+    LogUtil.log("DnDBEventRecorder: Replay started", [recording.events.length, `speed ${speed}`]);
+
+    let previousOffset = 0;
+    let replayed = 0;
+
+    for (const event of recording.events) {
+      const delay = speed > 0 ? Math.max(0, event.offset - previousOffset) / speed : 0;
+      previousOffset = event.offset;
+
+      if (delay > 0 && !(await this._wait(delay))) break;
+      if (this._replaySource !== replayToken) break;
+
+      DnDBConnection._handleEvent({ data: event.data });
+      replayed++;
+    }
+
+    if (this._replaySource === replayToken) this._replaySource = null;
+    LogUtil.log("DnDBEventRecorder: Replay finished", [replayed]);
+    return replayed;
+  }
+
+  /**
+   * Replay events from an SSE endpoint, such as a local mock server
+   * Timing is up to the endpoint; the replay runs until the stream closes or stopReplay is called.
+   * Dropped connections are left to the EventSource to reconnect
+   * @param {string} url - URL of the SSE endpoint
+   * @returns {Promise<number>} Number of events received
+   */
+  static replayStream(url) {
+    if (this._replaySource) this.stopReplay();
+
+    return new Promise(resolve => {
+      let received = 0;
+      const source = new EventSource(url);
+      this._replaySource = source;
+      this._replayResolve = () => resolve(received);
+
+      source.onmessage = (event) => {
+        received++;
+        DnDBConnection._handleEvent(event);
+      };
+      source.onerror = () => {
+        if (source.readyState !== EventSource.CLOSED) {
+          LogUtil.log("DnDBEventRecorder: Replay stream interrupted, reconnecting", [url, received]);
+          return;
+        }
+        LogUtil.log("DnDBEventRecorder: Replay stream closed", [url, received]);
+        if (this._replaySource === source) this.stopReplay();
+      };
+
+      LogUtil.log("DnDBEventRecorder: Replay stream opened", [url]);
+    });
+  }
+
+  /**
+   * Stop a running replay
+   */
+  static stopReplay() {
+    if (this._replaySource instanceof EventSource) {
+      this._replaySource.close();
+    }
+    if (this._replayTimer) {
+      clearTimeout(this._replayTimer.id);
+      this._replayTimer.resolve(false);
+      this._replayTimer = null;
+    }
+
+    this._replaySource = null;
+    this._replayResolve?.();
+    this._replayResolve = null;
+  }
+
+  /**
+   * Wait between replayed events, unless the replay is stopped
+   * @param {number} delay - Time to wait in ms
+   * @returns {Promise<boolean>} False if the replay was stopped while waiting
+   * @private
+   */
+  static _wait(delay) {
+    return new Promise(resolve => {
+      const id = setTimeout(() => {
+        this._replayTimer = null;
+        resolve(true);
+      }, delay);
+      this._replayTimer = { id, resolve };
+    });
+  }
+
+  /**
+   * Check the shape of a recording
+   * @param {Object} recording - The recording to check
+   * @returns {boolean}
+   * @private
+   */
+  static _isValidRecording(recording) {
+    return Array.isArray(recording?.events)
+      && recording.events.every(event => typeof event?.data === "string" && Number.isFinite(event.offset));
+  }
+}
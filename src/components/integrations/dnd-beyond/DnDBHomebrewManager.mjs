@@ -1,5 +1,39 @@
 import { MODULE } from "../../../constants/General.mjs";
 import { LogUtil } from "../../utils/LogUtil.mjs";
+import { DnDBCompendiumMatcher } from "./DnDBCompendiumMatcher.mjs";
+
+/**
+ * DDB item types used to search for a placeholder's replacement, by placeholder item type
+ */
+const PLACEHOLDER_DDB_TYPES = {
+  race: "Race",
+  species: "Race",
+  background: "Background",
+  class: "Class",
+  subclass: "Subclass",
+  feat: "Feat",
+  spell: "spell",
+  weapon: "Weapon",
+  equipment: "Gear",
+  consumable: "Potion",
+  tool: "Tool"
+};
+
+/**
+ * Actor item data kept when a placeholder is swapped for a compendium item
+ */
+const PRESERVED_ITEM_PATHS = [
+  "sort",
+  "system.quantity",
+  "system.equipped",
+  "system.attuned",
+  "system.uses.spent",
+  "system.levels",
+  "system.hd.spent",
+  "system.prepared",
+  "system.method",
+  "system.container"
+];
 
 /**
  * Manages FTB Homebrew compendiums for storing placeholder items from D&D Beyond imports
@@ -220,6 +254,207 @@ export class DnDBHomebrewManager {
     return createdItems;
   }
 
+  /**
+   * Check if a compendium holds placeholder items created by this module
+   * @param {CompendiumCollection} pack - The compendium to check
+   * @returns {boolean}
+   */
+  static isHomebrewPack(pack) {
+    if (pack.metadata.flags?.[MODULE.ID]?.isHomebrewCompendium) return true;
+    const labels = new Set(Object.values(this.COMPENDIUM_CONFIG).map(config => config.label));
+    return pack.metadata.packageType === "world" && labels.has(pack.metadata.label);
+  }
+
+  /**
+   * Look for proper compendium items matching the placeholders in the homebrew compendiums
+   * The matcher index is rebuilt first, so newly installed content modules are included
+   * Only placeholders still used by an actor are returned
+   * @returns {Promise<Array<Object>>} Placeholders with their matches and the actor items using them
+   */
+  static async findPlaceholderMatches() {
+    DnDBCompendiumMatcher.clearCache();
+    await DnDBCompendiumMatcher.buildIndex();
+
+    const homebrewPacks = game.packs.filter(pack => pack.documentName === "Item" && this.isHomebrewPack(pack));
+    const homebrewPackIds = new Set(homebrewPacks.map(pack => pack.collection));
+    const candidates = [];
+    const seen = new Set();
+
+    for (const pack of homebrewPacks) {
+      const index = await pack.getIndex({ fields: [`flags.${MODULE.ID}`] });
+
+      for (const entry of index) {
+        const placeholderFlags = entry.flags?.[MODULE.ID];
+        if (!placeholderFlags?.ddbPlaceholder) continue;
+
+        const key = `${entry.type}::${entry.name.toLowerCase().trim()}`;
+        if (seen.has(key)) continue;
+        seen.add(key);
+
+        const actorItems = this._findPlaceholderItems(entry.name, entry.type);
+        if (actorItems.length === 0) continue;
+
+        const ddbItem = {
+          id: placeholderFlags.ddbDefinitionId,
+          name: entry.name,
+          type: PLACEHOLDER_DDB_TYPES[entry.type] || PLACEHOLDER_DDB_TYPES[placeholderFlags.ddbItemType]
+        };
+        const matches = (await DnDBCompendiumMatcher.findAllMatches(ddbItem))
+          .filter(match => !homebrewPackIds.has(match.packId));
+        if (matches.length === 0) continue;
+
+        candidates.push({
+          placeholderUuid: entry.uuid,
+          name: entry.name,
+          type: entry.type,
+          matches,
+          actorItems
+        });
+      }
+    }
+
+    LogUtil.log("DnDBHomebrewManager: Placeholder matches found", [candidates.length]);
+    return candidates;
+  }
+
+  /**
+   * Find the placeholder items with a given name and type on every actor
+   * Covers world actors and the synthetic actors of unlinked tokens in every scene
+   * @param {string} name - Placeholder name
+   * @param {string} type - Placeholder item type
+   * @returns {Array<Item>} Actor items
+   * @private
+   */
+  static _findPlaceholderItems(name, type) {
+    const normalizedName = name.toLowerCase().trim();
+    const items = [];
+
+    const actors = [...game.actors];
+    for (const scene of game.scenes) {
+      for (const token of scene.tokens) {
+        if (!token.actorLink && token.actor) actors.push(token.actor);
+      }
+    }
+
+    for (const actor of actors) {
+      for (const item of actor.items) {
+        if (item.type !== type || !item.getFlag(MODULE.ID, "ddbPlaceholder")) continue;
+        if (item.name.toLowerCase().trim() === normalizedName) items.push(item);
+      }
+    }
+
+    return items;
+  }
+
+  /**
+   * Swap placeholder items on actors for compendium items
+   * Items keep their IDs, so containers and other references stay valid,
+   * and keep their quantity, equipped, attuned, used and prepared state
+   * @param {Array<Object>} replacements - Candidates from findPlaceholderMatches with the chosen matchUuid
+   * @param {Object} options
+   * @param {boolean} [options.removeFromCompendium=false] - Delete the replaced placeholders from the homebrew compendiums
+   * @returns {Promise<number>} Number of actor items replaced
+   */
+  static async replacePlaceholders(replacements, { removeFromCompendium = false } = {}) {
+    const byActor = new Map();
+    const placeholderUuids = [];
+
+    for (const replacement of replacements) {
+      const source = await fromUuid(replacement.matchUuid);
+      if (!source) {
+        LogUtil.warn("DnDBHomebrewManager: Replacement item not found", [replacement.name, replacement.matchUuid]);
+        continue;
+      }
+
+      for (const item of replacement.actorItems) {
+        const itemData = source.toObject();
+        itemData._id = item.id;
+        foundry.utils.setProperty(itemData, "_stats.compendiumSource", source.uuid);
+        foundry.utils.setProperty(itemData, `flags.${MODULE.ID}.ddbImported`, true);
+
+        for (const path of PRESERVED_ITEM_PATHS) {
+          const value = foundry.utils.getProperty(item._source, path);
+          if (value !== undefined) foundry.utils.setProperty(itemData, path, value);
+        }
+
+        if (!byActor.has(item.parent)) byActor.set(item.parent, []);
+        byActor.get(item.parent).push(itemData);
+      }
+
+      placeholderUuids.push(replacement.placeholderUuid);
+    }
+
+    let replaced = 0;
+    let failed = false;
+    for (const [actor, itemsData] of byActor) {
+      const itemIds = itemsData.map(data => data._id);
+      const originals = itemIds.map(id => actor.items.get(id)?.toObject()).filter(Boolean);
+      try {
+        await actor.deleteEmbeddedDocuments("Item", itemIds);
+        await actor.createEmbeddedDocuments("Item", itemsData, { keepId: true });
+        replaced += itemsData.length;
+      } catch (error) {
+        failed = true;
+        LogUtil.error("DnDBHomebrewManager: Failed to replace placeholders", [actor.name, error.message]);
+        await this._restoreItems(actor, originals);
+      }
+    }
+
+    if (removeFromCompendium && !failed) {
+      for (const uuid of placeholderUuids) {
+        const placeholder = await fromUuid(uuid);
+        await placeholder?.delete();
+      }
+    } else if (removeFromCompendium) {
+      LogUtil.warn("DnDBHomebrewManager: Kept the placeholders in the compendiums, some actors could not be updated");
+    }
+
+    LogUtil.log("DnDBHomebrewManager: Placeholders replaced", [replaced, byActor.size]);
+    return replaced;
+  }
+
+  /**
+   * Recreate the original items of an actor whose placeholders could not be replaced
+   * @param {Actor} actor - The actor
+   * @param {Array<Object>} originals - Source data of the items before they were deleted
+   * @private
+   */
+  static async _restoreItems(actor, originals) {
+    const missing = originals.filter(data => !actor.items.has(data._id));
+    if (missing.length === 0) return;
+    try {
+      await actor.createEmbeddedDocuments("Item", missing, { keepId: true });
+    } catch (error) {
+      LogUtil.error("DnDBHomebrewManager: Failed to restore the original items", [actor.name, error.message]);
+    }
+  }
+
+  /**
+   * Rescan the placeholders against the compendiums and let the GM swap them for the matches found
+   * @returns {Promise<number>} Number of actor items replaced
+   */
+  static async rematchPlaceholders() {
+    if (!game.user.isGM) return 0;
+
+    ui.notifications.info(game.i18n.localize("FLASH_ROLLS.ui.dialogs.rematchPlaceholders.scanning"));
+    const candidates = await this.findPlaceholderMatches();
+
+    if (candidates.length === 0) {
+      ui.notifications.info(game.i18n.localize("FLASH_ROLLS.ui.dialogs.rematchPlaceholders.noneFound"));
+      return 0;
+    }
+
+    const { RematchPlaceholdersDialog } = await import("../../ui/dialogs/RematchPlaceholdersDialog.mjs");
+    const result = await RematchPlaceholdersDialog.show({ candidates });
+    if (!result?.replacements.length) return 0;
+
+    const replaced = await this.replacePlaceholders(result.replacements, {
+      removeFromCompendium: result.removeFromCompendium
+    });
+    ui.notifications.info(game.i18n.format("FLASH_ROLLS.ui.dialogs.rematchPlaceholders.replaced", { count: replaced }));
+    return replaced;
+  }
+
   /**
    * Create placeholder item data for an unmatched item
    * @param {Object} unmatchedItem - The unmatched item data
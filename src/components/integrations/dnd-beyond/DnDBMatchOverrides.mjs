@@ -0,0 +1,179 @@
+import { LogUtil } from "../../utils/LogUtil.mjs";
+import { SettingsUtil } from "../../utils/SettingsUtil.mjs";
+import { getSettings } from "../../../constants/Settings.mjs";
+
+/**
+ * @typedef {Object} MatchOverride
+ * @property {number|null} ddbId - DDB definition ID, or null to match by name only
+ * @property {string} ddbName - DDB item name
+ * @property {string|null} uuid - UUID of the Foundry item to use, when not homebrew
+ * @property {string|null} foundryName - Name of the Foundry item, for display
+ * @property {boolean} homebrew - Always create a placeholder item instead of matching
+ */
+
+/**
+ * World-level table of manual match choices for D&D Beyond imports
+ * Consulted first by DnDBCompendiumMatcher, so a choice made once applies to every later import
+ */
+export class DnDBMatchOverrides {
+
+  /**
+   * Get every override, keyed by override key
+   * @returns {Object<string, MatchOverride>}
+   */
+  static getAll() {
+    const SETTINGS = getSettings();
+    return foundry.utils.deepClone(SettingsUtil.get(SETTINGS.ddbMatchOverrides.tag) || {});
+  }
+
+  /**
+   * Build the key of an override
+   * Overrides with a DDB ID also use the name, since definition IDs are only unique per item type
+   * @param {number|string|null} ddbId - DDB definition ID
+   * @param {string} name - DDB item name
+   * @returns {string}
+   */
+  static getKey(ddbId, name) {
+    const normalizedName = (name || "").trim().toLowerCase();
+    return `${ddbId || ""}|${normalizedName}`;
+  }
+
+  /**
+   * Find the override for a DDB item
+   * An override for the exact definition is preferred over one matching the name only
+   * @param {Object} ddbItem - DDB item object
+   * @returns {MatchOverride|null}
+   */
+  static get(ddbItem) {
+    const name = ddbItem?.definition?.name || ddbItem?.name;
+    if (!name) return null;
+
+    const overrides = this.getAll();
+    const ddbId = ddbItem.definition?.id || ddbItem.id;
+    return overrides[this.getKey(ddbId, name)] || overrides[this.getKey(null, name)] || null;
+  }
+
+  /**
+   * Remember the match choice for a DDB item
+   * @param {Object} ddbItem - DDB item object
+   * @param {Object} choice - The choice to remember
+   * @param {string} [choice.uuid] - UUID of the Foundry item to use
+   * @param {string} [choice.foundryName] - Name of the Foundry item
+   * @param {boolean} [choice.homebrew=false] - Always create a placeholder instead
+   */
+  static async set(ddbItem, { uuid = null, foundryName = null, homebrew = false } = {}) {
+    await this.setMany([{ ddbItem, uuid, foundryName, homebrew }]);
+  }
+
+  /**
+   * Remember several match choices at once
+   * @param {Array<Object>} choices - Choices as for set, each with its ddbItem
+   */
+  static async setMany(choices) {
+    if (!choices.length) return;
+
+    const overrides = this.getAll();
+    for (const { ddbItem, uuid = null, foundryName = null, homebrew = false } of choices) {
+      const ddbName = ddbItem.definition?.name || ddbItem.name;
+      const ddbId = Number(ddbItem.definition?.id || ddbItem.id) || null;
+      overrides[this.getKey(ddbId, ddbName)] = {
+        ddbId,
+        ddbName,
+        uuid: homebrew ? null : uuid,
+        foundryName: homebrew ? null : foundryName,
+        homebrew: !!homebrew
+      };
+    }
+
+    await this.saveAll(overrides);
+    LogUtil.log("DnDBMatchOverrides: Saved overrides", [choices.length]);
+  }
+
+  /**
+   * Forget the override with the given key
+   * @param {string} key - Override key
+   */
+  static async remove(key) {
+    const overrides = this.getAll();
+    if (!(key in overrides)) return;
+    delete overrides[key];
+    await this.saveAll(overrides);
+  }
+
+  /**
+   * Replace the whole override table
+   * Invalid entries are dropped
+   * @param {Object<string, MatchOverride>} overrides - The overrides to store
+   */
+  static async saveAll(overrides) {
+    const SETTINGS = getSettings();
+    const valid = {};
+
+    for (const override of Object.values(overrides || {})) {
+      const normalized = this._normalize(override);
+      if (normalized) valid[this.getKey(normalized.ddbId, normalized.ddbName)] = normalized;
+    }
+
+    await SettingsUtil.set(SETTINGS.ddbMatchOverrides.tag, valid);
+  }
+
+  /**
+   * Download the override table as a JSON file
+   */
+  static exportJSON() {
+    const overrides = Object.values(this.getAll());
+    foundry.utils.saveDataToFile(JSON.stringify(overrides, null, 2), "application/json", "flash-rolls-ddb-match-overrides.json");
+  }
+
+  /**
+   * Merge overrides from a JSON file exported with exportJSON
+   * Entries from the file replace existing entries for the same DDB item
+   * @param {File} file - The JSON file
+   * @returns {Promise<number|null>} Number of overrides imported, or null if the file is invalid
+   */
+  static async importJSON(file) {
+    let data;
+    try {
+      data = JSON.parse(await foundry.utils.readTextFromFile(file));
+    } catch (error) {
+      LogUtil.error("DnDBMatchOverrides: Failed to read overrides file", [file?.name, error.message]);
+      return null;
+    }
+
+    const entries = (Array.isArray(data) ? data : Object.values(data || {}))
+      .map(entry => this._normalize(entry))
+      .filter(Boolean);
+
+    const overrides = this.getAll();
+    for (const entry of entries) {
+      overrides[this.getKey(entry.ddbId, entry.ddbName)] = entry;
+    }
+    await this.saveAll(overrides);
+
+    LogUtil.log("DnDBMatchOverrides: Imported overrides", [entries.length]);
+    return entries.length;
+  }
+
+  /**
+   * Validate and clean up a stored or imported override
+   * @param {Object} override - The raw override
+   * @returns {MatchOverride|null} The override, or null if it has no name or no target
+   * @private
+   */
+  static _normalize(override) {
+    const ddbName = typeof override?.ddbName === "string" ? override.ddbName.trim() : "";
+    if (!ddbName) return null;
+
+    const homebrew = !!override.homebrew;
+    const uuid = typeof override.uuid === "string" ? override.uuid.trim() : "";
+    if (!homebrew && !uuid) return null;
+
+    return {
+      ddbId: Number(override.ddbId) || null,
+      ddbName,
+      uuid: homebrew ? null : uuid,
+      foundryName: homebrew ? null : (override.foundryName || null),
+      homebrew
+    };
+  }
+}
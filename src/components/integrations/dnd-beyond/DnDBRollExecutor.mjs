@@ -127,6 +127,60 @@ export class DnDBRollExecutor {
     }
   }
 
+  /**
+   * Roll a save, ability, skill or tool check with DnDB dice values without creating a chat message
+   * Used to answer a pending Flash Rolls request, whose group roll card shows the result instead
+   * @param {Actor} actor - The Foundry actor
+   * @param {Object} rollInfo - Parsed roll info from DnDBRollParser
+   * @param {Object} category - Roll category from DnDBRollParser
+   * @param {number|null} [dc] - DC of the request, set as the roll target
+   * @returns {Promise<Roll|null>} The evaluated roll, or null if the category can't answer a request
+   */
+  static async rollForRequest(actor, rollInfo, category, dc = null) {
+    const rollConfig = { sendRequest: false };
+    if (dc) rollConfig.target = dc;
+    const dialogConfig = { configure: false };
+    const messageConfig = { create: false, rollMode: rollInfo.rollMode };
+
+    let rollMethod;
+    switch (category.category) {
+      case "save":
+        rollConfig.ability = category.ability;
+        rollMethod = () => actor.rollSavingThrow(rollConfig, dialogConfig, messageConfig);
+        break;
+      case "abilityCheck":
+        rollConfig.ability = category.ability;
+        rollMethod = () => actor.rollAbilityCheck(rollConfig, dialogConfig, messageConfig);
+        break;
+      case "skill":
+        rollConfig.skill = category.skill;
+        rollMethod = () => actor.rollSkill(rollConfig, dialogConfig, messageConfig);
+        break;
+      case "tool": {
+        const tool = category.tool;
+        Object.assign(rollConfig, {
+          ability: tool.system.ability,
+          bonus: tool.system.bonus,
+          prof: tool.system.prof,
+          item: tool,
+          tool: tool.system.type.baseItem
+        });
+        rollMethod = () => actor.rollToolCheck(rollConfig, dialogConfig, messageConfig);
+        break;
+      }
+      default:
+        return null;
+    }
+
+    DnDBIntegration.setPendingRoll(rollInfo);
+    try {
+      const rolls = await rollMethod();
+      return rolls?.[0] || null;
+    } finally {
+      DnDBIntegration.clearPendingRoll();
+    }
+  }
+
   /**
    * Execute a saving throw
    * Sets pending roll so hook can inject DnDB values before evaluation
@@ -709,13 +763,14 @@ export class DnDBRollExecutor {
   }
 
   /**
-   * Create a simple roll message for unmapped entities (monsters without actors)
-   * Uses the characterName from rollInfo as the speaker alias
+   * Create a simple roll message for unmapped entities (monsters without actors) or chat-only rolls
+   * Without an actor, uses the characterName from rollInfo as the speaker alias
    * @param {Object} rollInfo - The parsed roll info
+   * @param {Actor|null} [actor=null] - The speaker, for rolls routed to chat only
    * @returns {Promise<boolean>} Success status
    */
-  static async createSimpleRollMessage(rollInfo) {
-    return this._createSimpleMessage(null, rollInfo);
+  static async createSimpleRollMessage(rollInfo, actor = null) {
+    return this._createSimpleMessage(actor, rollInfo);
   }
 
   /**
@@ -0,0 +1,123 @@
+import { DDB_ROLL_ROUTES, DDB_ROUTING_CATEGORIES } from "../../../constants/General.mjs";
+import { getSettings } from "../../../constants/Settings.mjs";
+import { SettingsUtil } from "../../utils/SettingsUtil.mjs";
+
+/**
+ * Routing category of each roll category from DnDBRollParser
+ */
+const ROUTING_CATEGORIES = {
+  save: DDB_ROUTING_CATEGORIES.SAVE,
+  abilityCheck: DDB_ROUTING_CATEGORIES.CHECK,
+  skill: DDB_ROUTING_CATEGORIES.CHECK,
+  tool: DDB_ROUTING_CATEGORIES.CHECK,
+  customCheck: DDB_ROUTING_CATEGORIES.CHECK,
+  attack: DDB_ROUTING_CATEGORIES.ATTACK,
+  damage: DDB_ROUTING_CATEGORIES.DAMAGE,
+  healing: DDB_ROUTING_CATEGORIES.HEALING,
+  initiative: DDB_ROUTING_CATEGORIES.INITIATIVE
+};
+
+/**
+ * Decides where each D&D Beyond roll is executed
+ * The world routing table sets a route per roll category; characters can override single categories.
+ * Categories missing from the table follow the older "Who executes D&D Beyond Rolls" setting.
+ */
+export class DnDBRollRouting {
+
+  /**
+   * Get the routing category of a parsed roll category
+   * @param {Object} category - The roll category from DnDBRollParser.determineRollCategory
+   * @returns {string|null} A value of DDB_ROUTING_CATEGORIES, or null for unknown rolls
+   */
+  static getRoutingCategory(category) {
+    return ROUTING_CATEGORIES[category?.category] || null;
+  }
+
+  /**
+   * Get the world routing table, with every category filled in
+   * @returns {Object<string, string>} Route per routing category
+   */
+  static getRoutes() {
+    const SETTINGS = getSettings();
+    const routes = SettingsUtil.get(SETTINGS.ddbRollRouting.tag) || {};
+    const legacyRoute = SettingsUtil.get(SETTINGS.ddbRollOwnership.tag) === 1 ? DDB_ROLL_ROUTES.PLAYER : DDB_ROLL_ROUTES.GM;
+
+    return Object.fromEntries(Object.values(DDB_ROUTING_CATEGORIES).map(key => [
+      key,
+      this._isValidRoute(routes[key]) ? routes[key] : legacyRoute
+    ]));
+  }
+
+  /**
+   * Get the route of a roll
+   * @param {Object} category - The roll category from DnDBRollParser.determineRollCategory
+   * @param {string|number|null} characterId - The DnDB character id, to apply character overrides
+   * @returns {string} A value of DDB_ROLL_ROUTES
+   */
+  static getRoute(category, characterId = null) {
+    const routingCategory = this.getRoutingCategory(category);
+    const routes = this.getRoutes();
+    if (!routingCategory) return routes[DDB_ROUTING_CATEGORIES.CHECK];
+
+    const override = this.getOverrides(characterId)[routingCategory];
+    return this._isValidRoute(override) ? override : routes[routingCategory];
+  }
+
+  /**
+   * Get the route overrides of a character
+   * @param {string|number|null} characterId - The DnDB character id
+   * @returns {Object<string, string>} Route per overridden routing category
+   */
+  static getOverrides(characterId) {
+    if (characterId === null || characterId === undefined) return {};
+    const SETTINGS = getSettings();
+    const overrides = SettingsUtil.get(SETTINGS.ddbRollRoutingOverrides.tag) || {};
+    return overrides[String(characterId)] || {};
+  }
+
+  /**
+   * Save the route overrides of a character
+   * Categories without a valid route use the world routing table
+   * @param {string|number} characterId - The DnDB character id
+   * @param {Object<string, string>} routes - Route per routing category
+   */
+  static async setOverrides(characterId, routes = {}) {
+    const SETTINGS = getSettings();
+    const overrides = foundry.utils.deepClone(SettingsUtil.get(SETTINGS.ddbRollRoutingOverrides.tag) || {});
+    const characterRoutes = Object.fromEntries(
+      Object.values(DDB_ROUTING_CATEGORIES)
+        .filter(key => this._isValidRoute(routes[key]))
+        .map(key => [key, routes[key]])
+    );
+
+    if (Object.keys(characterRoutes).length) {
+      overrides[String(characterId)] = characterRoutes;
+    } else {
+      delete overrides[String(characterId)];
+    }
+    await SettingsUtil.set(SETTINGS.ddbRollRoutingOverrides.tag, overrides);
+  }
+
+  /**
+   * Build the rows of a routing table for templates
+   * @param {Object<string, string>} routes - Route per routing category
+   * @returns {Array<{key: string, label: string, route: string}>}
+   */
+  static getRoutingRows(routes = {}) {
+    return Object.values(DDB_ROUTING_CATEGORIES).map(key => ({
+      key,
+      label: game.i18n.localize(`FLASH_ROLLS.settings.ddbRollRouting.categories.${key}`),
+      route: routes[key] || ""
+    }));
+  }
+
+  /**
+   * Check if a value is a known route
+   * @param {string} route
+   * @returns {boolean}
+   * @private
+   */
+  static _isValidRoute(route) {
+    return Object.values(DDB_ROLL_ROUTES).includes(route);
+  }
+}
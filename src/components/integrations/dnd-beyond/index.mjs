@@ -1,5 +1,7 @@
 export { DnDBConnection } from "./DnDBConnection.mjs";
+export { DnDBEventRecorder } from "./DnDBEventRecorder.mjs";
 export { DnDBRollParser } from "./DnDBRollParser.mjs";
 export { DnDBRollUtil } from "./DnDBRollUtil.mjs";
 export { DnDBRollExecutor } from "./DnDBRollExecutor.mjs";
+export { DnDBRollRouting } from "./DnDBRollRouting.mjs";
 export { DnDBActivityUtil } from "./DnDBActivityUtil.mjs";
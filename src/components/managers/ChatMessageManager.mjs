@@ -1,5 +1,5 @@
 import { HOOKS_CORE } from "../../constants/Hooks.mjs";
-import { MODULE_ID, ROLL_TYPES, SOCKET_CALLS } from "../../constants/General.mjs";
+import { MODULE_ID, ROLL_TYPES, SOCKET_CALLS, CONTEST_TIE_BREAKERS, REQUEST_TIMEOUT_POLICIES } from "../../constants/General.mjs";
 import { getSettings } from "../../constants/Settings.mjs";
 import { GeneralUtil } from "../utils/GeneralUtil.mjs";
 import { FlashAPI } from "../core/FlashAPI.mjs";
@@ -10,6 +10,10 @@ import { RollHandlers } from "../handlers/RollHandlers.mjs";
 import { HooksManager } from "../core/HooksManager.mjs";
 import { RollRequestManager } from "./RollRequestManager.mjs";
 import { SocketUtil } from "../utils/SocketUtil.mjs";
+import { getRollTypeDisplay } from "../helpers/Helpers.mjs";
+import { RequestTrackerManager } from "./RequestTrackerManager.mjs";
+import { RollOutcomeManager } from "./RollOutcomeManager.mjs";
+import { RollHistoryManager } from "./RollHistoryManager.mjs";
 
 /**
  * Utility class for managing group roll chat messages
@@ -61,6 +65,11 @@ export class ChatMessageManager {
    */
   static onCreateChatMessage(message, options, userId, data) {
     LogUtil.log('ChatMessageManager.onCreateChatMessage', [message, options, userId, data]);
+
+    if (game.user.isGM) {
+      RequestTrackerManager.resolveFromMessage(message);
+      RollHistoryManager.recordMessage(message);
+    }
   }
 
   /**
@@ -174,6 +183,10 @@ export class ChatMessageManager {
     if (!game.user.isGM && data.rolls?.length > 0 && RollRequestManager.pendingRollResolver) {
       RollRequestManager.onRollCompleted();
     }
+
+    if (!game.user.isGM && data.rolls?.length > 0) {
+      RollRequestManager.resolvePendingRequest(data);
+    }
   }
 
   /**
@@ -1020,13 +1033,27 @@ export class ChatMessageManager {
     }
     data.groupRollId = groupRollId;
     data.isContestedRoll = config.isContestedRoll || false;
+    data.outcomes = data.isContestedRoll ? null : RollOutcomeManager.normalize(config.outcomes);
+    if (data.isContestedRoll) {
+      data.tieBreaker = config.tieBreaker || CONTEST_TIE_BREAKERS.SHARED;
+      if (config.teams?.length) {
+        data.teams = config.teams.map(team => ({ id: team.id, name: team.name }));
+        data.teamMethod = RollHelpers.getGroupMethod(config.teamMethod) ? String(config.teamMethod) : RollHelpers.getSelectedGroupMethodId();
+        const teamDC = parseInt(config.teamDC);
+        data.teamDC = Number.isNaN(teamDC) ? null : teamDC;
+        const teamOrder = data.teams.map(team => team.id);
+        data.results.sort((a, b) => teamOrder.indexOf(a.team) - teamOrder.indexOf(b.team));
+        this._prepareTeamDisplay(data);
+      }
+    }
 
     this.pendingRolls.set(groupRollId, {
       actorEntries: validEntries.map(entry => ({ actorId: entry.actor.id, uniqueId: entry.uniqueId, tokenId: entry.tokenId })),
       rollType,
       rollKey,
       config,
-      results: new Map()
+      results: new Map(),
+      createdAt: Date.now()
     });
 
     const hasAnyPC = validEntries.some(entry => entry.actor.hasPlayerOwner);
@@ -1076,7 +1103,10 @@ export class ChatMessageManager {
         total: null,
         success: false,
         failure: false,
-        rollTypeFlavor: entryFlavor
+        rollTypeFlavor: entryFlavor,
+        rollType: entryRollType,
+        rollKey: entryRollKey,
+        team: entry.team ?? null
       };
     });
     
@@ -1129,48 +1159,218 @@ export class ChatMessageManager {
       moduleId: MODULE_ID,
       gmAdvantage: config?.advantage === true,
       gmDisadvantage: config?.disadvantage === true,
-      gmSituationalBonus: config?.situationalBonus || config?.rolls?.[0]?.data?.situational || ''
+      gmSituationalBonus: config?.situationalBonus || config?.rolls?.[0]?.data?.situational || '',
+      groupMethod: RollHelpers.getSelectedGroupMethodId(),
+      groupMethodLabel: RollHelpers.getGroupMethodLabel(RollHelpers.getSelectedGroupMethodId())
     };
   }
   
   /**
-   * Calculate the result of a contested roll
+   * Calculate the ranking of a contested roll with any number of participants
+   * Participants are ordered by total, ties are broken according to the contest's tie-break rule
    * @param {Array} results - Array of roll results
-   * @returns {Object} Contested result with winner information
+   * @param {string} [tieBreaker] - One of CONTEST_TIE_BREAKERS, defaults to shared places
+   * @returns {Object} Contested result with ranking and winner information
    * @private
    */
-  static _calculateContestedResult(results) {
+  static _calculateContestedResult(results, tieBreaker = CONTEST_TIE_BREAKERS.SHARED) {
     const rolledResults = results.filter(r => r.rolled && r.total !== null);
 
-    if (rolledResults.length < 2) {
+    if (rolledResults.length < 2 || rolledResults.length < results.length) {
       return { complete: false };
     }
 
-    const [result1, result2] = rolledResults;
-    const winner = result1.total > result2.total ? result1 : result2;
-    const loser = result1.total > result2.total ? result2 : result1;
-
     const getResultId = (result) => result.tokenId || result.uniqueId || result.actorId;
+    const compareResults = (a, b) => {
+      if (b.total !== a.total) return b.total - a.total;
+      if (tieBreaker === CONTEST_TIE_BREAKERS.MODIFIER) {
+        return (b.modifier ?? 0) - (a.modifier ?? 0);
+      }
+      if (tieBreaker === CONTEST_TIE_BREAKERS.REROLL) {
+        const aRolls = a.tieBreakRolls || [];
+        const bRolls = b.tieBreakRolls || [];
+        for (let i = 0; i < Math.max(aRolls.length, bRolls.length); i++) {
+          if ((bRolls[i] ?? 0) !== (aRolls[i] ?? 0)) return (bRolls[i] ?? 0) - (aRolls[i] ?? 0);
+        }
+      }
+      return 0;
+    };
 
-    LogUtil.log('_calculateContestedResult - Results', [
-      'result1:', { tokenId: result1.tokenId, uniqueId: result1.uniqueId, actorId: result1.actorId, total: result1.total },
-      'result2:', { tokenId: result2.tokenId, uniqueId: result2.uniqueId, actorId: result2.actorId, total: result2.total },
-      'winnerId:', getResultId(winner),
-      'loserId:', getResultId(loser)
-    ]);
+    const sorted = [...rolledResults].sort(compareResults);
+    const ranking = [];
+    sorted.forEach((result, index) => {
+      const previous = ranking[index - 1];
+      const sharesPlace = previous && compareResults(sorted[index - 1], result) === 0;
+      ranking.push({
+        id: getResultId(result),
+        actorName: result.actorName,
+        total: result.total,
+        place: sharesPlace ? previous.place : index + 1
+      });
+    });
+
+    const lastPlace = ranking[ranking.length - 1].place;
+    ranking.forEach(entry => {
+      entry.isShared = ranking.filter(r => r.place === entry.place).length > 1;
+      entry.placeLabel = this._getPlaceLabel(entry.place);
+    });
+
+    const winners = ranking.filter(r => r.place === 1);
+    const losers = ranking.filter(r => r.place === lastPlace);
+    const winner = winners[0];
+    const loser = losers[losers.length - 1];
+
+    LogUtil.log('_calculateContestedResult - Ranking', [tieBreaker, ranking]);
 
     return {
       complete: true,
-      winnerId: getResultId(winner),
-      winnerName: winner.actorName,
+      tieBreaker,
+      ranking,
+      isMultiParticipant: ranking.length > 2,
+      winnerId: winner.id,
+      winnerName: winners.map(r => r.actorName).join(', '),
       winnerTotal: winner.total,
-      loserId: getResultId(loser),
+      loserId: loser.id,
       loserName: loser.actorName,
       loserTotal: loser.total,
-      isTie: result1.total === result2.total
+      lastPlace,
+      isTie: winners.length > 1
     };
   }
 
+  /**
+   * Calculate the result of a team contest
+   * Each team is scored with a group roll method from RollHelpers and teams are ranked by score.
+   * Methods that only return pass/fail (Standard Rule) are scored by the share of the team that succeeded,
+   * so a bigger team doesn't win just by having more members.
+   * @param {Array} results - Array of roll results with a team id
+   * @param {Array<{id: string, name: string}>} teams - Teams taking part in the contest
+   * @param {string} methodId - Group roll method used to score each team
+   * @param {number|null} dc - DC used by methods that count successes, defaults to 10
+   * @returns {Object} Team contest result with ranked teams and winner information
+   * @private
+   */
+  static _calculateTeamContestResult(results, teams, methodId, dc = null) {
+    const rolledResults = results.filter(r => r.rolled && r.total !== null);
+    if (rolledResults.length < 2 || rolledResults.length < results.length) {
+      return { complete: false };
+    }
+
+    const teamDC = Number.isFinite(dc) ? dc : 10;
+    const teamResults = [];
+    for (const team of teams) {
+      const members = results.filter(r => r.team === team.id);
+      if (members.length === 0) continue;
+
+      let score = 0;
+      let isShare = false;
+      let summary = '';
+      try {
+        const calculation = RollHelpers.calculateGroupMethod(methodId, {
+          rollResults: members.map(r => ({ actorId: r.actorId, total: r.total })),
+          dc: teamDC,
+          actors: members.map(r => game.actors.get(r.actorId)).filter(a => a),
+          rollType: members[0].rollType,
+          rollKey: members[0].rollKey
+        });
+        isShare = typeof calculation.details.finalResult === 'boolean';
+        score = isShare
+          ? Math.round(((calculation.details.successes ?? 0) / members.length) * 100)
+          : calculation.result;
+        summary = calculation.details.summary || '';
+      } catch (error) {
+        LogUtil.error('_calculateTeamContestResult - calculation error', [team.name, error]);
+      }
+
+      score = Number(score) || 0;
+      teamResults.push({ id: team.id, name: team.name, score, scoreLabel: isShare ? `${score}%` : String(score), summary });
+    }
+
+    teamResults.sort((a, b) => b.score - a.score);
+    teamResults.forEach((team, index) => {
+      const previous = teamResults[index - 1];
+      team.place = previous && previous.score === team.score ? previous.place : index + 1;
+      team.placeLabel = this._getPlaceLabel(team.place);
+    });
+
+    const winners = teamResults.filter(team => team.place === 1);
+    return {
+      complete: true,
+      methodLabel: RollHelpers.getGroupMethodLabel(methodId),
+      teams: teamResults,
+      lastPlace: teamResults[teamResults.length - 1]?.place ?? 1,
+      winnerTeamId: winners[0]?.id ?? null,
+      winnerTeamName: winners.map(team => team.name).join(', '),
+      isTie: winners.length > 1
+    };
+  }
+
+  /**
+   * Set the per-result display data for team contest cards (team headers, dividers and team outcome)
+   * Results are expected to be ordered by team
+   * @param {Object} data - Contest card data with teams, results and optional teamResult
+   * @private
+   */
+  static _prepareTeamDisplay(data) {
+    if (!data.teams?.length) return;
+    const teamResult = data.teamResult?.complete ? data.teamResult : null;
+
+    data.results.forEach((result, index) => {
+      const team = data.teams.find(t => t.id === result.team);
+      const rankedTeam = teamResult?.teams.find(t => t.id === result.team);
+      result.teamName = team?.name || '';
+      result.isFirstOfTeam = data.results[index - 1]?.team !== result.team;
+      result.isLastOfTeam = data.results[index + 1]?.team !== result.team;
+      result.teamScore = rankedTeam ? rankedTeam.scoreLabel ?? rankedTeam.score : null;
+      result.teamSummary = rankedTeam?.summary || '';
+      result.isWinner = !!rankedTeam && rankedTeam.place === 1 && !teamResult.isTie;
+      result.isLoser = !!rankedTeam && rankedTeam.place === teamResult.lastPlace && teamResult.lastPlace > 1;
+    });
+  }
+
+  /**
+   * Roll off ties in a contested roll using the reroll tie-break rule
+   * Tied participants roll 1d20 until every place is decided, each roll-off is kept in result.tieBreakRolls
+   * @param {Array} results - Array of roll results, updated in place
+   * @returns {Promise<void>}
+   * @private
+   */
+  static async _resolveContestedTies(results) {
+    const maxRounds = 10;
+    for (let round = 0; round < maxRounds; round++) {
+      const groups = new Map();
+      results.forEach(result => {
+        const key = [result.total, ...(result.tieBreakRolls || [])].join('|');
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(result);
+      });
+
+      const tiedGroups = Array.from(groups.values()).filter(group => group.length > 1);
+      if (tiedGroups.length === 0) return;
+
+      for (const group of tiedGroups) {
+        for (const result of group) {
+          const roll = await new Roll("1d20").evaluate();
+          result.tieBreakRolls = [...(result.tieBreakRolls || []), roll.total];
+        }
+      }
+      LogUtil.log('_resolveContestedTies - Roll-off round', [round + 1, tiedGroups.length]);
+    }
+  }
+
+  /**
+   * Get the localized ordinal label for a contest placement (1st, 2nd...)
+   * @param {number} place - The placement
+   * @returns {string} The localized label
+   * @private
+   */
+  static _getPlaceLabel(place) {
+    const rule = new Intl.PluralRules(game.i18n.lang, { type: "ordinal" }).select(place);
+    const key = `FLASH_ROLLS.chat.contestPlace.${rule}`;
+    const fallbackKey = "FLASH_ROLLS.chat.contestPlace.other";
+    return game.i18n.format(game.i18n.has(key) ? key : fallbackKey, { place });
+  }
+
   /**
    * Build flavor text for the roll
    * @private
@@ -1315,6 +1515,150 @@ export class ChatMessageManager {
     return await this._performGroupRollUpdate(groupRollId, uniqueId, roll, rollMode);
   }
   
+  /**
+   * Mark an actor's result on a group roll card as declined by the player
+   * The GM can still roll for the actor from the card afterwards
+   * @param {Object} declineData - Details of the declined request
+   * @param {string|null} declineData.groupRollId - The group roll identifier, if the request was part of one
+   * @param {string} declineData.actorId - The actor or token ID the request was sent for
+   * @param {string} declineData.actorName - Name of the actor
+   * @param {string} declineData.rollType - The requested roll type
+   * @param {string} declineData.rollKey - The requested roll key
+   * @param {string} declineData.userName - Name of the player who declined
+   */
+  static async markResultDeclined({ groupRollId, actorId, actorName, rollType, rollKey, userName }) {
+    if (!game.user.isGM) return;
+
+    FlashAPI.notify('info', game.i18n.format('FLASH_ROLLS.notifications.rollRequestDeclined', {
+      player: userName,
+      actor: actorName,
+      roll: getRollTypeDisplay(rollType, rollKey)
+    }));
+
+    if (!groupRollId || !game.users.activeGM?.isSelf) return;
+
+    const message = this.getGroupRollMessage(groupRollId);
+    if (!message) {
+      LogUtil.log('markResultDeclined - No group message found', [groupRollId]);
+      return;
+    }
+
+    const flagData = message.getFlag(MODULE_ID, 'rollData');
+    const result = flagData?.results?.find(r => !r.rolled &&
+      (r.uniqueId === actorId || r.tokenId === actorId || r.actorId === actorId)
+    );
+    if (!result) return;
+
+    result.declined = true;
+    result.declinedBy = userName;
+    result.declinedLabel = game.i18n.format('FLASH_ROLLS.chat.declinedBy', { player: userName });
+
+    const templatePath = flagData.isContestedRoll
+      ? 'modules/flash-rolls-5e/templates/chat-msg-contested-roll.hbs'
+      : this.templatePath;
+    const newContent = await GeneralUtil.renderTemplate(templatePath, flagData);
+    await message.update({
+      content: newContent,
+      flags: {
+        [MODULE_ID]: {
+          rollData: flagData
+        }
+      }
+    });
+  }
+
+  /**
+   * Find the group roll card for a group roll
+   * @param {string} groupRollId - The group roll identifier
+   * @returns {ChatMessage|undefined}
+   */
+  static getGroupRollMessage(groupRollId) {
+    return this.groupRollMessages.get(groupRollId) || game.messages.contents.find(m =>
+      m.getFlag(MODULE_ID, 'groupRollId') === groupRollId &&
+      m.getFlag(MODULE_ID, 'isGroupRoll')
+    );
+  }
+
+  /**
+   * Mark an actor's result on a group roll card as resolved by a request timeout
+   * With the fail and drop policies the result is settled right away and the group result recalculated,
+   * otherwise only the label is added and the result is filled in by the roll that follows
+   * @param {Object} timeoutData - Details of the timed out request
+   * @param {string} timeoutData.groupRollId - The group roll identifier
+   * @param {string} timeoutData.actorId - The actor or token ID the request was sent for
+   * @param {string} timeoutData.policy - The applied policy from REQUEST_TIMEOUT_POLICIES
+   */
+  static async markResultTimedOut({ groupRollId, actorId, policy }) {
+    if (!game.user.isGM || !game.users.activeGM?.isSelf) return;
+
+    const message = this.getGroupRollMessage(groupRollId);
+    if (!message) {
+      LogUtil.log('markResultTimedOut - No group message found', [groupRollId]);
+      return;
+    }
+
+    const flagData = message.getFlag(MODULE_ID, 'rollData');
+    const result = flagData?.results?.find(r => !r.rolled &&
+      (r.uniqueId === actorId || r.tokenId === actorId || r.actorId === actorId)
+    );
+    if (!result) return;
+
+    result.timedOut = true;
+    result.timeoutPolicy = policy;
+    result.timeoutLabel = game.i18n.localize(`FLASH_ROLLS.chat.timedOut.${policy}`);
+
+    const settlesResult = policy === REQUEST_TIMEOUT_POLICIES.FAIL || policy === REQUEST_TIMEOUT_POLICIES.DROP;
+    if (settlesResult) {
+      result.rolled = true;
+      result.declined = false;
+      result.total = null;
+      result.autoFailed = policy === REQUEST_TIMEOUT_POLICIES.FAIL;
+      result.dropped = policy === REQUEST_TIMEOUT_POLICIES.DROP;
+      result.success = false;
+      result.failure = result.autoFailed;
+      flagData.allRolled = flagData.results.every(r => r.rolled);
+
+      if (RollHelpers.shouldShowDC(flagData.rollType) && flagData.showDC && flagData.dc && !flagData.isContestedRoll) {
+        const actors = flagData.actorEntries?.map(entry => game.actors.get(entry.actorId)).filter(a => a) ||
+                       flagData.actors?.map(id => game.actors.get(id)).filter(a => a) || [];
+        const groupResult = RollHelpers.getGroupResult(
+          flagData.results,
+          flagData.dc,
+          actors,
+          flagData.rollType,
+          flagData.rollKey,
+          flagData.groupMethod
+        );
+
+        flagData.groupResult = groupResult;
+        if (groupResult.complete && groupResult.details) {
+          flagData.groupSummary = groupResult.details.summary;
+          flagData.groupSummaryHtml = groupResult.summaryHtml || null;
+        }
+      }
+    }
+
+    const templatePath = flagData.isContestedRoll
+      ? 'modules/flash-rolls-5e/templates/chat-msg-contested-roll.hbs'
+      : this.templatePath;
+    const newContent = await GeneralUtil.renderTemplate(templatePath, flagData);
+    await message.update({
+      content: newContent,
+      flags: {
+        [MODULE_ID]: {
+          rollData: flagData
+        }
+      }
+    });
+    RollHistoryManager.syncGroupRoll(message, flagData);
+
+    const pendingData = this.pendingRolls.get(groupRollId);
+    if (settlesResult && pendingData?.results) {
+      pendingData.results.set(result.uniqueId || result.actorId, { total: null, timedOut: true });
+      this._completeGroupRollIfDone(groupRollId, message, flagData, pendingData);
+    }
+  }
+
   /**
    * Internal method to perform the actual group roll update
    * @param {string} groupRollId - The group roll identifier
@@ -1429,9 +1773,17 @@ export class ChatMessageManager {
     }
     
     if (resultIndex !== -1) {
+      if (flagData.results[resultIndex].autoFailed || flagData.results[resultIndex].dropped) {
+        flagData.results[resultIndex].timedOut = false;
+      }
       flagData.results[resultIndex].rolled = true;
+      flagData.results[resultIndex].declined = false;
+      flagData.results[resultIndex].autoFailed = false;
+      flagData.results[resultIndex].dropped = false;
       flagData.results[resultIndex].showDice = false;
       flagData.results[resultIndex].total = roll.total;
+      flagData.results[resultIndex].modifier = roll.total - roll.dice.reduce((sum, die) => sum + (die.total ?? 0), 0);
+      flagData.results[resultIndex].tieBreakRolls = [];
       flagData.results[resultIndex].roll = roll.toJSON();
       flagData.results[resultIndex].rollMode = rollMode;
       LogUtil.log('_performGroupRollUpdate - Set roll mode for result', [flagData.results[resultIndex].actorName, 'rollMode:', rollMode]);
@@ -1462,6 +1814,12 @@ export class ChatMessageManager {
         success: flagData.dc ? roll.total >= flagData.dc : null
       };
       SocketUtil.execForAll(SOCKET_CALLS.broadcastRollComplete, hookData);
+
+      const resolvedResult = flagData.results[resultIndex];
+      RequestTrackerManager.resolve({
+        groupRollId,
+        actorIds: [uniqueId, resolvedResult.uniqueId, resolvedResult.tokenId, resolvedResult.actorId].filter(id => id)
+      });
     }else{
       LogUtil.error('Group message id not found');
       return;
@@ -1515,19 +1873,35 @@ export class ChatMessageManager {
     }
 
     // Calculate contested result if it's a contested roll
-    if (flagData.isContestedRoll) {
-      const contestedResult = this._calculateContestedResult(flagData.results);
+    if (flagData.isContestedRoll && flagData.teams?.length) {
+      flagData.teamResult = this._calculateTeamContestResult(flagData.results, flagData.teams, flagData.teamMethod, flagData.teamDC);
+      this._prepareTeamDisplay(flagData);
+      LogUtil.log('updateGroupRollMessage - Team Contest Result', [flagData.teamResult]);
+    }
+    else if (flagData.isContestedRoll) {
+      const tieBreaker = flagData.tieBreaker || CONTEST_TIE_BREAKERS.SHARED;
+      if (tieBreaker === CONTEST_TIE_BREAKERS.REROLL && flagData.allRolled) {
+        await this._resolveContestedTies(flagData.results);
+      }
+
+      const contestedResult = this._calculateContestedResult(flagData.results, tieBreaker);
       flagData.contestedResult = contestedResult;
 
-      if (contestedResult.complete && contestedResult.winnerId && !contestedResult.isTie) {
+      if (contestedResult.complete) {
         flagData.results.forEach(result => {
           const resultId = result.tokenId || result.uniqueId || result.actorId;
-          result.isWinner = resultId === contestedResult.winnerId;
-          result.isLoser = resultId === contestedResult.loserId;
-          LogUtil.log('updateGroupRollMessage - Setting winner/loser', [
+          const rank = contestedResult.ranking.find(r => r.id === resultId);
+          result.place = rank?.place ?? null;
+          result.placeLabel = rank?.placeLabel ?? null;
+          result.isSharedPlace = rank?.isShared ?? false;
+          result.tieBreakLabel = result.tieBreakRolls?.length
+            ? game.i18n.format("FLASH_ROLLS.chat.contestRollOff", { rolls: result.tieBreakRolls.join(', ') })
+            : null;
+          result.isWinner = result.place === 1 && !contestedResult.isTie;
+          result.isLoser = result.place === contestedResult.lastPlace && contestedResult.lastPlace > 1;
+          LogUtil.log('updateGroupRollMessage - Setting placement', [
             'resultId:', resultId,
-            'winnerId:', contestedResult.winnerId,
-            'loserId:', contestedResult.loserId,
+            'place:', result.place,
             'isWinner:', result.isWinner,
             'isLoser:', result.isLoser
           ]);
@@ -1546,7 +1920,8 @@ export class ChatMessageManager {
         flagData.dc,
         actors,
         flagData.rollType,
-        flagData.rollKey
+        flagData.rollKey,
+        flagData.groupMethod
       );
 
       flagData.groupResult = groupResult;
@@ -1554,6 +1929,7 @@ export class ChatMessageManager {
 
       if (groupResult.complete && groupResult.details) {
         flagData.groupSummary = groupResult.details.summary;
+        flagData.groupSummaryHtml = groupResult.summaryHtml || null;
       }
     }
 
@@ -1571,22 +1947,38 @@ export class ChatMessageManager {
         rsr5e: { processed: true, quickRoll: false}
       }
     });
-    
-    if (pendingData?.results && pendingData?.actorEntries) {
-      if (pendingData.results.size === pendingData.actorEntries.length) {
-        this.pendingRolls.delete(groupRollId);
-        this._scheduleMessageRemoval(message);
+    RollHistoryManager.syncGroupRoll(message, flagData);
 
-        if (flagData.supportsDC && flagData.dc && !flagData.isContestedRoll) {
-          this._handleAutoSelectOnComplete(message, flagData);
-        }
+    this._completeGroupRollIfDone(groupRollId, message, flagData, pendingData);
+  }
 
-        setTimeout(() => {
-          this.groupRollMessages.delete(groupRollId);
-          this.updateQueue.delete(groupRollId);
-        }, 60000);
-      }
+  /**
+   * Clean up a group roll once every actor has a result
+   * @param {string} groupRollId - The group roll identifier
+   * @param {ChatMessage} message - The group roll message
+   * @param {Object} flagData - The roll data from message flags
+   * @param {Object} pendingData - The pending roll tracking data
+   * @private
+   */
+  static _completeGroupRollIfDone(groupRollId, message, flagData, pendingData) {
+    if (!pendingData?.results || !pendingData?.actorEntries) return;
+    if (pendingData.results.size !== pendingData.actorEntries.length) return;
+
+    this.pendingRolls.delete(groupRollId);
+    this._scheduleMessageRemoval(message);
+
+    if (RollHelpers.shouldShowDC(flagData.rollType) && flagData.dc && !flagData.isContestedRoll) {
+      this._handleAutoSelectOnComplete(message, flagData);
     }
+
+    if (flagData.outcomes) {
+      RollOutcomeManager.applyOutcomes(message, flagData);
+    }
+
+    setTimeout(() => {
+      this.groupRollMessages.delete(groupRollId);
+      this.updateQueue.delete(groupRollId);
+    }, 60000);
   }
 
   /**
@@ -1652,13 +2044,15 @@ export class ChatMessageManager {
       newDC,
       actors,
       flagData.rollType,
-      flagData.rollKey
+      flagData.rollKey,
+      flagData.groupMethod
     );
     
     flagData.groupResult = groupResult;
     
     if (groupResult.complete && groupResult.details) {
       flagData.groupSummary = groupResult.details.summary;
+      flagData.groupSummaryHtml = groupResult.summaryHtml || null;
     }
     
     flagData.allRolled = flagData.results.every(r => r.rolled);
@@ -1693,6 +2087,7 @@ export class ChatMessageManager {
         rsr5e: { processed: true, quickRoll: false}
       }
     });
+    RollHistoryManager.syncGroupRoll(message, flagData);
   }
 
   /**
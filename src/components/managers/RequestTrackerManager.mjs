@@ -0,0 +1,383 @@
+import { MODULE_ID, ROLL_TYPES, SOCKET_CALLS, REQUEST_TIMEOUT_POLICIES } from "../../constants/General.mjs";
+import { getSettings } from "../../constants/Settings.mjs";
+import { getRollTypeDisplay } from "../helpers/Helpers.mjs";
+import { LogUtil } from "../utils/LogUtil.mjs";
+import { SettingsUtil } from "../utils/SettingsUtil.mjs";
+import { SocketUtil } from "../utils/SocketUtil.mjs";
+import { FlashAPI } from "../core/FlashAPI.mjs";
+import { OfflinePlayerManager } from "./roll-menu/OfflinePlayerManager.mjs";
+import { RequestTrackerDialog } from "../ui/dialogs/RequestTrackerDialog.mjs";
+import { ChatMessageManager } from "./ChatMessageManager.mjs";
+import { RollResultsManager } from "./RollResultsManager.mjs";
+
+/**
+ * @typedef {import("./RollRequestManager.mjs").RollRequestData} RollRequestData
+ */
+
+/**
+ * @typedef {Object} TrackedRollRequest
+ * @property {string} requestId - Unique identifier of the request
+ * @property {RollRequestData} requestData - The request data sent to the player
+ * @property {string} userId - ID of the player the request was sent to
+ * @property {string} actorName - Name of the actor at the time of the request
+ * @property {string} actorImg - Image of the actor at the time of the request
+ * @property {number} sentAt - Timestamp of the last time the request was sent
+ * @property {number} reminders - Number of reminders sent to the player
+ * @property {boolean} [timedOut] - Whether the request timeout policy has already been applied
+ */
+
+/**
+ * Keeps track of roll requests sent to players that haven't been rolled yet (GM side)
+ */
+export class RequestTrackerManager {
+  /**
+   * Outstanding requests by request ID
+   * @type {Map<string, TrackedRollRequest>}
+   */
+  static openRequests = new Map();
+
+  /**
+   * Interval checking for timed out and expired requests
+   * @type {number|null}
+   */
+  static checkInterval = null;
+
+  /**
+   * How often timed out and expired requests are checked for, in milliseconds
+   * @type {number}
+   */
+  static CHECK_INTERVAL = 5000;
+
+  /**
+   * Roll types the request timeout applies to
+   * @type {string[]}
+   */
+  static TIMEOUT_ROLL_TYPES = [
+    ROLL_TYPES.SKILL,
+    ROLL_TYPES.ABILITY,
+    ROLL_TYPES.ABILITY_CHECK,
+    ROLL_TYPES.SAVE,
+    ROLL_TYPES.SAVING_THROW,
+    ROLL_TYPES.INITIATIVE,
+    ROLL_TYPES.INITIATIVE_DIALOG,
+    ROLL_TYPES.DEATH_SAVE
+  ];
+
+  /**
+   * Start checking for timed out and expired requests
+   */
+  static initialize() {
+    if (!game.user.isGM || this.checkInterval) return;
+    this.checkInterval = setInterval(() => {
+      this.checkTimedOutRequests();
+      this.checkExpiredRequests();
+    }, this.CHECK_INTERVAL);
+  }
+
+  /**
+   * Send a roll request to a player and start tracking it
+   * @param {User} owner - The player receiving the request
+   * @param {RollRequestData} requestData - The roll request data
+   * @param {Actor} actor - The actor the request is for
+   */
+  static sendRequest(owner, requestData, actor) {
+    requestData.requestId = requestData.requestId || foundry.utils.randomID();
+    this.openRequests.set(requestData.requestId, {
+      requestId: requestData.requestId,
+      requestData,
+      userId: owner.id,
+      actorName: actor?.name || '',
+      actorImg: actor?.img || CONST.DEFAULT_TOKEN,
+      sentAt: Date.now(),
+      reminders: 0
+    });
+    RequestTrackerDialog.refresh();
+
+    return SocketUtil.execForUser(SOCKET_CALLS.handleRollRequest, owner.id, requestData);
+  }
+
+  /**
+   * Stop tracking a request
+   * @param {string} requestId - The request identifier
+   */
+  static remove(requestId) {
+    if (this.openRequests.delete(requestId)) {
+      RequestTrackerDialog.refresh();
+    }
+  }
+
+  /**
+   * Stop tracking the request fulfilled by a roll
+   * @param {Object} match - Identifies the fulfilled request
+   * @param {string} [match.requestId] - The request identifier, if the roll carried it
+   * @param {string} [match.groupRollId] - The group roll the result belongs to
+   * @param {string[]} [match.actorIds] - Actor, token or unique IDs of the actor that rolled
+   */
+  static resolve({ requestId, groupRollId, actorIds = [] }) {
+    if (requestId && this.openRequests.has(requestId)) {
+      this.remove(requestId);
+      return;
+    }
+
+    const entry = this.findRequest(groupRollId, actorIds);
+    if (entry) {
+      LogUtil.log('RequestTrackerManager.resolve - Request fulfilled', [entry.requestId]);
+      this.remove(entry.requestId);
+    }
+  }
+
+  /**
+   * Find the open request sent for an actor of a group roll
+   * @param {string} groupRollId - The group roll the request belongs to
+   * @param {string[]} actorIds - Actor, token or unique IDs of the actor
+   * @returns {TrackedRollRequest|null}
+   */
+  static findRequest(groupRollId, actorIds = []) {
+    if (!groupRollId) return null;
+
+    for (const entry of this.openRequests.values()) {
+      const requestData = entry.requestData;
+      if (requestData.groupRollId === groupRollId &&
+          (actorIds.includes(requestData.actorId) || actorIds.includes(requestData.baseActorId))) {
+        return entry;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Stop tracking the request a roll message was created for
+   * @param {ChatMessage} message - The created chat message
+   */
+  static resolveFromMessage(message) {
+    if (this.openRequests.size === 0 || !message.rolls?.length) return;
+
+    const flags = message.flags?.[MODULE_ID] || {};
+    this.resolve({
+      requestId: flags.requestId,
+      groupRollId: flags.groupRollId,
+      actorIds: [flags.actorUniqueId, message.speaker?.token, message.speaker?.actor].filter(id => id)
+    });
+  }
+
+  /**
+   * Get the actor a tracked request is for
+   * @param {TrackedRollRequest} entry - The tracked request
+   * @returns {Actor|null}
+   */
+  static getActor(entry) {
+    const requestData = entry.requestData;
+    if (requestData.isTokenActor) {
+      return game.scenes.active?.tokens.get(requestData.actorId)?.actor || null;
+    }
+    return game.actors.get(requestData.actorId) || null;
+  }
+
+  /**
+   * Remind the player of a request they haven't rolled yet
+   * @param {string} requestId - The request identifier
+   */
+  static nudge(requestId) {
+    const entry = this.openRequests.get(requestId);
+    if (!entry) return;
+
+    const owner = game.users.get(entry.userId);
+    if (!owner?.active) {
+      FlashAPI.notify('warn', game.i18n.format('FLASH_ROLLS.notifications.playerOffline', { player: owner?.name || '' }));
+      return;
+    }
+
+    entry.reminders++;
+    SocketUtil.execForUser(SOCKET_CALLS.remindRollRequest, owner.id, {
+      requestId,
+      actorName: entry.actorName,
+      rollLabel: getRollTypeDisplay(entry.requestData.rollType, entry.requestData.rollKey),
+      gm: game.user.name
+    });
+    FlashAPI.notify('info', game.i18n.format('FLASH_ROLLS.notifications.rollRequestReminderSent', {
+      player: owner.name,
+      actor: entry.actorName
+    }));
+    RequestTrackerDialog.refresh();
+  }
+
+  /**
+   * Send the request to the player again
+   * @param {string} requestId - The request identifier
+   */
+  static resend(requestId) {
+    const entry = this.openRequests.get(requestId);
+    if (!entry) return;
+
+    const owner = game.users.get(entry.userId);
+    if (!owner?.active) {
+      FlashAPI.notify('warn', game.i18n.format('FLASH_ROLLS.notifications.playerOffline', { player: owner?.name || '' }));
+      return;
+    }
+
+    this.sendRequest(owner, entry.requestData, this.getActor(entry));
+    FlashAPI.notify('info', game.i18n.format('FLASH_ROLLS.notifications.rollRequestSent', {
+      player: owner.name,
+      actor: entry.actorName
+    }));
+  }
+
+  /**
+   * Cancel a request and remove it from the player's pending list
+   * @param {string} requestId - The request identifier
+   * @param {string} [reason] - Localization key of the notification shown to the player
+   */
+  static cancel(requestId, reason = 'FLASH_ROLLS.notifications.rollRequestCancelled') {
+    const entry = this.openRequests.get(requestId);
+    if (!entry) return;
+
+    this.remove(requestId);
+    if (game.users.get(entry.userId)?.active) {
+      SocketUtil.execForUser(SOCKET_CALLS.cancelRollRequest, entry.userId, {
+        requestId,
+        message: game.i18n.format(reason, {
+          actor: entry.actorName,
+          roll: getRollTypeDisplay(entry.requestData.rollType, entry.requestData.rollKey)
+        })
+      });
+    }
+  }
+
+  /**
+   * Cancel the request on the player's side and roll it on the GM's side instead
+   * @param {string} requestId - The request identifier
+   * @param {string} [reason] - Localization key of the notification shown to the player
+   */
+  static async rollLocally(requestId, reason) {
+    const entry = this.openRequests.get(requestId);
+    if (!entry) return;
+
+    const actor = this.getActor(entry);
+    if (!actor) {
+      FlashAPI.notify('warn', game.i18n.localize('FLASH_ROLLS.notifications.actorNotFound'));
+      return;
+    }
+
+    this.cancel(requestId, reason);
+
+    const requestData = entry.requestData;
+    await OfflinePlayerManager.processOfflineActors([actor], requestData.rollType, requestData.rollKey, {
+      ...requestData.rollProcessConfig,
+      groupRollId: requestData.groupRollId
+    });
+  }
+
+  /**
+   * Apply the timeout policy to requests that weren't rolled within the configured time
+   */
+  static checkTimedOutRequests() {
+    if (this.openRequests.size === 0) return;
+
+    const SETTINGS = getSettings();
+    const timeoutSeconds = Number(SettingsUtil.get(SETTINGS.requestTimeoutSeconds.tag)) || 0;
+    if (timeoutSeconds <= 0) return;
+
+    const cutoff = Date.now() - timeoutSeconds * 1000;
+    for (const entry of [...this.openRequests.values()]) {
+      if (entry.timedOut || entry.sentAt > cutoff) continue;
+      if (!this.TIMEOUT_ROLL_TYPES.includes(entry.requestData.rollType?.toLowerCase())) continue;
+
+      this.applyTimeoutPolicy(entry);
+    }
+  }
+
+  /**
+   * Get the timeout policy that can be applied to a request
+   * Failing or dropping needs a group roll card to record the outcome on, and contested rolls need an actual roll,
+   * so those fall back to the GM rolling. Auto-rolling falls back the same way when the player is offline.
+   * @param {TrackedRollRequest} entry - The tracked request
+   * @returns {string} A policy from REQUEST_TIMEOUT_POLICIES
+   */
+  static getTimeoutPolicy(entry) {
+    const SETTINGS = getSettings();
+    const policy = SettingsUtil.get(SETTINGS.requestTimeoutPolicy.tag) || REQUEST_TIMEOUT_POLICIES.GM_ROLL;
+    const groupRollId = entry.requestData.groupRollId;
+
+    if (policy === REQUEST_TIMEOUT_POLICIES.FAIL || policy === REQUEST_TIMEOUT_POLICIES.DROP) {
+      const message = groupRollId ? ChatMessageManager.getGroupRollMessage(groupRollId) : null;
+      const isContested = message?.getFlag(MODULE_ID, 'rollData')?.isContestedRoll;
+      if (!message || isContested) return REQUEST_TIMEOUT_POLICIES.GM_ROLL;
+    }
+
+    if (policy === REQUEST_TIMEOUT_POLICIES.AUTO_ROLL && !game.users.get(entry.userId)?.active) {
+      return REQUEST_TIMEOUT_POLICIES.GM_ROLL;
+    }
+
+    return policy;
+  }
+
+  /**
+   * Resolve a request the player didn't roll in time
+   * @param {TrackedRollRequest} entry - The tracked request
+   */
+  static async applyTimeoutPolicy(entry) {
+    const policy = this.getTimeoutPolicy(entry);
+    const requestData = entry.requestData;
+    entry.timedOut = true;
+
+    LogUtil.log('RequestTrackerManager.applyTimeoutPolicy', [entry.requestId, entry.actorName, policy]);
+    FlashAPI.notify('info', game.i18n.format('FLASH_ROLLS.notifications.rollRequestTimedOutGM', {
+      actor: entry.actorName,
+      player: game.users.get(entry.userId)?.name || '',
+      policy: game.i18n.localize(`FLASH_ROLLS.chat.timedOut.${policy}`)
+    }));
+
+    if (requestData.groupRollId) {
+      await ChatMessageManager.markResultTimedOut({
+        groupRollId: requestData.groupRollId,
+        actorId: requestData.actorId,
+        policy
+      });
+    }
+
+    switch (policy) {
+      case REQUEST_TIMEOUT_POLICIES.AUTO_ROLL:
+        SocketUtil.execForUser(SOCKET_CALLS.timeoutRollRequest, entry.userId, { requestId: entry.requestId });
+        break;
+      case REQUEST_TIMEOUT_POLICIES.GM_ROLL:
+        await this.rollLocally(entry.requestId, 'FLASH_ROLLS.notifications.rollRequestTimedOut');
+        break;
+      default:
+        this.cancel(entry.requestId, 'FLASH_ROLLS.notifications.rollRequestTimedOut');
+    }
+    RequestTrackerDialog.refresh();
+  }
+
+  /**
+   * Cancel requests older than the configured expiry time
+   */
+  static checkExpiredRequests() {
+    if (this.openRequests.size === 0) return;
+
+    const SETTINGS = getSettings();
+    const expiryMinutes = Number(SettingsUtil.get(SETTINGS.requestExpiryMinutes.tag)) || 0;
+
+    if (expiryMinutes > 0) {
+      const cutoff = Date.now() - expiryMinutes * 60000;
+      const expiredGroupRollIds = new Set();
+      for (const entry of [...this.openRequests.values()]) {
+        if (entry.sentAt > cutoff) continue;
+
+        LogUtil.log('RequestTrackerManager.checkExpiredRequests - Request expired', [entry.requestId, entry.actorName]);
+        this.cancel(entry.requestId, 'FLASH_ROLLS.notifications.rollRequestExpired');
+        if (entry.requestData.groupRollId) expiredGroupRollIds.add(entry.requestData.groupRollId);
+        FlashAPI.notify('info', game.i18n.format('FLASH_ROLLS.notifications.rollRequestExpiredGM', {
+          actor: entry.actorName,
+          player: game.users.get(entry.userId)?.name || ''
+        }));
+      }
+
+      const openGroupRollIds = new Set([...this.openRequests.values()].map(entry => entry.requestData.groupRollId));
+      for (const groupRollId of expiredGroupRollIds) {
+        if (!openGroupRollIds.has(groupRollId)) RollResultsManager.markExpired(groupRollId);
+      }
+    }
+
+    RequestTrackerDialog.refresh();
+  }
+}
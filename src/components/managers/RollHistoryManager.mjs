@@ -0,0 +1,422 @@
+import { MODULE_ID } from "../../constants/General.mjs";
+import { getSettings } from "../../constants/Settings.mjs";
+import { getRollTypeDisplay } from "../helpers/Helpers.mjs";
+import { RollHelpers } from "../helpers/RollHelpers.mjs";
+import { LogUtil } from "../utils/LogUtil.mjs";
+import { SettingsUtil } from "../utils/SettingsUtil.mjs";
+import { RollHistoryDialog } from "../ui/dialogs/RollHistoryDialog.mjs";
+import { RollStatsDialog } from "../ui/dialogs/RollStatsDialog.mjs";
+
+/**
+ * @typedef {Object} RollHistoryEntry
+ * @property {string} id - Unique key of the entry (group roll ID and actor, or the roll message ID)
+ * @property {number} timestamp - When the result was recorded
+ * @property {string} date - Session date of the result, as YYYY-MM-DD
+ * @property {string|null} groupRollId - The group roll the result belongs to
+ * @property {string} requestedBy - Name of the user who requested the roll
+ * @property {string} rolledBy - Name of the user who made the roll, if known
+ * @property {string} actorId - ID of the actor that rolled
+ * @property {string} actorName - Name of the actor that rolled
+ * @property {string} rollType - The roll type from ROLL_TYPES
+ * @property {string} rollKey - The roll key (skill, ability, etc.)
+ * @property {string} rollLabel - Display label of the roll
+ * @property {number|null} total - Roll total
+ * @property {number|null} d20 - Natural d20 result kept by the roll
+ * @property {number|null} dc - DC of the request
+ * @property {boolean|null} success - Whether the roll met the DC (or won a contest)
+ * @property {string|null} groupMethod - Label of the group roll method
+ * @property {boolean|null} groupSuccess - Whether the group passed
+ * @property {string} resolution - "rolled", or the timeout policy that resolved the result
+ */
+
+/**
+ * Keeps a persistent history of roll request results so they outlive the chat log (GM side)
+ */
+export class RollHistoryManager {
+  /**
+   * Recorded entries, oldest first
+   * @type {RollHistoryEntry[]|null}
+   */
+  static entries = null;
+
+  /**
+   * Users who rolled group roll results, by group roll ID and actor ID
+   * Filled from the roll messages before the group card is updated, and emptied once the result is recorded
+   * @type {Map<string, string>}
+   */
+  static rolledBy = new Map();
+
+  /**
+   * Pending save timeout
+   * @type {number|null}
+   */
+  static saveTimeout = null;
+
+  /**
+   * When the oldest unsaved result came in, null when everything is saved
+   * @type {number|null}
+   */
+  static pendingSince = null;
+
+  /**
+   * Quiet time before the history is saved, in milliseconds
+   * @type {number}
+   */
+  static SAVE_DELAY = 1000;
+
+  /**
+   * Longest time results stay unsaved while rolls keep coming in, in milliseconds
+   * @type {number}
+   */
+  static SAVE_MAX_WAIT = 5000;
+
+  /**
+   * Columns included in the CSV export, in order
+   * @type {string[]}
+   */
+  static CSV_COLUMNS = [
+    'timestamp', 'date', 'groupRollId', 'requestedBy', 'rolledBy', 'actorName', 'actorId',
+    'rollType', 'rollKey', 'rollLabel', 'total', 'd20', 'dc', 'success', 'groupMethod', 'groupSuccess', 'resolution'
+  ];
+
+  /**
+   * Get the recorded entries, loading them from the world setting on first use
+   * @returns {RollHistoryEntry[]}
+   */
+  static getEntries() {
+    if (!this.entries) {
+      const SETTINGS = getSettings();
+      this.entries = [...(SettingsUtil.get(SETTINGS.rollHistory.tag) || [])];
+    }
+    return this.entries;
+  }
+
+  /**
+   * Maximum number of entries to keep, 0 when the history is disabled
+   * @returns {number}
+   */
+  static getLimit() {
+    const SETTINGS = getSettings();
+    return Number(SettingsUtil.get(SETTINGS.rollHistoryLimit.tag)) || 0;
+  }
+
+  /**
+   * Whether this client records the history
+   * Only the active GM records, so results aren't stored twice
+   * @returns {boolean}
+   */
+  static isRecorder() {
+    return game.user.isGM && game.users.activeGM?.isSelf === true && this.getLimit() > 0;
+  }
+
+  /**
+   * Record a roll message created for a roll request
+   * Results of group rolls are recorded from the group card, so only the roller is noted for those
+   * @param {ChatMessage} message - The created chat message
+   */
+  static recordMessage(message) {
+    if (!this.isRecorder() || !message.rolls?.length) return;
+
+    const flags = message.flags?.[MODULE_ID] || {};
+    if (!flags.isFlashRollRequest) return;
+
+    if (flags.groupRollId) {
+      if (message.speaker?.actor) {
+        this.rolledBy.set(`${flags.groupRollId}:${message.speaker.actor}`, message.author?.name || '');
+      }
+      return;
+    }
+
+    const roll = message.rolls[0];
+    const actor = game.actors.get(message.speaker?.actor);
+    this._upsert({
+      id: message.id,
+      timestamp: message.timestamp || Date.now(),
+      groupRollId: null,
+      requestedBy: game.user.name,
+      rolledBy: message.author?.name || '',
+      actorId: message.speaker?.actor || '',
+      actorName: message.speaker?.alias || actor?.name || '',
+      rollType: flags.rollType || '',
+      rollKey: flags.rollKey || '',
+      total: roll.total ?? null,
+      d20: this.getNaturalD20(roll),
+      dc: null,
+      success: null,
+      groupMethod: null,
+      groupSuccess: null,
+      resolution: 'rolled'
+    });
+  }
+
+  /**
+   * Mirror the settled results of a group roll card to the history
+   * Called whenever the card changes, so later DC changes and group outcomes are kept up to date
+   * @param {ChatMessage} message - The group roll message
+   * @param {Object} flagData - The roll data from message flags
+   */
+  static syncGroupRoll(message, flagData) {
+    if (!this.isRecorder() || !flagData?.results) return;
+
+    const groupRollId = flagData.groupRollId || message.getFlag(MODULE_ID, 'groupRollId');
+    const hasDC = !flagData.isContestedRoll && flagData.showDC && flagData.dc;
+    const groupResult = flagData.isContestedRoll ? flagData.teamResult : flagData.groupResult;
+    const groupSuccess = groupResult?.complete ? groupResult.success === true : null;
+    const groupMethod = flagData.isContestedRoll
+      ? (flagData.teams?.length ? RollHelpers.getGroupMethodLabel(flagData.teamMethod) : null)
+      : (hasDC ? (flagData.groupMethodLabel || RollHelpers.getGroupMethodLabel(flagData.groupMethod)) : null);
+
+    for (const result of flagData.results) {
+      if (!result.rolled) continue;
+
+      let success = null;
+      if (flagData.isContestedRoll) {
+        success = flagData.contestedResult?.complete ? result.isWinner === true : null;
+      } else if (hasDC && !result.dropped) {
+        success = result.success === true;
+      }
+
+      const id = `${groupRollId}:${result.uniqueId || result.actorId}`;
+      const existing = this.getEntries().find(e => e.id === id);
+      this._upsert({
+        id,
+        timestamp: existing?.timestamp || Date.now(),
+        groupRollId,
+        requestedBy: message.author?.name || '',
+        rolledBy: this.rolledBy.get(`${groupRollId}:${result.actorId}`) || existing?.rolledBy || '',
+        actorId: result.actorId,
+        actorName: result.actorName,
+        rollType: result.rollType || flagData.rollType || '',
+        rollKey: result.rollKey || flagData.rollKey || '',
+        total: result.autoFailed || result.dropped ? null : (result.total ?? null),
+        d20: result.roll ? this.getNaturalD20(result.roll) : null,
+        dc: hasDC ? Number(flagData.dc) : null,
+        success,
+        groupMethod,
+        groupSuccess,
+        resolution: result.timedOut ? result.timeoutPolicy : 'rolled'
+      }, false);
+      this.rolledBy.delete(`${groupRollId}:${result.actorId}`);
+    }
+
+    this._scheduleSave();
+  }
+
+  /**
+   * Get the natural d20 result kept by a roll
+   * @param {Roll|Object} roll - The roll, or its serialized data
+   * @returns {number|null} The d20 result, or null if the roll has no d20
+   */
+  static getNaturalD20(roll) {
+    try {
+      const rollInstance = roll instanceof Roll ? roll : Roll.fromData(roll);
+      const d20 = rollInstance.dice.find(die => die.faces === 20);
+      const kept = d20?.results.find(r => r.active !== false && !r.discarded);
+      return kept?.result ?? null;
+    } catch (error) {
+      LogUtil.warn('RollHistoryManager.getNaturalD20 - Could not read roll', [error]);
+      return null;
+    }
+  }
+
+  /**
+   * Get entries matching the given filters, newest first
+   * @param {Object} [filters] - Filters to apply
+   * @param {string} [filters.actorId] - Only entries of this actor
+   * @param {string} [filters.rollType] - Only entries of this roll type
+   * @param {string} [filters.date] - Only entries of this session date (YYYY-MM-DD)
+   * @returns {RollHistoryEntry[]}
+   */
+  static getFilteredEntries({ actorId, rollType, date } = {}) {
+    return this.getEntries()
+      .filter(e => (!actorId || e.actorId === actorId) &&
+        (!rollType || e.rollType === rollType) &&
+        (!date || e.date === date))
+      .sort((a, b) => b.timestamp - a.timestamp);
+  }
+
+  /**
+   * Compute roll statistics for an actor from the recorded history
+   * @param {string} actorId - The actor ID
+   * @returns {Object} Totals, d20 distribution, natural 1/20 counts and per-roll averages and pass rates
+   */
+  static getActorStats(actorId) {
+    const entries = this.getEntries().filter(e => e.actorId === actorId && e.resolution !== 'fail' && e.resolution !== 'drop');
+    const d20Results = entries.map(e => e.d20).filter(d20 => Number.isInteger(d20));
+    const percent = (part, whole) => whole > 0 ? Math.round((part / whole) * 100) : null;
+    const average = (values) => values.length ? Math.round((values.reduce((sum, v) => sum + v, 0) / values.length) * 10) / 10 : null;
+
+    const distribution = Array.from({ length: 20 }, (_, i) => ({
+      face: i + 1,
+      count: d20Results.filter(d20 => d20 === i + 1).length
+    }));
+    const maxCount = Math.max(1, ...distribution.map(d => d.count));
+    distribution.forEach(d => d.height = Math.round((d.count / maxCount) * 100));
+
+    const byRoll = new Map();
+    for (const entry of entries) {
+      const key = `${entry.rollType}:${entry.rollKey}`;
+      if (!byRoll.has(key)) byRoll.set(key, { label: entry.rollLabel, totals: [], passes: 0, attempts: 0 });
+      const rollStats = byRoll.get(key);
+      if (entry.total !== null) rollStats.totals.push(entry.total);
+      if (entry.success !== null && entry.dc !== null) {
+        rollStats.attempts++;
+        if (entry.success) rollStats.passes++;
+      }
+    }
+
+    const rolls = [...byRoll.values()].map(rollStats => ({
+      label: rollStats.label,
+      count: rollStats.totals.length,
+      averageTotal: average(rollStats.totals),
+      passes: rollStats.passes,
+      attempts: rollStats.attempts,
+      passRate: percent(rollStats.passes, rollStats.attempts)
+    })).sort((a, b) => b.count - a.count);
+
+    const attempts = rolls.reduce((sum, r) => sum + r.attempts, 0);
+    const passes = rolls.reduce((sum, r) => sum + r.passes, 0);
+
+    return {
+      rollCount: entries.length,
+      d20Count: d20Results.length,
+      averageD20: average(d20Results),
+      nat20: distribution[19].count,
+      nat1: distribution[0].count,
+      expectedNat: Math.round((d20Results.length / 20) * 10) / 10,
+      distribution,
+      rolls,
+      passes,
+      attempts,
+      passRate: percent(passes, attempts)
+    };
+  }
+
+  /**
+   * Remove all recorded entries
+   */
+  static async clear() {
+    this.entries = [];
+    this.rolledBy.clear();
+    await this.flush();
+    RollHistoryDialog.refresh();
+    RollStatsDialog.refresh();
+  }
+
+  /**
+   * Download entries as a JSON file
+   * @param {RollHistoryEntry[]} entries - The entries to export
+   */
+  static exportJSON(entries) {
+    foundry.utils.saveDataToFile(JSON.stringify(entries, null, 2), 'application/json', `${this._getExportName()}.json`);
+  }
+
+  /**
+   * Download entries as a CSV file
+   * @param {RollHistoryEntry[]} entries - The entries to export
+   */
+  static exportCSV(entries) {
+    const escape = (value) => {
+      if (value === null || value === undefined) return '';
+      const text = String(value);
+      return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    const rows = entries.map(entry => this.CSV_COLUMNS.map(column => {
+      return column === 'timestamp' ? escape(new Date(entry.timestamp).toISOString()) : escape(entry[column]);
+    }).join(','));
+
+    const csv = [this.CSV_COLUMNS.join(','), ...rows].join('\n');
+    foundry.utils.saveDataToFile(csv, 'text/csv', `${this._getExportName()}.csv`);
+  }
+
+  /**
+   * Format a timestamp as a session date
+   * @param {number} timestamp - The timestamp
+   * @returns {string} Local date as YYYY-MM-DD
+   */
+  static formatDate(timestamp) {
+    const date = new Date(timestamp);
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+  }
+
+  /**
+   * Add or replace an entry
+   * @param {Object} data - Entry data without the derived fields
+   * @param {boolean} [save=true] - Whether to save right away
+   * @private
+   */
+  static _upsert(data, save = true) {
+    const entries = this.getEntries();
+    const entry = {
+      ...data,
+      date: this.formatDate(data.timestamp),
+      rollLabel: getRollTypeDisplay(data.rollType, data.rollKey)
+    };
+
+    const index = entries.findIndex(e => e.id === entry.id);
+    if (index === -1) {
+      entries.push(entry);
+    } else {
+      entries[index] = entry;
+    }
+
+    const limit = this.getLimit();
+    if (entries.length > limit) {
+      entries.splice(0, entries.length - limit);
+    }
+
+    if (save) this._scheduleSave();
+  }
+
+  /**
+   * Save any pending results right away
+   */
+  static async flush() {
+    if (this.saveTimeout) {
+      clearTimeout(this.saveTimeout);
+      this.saveTimeout = null;
+    }
+    this.pendingSince = null;
+    await this._save();
+  }
+
+  /**
+   * Save the history shortly, so several results arriving together are saved at once
+   * While rolls keep coming in, the save still happens within SAVE_MAX_WAIT of the oldest unsaved result
+   * @private
+   */
+  static _scheduleSave() {
+    if (this.saveTimeout) clearTimeout(this.saveTimeout);
+    if (this.pendingSince === null) this.pendingSince = Date.now();
+
+    const delay = Math.min(this.SAVE_DELAY, Math.max(0, this.pendingSince + this.SAVE_MAX_WAIT - Date.now()));
+    this.saveTimeout = setTimeout(() => {
+      this.flush();
+      RollHistoryDialog.refresh();
+      RollStatsDialog.refresh();
+    }, delay);
+  }
+
+  /**
+   * Save the history to the world setting
+   * @private
+   */
+  static async _save() {
+    const SETTINGS = getSettings();
+    try {
+      await SettingsUtil.set(SETTINGS.rollHistory.tag, this.getEntries());
+    } catch (error) {
+      LogUtil.error('RollHistoryManager._save - Could not save roll history', [error]);
+    }
+  }
+
+  /**
+   * Get the base file name for exports
+   * @returns {string}
+   * @private
+   */
+  static _getExportName() {
+    return `flash-rolls-history-${this.formatDate(Date.now())}`;
+  }
+}
@@ -0,0 +1,234 @@
+import { MODULE_ID, ROLL_OUTCOME_TYPES, ROLL_OUTCOME_SCOPES } from "../../constants/General.mjs";
+import { getActorData, getRollTypeDisplay } from "../helpers/Helpers.mjs";
+import { LogUtil } from "../utils/LogUtil.mjs";
+import { FlashAPI } from "../core/FlashAPI.mjs";
+import { RollMenuStatusManager } from "./roll-menu/RollMenuStatusManager.mjs";
+
+/**
+ * @typedef {Object} RollOutcomeAction
+ * @property {string} type - One of ROLL_OUTCOME_TYPES
+ * @property {string} [statusId] - Status effect to apply, for the status type
+ * @property {string} [formula] - Damage formula, for the damage type
+ * @property {string} [damageType] - Damage type, for the damage type
+ * @property {number} [multiplier=1] - Multiplier applied to the damage total, e.g. 0.5 for half damage
+ * @property {string} [macro] - UUID, ID or name of the macro to run, for the macro type
+ * @property {string} [requestType] - Roll request options, for the request type, as accepted by FlashAPI.requestRoll
+ */
+
+/**
+ * @typedef {Object} RollOutcomes
+ * @property {string} [scope='actor'] - 'actor' to act on each actor by their own result, 'group' to act on every actor by the group result
+ * @property {RollOutcomeAction[]} failure - Actions for actors that failed
+ * @property {RollOutcomeAction[]} success - Actions for actors that succeeded
+ */
+
+/**
+ * Applies the outcome actions attached to a roll request once its group roll card has every result
+ */
+export class RollOutcomeManager {
+
+  /**
+   * Clean up the outcomes passed with a roll request, so they can be stored on the group roll card
+   * @param {Object} outcomes - Outcomes as passed to FlashAPI.requestRoll
+   * @returns {RollOutcomes|null} The normalized outcomes, or null if there are no valid actions
+   */
+  static normalize(outcomes) {
+    if (!outcomes || typeof outcomes !== 'object') return null;
+
+    const validTypes = Object.values(ROLL_OUTCOME_TYPES);
+    const toActions = (actions) => [].concat(actions || []).filter(action => {
+      if (validTypes.includes(action?.type)) return true;
+      LogUtil.warn('RollOutcomeManager.normalize - Ignoring unknown outcome action', [action]);
+      return false;
+    });
+
+    const normalized = {
+      scope: outcomes.scope === ROLL_OUTCOME_SCOPES.GROUP ? ROLL_OUTCOME_SCOPES.GROUP : ROLL_OUTCOME_SCOPES.ACTOR,
+      failure: toActions(outcomes.failure),
+      success: toActions(outcomes.success)
+    };
+
+    return normalized.failure.length || normalized.success.length ? normalized : null;
+  }
+
+  /**
+   * Apply the outcomes of a completed group roll, once per card
+   * Called by the GM holding the pending roll data, which may not be the active GM
+   * @param {ChatMessage} message - The group roll message
+   * @param {Object} flagData - The roll data from message flags
+   */
+  static async applyOutcomes(message, flagData) {
+    if (!game.user.isGM) return;
+    if (!flagData?.outcomes || flagData.outcomesApplied || flagData.isContestedRoll) return;
+
+    if (!flagData.dc) {
+      LogUtil.log('RollOutcomeManager.applyOutcomes - No DC, outcomes skipped', [flagData.groupRollId]);
+      return;
+    }
+
+    await message.update({ [`flags.${MODULE_ID}.rollData.outcomesApplied`]: true });
+
+    const { failed, passed } = this.getTargets(flagData);
+    LogUtil.log('RollOutcomeManager.applyOutcomes', [flagData.groupRollId, 'failed:', failed, 'passed:', passed]);
+
+    const context = {
+      groupRollId: flagData.groupRollId,
+      rollLabel: getRollTypeDisplay(flagData.rollType, flagData.rollKey),
+      groupResult: flagData.groupResult || null,
+      damageRolls: new Map()
+    };
+
+    await this._runActions(flagData.outcomes.failure, failed, 'failure', context);
+    await this._runActions(flagData.outcomes.success, passed, 'success', context);
+  }
+
+  /**
+   * Split the actors of a completed group roll into those that failed and those that passed
+   * With the group scope every actor follows the group result, and nobody is targeted without one
+   * @param {Object} flagData - The roll data from message flags
+   * @returns {{failed: string[], passed: string[]}} Actor or token IDs
+   */
+  static getTargets(flagData) {
+    const results = flagData.results.filter(result => !result.dropped);
+    const getId = result => result.tokenId || result.uniqueId || result.actorId;
+
+    if (flagData.outcomes.scope === ROLL_OUTCOME_SCOPES.GROUP) {
+      if (!flagData.groupResult) {
+        LogUtil.log('RollOutcomeManager.getTargets - No group result, group outcomes skipped', [flagData.groupRollId]);
+        return { failed: [], passed: [] };
+      }
+      const ids = results.map(getId);
+      const groupSuccess = !!flagData.groupResult?.success;
+      return { failed: groupSuccess ? [] : ids, passed: groupSuccess ? ids : [] };
+    }
+
+    return {
+      failed: results.filter(result => result.failure || result.autoFailed).map(getId),
+      passed: results.filter(result => result.success).map(getId)
+    };
+  }
+
+  /**
+   * Run a list of outcome actions for a set of actors
+   * @param {RollOutcomeAction[]} actions - The actions to run
+   * @param {string[]} actorIds - Actor or token IDs the actions apply to
+   * @param {string} outcome - 'failure' or 'success'
+   * @param {Object} context - Details of the completed group roll, shared by every action
+   * @private
+   */
+  static async _runActions(actions, actorIds, outcome, context) {
+    if (!actions?.length || actorIds.length === 0) return;
+
+    for (const action of actions) {
+      try {
+        switch (action.type) {
+          case ROLL_OUTCOME_TYPES.STATUS:
+            await this._applyStatus(action, actorIds);
+            break;
+          case ROLL_OUTCOME_TYPES.DAMAGE:
+            await this._applyDamage(action, actorIds, context);
+            break;
+          case ROLL_OUTCOME_TYPES.REQUEST:
+            await this._requestFollowUp(action, actorIds);
+            break;
+          case ROLL_OUTCOME_TYPES.MACRO:
+            await this._runMacro(action, actorIds, outcome, context);
+            break;
+        }
+      } catch (error) {
+        LogUtil.error('RollOutcomeManager._runActions - Action failed', [action, error]);
+        FlashAPI.notify('error', game.i18n.format("FLASH_ROLLS.notifications.outcomeFailed", { type: action.type }));
+      }
+    }
+  }
+
+  /**
+   * Apply a status effect to the actors
+   * @param {RollOutcomeAction} action - The status action
+   * @param {string[]} actorIds - Actor or token IDs
+   * @private
+   */
+  static async _applyStatus(action, actorIds) {
+    const statusEffect = CONFIG.statusEffects.find(effect => effect.id === action.statusId);
+    if (!statusEffect) {
+      FlashAPI.notify('warn', game.i18n.format("FLASH_ROLLS.notifications.outcomeStatusNotFound", { status: action.statusId }));
+      return;
+    }
+
+    for (const uniqueId of actorIds) {
+      const actor = getActorData(uniqueId);
+      if (actor) await RollMenuStatusManager.applyStatusToActor(statusEffect, actor);
+    }
+  }
+
+  /**
+   * Roll damage once and apply it to the actors
+   * The same formula and damage type is only rolled once per group roll, so failures and successes can share it (e.g. half damage on a success)
+   * @param {RollOutcomeAction} action - The damage action
+   * @param {string[]} actorIds - Actor or token IDs
+   * @param {Object} context - Details of the completed group roll
+   * @private
+   */
+  static async _applyDamage(action, actorIds, context) {
+    const rollKey = `${action.formula}|${action.damageType || ''}`;
+    let roll = context.damageRolls.get(rollKey);
+
+    if (!roll) {
+      roll = await new Roll(action.formula).evaluate();
+      context.damageRolls.set(rollKey, roll);
+      const damageLabel = CONFIG.DND5E.damageTypes[action.damageType]?.label || '';
+      await roll.toMessage({
+        flavor: game.i18n.format("FLASH_ROLLS.chat.outcomeDamage", { roll: context.rollLabel, type: damageLabel }).trim(),
+        speaker: ChatMessage.getSpeaker({ user: game.user })
+      });
+    }
+
+    const multiplier = Number(action.multiplier ?? 1);
+    const value = Math.floor(roll.total * (Number.isNaN(multiplier) ? 1 : multiplier));
+    if (value <= 0) return;
+
+    for (const uniqueId of actorIds) {
+      const actor = getActorData(uniqueId);
+      if (!actor?.applyDamage) continue;
+      await actor.applyDamage([{ value, type: action.damageType }]);
+    }
+  }
+
+  /**
+   * Request a follow-up roll from the actors
+   * @param {RollOutcomeAction} action - The request action, with the roll request options
+   * @param {string[]} actorIds - Actor or token IDs
+   * @private
+   */
+  static async _requestFollowUp(action, actorIds) {
+    const { type, ...requestOptions } = action;
+    await FlashAPI.requestRoll({ ...requestOptions, actorIds });
+  }
+
+  /**
+   * Run a macro with the outcome details
+   * The macro receives actorIds, outcome, groupRollId and groupResult as arguments
+   * @param {RollOutcomeAction} action - The macro action
+   * @param {string[]} actorIds - Actor or token IDs
+   * @param {string} outcome - 'failure' or 'success'
+   * @param {Object} context - Details of the completed group roll
+   * @private
+   */
+  static async _runMacro(action, actorIds, outcome, context) {
+    const macro = (action.macro?.includes('.') ? await fromUuid(action.macro) : null)
+      || game.macros.get(action.macro)
+      || game.macros.getName(action.macro);
+
+    if (!macro) {
+      FlashAPI.notify('warn', game.i18n.format("FLASH_ROLLS.notifications.outcomeMacroNotFound", { macro: action.macro }));
+      return;
+    }
+
+    await macro.execute({
+      actorIds,
+      outcome,
+      groupRollId: context.groupRollId,
+      groupResult: context.groupResult
+    });
+  }
+}
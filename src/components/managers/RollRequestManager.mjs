@@ -1,4 +1,4 @@
-import { MODULE_ID, ROLL_TYPES } from "../../constants/General.mjs";
+import { MODULE_ID, ROLL_TYPES, SOCKET_CALLS } from "../../constants/General.mjs";
 import { getRollTypeDisplay, applyTargetTokens, NotificationManager } from "../helpers/Helpers.mjs";
 import { RollHandlers } from "../handlers/RollHandlers.mjs";
 import { LogUtil } from "../utils/LogUtil.mjs";
@@ -8,6 +8,8 @@ import { GeneralUtil } from "../utils/GeneralUtil.mjs";
 import { RollHelpers } from "../helpers/RollHelpers.mjs";
 import { DiceConfigUtil } from "../utils/DiceConfigUtil.mjs";
 import { ModuleHelpers } from "../helpers/ModuleHelpers.mjs";
+import { SocketUtil } from "../utils/SocketUtil.mjs";
+import { PendingRequestsDialog } from "../ui/dialogs/PendingRequestsDialog.mjs";
 
 /**
  * @typedef {Object} RollRequestData
@@ -23,6 +25,13 @@ import { ModuleHelpers } from "../helpers/ModuleHelpers.mjs";
  * @property {boolean} preserveTargets - Whether to apply GM's targets to the player
  */
 
+/**
+ * @typedef {Object} PendingRollRequest
+ * @property {string} requestId - Unique identifier of the request
+ * @property {RollRequestData} requestData - The roll request data as received from the GM
+ * @property {number} receivedAt - Timestamp of when the request was received
+ */
+
 /**
  * Handles roll requests from GM to players
  */
@@ -65,29 +74,56 @@ export class RollRequestManager {
   static autoRolledActors = new Set();
 
   /**
-   * Handle roll request from GM on player side
+   * Roll requests waiting for this player, in the order they will be rolled
+   * Mirrored to a user flag so they survive a reload or reconnect
+   * @type {PendingRollRequest[]}
+   */
+  static pendingRequests = [];
+
+  /**
+   * Request ID of the roll currently being processed from the queue
+   * @type {string|null}
+   */
+  static activeRequestId = null;
+
+  /**
+   * Resolve the actor a roll request is addressed to
    * @param {RollRequestData} requestData - The roll request data
+   * @returns {Actor|null} The actor, or null if it can't be found or isn't owned by this user
    */
-  static async handleRequest(requestData) {
-    const isMidiRequest = GeneralUtil.isModuleOn('midi-qol');
-    LogUtil.log('handleRequest', [requestData]);
-    if (game.user.isGM) return;
-    
+  static getRequestActor(requestData) {
     let actor;
     if (requestData.isTokenActor) {
       const tokenDoc = game.scenes.active?.tokens.get(requestData.actorId);
       actor = tokenDoc?.actor;
       if (!actor) {
         LogUtil.warn('Token actor not found:', requestData.actorId);
-        return;
+        return null;
       }
     } else {
       actor = game.actors.get(requestData.actorId);
     }
-    
+
     if (!actor || !actor.isOwner) {
+      return null;
+    }
+    return actor;
+  }
+
+  /**
+   * Handle roll request from GM on player side
+   * @param {RollRequestData} requestData - The roll request data
+   */
+  static async handleRequest(requestData) {
+    const isMidiRequest = GeneralUtil.isModuleOn('midi-qol');
+    LogUtil.log('handleRequest', [requestData]);
+    if (game.user.isGM) return;
+    
+    const actor = this.getRequestActor(requestData);
+    if (!actor) {
       return;
     }
+    requestData.requestId = requestData.requestId || foundry.utils.randomID();
     
     if (requestData.preserveTargets && 
       requestData.targetTokenIds?.length > 0 
@@ -126,7 +162,12 @@ export class RollRequestManager {
       }
     });
     
-    this.rollQueue.push({ actor, requestData });
+    const isQueued = this.activeRequestId === requestData.requestId ||
+      this.rollQueue.some(item => item.requestData.requestId === requestData.requestId);
+    if (!isQueued) {
+      this.rollQueue.push({ actor, requestData });
+    }
+    await this.addPendingRequest(requestData);
 
     if (!this.isProcessingRoll) {
       this.isProcessingRoll = true;
@@ -147,6 +188,8 @@ export class RollRequestManager {
     }
 
     const { actor, requestData } = this.rollQueue.shift();
+    this.activeRequestId = requestData.requestId;
+    PendingRequestsDialog.refresh();
 
     LogUtil.log('processNextRoll - Processing', [actor.name, requestData.rollType, this.rollQueue.length, 'remaining']);
 
@@ -159,6 +202,7 @@ export class RollRequestManager {
       this.executePlayerRollRequest(actor, requestData).catch(error => {
         LogUtil.error('Error processing roll request:', [error]);
       });
+      this.activeRequestId = null;
       this.processNextRoll();
       return;
     }
@@ -169,6 +213,8 @@ export class RollRequestManager {
       LogUtil.error('Error processing roll request:', [error]);
     }
 
+    this.activeRequestId = null;
+    PendingRequestsDialog.refresh();
     this.processNextRoll();
   }
 
@@ -186,7 +232,241 @@ export class RollRequestManager {
       this.cancelAutoRollTimeout(actorUniqueId);
     }
   }
-  
+
+  /**
+   * Add a request to the pending list and persist it
+   * @param {RollRequestData} requestData - The roll request data
+   */
+  static async addPendingRequest(requestData) {
+    if (this.pendingRequests.some(entry => entry.requestId === requestData.requestId)) return;
+
+    this.pendingRequests.push({
+      requestId: requestData.requestId,
+      requestData: foundry.utils.deepClone(requestData),
+      receivedAt: Date.now()
+    });
+    await this._savePendingRequests();
+
+    if (this.pendingRequests.length > 1) {
+      PendingRequestsDialog.show();
+    } else {
+      PendingRequestsDialog.refresh();
+    }
+  }
+
+  /**
+   * Remove a request from the pending list and persist the change
+   * @param {string} requestId - The request identifier
+   */
+  static async removePendingRequest(requestId) {
+    const index = this.pendingRequests.findIndex(entry => entry.requestId === requestId);
+    if (index === -1) return;
+
+    this.pendingRequests.splice(index, 1);
+    this.rollQueue = this.rollQueue.filter(item => item.requestData.requestId !== requestId);
+    await this._savePendingRequests();
+    PendingRequestsDialog.refresh();
+  }
+
+  /**
+   * Write the pending list to the user flag
+   * @private
+   */
+  static async _savePendingRequests() {
+    try {
+      await game.user.setFlag(MODULE_ID, 'pendingRollRequests', this.pendingRequests);
+    } catch (error) {
+      LogUtil.error('_savePendingRequests - Failed to persist pending requests', [error]);
+    }
+  }
+
+  /**
+   * Restore pending requests saved before a reload or disconnect
+   * Requests whose group roll was already resolved or removed are discarded, the others are queued again
+   */
+  static async restorePendingRequests() {
+    if (game.user.isGM) return;
+
+    const stored = game.user.getFlag(MODULE_ID, 'pendingRollRequests') || [];
+    this.pendingRequests = stored.filter(entry =>
+      entry?.requestData && this.getRequestActor(entry.requestData) && !this._isRequestResolved(entry.requestData)
+    );
+    LogUtil.log('restorePendingRequests', [stored.length, 'stored', this.pendingRequests.length, 'restored']);
+
+    if (this.pendingRequests.length !== stored.length) {
+      await this._savePendingRequests();
+    }
+
+    if (this.pendingRequests.length > 0) {
+      NotificationManager.notify('info', game.i18n.format('FLASH_ROLLS.notifications.pendingRequestsRestored', {
+        count: this.pendingRequests.length
+      }));
+      PendingRequestsDialog.show();
+    }
+
+    for (const entry of this.pendingRequests) {
+      const isQueued = this.activeRequestId === entry.requestId ||
+        this.rollQueue.some(item => item.requestData.requestId === entry.requestId);
+      if (!isQueued) {
+        this.rollQueue.push({ actor: this.getRequestActor(entry.requestData), requestData: entry.requestData });
+      }
+    }
+
+    if (this.rollQueue.length > 0 && !this.isProcessingRoll) {
+      this.isProcessingRoll = true;
+      this.processNextRoll();
+    }
+  }
+
+  /**
+   * Check whether the group roll a request belongs to no longer needs this roll
+   * @param {RollRequestData} requestData - The roll request data
+   * @returns {boolean} True if the group card is gone or already has a result for the actor
+   * @private
+   */
+  static _isRequestResolved(requestData) {
+    if (!requestData.groupRollId) return false;
+
+    const message = game.messages.contents.find(m =>
+      m.getFlag(MODULE_ID, 'groupRollId') === requestData.groupRollId &&
+      m.getFlag(MODULE_ID, 'isGroupRoll')
+    );
+    if (!message) return true;
+
+    const results = message.getFlag(MODULE_ID, 'rollData')?.results || [];
+    const result = results.find(r =>
+      r.uniqueId === requestData.actorId || r.tokenId === requestData.actorId || r.actorId === requestData.actorId
+    );
+    return !result || result.rolled === true;
+  }
+
+  /**
+   * Remove the pending request fulfilled by a roll message about to be created
+   * Matches by request ID first, then by actor and group roll for rolls made outside the request dialog
+   * @param {Object} data - Chat message creation data
+   */
+  static resolvePendingRequest(data) {
+    if (this.pendingRequests.length === 0) return;
+
+    const flags = data.flags?.[MODULE_ID] || {};
+    const speaker = data.speaker || {};
+    const actorIds = [flags.actorUniqueId, speaker.token, speaker.actor].filter(id => id);
+
+    const entry = this.pendingRequests.find(e => flags.requestId && e.requestId === flags.requestId) ||
+      this.pendingRequests.find(e => {
+        const request = e.requestData;
+        if (!actorIds.includes(request.actorId)) return false;
+        if (request.groupRollId) return flags.groupRollId === request.groupRollId;
+        return flags.isFlashRollRequest === true && flags.rollType === request.rollType;
+      });
+
+    if (entry) {
+      LogUtil.log('resolvePendingRequest - Request fulfilled', [entry.requestId]);
+      this.removePendingRequest(entry.requestId);
+    }
+  }
+
+  /**
+   * Show a reminder from the GM about a request that hasn't been rolled yet
+   * @param {Object} reminderData - Request details sent by the GM
+   * @param {string} reminderData.actorName - Name of the actor
+   * @param {string} reminderData.rollLabel - Display name of the roll
+   * @param {string} reminderData.gm - Name of the GM
+   */
+  static onRequestReminder({ actorName, rollLabel, gm }) {
+    if (game.user.isGM) return;
+    NotificationManager.notify('info', game.i18n.format('FLASH_ROLLS.notifications.rollRequestReminder', {
+      gm,
+      actor: actorName,
+      roll: rollLabel
+    }));
+    PendingRequestsDialog.show();
+  }
+
+  /**
+   * Drop a request cancelled by the GM
+   * @param {Object} cancelData - Cancellation details sent by the GM
+   * @param {string} cancelData.requestId - The request identifier
+   * @param {string} cancelData.message - Localized message to show the player
+   */
+  static async onRequestCancelled({ requestId, message }) {
+    if (game.user.isGM) return;
+    const entry = this.pendingRequests.find(e => e.requestId === requestId);
+    if (!entry) return;
+
+    this.cancelAutoRollTimeout(entry.requestData.actorId);
+    await this.removePendingRequest(requestId);
+    if (message) NotificationManager.notify('info', message);
+  }
+
+  /**
+   * Roll a pending request right away, regardless of its position in the queue
+   * @param {string} requestId - The request identifier
+   */
+  static async rollPendingRequest(requestId) {
+    const entry = this.pendingRequests.find(e => e.requestId === requestId);
+    if (!entry || this.activeRequestId === requestId) return;
+
+    const actor = this.getRequestActor(entry.requestData);
+    if (!actor) {
+      NotificationManager.notify('warn', game.i18n.localize('FLASH_ROLLS.notifications.pendingRequestActorMissing'));
+      await this.removePendingRequest(requestId);
+      return;
+    }
+
+    this.rollQueue = this.rollQueue.filter(item => item.requestData.requestId !== requestId);
+    await this.executePlayerRollRequest(actor, entry.requestData);
+  }
+
+  /**
+   * Move a pending request up or down the list, keeping the roll queue in the same order
+   * @param {string} requestId - The request identifier
+   * @param {number} offset - Positions to move, negative to move up
+   */
+  static async movePendingRequest(requestId, offset) {
+    const index = this.pendingRequests.findIndex(e => e.requestId === requestId);
+    const newIndex = index + offset;
+    if (index === -1 || newIndex < 0 || newIndex >= this.pendingRequests.length) return;
+
+    const [entry] = this.pendingRequests.splice(index, 1);
+    this.pendingRequests.splice(newIndex, 0, entry);
+
+    const order = this.pendingRequests.map(e => e.requestId);
+    this.rollQueue.sort((a, b) => order.indexOf(a.requestData.requestId) - order.indexOf(b.requestData.requestId));
+
+    await this._savePendingRequests();
+    PendingRequestsDialog.refresh();
+  }
+
+  /**
+   * Decline a pending request and report it to the GM
+   * @param {string} requestId - The request identifier
+   */
+  static async declinePendingRequest(requestId) {
+    const entry = this.pendingRequests.find(e => e.requestId === requestId);
+    if (!entry) return;
+
+    const requestData = entry.requestData;
+    const actor = this.getRequestActor(requestData);
+    this.cancelAutoRollTimeout(requestData.actorId);
+
+    if (actor && requestData.groupRollId && actor.getFlag(MODULE_ID, 'tempGroupRollId') === requestData.groupRollId) {
+      await actor.unsetFlag(MODULE_ID, 'tempGroupRollId');
+    }
+
+    await this.removePendingRequest(requestId);
+
+    SocketUtil.execForGMs(SOCKET_CALLS.declineRollRequest, {
+      requestId,
+      groupRollId: requestData.groupRollId || null,
+      actorId: requestData.actorId,
+      actorName: actor?.name || '',
+      rollType: requestData.rollType,
+      rollKey: requestData.rollKey,
+      userName: game.user.name
+    });
+  }
+
   /**
    * Execute a roll request received by a player
    * @param {Actor} actor - The actor performing the roll
@@ -219,49 +499,16 @@ export class RollRequestManager {
           LogUtil.log('executePlayerRollRequest - Set tempGroupRollId for manual roll interception', [requestData.groupRollId, actor.name]);
         }
 
-        const actorUniqueId = requestData.isTokenActor ? requestData.actorId : actor.id;
         const timeoutSeconds = this.getMidiPlayerSaveTimeout();
         const hasWorkflow = requestData.fromMidiWorkflow || requestData.rollProcessConfig?.midiOptions?.workflowId;
         if (normalizedRollType === ROLL_TYPES.SAVE && timeoutSeconds > 0 && hasWorkflow) {
           LogUtil.log('executePlayerRollRequest - Setting up auto-roll for showRequestPrompt disabled', [actor.name, timeoutSeconds]);
-          const rollConfig = requestData.rollProcessConfig.rolls?.[0] || { parts: [], data: {}, options: {} };
-          const rollModeFromGM = requestData.rollProcessConfig.rollMode;
-          const defaultRollMode = game.settings.get("core", "rollMode");
-          const finalRollMode = rollModeFromGM || defaultRollMode;
-          const rollMetadata = {
-            [MODULE_ID]: {
-              isFlashRollRequest: true,
-              rollType: requestData.rollType,
-              rollKey: requestData.rollKey,
-              actorUniqueId: actorUniqueId,
-              fromMidiWorkflow: requestData.fromMidiWorkflow || false
-            }
-          };
-          const speaker = ChatMessage.getSpeaker({ actor });
-          const messageConfig = {
-            rollMode: finalRollMode,
-            create: requestData.rollProcessConfig.chatMessage !== false,
-            flags: rollMetadata,
-            data: { speaker },
-            messageData: { speaker, flags: rollMetadata }
-          };
-          const handlerRequestData = {
-            rollKey: requestData.rollKey,
-            activityId: requestData.activityId,
-            config: requestData.rollProcessConfig,
-            groupRollId: requestData.groupRollId
-          };
+          const { actorUniqueId, handlerRequestData, rollConfig, messageConfig } = this._buildRollContext(actor, requestData);
           this.setupAutoRollTimeout(actor, requestData, actorUniqueId, handlerRequestData, rollConfig, messageConfig);
         }
         return;
       }
 
-      const rollConfig = requestData.rollProcessConfig.rolls?.[0] || {
-        parts: [],
-        data: {},
-        options: {}
-      };
-
       const skipToRollResolver = SettingsUtil.get(SETTINGS.skipToRollResolver.tag);
       const hasNonDigitalDice = skipToRollResolver && DiceConfigUtil.hasNonDigitalDice();
 
@@ -269,41 +516,7 @@ export class RollRequestManager {
         configure: !hasNonDigitalDice
       };
 
-      const rollModeFromGM = requestData.rollProcessConfig.rollMode;
-      const defaultRollMode = game.settings.get("core", "rollMode");
-      const finalRollMode = rollModeFromGM || defaultRollMode;
-
-      const actorUniqueId = requestData.isTokenActor ? requestData.actorId : actor.id;
-      const rollMetadata = {
-        [MODULE_ID]: {
-          isFlashRollRequest: true,
-          rollType: requestData.rollType,
-          rollKey: requestData.rollKey,
-          actorUniqueId: actorUniqueId,
-          fromMidiWorkflow: requestData.fromMidiWorkflow || false
-        }
-      };
-
-      const speaker = ChatMessage.getSpeaker({ actor });
-      const messageConfig = {
-        rollMode: finalRollMode,
-        create: requestData.rollProcessConfig.chatMessage !== false,
-        flags: rollMetadata,
-        data: {
-          speaker
-        },
-        messageData: {
-          speaker,
-          flags: rollMetadata
-        }
-      };
-
-      const handlerRequestData = {
-        rollKey: requestData.rollKey,
-        activityId: requestData.activityId,
-        config: requestData.rollProcessConfig,
-        groupRollId: requestData.groupRollId
-      };
+      const { actorUniqueId, handlerRequestData, rollConfig, messageConfig } = this._buildRollContext(actor, requestData);
 
       const handler = RollHandlers[normalizedRollType];
 
@@ -327,6 +540,120 @@ export class RollRequestManager {
     }
   }
 
+  /**
+   * Build the handler arguments for rolling a request
+   * @param {Actor} actor - The actor performing the roll
+   * @param {RollRequestData} requestData - The roll request data from GM
+   * @returns {{actorUniqueId: string, handlerRequestData: Object, rollConfig: Object, messageConfig: Object}}
+   */
+  static _buildRollContext(actor, requestData) {
+    const rollConfig = requestData.rollProcessConfig.rolls?.[0] || {
+      parts: [],
+      data: {},
+      options: {}
+    };
+
+    const rollModeFromGM = requestData.rollProcessConfig.rollMode;
+    const defaultRollMode = game.settings.get("core", "rollMode");
+    const finalRollMode = rollModeFromGM || defaultRollMode;
+
+    const actorUniqueId = requestData.isTokenActor ? requestData.actorId : actor.id;
+    const rollMetadata = {
+      [MODULE_ID]: {
+        isFlashRollRequest: true,
+        rollType: requestData.rollType,
+        rollKey: requestData.rollKey,
+        actorUniqueId: actorUniqueId,
+        requestId: requestData.requestId,
+        fromMidiWorkflow: requestData.fromMidiWorkflow || false
+      }
+    };
+
+    const speaker = ChatMessage.getSpeaker({ actor });
+    const messageConfig = {
+      rollMode: finalRollMode,
+      create: requestData.rollProcessConfig.chatMessage !== false,
+      flags: rollMetadata,
+      data: {
+        speaker
+      },
+      messageData: {
+        speaker,
+        flags: rollMetadata
+      }
+    };
+
+    const handlerRequestData = {
+      rollKey: requestData.rollKey,
+      activityId: requestData.activityId,
+      config: requestData.rollProcessConfig,
+      groupRollId: requestData.groupRollId
+    };
+
+    return { actorUniqueId, handlerRequestData, rollConfig, messageConfig };
+  }
+
+  /**
+   * Roll a pending request without prompting, after the GM's request timeout ran out
+   * Skipped while the request's roll dialog is open, so the player's roll isn't doubled
+   * @param {string} requestId - The request identifier
+   */
+  static async autoRollRequest(requestId) {
+    if (game.user.isGM) return;
+    const entry = this.pendingRequests.find(e => e.requestId === requestId);
+    if (!entry) {
+      LogUtil.log('autoRollRequest - Request no longer pending', [requestId]);
+      return;
+    }
+    if (this.activeRequestId === requestId) {
+      LogUtil.log('autoRollRequest - Request is being rolled, auto-roll skipped', [requestId]);
+      return;
+    }
+
+    const actor = this.getRequestActor(entry.requestData);
+    const handler = RollHandlers[entry.requestData.rollType?.toLowerCase()];
+    if (!actor || !handler) {
+      await this.removePendingRequest(requestId);
+      return;
+    }
+
+    const { actorUniqueId, handlerRequestData, rollConfig, messageConfig } = this._buildRollContext(actor, entry.requestData);
+    this.rollQueue = this.rollQueue.filter(item => item.requestData.requestId !== requestId);
+    this.cancelAutoRollTimeout(actorUniqueId);
+
+    await this._executeAutoRoll(actor, actorUniqueId, handler, handlerRequestData, rollConfig, messageConfig,
+      'FLASH_ROLLS.notifications.requestTimeoutAutoRoll');
+  }
+
+  /**
+   * Roll for an actor without showing the roll configuration dialog
+   * @param {Actor} actor - The actor
+   * @param {string} actorUniqueId - Unique identifier for the actor
+   * @param {Function} handler - The roll handler for the roll type
+   * @param {Object} handlerRequestData - Handler request data
+   * @param {Object} rollConfig - Roll configuration
+   * @param {Object} messageConfig - Message configuration
+   * @param {string} notificationKey - Localization key of the notification shown to the player
+   */
+  static async _executeAutoRoll(actor, actorUniqueId, handler, handlerRequestData, rollConfig, messageConfig, notificationKey) {
+    this.autoRolledActors.add(actorUniqueId);
+
+    NotificationManager.notify('info', game.i18n.format(notificationKey, {
+      actor: actor.name
+    }));
+
+    const autoRollDialogConfig = { configure: false };
+
+    try {
+      await handler(actor, handlerRequestData, rollConfig, autoRollDialogConfig, messageConfig);
+      LogUtil.log('_executeAutoRoll - Auto-roll completed', [actor.name]);
+    } catch (error) {
+      LogUtil.error('_executeAutoRoll - Auto-roll error', [error]);
+    } finally {
+      this.autoRolledActors.delete(actorUniqueId);
+    }
+  }
+
   /**
    * Get the midi-qol player save timeout setting in seconds
    * Only returns a value if midi-qol is configured to use Flash Token Bar for saves
@@ -384,22 +711,8 @@ export class RollRequestManager {
 
       LogUtil.log('setupAutoRollTimeout - Auto-rolling after timeout', [actor.name, timeoutSeconds]);
       this.pendingAutoRollTimeouts.delete(actorUniqueId);
-      this.autoRolledActors.add(actorUniqueId);
-
-      NotificationManager.notify('info', game.i18n.format('FLASH_ROLLS.notifications.autoRollTimeout', {
-        actor: actor.name
-      }));
-
-      const autoRollDialogConfig = { configure: false };
-
-      try {
-        await handler(actor, handlerRequestData, rollConfig, autoRollDialogConfig, messageConfig);
-        LogUtil.log('setupAutoRollTimeout - Auto-roll completed', [actor.name]);
-      } catch (error) {
-        LogUtil.error('setupAutoRollTimeout - Auto-roll error', [error]);
-      } finally {
-        this.autoRolledActors.delete(actorUniqueId);
-      }
+      await this._executeAutoRoll(actor, actorUniqueId, handler, handlerRequestData, rollConfig, messageConfig,
+        'FLASH_ROLLS.notifications.autoRollTimeout');
     }, timeoutSeconds * 1000);
 
     this.pendingAutoRollTimeouts.set(actorUniqueId, { timeoutId, requestData });
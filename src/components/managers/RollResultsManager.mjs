@@ -0,0 +1,271 @@
+import { MODULE_ID } from "../../constants/General.mjs";
+import { getSettings } from "../../constants/Settings.mjs";
+import { LogUtil } from "../utils/LogUtil.mjs";
+import { SettingsUtil } from "../utils/SettingsUtil.mjs";
+
+/**
+ * @typedef {Object} RollRequestActorResult
+ * @property {string} id - The unique ID the actor was requested with (token ID or actor ID)
+ * @property {string} actorId - The actor ID
+ * @property {string|null} tokenId - The token ID, if rolled for a token
+ * @property {string} actorName - The actor or token name
+ * @property {boolean} rolled - Whether the result is in
+ * @property {number|null} total - The roll total
+ * @property {number|null} natural - The kept d20 result, null for rolls without a d20
+ * @property {boolean} nat20 - Whether the kept d20 is a 20
+ * @property {boolean} nat1 - Whether the kept d20 is a 1
+ * @property {boolean|null} success - Whether the total met the DC, null without a DC
+ * @property {boolean} declined - Whether the player declined the request
+ * @property {boolean} autoFailed - Whether the request timed out as a failure
+ * @property {boolean} dropped - Whether the request timed out and was dropped from the group result
+ */
+
+/**
+ * @typedef {Object} RollRequestResults
+ * @property {string} groupRollId - The group roll identifier
+ * @property {string} rollType - The roll type
+ * @property {string|null} rollKey - The roll key
+ * @property {number|null} dc - The DC of the request
+ * @property {boolean} complete - Whether every actor has a result
+ * @property {boolean} expired - Whether the requests expired, or tracking timed out, before every actor had a result
+ * @property {RollRequestActorResult[]} results - Result of every requested actor
+ * @property {Object|null} groupResult - The group result { success, result, details }, null until complete or without a DC
+ */
+
+/**
+ * Handle returned by FlashAPI.requestRoll to follow the results of a roll request
+ */
+export class RollRequestHandle {
+  /**
+   * @param {string} groupRollId - The group roll identifier of the request
+   */
+  constructor(groupRollId) {
+    this.groupRollId = groupRollId;
+    this._listeners = [];
+    this._latest = null;
+    this._finished = false;
+    this._promise = new Promise(resolve => {
+      this._resolve = resolve;
+    });
+  }
+
+  /**
+   * Wait until every actor has rolled or the request expires
+   * @returns {Promise<RollRequestResults|null>} The results, or null if the group roll card is gone
+   */
+  results() {
+    return this._promise;
+  }
+
+  /**
+   * Call a function every time a result comes in
+   * @param {Function} callback - Receives the current RollRequestResults
+   * @returns {RollRequestHandle} The handle, for chaining
+   */
+  onUpdate(callback) {
+    if (typeof callback === 'function') this._listeners.push(callback);
+    return this;
+  }
+
+  /**
+   * Stop following the request, resolving results() with what came in so far
+   */
+  cancel() {
+    RollResultsManager.untrack(this.groupRollId);
+  }
+
+  /**
+   * Pass new results to the listeners, and resolve once complete
+   * @param {RollRequestResults} results
+   * @private
+   */
+  _update(results) {
+    if (this._finished) return;
+    this._latest = results;
+    for (const callback of this._listeners) {
+      try {
+        callback(results);
+      } catch (error) {
+        LogUtil.error('RollRequestHandle - onUpdate callback failed', [this.groupRollId, error]);
+      }
+    }
+    if (results.complete) this._finish(results);
+  }
+
+  /**
+   * Resolve results() and stop listening
+   * @param {RollRequestResults|null} [results] - Final results, the latest ones by default
+   * @private
+   */
+  _finish(results = null) {
+    if (this._finished) return;
+    this._finished = true;
+    const final = results || this._latest || RollResultsManager.getResults(this.groupRollId);
+    this._resolve(!final || final.complete ? final : { ...final, expired: true });
+    this._listeners = [];
+    RollResultsManager.handles.delete(this.groupRollId);
+  }
+}
+
+/**
+ * Follows group roll cards to report the results of roll requests as they come in
+ */
+export class RollResultsManager {
+  /**
+   * Handles of the requests being followed, by group roll ID
+   * @type {Map<string, RollRequestHandle>}
+   */
+  static handles = new Map();
+
+  /**
+   * Group roll IDs whose open requests expired before every result came in
+   * @type {Set<string>}
+   */
+  static expiredGroupRolls = new Set();
+
+  /**
+   * Start following the results of a group roll
+   * Call before the roll is requested, so rolls that complete right away aren't missed
+   * @param {string} groupRollId - The group roll identifier
+   * @param {Object} [options]
+   * @param {number} [options.timeout] - Seconds after which results() resolves with what came in so far.
+   *   Defaults to the request expiry setting, without a timeout if requests don't expire
+   * @returns {RollRequestHandle}
+   */
+  static track(groupRollId, { timeout } = {}) {
+    this.handles.get(groupRollId)?._finish();
+
+    const handle = new RollRequestHandle(groupRollId);
+    this.handles.set(groupRollId, handle);
+
+    const seconds = timeout > 0 ? timeout : this._getExpirySeconds();
+    if (seconds > 0) {
+      setTimeout(() => handle._finish(), seconds * 1000);
+    }
+    return handle;
+  }
+
+  /**
+   * Stop following a group roll, resolving its handle with the results so far
+   * @param {string} groupRollId - The group roll identifier
+   */
+  static untrack(groupRollId) {
+    this.handles.get(groupRollId)?._finish();
+  }
+
+  /**
+   * Mark a group roll whose open requests expired, resolving its handle as expired
+   * @param {string} groupRollId - The group roll identifier
+   */
+  static markExpired(groupRollId) {
+    this.expiredGroupRolls.add(groupRollId);
+    this.untrack(groupRollId);
+  }
+
+  /**
+   * Read the current results of a group roll card
+   * @param {string|ChatMessage} groupRollIdOrMessage - The group roll identifier, or the card itself
+   * @returns {RollRequestResults|null} The results, or null if there is no card
+   */
+  static getResults(groupRollIdOrMessage) {
+    const message = typeof groupRollIdOrMessage === 'string'
+      ? game.messages.contents.find(m => m.getFlag(MODULE_ID, 'groupRollId') === groupRollIdOrMessage && m.getFlag(MODULE_ID, 'isGroupRoll'))
+      : groupRollIdOrMessage;
+    const flagData = message?.getFlag(MODULE_ID, 'rollData');
+    if (!flagData) return null;
+
+    const dc = flagData.dc || null;
+    const groupRollId = message.getFlag(MODULE_ID, 'groupRollId');
+    const complete = !!flagData.allRolled;
+    return {
+      groupRollId,
+      rollType: flagData.rollType,
+      rollKey: flagData.rollKey ?? null,
+      dc,
+      complete,
+      expired: !complete && this.expiredGroupRolls.has(groupRollId),
+      results: (flagData.results || []).map(result => this._describeResult(result, dc)),
+      groupResult: dc && flagData.groupResult?.complete
+        ? { success: !!flagData.groupResult.success, result: flagData.groupResult.result, details: flagData.groupResult.details }
+        : null
+    };
+  }
+
+  /**
+   * Update the handle of a group roll card when a result comes in
+   * @param {ChatMessage} message - The updated chat message
+   */
+  static onUpdateChatMessage(message) {
+    const groupRollId = message.getFlag(MODULE_ID, 'groupRollId');
+    const handle = groupRollId && this.handles.get(groupRollId);
+    if (!handle || !message.getFlag(MODULE_ID, 'isGroupRoll')) return;
+
+    const results = this.getResults(message);
+    if (results) handle._update(results);
+  }
+
+  /**
+   * Resolve the handle of a group roll card that was deleted before every result came in
+   * @param {ChatMessage} message - The deleted chat message
+   */
+  static onDeleteChatMessage(message) {
+    const groupRollId = message.getFlag(MODULE_ID, 'groupRollId');
+    if (!groupRollId || !message.getFlag(MODULE_ID, 'isGroupRoll')) return;
+    this.untrack(groupRollId);
+    this.expiredGroupRolls.delete(groupRollId);
+  }
+
+  /**
+   * Get how long roll requests stay open, from the request expiry setting
+   * @returns {number} Seconds, 0 if requests don't expire
+   * @private
+   */
+  static _getExpirySeconds() {
+    const SETTINGS = getSettings();
+    return (Number(SettingsUtil.get(SETTINGS.requestExpiryMinutes.tag)) || 0) * 60;
+  }
+
+  /**
+   * Describe the result of one actor on a group roll card
+   * @param {Object} result - The result from the card's roll data
+   * @param {number|null} dc - The DC of the request
+   * @returns {RollRequestActorResult}
+   * @private
+   */
+  static _describeResult(result, dc) {
+    const natural = result.roll ? this._getNaturalD20(result.roll) : null;
+    const hasTotal = result.rolled && result.total !== null && result.total !== undefined;
+    return {
+      id: result.uniqueId || result.tokenId || result.actorId,
+      actorId: result.actorId,
+      tokenId: result.tokenId || null,
+      actorName: result.actorName,
+      rolled: !!result.rolled,
+      total: hasTotal ? result.total : null,
+      natural,
+      nat20: natural === 20,
+      nat1: natural === 1,
+      success: dc && result.rolled ? (hasTotal && !result.dropped && result.total >= dc) : null,
+      declined: !!result.declined,
+      autoFailed: !!result.autoFailed,
+      dropped: !!result.dropped
+    };
+  }
+
+  /**
+   * Get the kept d20 result of a serialized roll
+   * @param {Object} rollData - The roll as stored on the card
+   * @returns {number|null}
+   * @private
+   */
+  static _getNaturalD20(rollData) {
+    try {
+      const roll = Roll.fromData(rollData);
+      const d20 = roll.dice.find(die => die.faces === 20);
+      return d20 ? d20.total : null;
+    } catch (error) {
+      LogUtil.warn('RollResultsManager - Could not read roll', [error]);
+      return null;
+    }
+  }
+}
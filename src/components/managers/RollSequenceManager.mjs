@@ -0,0 +1,483 @@
+import { MODULE, MODULE_ID } from "../../constants/General.mjs";
+import { getSettings } from "../../constants/Settings.mjs";
+import { getRollTypeDisplay } from "../helpers/Helpers.mjs";
+import { LogUtil } from "../utils/LogUtil.mjs";
+import { SettingsUtil } from "../utils/SettingsUtil.mjs";
+import { GeneralUtil } from "../utils/GeneralUtil.mjs";
+import { FlashAPI } from "../core/FlashAPI.mjs";
+import { ChatMessageManager } from "./ChatMessageManager.mjs";
+import { RollSequenceDialog } from "../ui/dialogs/RollSequenceDialog.mjs";
+
+/**
+ * @typedef {Object} RollSequenceStep
+ * @property {string} requestType - The type of roll request, as accepted by FlashAPI.requestRoll
+ * @property {string} [rollKey] - The specific roll key
+ * @property {number|Function} [dc] - Fixed DC, or a function receiving the finished steps and returning the DC
+ * @property {Object} [dcFrom] - Take the DC from the totals of an earlier step
+ * @property {number} [dcFrom.step] - Index of the earlier step, the previous step by default
+ * @property {string} [dcFrom.use='average'] - Which total to use: 'average', 'highest' or 'lowest'
+ * @property {number} [dcFrom.offset=0] - Amount added to the DC
+ * @property {string} [actors='all'] - Which actors roll this step: 'all', or those that 'failed' or 'passed' an earlier step
+ * @property {number} [from] - Index of the step the actors condition refers to, the previous step by default
+ * @property {string} [label] - Custom label shown on the summary card
+ */
+
+/**
+ * @typedef {Object} RollSequenceStepResult
+ * @property {number} index - Index of the step
+ * @property {string} label - Label of the step
+ * @property {string} requestType - The type of roll request
+ * @property {string|null} rollKey - The specific roll key
+ * @property {number|null} dc - The DC the step was rolled against
+ * @property {string|null} groupRollId - Group roll identifier of the step's roll card
+ * @property {boolean} skipped - Whether no actor met the step's condition
+ * @property {Object[]} results - Result of every actor that rolled the step
+ * @property {boolean|null} groupSuccess - Whether the group passed the step, null without a DC
+ */
+
+/**
+ * Runs roll requests one after the other, waiting for every result of a step before the next one is requested.
+ * Each step can be limited to actors who failed or passed an earlier step, and take its DC from an earlier step's totals.
+ * A single chat card keeps a summary of every step.
+ */
+export class RollSequenceManager {
+  /**
+   * Sequences that are still running, by sequence ID
+   * @type {Map<string, Object>}
+   */
+  static sequences = new Map();
+
+  /**
+   * Resolvers waiting for a group roll to have every result, by group roll ID
+   * @type {Map<string, Function>}
+   */
+  static groupRollWaiters = new Map();
+
+  /**
+   * Template used for the sequence summary card
+   * @type {string}
+   */
+  static templatePath = `modules/${MODULE_ID}/templates/chat-msg-roll-sequence.hbs`;
+
+  /**
+   * Actor conditions a step can use
+   * @type {string[]}
+   */
+  static ACTOR_CONDITIONS = ['all', 'failed', 'passed'];
+
+  /**
+   * Totals a step can take its DC from
+   * @type {string[]}
+   */
+  static DC_SOURCES = ['average', 'highest', 'lowest'];
+
+  /**
+   * Resolve the waiter of a group roll once its card has every result
+   * @param {ChatMessage} message - The updated chat message
+   */
+  static onUpdateChatMessage(message) {
+    const groupRollId = message.getFlag(MODULE_ID, 'groupRollId');
+    if (!groupRollId || !this.groupRollWaiters.has(groupRollId)) return;
+
+    const flagData = message.getFlag(MODULE_ID, 'rollData');
+    if (!flagData?.allRolled) return;
+
+    this._resolveWaiter(groupRollId, flagData);
+  }
+
+  /**
+   * Resolve the waiter of a group roll whose card was deleted, with the results it had
+   * @param {ChatMessage} message - The deleted chat message
+   */
+  static onDeleteChatMessage(message) {
+    const groupRollId = message.getFlag(MODULE_ID, 'groupRollId');
+    if (!groupRollId || !this.groupRollWaiters.has(groupRollId)) return;
+
+    LogUtil.log('RollSequenceManager.onDeleteChatMessage - Group roll card deleted', [groupRollId]);
+    this._resolveWaiter(groupRollId, message.getFlag(MODULE_ID, 'rollData') || null);
+  }
+
+  /**
+   * Wait until every actor on a group roll card has a result
+   * Register the wait before requesting the roll, so rolls that complete right away aren't missed.
+   * The wait also ends when the card is deleted or the timeout runs out, with the results the card has by then.
+   * @param {string} groupRollId - The group roll identifier
+   * @param {number} [timeout] - Seconds to wait for, the request expiry time by default. 0 waits until the card is complete
+   * @returns {Promise<Object|null>} The roll data of the card, or null if the wait was cancelled
+   */
+  static waitForGroupRoll(groupRollId, timeout) {
+    const seconds = timeout ?? this._getExpirySeconds();
+    return new Promise(resolve => {
+      this.groupRollWaiters.set(groupRollId, resolve);
+      if (seconds > 0) {
+        setTimeout(() => {
+          if (!this.groupRollWaiters.has(groupRollId)) return;
+          LogUtil.log('RollSequenceManager.waitForGroupRoll - Timed out', [groupRollId, seconds]);
+          const message = ChatMessageManager.getGroupRollMessage(groupRollId);
+          this._resolveWaiter(groupRollId, message?.getFlag(MODULE_ID, 'rollData') || null);
+        }, seconds * 1000);
+      }
+    });
+  }
+
+  /**
+   * Resolve and remove the waiter of a group roll
+   * @param {string} groupRollId - The group roll identifier
+   * @param {Object|null} flagData - The roll data of the card
+   * @private
+   */
+  static _resolveWaiter(groupRollId, flagData) {
+    const resolve = this.groupRollWaiters.get(groupRollId);
+    if (!resolve) return;
+    this.groupRollWaiters.delete(groupRollId);
+    resolve(flagData);
+  }
+
+  /**
+   * Get how long roll requests stay open, from the request expiry setting
+   * @returns {number} Seconds, 0 if requests don't expire
+   * @private
+   */
+  static _getExpirySeconds() {
+    const SETTINGS = getSettings();
+    return (Number(SettingsUtil.get(SETTINGS.requestExpiryMinutes.tag)) || 0) * 60;
+  }
+
+  /**
+   * Run a roll sequence
+   * @param {RollSequenceStep[]} steps - The steps to run in order
+   * @param {Object} [options] - Sequence options
+   * @param {string[]} [options.actorIds] - Actor or token IDs rolling the sequence. Uses the menu selection if empty
+   * @param {string} [options.title] - Title of the summary card
+   * @param {Object} [options.requestOptions] - Options passed to every roll request, e.g. rollMode or skipRollDialog
+   * @param {number} [options.stepTimeout] - Seconds to wait for the results of a step, the request expiry time by default.
+   *   Actors who haven't rolled by then count as not passed
+   * @returns {Promise<RollSequenceStepResult[]|null>} Result of every step, or null if the sequence couldn't start
+   */
+  static async run(steps, options = {}) {
+    if (!game.user.isGM) return null;
+
+    if (!Array.isArray(steps) || steps.length === 0) {
+      FlashAPI.notify('warn', game.i18n.localize("FLASH_ROLLS.notifications.sequenceNoSteps"));
+      return null;
+    }
+
+    const stepError = this.validateSteps(steps);
+    if (stepError) {
+      FlashAPI.notify('warn', stepError);
+      return null;
+    }
+
+    const SETTINGS = getSettings();
+    if (!SettingsUtil.get(SETTINGS.groupRollsMsgEnabled.tag)) {
+      FlashAPI.notify('warn', game.i18n.localize("FLASH_ROLLS.notifications.sequenceNeedsGroupRolls"));
+      return null;
+    }
+
+    const actorIds = options.actorIds?.length ? [...options.actorIds] : FlashAPI.getSelectedActors();
+    if (actorIds.length === 0) {
+      FlashAPI.notify('warn', game.i18n.localize("FLASH_ROLLS.notifications.noActorsSelected"));
+      return null;
+    }
+
+    const sequence = {
+      id: foundry.utils.randomID(),
+      title: options.title || game.i18n.localize("FLASH_ROLLS.chat.sequence.title"),
+      actorIds,
+      steps: steps.map((step, index) => this._describeStep(step, index)),
+      currentStep: 0,
+      cancelled: false,
+      message: null
+    };
+    this.sequences.set(sequence.id, sequence);
+    sequence.message = await this._postSummary(sequence);
+
+    LogUtil.log('RollSequenceManager.run', [sequence.id, steps, actorIds]);
+
+    try {
+      for (let index = 0; index < steps.length; index++) {
+        if (sequence.cancelled) break;
+        sequence.currentStep = index;
+        await this._runStep(sequence, steps[index], index, options.requestOptions || {}, options.stepTimeout);
+        await this._updateSummary(sequence);
+      }
+    } catch (error) {
+      LogUtil.error('RollSequenceManager.run - Step failed', [error]);
+      FlashAPI.notify('error', game.i18n.localize("FLASH_ROLLS.notifications.sequenceFailed"));
+      sequence.cancelled = true;
+    }
+
+    this.sequences.delete(sequence.id);
+    sequence.finished = true;
+    await this._updateSummary(sequence);
+    return sequence.steps;
+  }
+
+  /**
+   * Check the actors conditions of a sequence's steps
+   * A 'failed' or 'passed' condition needs an earlier step with a DC, otherwise nobody could fail or pass it
+   * @param {RollSequenceStep[]} steps - The steps to check
+   * @returns {string|null} Localized reason the steps can't run, or null if they can
+   */
+  static validateSteps(steps) {
+    for (let index = 1; index < steps.length; index++) {
+      const condition = steps[index].actors || 'all';
+      if (condition === 'all') continue;
+
+      const sourceIndex = steps[index].from ?? index - 1;
+      const sourceStep = sourceIndex < index ? steps[sourceIndex] : null;
+      const hasDC = !!sourceStep && (
+        typeof sourceStep.dc === 'function'
+        || !Number.isNaN(parseInt(sourceStep.dc))
+        || (!!sourceStep.dcFrom && sourceIndex > 0)
+      );
+      if (!hasDC) {
+        return game.i18n.format("FLASH_ROLLS.notifications.sequenceConditionNoDC", {
+          step: index + 1,
+          from: sourceIndex + 1
+        });
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Stop a running sequence, the step that is being rolled is left as it is
+   * @param {string} sequenceId - The sequence identifier
+   */
+  static cancel(sequenceId) {
+    const sequence = this.sequences.get(sequenceId);
+    if (!sequence) return;
+
+    sequence.cancelled = true;
+    const groupRollId = sequence.steps[sequence.currentStep]?.groupRollId;
+    const resolve = this.groupRollWaiters.get(groupRollId);
+    if (resolve) {
+      this.groupRollWaiters.delete(groupRollId);
+      resolve(null);
+    }
+  }
+
+  /**
+   * Get the sequences that are still running
+   * @returns {Object[]} Running sequences with their id, title and progress
+   */
+  static getRunningSequences() {
+    return Array.from(this.sequences.values()).map(sequence => ({
+      id: sequence.id,
+      title: sequence.title,
+      step: sequence.currentStep + 1,
+      stepCount: sequence.steps.length
+    }));
+  }
+
+  /**
+   * Request one step of a sequence and wait for its results
+   * @param {Object} sequence - The running sequence
+   * @param {RollSequenceStep} step - The step definition
+   * @param {number} index - Index of the step
+   * @param {Object} requestOptions - Options passed to every roll request
+   * @param {number} [timeout] - Seconds to wait for the results
+   * @private
+   */
+  static async _runStep(sequence, step, index, requestOptions, timeout) {
+    const stepResult = sequence.steps[index];
+    const finishedSteps = sequence.steps.slice(0, index);
+
+    const actorIds = this._getStepActors(sequence.actorIds, step, finishedSteps, index);
+    const dc = this._getStepDC(step, finishedSteps, index);
+    stepResult.dc = dc;
+
+    if (actorIds.length === 0) {
+      stepResult.skipped = true;
+      return;
+    }
+
+    const groupRollId = foundry.utils.randomID();
+    stepResult.groupRollId = groupRollId;
+    const completion = this.waitForGroupRoll(groupRollId, timeout);
+
+    await FlashAPI.requestRoll({
+      ...requestOptions,
+      requestType: step.requestType,
+      rollKey: step.rollKey ?? null,
+      actorIds,
+      dc: dc ?? undefined,
+      groupRollId
+    });
+
+    if (!ChatMessageManager.getGroupRollMessage(groupRollId)) {
+      this.groupRollWaiters.delete(groupRollId);
+      throw new Error(`No group roll card was created for step ${index + 1}`);
+    }
+
+    const flagData = await completion;
+    if (!flagData) return;
+
+    // Actors who haven't rolled, when the card was deleted or the wait timed out, count as not passed
+    stepResult.results = flagData.results.map(result => ({
+      id: result.uniqueId || result.tokenId || result.actorId,
+      actorName: result.actorName,
+      total: result.rolled ? result.total : null,
+      success: dc ? (!!result.rolled && result.success === true) : null,
+      failure: dc ? (!!result.rolled && (result.failure === true || result.autoFailed === true)) : null,
+      dropped: !!result.dropped
+    }));
+    stepResult.groupSuccess = dc && flagData.groupResult?.complete ? !!flagData.groupResult.success : null;
+  }
+
+  /**
+   * Get the actors rolling a step from its actors condition
+   * @param {string[]} actorIds - Actors rolling the sequence
+   * @param {RollSequenceStep} step - The step definition
+   * @param {RollSequenceStepResult[]} finishedSteps - Steps finished so far
+   * @param {number} index - Index of the step
+   * @returns {string[]} Actor or token IDs
+   * @private
+   */
+  static _getStepActors(actorIds, step, finishedSteps, index) {
+    const condition = step.actors || 'all';
+    if (condition === 'all' || index === 0) return actorIds;
+
+    const sourceStep = finishedSteps[step.from ?? index - 1];
+    if (!sourceStep || sourceStep.skipped) return [];
+
+    // The source DC can still come out empty at run time, e.g. dcFrom a step nobody rolled
+    if (sourceStep.dc === null) {
+      LogUtil.warn('RollSequenceManager._getStepActors - Source step has no DC, counting everyone who rolled as passed', [index, sourceStep.index]);
+      return condition === 'passed'
+        ? sourceStep.results.filter(result => result.total !== null).map(result => result.id)
+        : [];
+    }
+
+    return sourceStep.results
+      .filter(result => condition === 'failed' ? result.failure : result.success)
+      .map(result => result.id);
+  }
+
+  /**
+   * Get the DC of a step, either fixed or taken from an earlier step
+   * @param {RollSequenceStep} step - The step definition
+   * @param {RollSequenceStepResult[]} finishedSteps - Steps finished so far
+   * @param {number} index - Index of the step
+   * @returns {number|null} The DC, or null if the step has none
+   * @private
+   */
+  static _getStepDC(step, finishedSteps, index) {
+    if (typeof step.dc === 'function') {
+      const dc = parseInt(step.dc(finishedSteps));
+      return Number.isNaN(dc) ? null : dc;
+    }
+
+    if (step.dcFrom && index > 0) {
+      const sourceStep = finishedSteps[step.dcFrom.step ?? index - 1];
+      const totals = (sourceStep?.results || [])
+        .filter(result => !result.dropped && typeof result.total === 'number')
+        .map(result => result.total);
+      if (totals.length === 0) return null;
+
+      let base;
+      switch (step.dcFrom.use) {
+        case 'highest':
+          base = Math.max(...totals);
+          break;
+        case 'lowest':
+          base = Math.min(...totals);
+          break;
+        default:
+          base = Math.round(totals.reduce((sum, total) => sum + total, 0) / totals.length);
+      }
+      return base + (parseInt(step.dcFrom.offset) || 0);
+    }
+
+    const dc = parseInt(step.dc);
+    return Number.isNaN(dc) ? null : dc;
+  }
+
+  /**
+   * Build the initial result record of a step
+   * @param {RollSequenceStep} step - The step definition
+   * @param {number} index - Index of the step
+   * @returns {RollSequenceStepResult}
+   * @private
+   */
+  static _describeStep(step, index) {
+    const requestType = Object.values(MODULE.ROLL_REQUEST_OPTIONS)
+      .find(option => option.name === step.requestType)?.name
+      || MODULE.ROLL_REQUEST_OPTIONS[step.requestType]?.name
+      || step.requestType;
+
+    let condition = null;
+    if (index > 0 && (step.actors === 'failed' || step.actors === 'passed')) {
+      condition = game.i18n.format(`FLASH_ROLLS.chat.sequence.condition.${step.actors}`, {
+        step: (step.from ?? index - 1) + 1
+      });
+    }
+
+    return {
+      index,
+      label: step.label || getRollTypeDisplay(requestType, step.rollKey),
+      requestType,
+      rollKey: step.rollKey ?? null,
+      condition,
+      dc: null,
+      groupRollId: null,
+      skipped: false,
+      results: [],
+      groupSuccess: null
+    };
+  }
+
+  /**
+   * Build the template data of the summary card
+   * @param {Object} sequence - The sequence
+   * @returns {Object} Template data
+   * @private
+   */
+  static _getSummaryData(sequence) {
+    return {
+      title: sequence.title,
+      finished: !!sequence.finished,
+      cancelled: sequence.cancelled,
+      steps: sequence.steps.map((step, index) => ({
+        ...step,
+        number: index + 1,
+        isPending: !sequence.finished && index > sequence.currentStep,
+        isCurrent: !sequence.finished && index === sequence.currentStep && !step.results.length && !step.skipped,
+        isDone: step.skipped || step.results.length > 0
+      }))
+    };
+  }
+
+  /**
+   * Post the summary card of a sequence
+   * @param {Object} sequence - The sequence
+   * @returns {Promise<ChatMessage>}
+   * @private
+   */
+  static async _postSummary(sequence) {
+    const content = await GeneralUtil.renderTemplate(this.templatePath, this._getSummaryData(sequence));
+    return ChatMessage.create({
+      content,
+      speaker: ChatMessage.getSpeaker({ user: game.user }),
+      flags: {
+        [MODULE_ID]: {
+          isRollSequence: true,
+          sequenceId: sequence.id
+        }
+      }
+    });
+  }
+
+  /**
+   * Refresh the summary card of a sequence
+   * @param {Object} sequence - The sequence
+   * @private
+   */
+  static async _updateSummary(sequence) {
+    if (!sequence.message) return;
+    const content = await GeneralUtil.renderTemplate(this.templatePath, this._getSummaryData(sequence));
+    await sequence.message.update({ content });
+    RollSequenceDialog.refresh();
+  }
+}
@@ -1,12 +1,17 @@
 import { LogUtil } from '../utils/LogUtil.mjs';
-import { MODULE_ID } from '../../constants/General.mjs';
+import { MODULE_ID, PLACEMENT_FORMATIONS } from '../../constants/General.mjs';
+import { getSettings } from '../../constants/Settings.mjs';
 import { getActorData } from '../helpers/Helpers.mjs';
 import { GeneralUtil } from '../utils/GeneralUtil.mjs';
+import { SettingsUtil } from '../utils/SettingsUtil.mjs';
+import { CanvasGraphicsUtil } from '../utils/CanvasGraphicsUtil.mjs';
+import { TokenFormationUtil } from '../utils/TokenFormationUtil.mjs';
 import { FlashAPI } from '../core/FlashAPI.mjs';
 
 /**
  * Manages token placement functionality
  * Allows GMs to create and place tokens on canvas by clicking
+ * Tokens placed together are arranged in the formation chosen in the module settings
  */
 export class TokenPlacementManager {
 
@@ -20,6 +25,8 @@ export class TokenPlacementManager {
   static _canvasRightDownHandler = null;
   static _canvasRightUpHandler = null;
   static _rightMouseDown = false;
+  static _previewGraphics = [];
+  static _lastPreviewPoint = null;
 
   /**
    * Place tokens for selected actors on the canvas
@@ -72,7 +79,9 @@ export class TokenPlacementManager {
     await this._createPreviewTokens();
     this._attachCanvasHandlers();
 
-    FlashAPI.notify('info', `Click to place ${actorsToPlace.length} token(s) one at a time, right-click to skip current token`);
+    FlashAPI.notify('info', game.i18n.format("FLASH_ROLLS.notifications.placementStarted", {
+      count: actorsToPlace.length
+    }));
   }
 
   /**
@@ -93,11 +102,26 @@ export class TokenPlacementManager {
         actorLink: false
       };
 
+      try {
+        await foundry.canvas.loadTexture(previewData.texture.src);
+      } catch (error) {
+        LogUtil.warn("Could not load preview texture", [previewData.texture?.src, error]);
+      }
+
       this._previewTokens.push({
         actor: baseActor,
         data: previewData
       });
     }
+
+    if (this._getFormation() === PLACEMENT_FORMATIONS.MARCHING_ORDER) {
+      const marchingOrder = this.getMarchingOrder();
+      this._previewTokens = TokenFormationUtil.sortByMarchingOrder(
+        this._previewTokens.map(preview => ({ ...preview, actorId: preview.actor.id })),
+        marchingOrder
+      );
+      this._actorsToPlace = this._previewTokens.map(preview => preview.actor);
+    }
   }
 
   /**
@@ -118,76 +142,35 @@ export class TokenPlacementManager {
   }
 
   /**
-   * Handle mouse move to update preview token position
+   * Handle mouse move to update the placement preview
+   * Shows the current token, or the remaining tokens in formation while Shift is held
    * @param {PIXI.InteractionEvent} event - The mouse move event
    */
-  static async _onCanvasMouseMove(event) {
+  static _onCanvasMouseMove(event) {
     if (!this._isPlacingTokens) return;
     if (this._placementIndex >= this._previewTokens.length) return;
 
     const position = event.data.getLocalPosition(canvas.tokens);
     const snapped = canvas.grid.getSnappedPoint({ x: position.x, y: position.y }, { mode: CONST.GRID_SNAPPING_MODES.CENTER });
+    const placeAll = !!event.data.originalEvent?.shiftKey;
+    const last = this._lastPreviewPoint;
+    if (last && last.x === snapped.x && last.y === snapped.y && last.placeAll === placeAll) return;
 
-    if (canvas.controls?.children) {
-      try {
-        const children = Array.from(canvas.controls.children);
-        for (const child of children) {
-          if (child._flashRollsPlacementPreview) {
-            canvas.controls.removeChild(child);
-            if (child.destroy) child.destroy();
-          }
-        }
-      } catch (error) {
-        LogUtil.warn("Error clearing preview graphics", error);
-      }
-    }
-
-    const currentPreview = this._previewTokens[this._placementIndex];
-    const tokenData = currentPreview.data;
-    const gridSize = canvas.grid.size;
+    this._clearPreviewGraphics();
+    this._lastPreviewPoint = { ...snapped, placeAll };
 
     try {
-      const texture = await foundry.canvas.loadTexture(tokenData.texture.src);
-      const ghostToken = new PIXI.Sprite(texture);
-
-      const tokenWidth = tokenData.width * gridSize;
-      const tokenHeight = tokenData.height * gridSize;
-
-      ghostToken.anchor.set(0);
-      ghostToken.x = snapped.x - tokenWidth / 2;
-      ghostToken.y = snapped.y - tokenHeight / 2;
-      ghostToken.width = tokenWidth;
-      ghostToken.height = tokenHeight;
-      ghostToken.alpha = 0.5;
-      ghostToken.tint = 0x00ccff;
-      ghostToken._flashRollsPlacementPreview = true;
-
-      if (canvas.controls) {
-        canvas.controls.addChild(ghostToken);
-      }
-
-      const progressText = `${this._placementIndex + 1}/${this._previewTokens.length}`;
-      const text = new PIXI.Text(progressText, {
-        fontSize: 20,
-        fill: 0xffffff,
-        stroke: 0x000000,
-        strokeThickness: 4
-      });
-      text.anchor.set(0.5);
-      text.x = snapped.x;
-      text.y = snapped.y - tokenHeight / 2 - 20;
-      text._flashRollsPlacementPreview = true;
-
-      if (canvas.controls) {
-        canvas.controls.addChild(text);
-      }
+      const toPlace = this._getTokensToPlace(placeAll);
+      const positions = this._arrangePreviews(toPlace, snapped, placeAll ? null : PLACEMENT_FORMATIONS.CLUSTER);
+      this._previewGraphics = CanvasGraphicsUtil.drawPlacementPreviews(toPlace, positions, canvas.grid.size, { highlightIndex: 0 });
     } catch (error) {
       LogUtil.warn("Error drawing placement preview", error);
     }
   }
 
   /**
-   * Handle canvas click to place current token
+   * Handle canvas click to place the current token
+   * Shift+click places the remaining tokens in formation
    * @param {PIXI.InteractionEvent} event - The click event
    */
   static async _onCanvasClick(event) {
@@ -197,33 +180,79 @@ export class TokenPlacementManager {
     const position = event.data.getLocalPosition(canvas.tokens);
     const snapped = canvas.grid.getSnappedPoint({ x: position.x, y: position.y }, { mode: CONST.GRID_SNAPPING_MODES.CENTER });
 
-    const gridSize = canvas.grid.size;
-    const currentPreview = this._previewTokens[this._placementIndex];
+    const placeAll = !!event.data.originalEvent?.shiftKey;
+    const toPlace = this._getTokensToPlace(placeAll);
+    const positions = this._arrangePreviews(toPlace, snapped, placeAll ? null : PLACEMENT_FORMATIONS.CLUSTER);
+
+    const tokensData = [];
+    toPlace.forEach((preview, index) => {
+      if (!positions[index].valid) return;
+      tokensData.push({
+        ...preview.data,
+        x: positions[index].x,
+        y: positions[index].y,
+        alpha: 1,
+        actorLink: false
+      });
+    });
 
-    const tokenData = {
-      ...currentPreview.data,
-      x: snapped.x - (currentPreview.data.width * gridSize) / 2,
-      y: snapped.y - (currentPreview.data.height * gridSize) / 2,
-      alpha: 1,
-      actorLink: false
-    };
+    if (tokensData.length === 0) {
+      FlashAPI.notify('warn', game.i18n.format("FLASH_ROLLS.notifications.tokensNotPlaced", { count: toPlace.length }));
+      return;
+    }
 
     try {
-      await canvas.scene.createEmbeddedDocuments('Token', [tokenData]);
-      this._placementIndex++;
-
-      if (this._placementIndex >= this._previewTokens.length) {
-        const totalPlaced = this._previewTokens.length;
-        this._cleanup();
-        FlashAPI.notify('info', game.i18n.format("FLASH_ROLLS.notifications.tokensPlaced", {
-          count: totalPlaced
-        }));
-      }
+      await canvas.scene.createEmbeddedDocuments('Token', tokensData);
     } catch (error) {
-      LogUtil.error("Failed to create token", [error, currentPreview.actor.name]);
+      LogUtil.error("Failed to create tokens", [error, toPlace.map(preview => preview.actor.name)]);
+      return;
+    }
+
+    const skipped = toPlace.length - tokensData.length;
+    if (skipped > 0) {
+      FlashAPI.notify('warn', game.i18n.format("FLASH_ROLLS.notifications.tokensNotPlaced", { count: skipped }));
     }
+
+    this._placementIndex += toPlace.length;
+    this._lastPreviewPoint = null;
+    this._clearPreviewGraphics();
+
+    if (this._placementIndex >= this._previewTokens.length) {
+      const totalPlaced = this._previewTokens.length;
+      this._cleanup();
+      FlashAPI.notify('info', game.i18n.format("FLASH_ROLLS.notifications.tokensPlaced", {
+        count: totalPlaced
+      }));
+    }
+  }
+
+  /**
+   * Get the preview tokens placed by the next click
+   * @param {boolean} placeAll - Whether the remaining tokens are placed at once
+   * @returns {Array} Preview tokens
+   * @private
+   */
+  static _getTokensToPlace(placeAll) {
+    return placeAll
+      ? this._previewTokens.slice(this._placementIndex)
+      : [this._previewTokens[this._placementIndex]];
   }
 
+  /**
+   * Arrange preview tokens in the placement formation
+   * @param {Array} previews - Preview tokens
+   * @param {Object} center - Formation center {x, y}
+   * @param {string} [formation] - Formation to use instead of the one in the settings
+   * @returns {Array<{x: number, y: number, valid: boolean, nudged: boolean}>}
+   * @private
+   */
+  static _arrangePreviews(previews, center, formation = null) {
+    return TokenFormationUtil.arrange(
+      previews.map(preview => ({ width: preview.data.width, height: preview.data.height, actorId: preview.actor.id })),
+      center,
+      { formation: formation || this._getFormation(), marchingOrder: this.getMarchingOrder() }
+    );
+  }
 
   /**
    * Handle right-click to skip current token
@@ -246,6 +275,7 @@ export class TokenPlacementManager {
       this._cleanup();
       FlashAPI.notify('info', game.i18n.localize("FLASH_ROLLS.notifications.tokenPlacementCancelled"));
     } else {
+      this._lastPreviewPoint = null;
       this._clearPreviewGraphics();
     }
   }
@@ -254,6 +284,12 @@ export class TokenPlacementManager {
    * Clear all preview graphics from canvas
    */
   static _clearPreviewGraphics() {
+    for (const graphic of this._previewGraphics) {
+      graphic.parent?.removeChild(graphic);
+      if (!graphic.destroyed) graphic.destroy();
+    }
+    this._previewGraphics = [];
+
     if (!canvas.controls?.children) return;
 
     try {
@@ -304,6 +340,7 @@ export class TokenPlacementManager {
     }
 
     this._rightMouseDown = false;
+    this._lastPreviewPoint = null;
 
     this._clearPreviewGraphics();
   }
@@ -320,21 +357,24 @@ export class TokenPlacementManager {
    * Place tokens at a specific location automatically
    * @param {string[]} actorIds - Array of actor/token IDs to place
    * @param {Object} location - Location to place tokens {x: number, y: number}
+   * @param {Object} [options]
+   * @param {string} [options.formation] - A value of PLACEMENT_FORMATIONS, the formation setting by default
+   * @returns {Promise<TokenDocument[]>} The created tokens
    */
-  static async placeTokensAtLocation(actorIds, location) {
+  static async placeTokensAtLocation(actorIds, location, options = {}) {
     if (!game.user.isGM) {
       FlashAPI.notify('warn', "Only GMs can place tokens");
-      return;
+      return [];
     }
 
     if (!actorIds || actorIds.length === 0) {
       FlashAPI.notify('warn', game.i18n.localize("FLASH_ROLLS.notifications.noActorsSelectedForPlacement"));
-      return;
+      return [];
     }
 
     if (!location || typeof location.x !== 'number' || typeof location.y !== 'number') {
       ui.notifications.error("Invalid location provided for token placement");
-      return;
+      return [];
     }
 
     const actorsToPlace = [];
@@ -362,21 +402,41 @@ export class TokenPlacementManager {
     if (actorsToPlace.length === 0) {
       FlashAPI.notify('warn', game.i18n.localize("FLASH_ROLLS.notifications.noActorsSelectedForPlacement"));
       LogUtil.warn("No valid actors found for placement", actorIds);
-      return;
+      return [];
     }
 
     const snapped = canvas.grid.getSnappedPoint({ x: location.x, y: location.y }, { mode: CONST.GRID_SNAPPING_MODES.CENTER });
-    const gridSize = canvas.grid.size;
-    const tokensCreated = [];
+    const formation = Object.values(PLACEMENT_FORMATIONS).includes(options.formation) ? options.formation : this._getFormation();
+    const marchingOrder = this.getMarchingOrder();
 
+    let entries = [];
     for (const actor of actorsToPlace) {
       const baseActor = actor.isToken ? actor.baseActor : actor;
       const tokenData = await baseActor.getTokenDocument();
+      entries.push({ actor: baseActor, actorId: baseActor.id, tokenData });
+    }
+    if (formation === PLACEMENT_FORMATIONS.MARCHING_ORDER) {
+      entries = TokenFormationUtil.sortByMarchingOrder(entries, marchingOrder);
+    }
+
+    const positions = TokenFormationUtil.arrange(
+      entries.map(entry => ({ width: entry.tokenData.width, height: entry.tokenData.height, actorId: entry.actorId })),
+      snapped,
+      { formation, marchingOrder }
+    );
+    const tokensCreated = [];
+    let skipped = 0;
+
+    for (const [index, { actor: baseActor, tokenData }] of entries.entries()) {
+      if (!positions[index].valid) {
+        skipped++;
+        continue;
+      }
 
       const finalTokenData = {
         ...tokenData.toObject(),
-        x: snapped.x - (tokenData.width * gridSize) / 2,
-        y: snapped.y - (tokenData.height * gridSize) / 2,
+        x: positions[index].x,
+        y: positions[index].y,
         alpha: 1,
         actorLink: false
       };
@@ -388,5 +448,66 @@ export class TokenPlacementManager {
         LogUtil.error("Failed to create token", [error, baseActor.name]);
       }
     }
+
+    if (skipped > 0) {
+      FlashAPI.notify('warn', game.i18n.format("FLASH_ROLLS.notifications.tokensNotPlaced", { count: skipped }));
+    }
+    return tokensCreated;
+  }
+
+  /**
+   * Get the saved marching order
+   * @returns {Array<{actorId: string, dx: number, dy: number}>} Grid offsets from the leader, in marching order
+   */
+  static getMarchingOrder() {
+    const SETTINGS = getSettings();
+    return SettingsUtil.get(SETTINGS.placementMarchingOrder.tag) || [];
+  }
+
+  /**
+   * Save the arrangement of tokens on the canvas as the marching order
+   * The first token leads; the others keep their grid offset from it
+   * @param {Array<Token|TokenDocument>} tokens - Tokens in marching order
+   * @returns {Promise<Array<{actorId: string, dx: number, dy: number}>>} The saved marching order
+   */
+  static async saveMarchingOrder(tokens) {
+    const tokenDocs = (tokens || []).map(token => token?.document ?? token).filter(tokenDoc => tokenDoc?.actorId);
+    if (tokenDocs.length === 0) {
+      FlashAPI.notify('warn', game.i18n.localize("FLASH_ROLLS.notifications.noActorsSelected"));
+      return [];
+    }
+
+    const grid = tokenDocs[0].parent?.grid || canvas.grid;
+    const centerCell = (tokenDoc) => {
+      const cell = TokenFormationUtil.getTokenCell(grid, tokenDoc);
+      return {
+        col: cell.col + Math.floor((Math.ceil(tokenDoc.width) - 1) / 2),
+        row: cell.row + Math.floor((Math.ceil(tokenDoc.height) - 1) / 2)
+      };
+    };
+    const leader = centerCell(tokenDocs[0]);
+
+    const marchingOrder = [];
+    for (const tokenDoc of tokenDocs) {
+      if (marchingOrder.some(entry => entry.actorId === tokenDoc.actorId)) continue;
+      const cell = centerCell(tokenDoc);
+      marchingOrder.push({ actorId: tokenDoc.actorId, dx: cell.col - leader.col, dy: cell.row - leader.row });
+    }
+
+    const SETTINGS = getSettings();
+    await SettingsUtil.set(SETTINGS.placementMarchingOrder.tag, marchingOrder);
+    FlashAPI.notify('info', game.i18n.format("FLASH_ROLLS.notifications.marchingOrderSaved", { count: marchingOrder.length }));
+    return marchingOrder;
+  }
+
+  /**
+   * Get the placement formation from the settings
+   * @returns {string} A value of PLACEMENT_FORMATIONS
+   * @private
+   */
+  static _getFormation() {
+    const SETTINGS = getSettings();
+    const formation = SettingsUtil.get(SETTINGS.placementFormation.tag);
+    return Object.values(PLACEMENT_FORMATIONS).includes(formation) ? formation : PLACEMENT_FORMATIONS.CLUSTER;
   }
 }
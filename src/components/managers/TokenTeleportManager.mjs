@@ -4,11 +4,14 @@ import { getActorData } from '../helpers/Helpers.mjs';
 import { SettingsUtil } from '../utils/SettingsUtil.mjs';
 import { getSettings } from '../../constants/Settings.mjs';
 import { GeneralUtil } from '../utils/GeneralUtil.mjs';
+import { TokenFormationUtil } from '../utils/TokenFormationUtil.mjs';
 import { FlashAPI } from '../core/FlashAPI.mjs';
 
 /**
  * Manages token teleportation functionality
  * Allows GMs to teleport tokens to different locations or scenes with optional animations
+ * Tokens landing off the scene, on another token or behind a wall are nudged to the nearest legal square,
+ * unless the Keep Teleport Formation setting is on
  */
 export class TokenTeleportManager {
 
@@ -27,6 +30,8 @@ export class TokenTeleportManager {
   static _rightMouseDown = false;
   static _rightMouseDownPosition = null;
   static _hasDragged = false;
+  static _keepFormation = false;
+  static _lastPreviewPoint = null;
 
   /**
    * Teleport selected tokens
@@ -81,6 +86,7 @@ export class TokenTeleportManager {
     this._tokenDataToTeleport = tokenDataToTeleport;
     this._sourceScene = canvas.scene;
     this._targetScene = canvas.scene;
+    this._keepFormation = this._getKeepFormationSetting();
     this._isTeleporting = true;
 
     await this._enterPlacementMode();
@@ -257,6 +263,10 @@ export class TokenTeleportManager {
 
     const position = event.data.getLocalPosition(canvas.tokens);
     const snapped = this._snapToHalfGrid(position.x, position.y);
+    if (this._lastPreviewPoint && this._lastPreviewPoint.x === snapped.x && this._lastPreviewPoint.y === snapped.y) {
+      return;
+    }
+    this._lastPreviewPoint = snapped;
 
     if (canvas.controls?.children) {
       try {
@@ -278,8 +288,7 @@ export class TokenTeleportManager {
     const boundingBox = this._calculateBoundingBox(this._tokenDataToTeleport, sourceGridSize);
     const groupCenterX = boundingBox.x + boundingBox.width / 2;
     const groupCenterY = boundingBox.y + boundingBox.height / 2;
-
-    const isSameScene = this._targetScene.id === this._sourceScene.id;
+    const positions = this._getDestinationPositions(snapped, groupCenterX, groupCenterY, sourceGridSize, canvas.scene);
 
     try {
       for (let i = 0; i < this._tokenDataToTeleport.length; i++) {
@@ -287,24 +296,13 @@ export class TokenTeleportManager {
         const tokenDoc = this._sourceScene.tokens.get(tokenData.id);
         if (!tokenDoc) continue;
 
-        const sourceTokenWidth = tokenData.width * sourceGridSize;
-        const sourceTokenHeight = tokenData.height * sourceGridSize;
-        const sourceTokenCenterX = tokenData.x + sourceTokenWidth / 2;
-        const sourceTokenCenterY = tokenData.y + sourceTokenHeight / 2;
-
-        const relativeGridX = (sourceTokenCenterX - groupCenterX) / sourceGridSize;
-        const relativeGridY = (sourceTokenCenterY - groupCenterY) / sourceGridSize;
-
-        const newCenterX = snapped.x + (relativeGridX * targetGridSize);
-        const newCenterY = snapped.y + (relativeGridY * targetGridSize);
-
         const targetTokenWidth = tokenData.width * targetGridSize;
         const targetTokenHeight = tokenData.height * targetGridSize;
-
-        const newX = newCenterX - targetTokenWidth / 2;
-        const newY = newCenterY - targetTokenHeight / 2;
+        const { x: newX, y: newY, valid, nudged } = positions[i];
 
         const texture = await foundry.canvas.loadTexture(tokenDoc.texture.src);
+        if (this._lastPreviewPoint !== snapped) return;
+
         const ghostToken = new PIXI.Sprite(texture);
         ghostToken.anchor.set(0);
         ghostToken.x = newX;
@@ -312,9 +310,17 @@ export class TokenTeleportManager {
         ghostToken.width = targetTokenWidth;
         ghostToken.height = targetTokenHeight;
         ghostToken.alpha = 0.5;
-        ghostToken.tint = 0x00ccff;
+        ghostToken.tint = valid ? (nudged ? 0xffff00 : 0x00ccff) : 0xff0000;
         ghostToken._flashRollsTeleportPreview = true;
         canvas.controls.addChild(ghostToken);
+
+        if (!valid) {
+          const outline = new PIXI.Graphics();
+          outline.lineStyle(3, 0xff0000, 0.9);
+          outline.drawRect(newX, newY, targetTokenWidth, targetTokenHeight);
+          outline._flashRollsTeleportPreview = true;
+          canvas.controls.addChild(outline);
+        }
       }
     } catch (error) {
       LogUtil.warn("Error drawing teleport preview", error);
@@ -393,25 +399,10 @@ export class TokenTeleportManager {
 
     const updates = [];
     const arrivalPositions = [];
-    for (const tokenData of this._tokenDataToTeleport) {
-      const tokenWidth = tokenData.width * gridSize;
-      const tokenHeight = tokenData.height * gridSize;
-      const tokenCenterX = tokenData.x + tokenWidth / 2;
-      const tokenCenterY = tokenData.y + tokenHeight / 2;
-
-      const relativeFromGroupCenterX = tokenCenterX - groupCenterX;
-      const relativeFromGroupCenterY = tokenCenterY - groupCenterY;
-
-      const newCenterX = destination.x + relativeFromGroupCenterX;
-      const newCenterY = destination.y + relativeFromGroupCenterY;
-
-      const snappedPosition = this._sourceScene.grid.getSnappedPoint(
-        { x: newCenterX, y: newCenterY },
-        { mode: CONST.GRID_SNAPPING_MODES.CENTER }
-      );
-
-      const newX = snappedPosition.x - tokenWidth / 2;
-      const newY = snappedPosition.y - tokenHeight / 2;
+    const positions = this._getDestinationPositions(destination, groupCenterX, groupCenterY, gridSize, this._sourceScene);
+    this._notifyBlockedPositions(positions);
+    this._tokenDataToTeleport.forEach((tokenData, index) => {
+      const { x: newX, y: newY } = positions[index];
 
       updates.push({
         _id: tokenData.id,
@@ -421,10 +412,10 @@ export class TokenTeleportManager {
       });
 
       arrivalPositions.push({
-        x: snappedPosition.x,
-        y: snappedPosition.y
+        x: newX + (tokenData.width * gridSize) / 2,
+        y: newY + (tokenData.height * gridSize) / 2
       });
-    }
+    });
 
     await this._sourceScene.updateEmbeddedDocuments('Token', updates, { animate: false });
 
@@ -479,29 +470,11 @@ export class TokenTeleportManager {
     const targetGridSize = this._targetScene.grid.size;
     const tokenCreateData = [];
     const arrivalPositions = [];
+    const positions = this._getDestinationPositions(destination, groupCenterX, groupCenterY, sourceGridSize, this._targetScene);
+    this._notifyBlockedPositions(positions);
 
-    for (const tokenData of this._tokenDataToTeleport) {
-      const sourceTokenWidth = tokenData.width * sourceGridSize;
-      const sourceTokenHeight = tokenData.height * sourceGridSize;
-      const sourceTokenCenterX = tokenData.x + sourceTokenWidth / 2;
-      const sourceTokenCenterY = tokenData.y + sourceTokenHeight / 2;
-
-      const relativeGridX = (sourceTokenCenterX - groupCenterX) / sourceGridSize;
-      const relativeGridY = (sourceTokenCenterY - groupCenterY) / sourceGridSize;
-
-      const newCenterX = destination.x + (relativeGridX * targetGridSize);
-      const newCenterY = destination.y + (relativeGridY * targetGridSize);
-
-      const snappedPosition = this._targetScene.grid.getSnappedPoint(
-        { x: newCenterX, y: newCenterY },
-        { mode: CONST.GRID_SNAPPING_MODES.CENTER }
-      );
-
-      const targetTokenWidth = tokenData.width * targetGridSize;
-      const targetTokenHeight = tokenData.height * targetGridSize;
-
-      const newX = snappedPosition.x - targetTokenWidth / 2;
-      const newY = snappedPosition.y - targetTokenHeight / 2;
+    this._tokenDataToTeleport.forEach((tokenData, index) => {
+      const { x: newX, y: newY } = positions[index];
 
       const data = foundry.utils.duplicate(tokenData.documentData);
       data.x = newX;
@@ -509,10 +482,10 @@ export class TokenTeleportManager {
 
       tokenCreateData.push(data);
       arrivalPositions.push({
-        x: snappedPosition.x,
-        y: snappedPosition.y
+        x: newX + (tokenData.width * targetGridSize) / 2,
+        y: newY + (tokenData.height * targetGridSize) / 2
       });
-    }
+    });
 
     const createdTokens = await this._targetScene.createEmbeddedDocuments('Token', tokenCreateData.map(data => ({
       ...data,
@@ -770,6 +743,67 @@ export class TokenTeleportManager {
     FlashAPI.notify('info', game.i18n.localize("FLASH_ROLLS.notifications.teleportCancelled"));
   }
 
+  /**
+   * Get the landing position of every token around a destination point
+   * Tokens keep their offset from the group center, in grid squares of the target scene.
+   * Squares off the scene, taken by other tokens or behind a wall are flagged, and nudged to the nearest
+   * legal square unless the exact formation is kept.
+   * @param {Object} destination - The destination point {x, y}
+   * @param {number} groupCenterX - X coordinate of group center on the source scene
+   * @param {number} groupCenterY - Y coordinate of group center on the source scene
+   * @param {number} sourceGridSize - Source scene grid size in pixels
+   * @param {Scene} targetScene - The destination scene
+   * @returns {Array<{x: number, y: number, valid: boolean, nudged: boolean}>} Top-left position of every token, in teleport order
+   */
+  static _getDestinationPositions(destination, groupCenterX, groupCenterY, sourceGridSize, targetScene) {
+    const targetGridSize = targetScene.grid.size;
+
+    const wanted = this._tokenDataToTeleport.map(tokenData => {
+      const sourceTokenCenterX = tokenData.x + (tokenData.width * sourceGridSize) / 2;
+      const sourceTokenCenterY = tokenData.y + (tokenData.height * sourceGridSize) / 2;
+
+      const relativeGridX = (sourceTokenCenterX - groupCenterX) / sourceGridSize;
+      const relativeGridY = (sourceTokenCenterY - groupCenterY) / sourceGridSize;
+
+      const snappedPosition = targetScene.grid.getSnappedPoint(
+        { x: destination.x + (relativeGridX * targetGridSize), y: destination.y + (relativeGridY * targetGridSize) },
+        { mode: CONST.GRID_SNAPPING_MODES.CENTER }
+      );
+
+      return {
+        x: snappedPosition.x - (tokenData.width * targetGridSize) / 2,
+        y: snappedPosition.y - (tokenData.height * targetGridSize) / 2
+      };
+    });
+
+    return TokenFormationUtil.fitPositions(this._tokenDataToTeleport, wanted, destination, {
+      scene: targetScene,
+      excludeTokenIds: targetScene.id === this._sourceScene?.id ? this._tokenDataToTeleport.map(t => t.id) : [],
+      nudge: !this._keepFormation
+    });
+  }
+
+  /**
+   * Warn about tokens that found no legal square near their destination
+   * @param {Array<{valid: boolean}>} positions - Destination positions
+   */
+  static _notifyBlockedPositions(positions) {
+    if (this._keepFormation) return;
+    const blocked = positions.filter(position => !position.valid).length;
+    if (blocked > 0) {
+      FlashAPI.notify('warn', game.i18n.format("FLASH_ROLLS.notifications.teleportBlocked", { count: blocked }));
+    }
+  }
+
+  /**
+   * Get the Keep Teleport Formation setting
+   * @returns {boolean}
+   */
+  static _getKeepFormationSetting() {
+    const SETTINGS = getSettings();
+    return SettingsUtil.get(SETTINGS.teleportKeepFormation.tag) === true;
+  }
+
   /**
    * Calculate center point of multiple positions
    * @param {Array} positions - Array of {x, y} positions
@@ -907,6 +941,8 @@ export class TokenTeleportManager {
     this._tokenDataToTeleport = [];
     this._sourceScene = null;
     this._targetScene = null;
+    this._keepFormation = false;
+    this._lastPreviewPoint = null;
     this._rightMouseDown = false;
     this._rightMouseDownPosition = null;
 
@@ -933,6 +969,7 @@ export class TokenTeleportManager {
 
     this._rightMouseDown = false;
     this._rightMouseDownPosition = null;
+    this._lastPreviewPoint = null;
   }
 
   /**
@@ -948,8 +985,10 @@ export class TokenTeleportManager {
    * @param {string[]} actorIds - Array of actor/token IDs to teleport
    * @param {string|Object} destinationScene - Scene ID, name, or scene object
    * @param {Object} centerLocation - Center location {x: number, y: number}
+   * @param {Object} [options]
+   * @param {boolean} [options.keepFormation] - Keep the exact formation instead of nudging blocked tokens. Defaults to the Keep Teleport Formation setting
    */
-  static async teleportToDestination(actorIds, destinationScene, centerLocation) {
+  static async teleportToDestination(actorIds, destinationScene, centerLocation, options = {}) {
     if (!game.user.isGM) {
       FlashAPI.notify('warn',"Only GMs can teleport tokens");
       return;
@@ -1033,6 +1072,7 @@ export class TokenTeleportManager {
     this._tokenDataToTeleport = tokenDataToTeleport;
     this._sourceScene = canvas.scene;
     this._targetScene = targetScene;
+    this._keepFormation = typeof options.keepFormation === 'boolean' ? options.keepFormation : this._getKeepFormationSetting();
     this._isTeleporting = true;
     this._isPerformingTeleport = true;
 
@@ -72,6 +72,10 @@ export class RollMenuConfig {
         config.fromMidiWorkflow = true;
       }
 
+      if (config && configOverrides.outcomes) {
+        config.outcomes = configOverrides.outcomes;
+      }
+
       return config;
     } else {
       const config = {
@@ -107,6 +111,10 @@ export class RollMenuConfig {
         config.fromMidiWorkflow = true;
       }
 
+      if (configOverrides.outcomes) {
+        config.outcomes = configOverrides.outcomes;
+      }
+
       return config;
     }
   }
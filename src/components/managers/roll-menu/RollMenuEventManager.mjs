@@ -90,6 +90,9 @@ export class RollMenuEventManager {
     html.querySelector('#flash5e-actors-lock')?.addEventListener('click', menu._onToggleLock.bind(menu));
     html.querySelector('.options-toggle-btn')?.addEventListener('click', menu._onToggleOptions.bind(menu));
     html.querySelector('#flash5e-open-settings')?.addEventListener('click', menu._onOpenSettings.bind(menu));
+    html.querySelector('#flash5e-request-tracker')?.addEventListener('click', menu._onOpenRequestTracker.bind(menu));
+    html.querySelector('#flash5e-roll-history')?.addEventListener('click', menu._onOpenRollHistory.bind(menu));
+    html.querySelector('#flash5e-import-ddb-file')?.addEventListener('click', menu._onImportDnDBFile.bind(menu));
     html.querySelector('#flash5e-premium-features')?.addEventListener('click', menu._onOpenPremiumFeatures.bind(menu));
     html.querySelector('#flash5e-premium-features')?.addEventListener('contextmenu', menu._onPremiumFeaturesContextMenu.bind(menu));
   }
@@ -160,6 +163,10 @@ export class RollMenuEventManager {
       this.openContestedRollDialog(menu);
     });
 
+    html.querySelector('#flash5e-roll-sequence')?.addEventListener('click', () => {
+      this.openRollSequenceDialog(menu);
+    });
+
     html.querySelector('#flash5e-place-tokens')?.addEventListener('click', () => {
       this.placeTokensForSelected(menu);
     });
@@ -416,18 +423,7 @@ export class RollMenuEventManager {
         actorImg.addEventListener('contextmenu', (event) => {
           event.preventDefault();
           event.stopPropagation();
-          
-          const tokenId = wrapper.dataset.tokenId;
-          const actorId = wrapper.dataset.actorId;
-          
-          let token = tokenId ? canvas.tokens.get(tokenId) : null;
-          if (!token && actorId) {
-            token = canvas.tokens.placeables.find(t => t.actor?.id === actorId);
-          }
-          
-          if (token) {
-            canvas.animatePan({ x: token.x, y: token.y, duration: 250 });
-          }
+          menu._onActorContextMenu(event, wrapper);
         });
 
         // Add hover handlers for temporary token selection preview
@@ -958,6 +954,22 @@ export class RollMenuEventManager {
     }
   }
 
+  /**
+   * Pan the canvas to the token of an actor by ID
+   * @param {string} actorId - The actor ID
+   * @param {string} tokenId - The token ID (optional)
+   */
+  static panToTokenById(actorId, tokenId) {
+    let token = tokenId ? canvas.tokens.get(tokenId) : null;
+    if (!token && actorId) {
+      token = canvas.tokens.placeables.find(t => t.actor?.id === actorId);
+    }
+
+    if (token) {
+      canvas.animatePan({ x: token.x, y: token.y, duration: 250 });
+    }
+  }
+
   /**
    * Open character sheet for a single actor by ID
    * @param {string} actorId - The actor ID
@@ -1316,8 +1328,9 @@ export class RollMenuEventManager {
   /**
    * Open contested roll dialog with selected actors
    * @param {RollRequestsMenu} menu - The menu instance
+   * @param {Object} [options] - Initial dialog state, see ContestedRollDialog.show
    */
-  static async openContestedRollDialog(menu) {
+  static async openContestedRollDialog(menu, options = {}) {
     const menuToUse = menu || this.activeMenu;
 
     if (!menuToUse || menuToUse.selectedActors.size === 0) {
@@ -1351,10 +1364,24 @@ export class RollMenuEventManager {
       return;
     }
 
-    const selectedActors = actors.slice(0, 2);
-
     const { ContestedRollDialog } = await import('../../../components/ui/dialogs/ContestedRollDialog.mjs');
-    await ContestedRollDialog.show(selectedActors);
+    await ContestedRollDialog.show(actors, options);
+  }
+
+  /**
+   * Open the roll sequence dialog with selected actors
+   * @param {RollRequestsMenu} menu - The menu instance
+   */
+  static async openRollSequenceDialog(menu) {
+    const menuToUse = menu || this.activeMenu;
+
+    if (!menuToUse || menuToUse.selectedActors.size === 0) {
+      FlashAPI.notify('warn', game.i18n.localize("FLASH_ROLLS.notifications.noActorsSelected"));
+      return;
+    }
+
+    const { RollSequenceDialog } = await import('../../../components/ui/dialogs/RollSequenceDialog.mjs');
+    RollSequenceDialog.show(Array.from(menuToUse.selectedActors));
   }
 
   /**
@@ -2,13 +2,13 @@ import { MODULE, ROLL_TYPES } from '../../../constants/General.mjs';
 import { LogUtil } from '../../utils/LogUtil.mjs';
 import { SettingsUtil } from '../../utils/SettingsUtil.mjs';
 import { getSettings } from '../../../constants/Settings.mjs';
-import { SocketUtil } from '../../utils/SocketUtil.mjs';
 import { delay, NotificationManager, filterActorsForDeathSaves, categorizeActorsByOwnership, getActorData } from '../../helpers/Helpers.mjs';
 import { RollHandlers } from '../../handlers/RollHandlers.mjs';
 import { ensureCombatForInitiative, filterActorsForInitiative } from '../../helpers/RollValidationHelpers.mjs';
 import { ChatMessageManager } from '../ChatMessageManager.mjs';
 import { RollMenuConfig } from './RollMenuConfig.mjs';
 import { OfflinePlayerManager } from './OfflinePlayerManager.mjs';
+import { RequestTrackerManager } from '../RequestTrackerManager.mjs';
 import { RollMenuExecutor } from './RollMenuExecutor.mjs';
 import { GeneralUtil } from '../../utils/GeneralUtil.mjs';
 import { FlashAPI } from '../../core/FlashAPI.mjs';
@@ -88,6 +88,8 @@ export class RollMenuOrchestrator {
     // Skip if groupRollId already exists (e.g., from contested rolls where the group message was already created)
     const groupMessageAlreadyExists = groupRollId && ChatMessageManager.groupRollMessages.has(groupRollId);
     const shouldCreateGroupMessage = groupRollsMsgEnabled && !groupMessageAlreadyExists && (isMultiActorRoll || useCondensedRollMessage || config.groupRollId);
+    // A group roll id passed by the caller always means the rolls belong on a group card, even for a single actor
+    const useGroupMessage = groupRollsMsgEnabled && (isMultiActorRoll || useCondensedRollMessage || config.isContestedRoll || !!config.groupRollId);
     if (shouldCreateGroupMessage) {
       await ChatMessageManager.createGroupRollMessage(
         allActorEntries,
@@ -123,7 +125,7 @@ export class RollMenuOrchestrator {
 
     // Player Rolls: Actors owned by active players
     for (const { actor, owner } of onlinePlayerActors) {
-      const useGroupId = groupRollsMsgEnabled && (isMultiActorRoll || useCondensedRollMessage || config.isContestedRoll) ? groupRollId : null;
+      const useGroupId = useGroupMessage ? groupRollId : null;
 
       LogUtil.log('orchestrateRollsForActors - Sending to player', {
         actor: actor.name,
@@ -151,7 +153,7 @@ export class RollMenuOrchestrator {
     // Handle NPC actors using traditional GM rolls
     if (npcActors.length > 0) {
       config.skipRollDialog = true;
-      config.groupRollId = (groupRollsMsgEnabled && (isMultiActorRoll || useCondensedRollMessage || config.isContestedRoll)) ? groupRollId : null;
+      config.groupRollId = useGroupMessage ? groupRollId : null;
 
       const npcActorIds = npcActors.map(actor => actor.id);
       const npcActorEntries = actorsData.filter(entry =>
@@ -491,6 +493,7 @@ export class RollMenuOrchestrator {
     
     const requestData = {
       type: "rollRequest",
+      requestId: foundry.utils.randomID(),
       groupRollId: groupRollId,
       actorId: actor.isToken ? actor.token.id : actor.id,
       isTokenActor: actor.isToken,
@@ -513,7 +516,7 @@ export class RollMenuOrchestrator {
       owner: owner.name,
       groupRollId: requestData.groupRollId
     });
-    SocketUtil.execForUser('handleRollRequest', owner.id, requestData);
+    RequestTrackerManager.sendRequest(owner, requestData, actor);
     
     if (!suppressNotification) {
       NotificationManager.notify('info', game.i18n.format("FLASH_ROLLS.notifications.rollRequestSent", { 
@@ -191,6 +191,15 @@ export class IconContextMenu {
         case 'open-settings':
           macroCommand = this._generateActionMacro('openSettings', 'Open Flash Rolls Settings');
           break;
+        case 'request-tracker':
+          macroCommand = this._generateActionMacro('openRequestTracker', 'Open Request Tracker');
+          break;
+        case 'roll-history':
+          macroCommand = this._generateActionMacro('openRollHistory', 'Open Roll History');
+          break;
+        case 'import-ddb-file':
+          macroCommand = this._generateActionMacro('importDnDBCharacterFile', 'Import D&D Beyond Character File');
+          break;
         case 'premium-features':
           macroCommand = this._generateActionMacro('openPremiumFeatures', 'Open Premium Features');
           break;
@@ -224,6 +233,9 @@ export class IconContextMenu {
         case 'contested-roll':
           macroCommand = this._generateActorActionMacro('openContestedRoll', 'Contested Roll', selectedActorIds);
           break;
+        case 'roll-sequence':
+          macroCommand = this._generateActorActionMacro('openRollSequence', 'Roll Sequence', selectedActorIds);
+          break;
         case 'place-tokens':
           macroCommand = this._generatePlaceTokensMacro(selectedActorIds);
           break;
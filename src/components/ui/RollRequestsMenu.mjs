@@ -27,6 +27,9 @@ import { RollMenuStateManager } from '../managers/roll-menu/RollMenuStateManager
 import { RollMenuStatusManager } from '../managers/roll-menu/RollMenuStatusManager.mjs';
 import { ModuleSettingsMenu } from '../ui/dialogs/ModuleSettingsMenu.mjs';
 import { PremiumFeaturesDialog } from '../ui/dialogs/PremiumFeaturesDialog.mjs';
+import { RequestTrackerDialog } from '../ui/dialogs/RequestTrackerDialog.mjs';
+import { RollHistoryDialog } from '../ui/dialogs/RollHistoryDialog.mjs';
+import { RollStatsDialog } from '../ui/dialogs/RollStatsDialog.mjs';
 import { IconLayoutUtil } from '../utils/IconLayoutUtil.mjs';
 import { PatronSessionManager } from '../managers/PatronSessionManager.mjs';
     
@@ -493,6 +496,33 @@ export default class RollRequestsMenu extends HandlebarsApplicationMixin(Applica
     new ModuleSettingsMenu().render(true);
   }
 
+  /**
+   * Handle open request tracker button click
+   */
+  async _onOpenRequestTracker(event) {
+    event.preventDefault();
+    event.stopPropagation();
+    RequestTrackerDialog.show();
+  }
+
+  /**
+   * Handle open roll history button click
+   */
+  async _onOpenRollHistory(event) {
+    event.preventDefault();
+    event.stopPropagation();
+    RollHistoryDialog.show();
+  }
+
+  /**
+   * Handle import D&D Beyond character file button click
+   */
+  async _onImportDnDBFile(event) {
+    event.preventDefault();
+    event.stopPropagation();
+    FlashAPI.importDnDBCharacterFile();
+  }
+
   /**
    * Handle open premium features button click
    */
@@ -534,6 +564,37 @@ export default class RollRequestsMenu extends HandlebarsApplicationMixin(Applica
     contextMenu.render(event.currentTarget, { event });
   }
 
+  /**
+   * Handle context menu on an actor image
+   * @param {MouseEvent} event - The context menu event
+   * @param {HTMLElement} wrapper - The actor element
+   */
+  _onActorContextMenu(event, wrapper) {
+    const { actorId, tokenId } = wrapper.dataset;
+    const actor = game.actors.get(actorId);
+    const menuItems = [{
+      name: game.i18n.localize("FLASH_ROLLS.ui.menus.actor.panToToken"),
+      icon: '<i class="fas fa-location-crosshairs"></i>',
+      callback: () => RollMenuEventManager.panToTokenById(actorId, tokenId)
+    }];
+
+    if (game.user.isGM && actor && actor.type !== 'group') {
+      menuItems.push({
+        name: game.i18n.localize("FLASH_ROLLS.ui.menus.actor.rollStats"),
+        icon: '<i class="fas fa-chart-column"></i>',
+        callback: () => RollStatsDialog.show(actor)
+      });
+    }
+
+    const contextMenu = new foundry.applications.ui.ContextMenu(
+      this.element,
+      `.actor[data-id="${wrapper.dataset.id}"] > .actor-img`,
+      menuItems,
+      { eventName: 'contextmenu' }
+    );
+    contextMenu.render(event.currentTarget, { event });
+  }
+
   /**
    * Check if the current user can drop actors into the menu
    * @param {string} selector - The drop target selector
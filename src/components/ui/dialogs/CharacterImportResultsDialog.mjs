@@ -1,11 +1,13 @@
 import { MODULE } from "../../../constants/General.mjs";
 import { LogUtil } from "../../utils/LogUtil.mjs";
+import { DnDBMatchOverrides } from "../../integrations/dnd-beyond/DnDBMatchOverrides.mjs";
 
 const { ApplicationV2, HandlebarsApplicationMixin } = foundry.applications.api;
 
 /**
  * Dialog showing character import results with matched/unmatched items
  * Used for Tier B and C imports when DDB Importer is not available
+ * Campaign imports pass a characters list, and list each item once for every character that has it
  */
 export class CharacterImportResultsDialog extends HandlebarsApplicationMixin(ApplicationV2) {
   constructor(options = {}) {
@@ -60,19 +62,21 @@ export class CharacterImportResultsDialog extends HandlebarsApplicationMixin(App
 
   async _prepareContext(options = {}) {
     const context = await super._prepareContext(options);
-    const { tier, matchRate, matched, unmatched, characterName, classInfo, raceName, backgroundName } = this.importData;
+    const { tier, matchRate, matched, unmatched, characterName, classInfo, raceName, backgroundName, characters } = this.importData;
 
     const matchPercentage = Math.round((matchRate || 0) * 100);
 
     if (matched) {
       matched.forEach((item, index) => {
         item._itemKey = `item-${index}`;
+        if (item.characterNames) item.characterList = item.characterNames.join(", ");
       });
     }
 
     if (unmatched) {
       unmatched.forEach((item, index) => {
         item._unmatchedKey = `unmatched-${index}`;
+        if (item.characterNames) item.characterList = item.characterNames.join(", ");
       });
     }
 
@@ -94,7 +98,9 @@ export class CharacterImportResultsDialog extends HandlebarsApplicationMixin(App
       hasUnmatched: (unmatched?.length || 0) > 0,
       classInfo,
       raceName,
-      backgroundName
+      backgroundName,
+      characters,
+      isCampaign: !!characters?.length
     };
   }
 
@@ -104,7 +110,7 @@ export class CharacterImportResultsDialog extends HandlebarsApplicationMixin(App
     if (partId === "footer") {
       partContext.buttons = [
         { type: "button", icon: "fas fa-times", label: "Cancel", action: "cancel" },
-        { type: "button", icon: "fas fa-check", label: "Create Actor", action: "confirm", cssClass: "primary" }
+        { type: "button", icon: "fas fa-check", label: this.importData.characters ? "Create Actors" : "Create Actor", action: "confirm", cssClass: "primary" }
       ];
     }
 
@@ -218,11 +224,23 @@ export class CharacterImportResultsDialog extends HandlebarsApplicationMixin(App
    */
   _onSourceChange(event) {
     const select = event.target;
-    const selectedIndex = parseInt(select.value, 10);
     const itemKey = select.dataset.itemKey;
 
+    if (select.value === "homebrew") {
+      const item = this.importData.matched.find(m => m._itemKey === itemKey);
+      if (item) {
+        item._homebrew = true;
+        item._choiceChanged = true;
+      }
+      return;
+    }
+
+    const selectedIndex = parseInt(select.value, 10);
+
     for (const item of this.importData.matched) {
       if (item.allMatches && item._itemKey === itemKey) {
+        item._homebrew = false;
+        item._choiceChanged = true;
         const newMatch = item.allMatches[selectedIndex];
         item.selectedIndex = selectedIndex;
         item.foundryUuid = newMatch.uuid;
@@ -237,14 +255,74 @@ export class CharacterImportResultsDialog extends HandlebarsApplicationMixin(App
     }
   }
 
+  /**
+   * Store which characters of a campaign import are checked for import
+   */
+  _readIncludedCharacters() {
+    if (!this.importData.characters) return;
+    this.element.querySelectorAll(".include-character-checkbox").forEach(checkbox => {
+      const character = this.importData.characters.find(c => String(c.id) === checkbox.dataset.characterId);
+      if (character) character.include = checkbox.checked;
+    });
+  }
+
+  /**
+   * Move matched items switched to homebrew over to the homebrew items to create
+   * @returns {Array} Unmatched-style entries for the switched items
+   */
+  _takeHomebrewFromMatched() {
+    const switched = this.importData.matched.filter(item => item._homebrew);
+    this.importData.matched = this.importData.matched.filter(item => !item._homebrew);
+    return switched.map(item => ({
+      ddbItem: item.ddbItem,
+      name: item.ddbItem.definition?.name || item.ddbItem.name,
+      type: item.foundryType,
+      reason: "homebrew"
+    }));
+  }
+
+  /**
+   * Remember the match choices made in this dialog for future imports
+   * Changed matches and items switched to homebrew are stored as overrides,
+   * remembered homebrew items that were unchecked are forgotten
+   * @param {Array} switchedToHomebrew - Matched items switched to homebrew
+   */
+  async _rememberChoices(switchedToHomebrew) {
+    const choices = this.importData.matched
+      .filter(item => item._choiceChanged)
+      .map(item => ({ ddbItem: item.ddbItem, uuid: item.foundryUuid, foundryName: item.foundryName }));
+
+    for (const item of switchedToHomebrew) {
+      choices.push({ ddbItem: item.ddbItem, homebrew: true });
+    }
+
+    await DnDBMatchOverrides.setMany(choices);
+
+    const homebrewKeys = new Set(this.importData.homebrewToCreate.map(item => item._unmatchedKey));
+    for (const item of this.importData.unmatched || []) {
+      if (item.reason !== "homebrew" || homebrewKeys.has(item._unmatchedKey)) continue;
+      const ddbId = item.ddbItem.definition?.id || item.ddbItem.id;
+      await DnDBMatchOverrides.remove(DnDBMatchOverrides.getKey(ddbId, item.name));
+      await DnDBMatchOverrides.remove(DnDBMatchOverrides.getKey(null, item.name));
+    }
+  }
+
   /**
    * Handle confirm button click
    * @param {Event} event
    * @param {HTMLElement} target
    */
-  static #onConfirm(event, target) {
+  static async #onConfirm(event, target) {
     if (this._resolve) {
+      this._readIncludedCharacters();
+      const switchedToHomebrew = this._takeHomebrewFromMatched();
       this.importData.homebrewToCreate = this._getHomebrewToCreate();
+
+      if (this.element.querySelector("#rememberMatchChoices")?.checked) {
+        await this._rememberChoices(switchedToHomebrew);
+      }
+
+      this.importData.homebrewToCreate.push(...switchedToHomebrew);
       this._resolve(this.importData);
     }
     this.close();
@@ -0,0 +1,178 @@
+import { MODULE } from "../../../constants/General.mjs";
+
+const { ApplicationV2, HandlebarsApplicationMixin } = foundry.applications.api;
+
+/**
+ * Dialog listing the differences between an actor and its D&D Beyond character
+ * Each change can be accepted or rejected before the actor is updated
+ */
+export class CharacterSyncDialog extends HandlebarsApplicationMixin(ApplicationV2) {
+  constructor(options = {}) {
+    super(options);
+    this.syncData = options.syncData || {};
+    this._resolve = null;
+  }
+
+  static DEFAULT_OPTIONS = {
+    classes: ["flash5e-dialog", "flash5e-character-sync-dialog"],
+    tag: "div",
+    window: {
+      title: "FLASH_ROLLS.ui.dialogs.characterSync.title",
+      icon: "fas fa-sync",
+      resizable: true,
+      positioned: true,
+      frame: true,
+      contentClasses: ["standard-form", "crlngn", "flash5e"]
+    },
+    position: {
+      width: 520,
+      height: "auto"
+    },
+    actions: {
+      confirm: CharacterSyncDialog.#onConfirm,
+      cancel: CharacterSyncDialog.#onCancel
+    }
+  };
+
+  get id() {
+    return `flash5e-character-sync-${this.syncData.actorName?.replace(/\s+/g, "-") || "unknown"}`;
+  }
+
+  get title() {
+    return game.i18n.format("FLASH_ROLLS.ui.dialogs.characterSync.title", {
+      name: this.syncData.actorName || ""
+    });
+  }
+
+  static PARTS = {
+    content: {
+      template: `modules/${MODULE.ID}/templates/character-sync.hbs`
+    },
+    footer: {
+      template: "templates/generic/form-footer.hbs"
+    }
+  };
+
+  async _prepareContext(options = {}) {
+    const context = await super._prepareContext(options);
+    const changes = this.syncData.changes || [];
+    const groups = {};
+
+    for (const change of changes) {
+      if (!groups[change.category]) {
+        groups[change.category] = {
+          label: game.i18n.localize(`FLASH_ROLLS.ui.dialogs.characterSync.categories.${change.category}`),
+          changes: []
+        };
+      }
+      // Item removals must be opted into, so clicking through the dialog never deletes items
+      groups[change.category].changes.push({ ...change, selected: !change.itemRemove });
+    }
+
+    const hasRemovals = changes.some(change => change.itemRemove);
+    return {
+      ...context,
+      actorName: this.syncData.actorName,
+      changeCount: changes.length,
+      allSelected: !hasRemovals,
+      hasRemovals,
+      groups
+    };
+  }
+
+  async _preparePartContext(partId, context, options) {
+    const partContext = await super._preparePartContext(partId, context, options);
+
+    if (partId === "footer") {
+      partContext.buttons = [
+        { type: "button", icon: "fas fa-times", label: "Cancel", action: "cancel" },
+        { type: "button", icon: "fas fa-check", label: "FLASH_ROLLS.ui.dialogs.characterSync.update", action: "confirm", cssClass: "primary" }
+      ];
+    }
+
+    return partContext;
+  }
+
+  /**
+   * Factory method to show dialog and wait for user decision
+   * @param {Object} syncData - The actor name and the changes to review
+   * @returns {Promise<Array|null>} The accepted changes, or null if cancelled
+   */
+  static async show(syncData) {
+    return new Promise((resolve) => {
+      const dialog = new CharacterSyncDialog({ syncData });
+      dialog._resolve = resolve;
+      dialog.render(true);
+    });
+  }
+
+  /**
+   * @override
+   */
+  _onRender(context, options) {
+    super._onRender(context, options);
+
+    const selectAll = this.element.querySelector("#syncSelectAll");
+    if (selectAll) {
+      selectAll.addEventListener("change", this._onSelectAllChange.bind(this));
+    }
+  }
+
+  /**
+   * Handle "select all" checkbox change
+   * @param {Event} event
+   */
+  _onSelectAllChange(event) {
+    const isChecked = event.target.checked;
+    this.element.querySelectorAll(".sync-change-checkbox").forEach(checkbox => {
+      checkbox.checked = isChecked;
+    });
+  }
+
+  /**
+   * Get the changes whose checkbox is checked
+   * @returns {Array} The accepted changes
+   */
+  _getAcceptedChanges() {
+    const acceptedIds = new Set();
+    this.element.querySelectorAll(".sync-change-checkbox:checked").forEach(checkbox => {
+      acceptedIds.add(checkbox.dataset.changeId);
+    });
+    return (this.syncData.changes || []).filter(change => acceptedIds.has(change.id));
+  }
+
+  /**
+   * Handle confirm button click
+   * @param {Event} event
+   * @param {HTMLElement} target
+   */
+  static #onConfirm(event, target) {
+    if (this._resolve) {
+      this._resolve(this._getAcceptedChanges());
+      this._resolve = null;
+    }
+    this.close();
+  }
+
+  /**
+   * Handle cancel button click
+   * @param {Event} event
+   * @param {HTMLElement} target
+   */
+  static #onCancel(event, target) {
+    if (this._resolve) {
+      this._resolve(null);
+      this._resolve = null;
+    }
+    this.close();
+  }
+
+  /** @override */
+  close(options = {}) {
+    if (this._resolve) {
+      this._resolve(null);
+      this._resolve = null;
+    }
+    return super.close(options);
+  }
+}
@@ -1,4 +1,4 @@
-import { MODULE_ID } from "../../../constants/General.mjs";
+import { MODULE_ID, CONTEST_TIE_BREAKERS } from "../../../constants/General.mjs";
 import { LogUtil } from "../../utils/LogUtil.mjs";
 import { SettingsUtil } from "../../utils/SettingsUtil.mjs";
 import { getSettings } from "../../../constants/Settings.mjs";
@@ -9,6 +9,8 @@ import { FlashAPI } from "../../core/FlashAPI.mjs";
 
 /**
  * Contested Roll Dialog for requesting different roll types from selected actors
+ * Supports head-to-head contests as well as races with any number of participants, ranked on the chat card.
+ * In team mode, actors are split into teams and each team is scored with a group roll method.
  */
 const { ApplicationV2, HandlebarsApplicationMixin } = foundry.applications.api;
 export class ContestedRollDialog extends HandlebarsApplicationMixin(ApplicationV2) {
@@ -19,6 +21,59 @@ export class ContestedRollDialog extends HandlebarsApplicationMixin(ApplicationV
     this.rollMode = "publicroll";
     this.flavor = "";
     this.hideNpcNames = false;
+    this.tieBreaker = Object.values(CONTEST_TIE_BREAKERS).includes(options.tieBreaker)
+      ? options.tieBreaker
+      : CONTEST_TIE_BREAKERS.SHARED;
+
+    this.teamMode = Array.isArray(options.teams) && options.teams.length > 0;
+    this.teams = this.teamMode
+      ? options.teams.map((team, index) => ({ id: `team${index + 1}`, name: team.name || ContestedRollDialog.getDefaultTeamName(index + 1) }))
+      : [1, 2].map(number => ({ id: `team${number}`, name: ContestedRollDialog.getDefaultTeamName(number) }));
+    this.teamAssignments = new Map();
+    this.teamMethod = RollHelpers.getGroupMethod(options.teamMethod) ? String(options.teamMethod) : RollHelpers.getSelectedGroupMethodId();
+    this.teamDC = options.teamDC ?? 10;
+
+    if (this.teamMode) {
+      options.teams.forEach((team, index) => {
+        for (const id of team.actorIds || []) {
+          const entry = this.actors.find(a => ContestedRollDialog.getEntryId(a) === id || (a.actor || a).id === id);
+          if (entry) this.teamAssignments.set(ContestedRollDialog.getEntryId(entry), this.teams[index].id);
+        }
+      });
+    }
+
+    if (options.rollType) {
+      this.actors.forEach(a => this.rollSelections.set(ContestedRollDialog.getEntryId(a), options.rollType));
+    }
+  }
+
+  /**
+   * Get the default display name of a team
+   * @param {number} number - The team number, starting at 1
+   * @returns {string} The localized team name
+   */
+  static getDefaultTeamName(number) {
+    return game.i18n.format("FLASH_ROLLS.ui.dialogs.contestedRoll.teamName", { number });
+  }
+
+  /**
+   * Get the team an actor entry is assigned to, defaulting to the first team
+   * @param {Object} actorEntry - Actor entry or actor document
+   * @returns {string} The team id
+   */
+  getTeamFor(actorEntry) {
+    const teamId = this.teamAssignments.get(ContestedRollDialog.getEntryId(actorEntry));
+    return this.teams.some(team => team.id === teamId) ? teamId : this.teams[0].id;
+  }
+
+  /**
+   * Get the identifier used for roll selections, unique per token so several tokens of one actor can compete
+   * @param {Object} actorEntry - Actor entry or actor document
+   * @returns {string} The unique identifier
+   */
+  static getEntryId(actorEntry) {
+    const actor = actorEntry.actor || actorEntry;
+    return actorEntry.uniqueId || actorEntry.tokenId || actor.id;
   }
 
   /**
@@ -41,7 +96,9 @@ export class ContestedRollDialog extends HandlebarsApplicationMixin(ApplicationV
     },
     actions: {
       request: ContestedRollDialog.prototype._onRequest,
-      "show-code": ContestedRollDialog.prototype._onShowCode
+      "show-code": ContestedRollDialog.prototype._onShowCode,
+      "delete-actor": ContestedRollDialog.prototype._onDeleteActor,
+      "add-team": ContestedRollDialog.prototype._onAddTeam
     }
   };
 
@@ -80,16 +137,29 @@ export class ContestedRollDialog extends HandlebarsApplicationMixin(ApplicationV
       actors: this.actors.map(a => {
         const actor = a.actor || a;
         return {
-          id: actor.id,
+          id: ContestedRollDialog.getEntryId(a),
           name: actor.name,
-          img: actor.img
+          img: actor.img,
+          selection: this.rollSelections.get(ContestedRollDialog.getEntryId(a)) || "",
+          team: this.getTeamFor(a)
         };
       }),
+      canRemoveActors: this.actors.length > 2,
       abilities,
       skills,
       rollMode: this.rollMode,
       flavor: this.flavor,
-      hideNpcNames: this.hideNpcNames
+      hideNpcNames: this.hideNpcNames,
+      tieBreaker: this.tieBreaker,
+      tieBreakers: Object.values(CONTEST_TIE_BREAKERS).map(value => ({
+        value,
+        label: game.i18n.localize(`FLASH_ROLLS.ui.dialogs.contestedRoll.tieBreakers.${value}`)
+      })),
+      teamMode: this.teamMode,
+      teams: this.teams,
+      teamMethod: this.teamMethod,
+      teamMethods: RollHelpers.getGroupMethodChoices(),
+      teamDC: this.teamDC
     };
   }
 
@@ -113,6 +183,48 @@ export class ContestedRollDialog extends HandlebarsApplicationMixin(ApplicationV
       });
     }
 
+    const tieBreakerSelect = htmlElement.querySelector('.tie-breaker-select');
+    if (tieBreakerSelect) {
+      tieBreakerSelect.addEventListener('change', (event) => {
+        this.tieBreaker = event.target.value;
+      });
+    }
+
+    const teamModeCheckbox = htmlElement.querySelector('input[name="teamMode"]');
+    if (teamModeCheckbox) {
+      teamModeCheckbox.addEventListener('change', (event) => {
+        this.teamMode = event.target.checked;
+        this.render();
+      });
+    }
+
+    htmlElement.querySelectorAll('.team-name-input').forEach(input => {
+      input.addEventListener('input', (event) => {
+        const team = this.teams.find(t => t.id === event.target.dataset.teamId);
+        if (team) team.name = event.target.value;
+      });
+    });
+
+    htmlElement.querySelectorAll('.actor-team').forEach(select => {
+      select.addEventListener('change', (event) => {
+        this.teamAssignments.set(event.target.dataset.actorId, event.target.value);
+      });
+    });
+
+    const teamMethodSelect = htmlElement.querySelector('.team-method-select');
+    if (teamMethodSelect) {
+      teamMethodSelect.addEventListener('change', (event) => {
+        this.teamMethod = event.target.value;
+      });
+    }
+
+    const teamDCInput = htmlElement.querySelector('input[name="teamDC"]');
+    if (teamDCInput) {
+      teamDCInput.addEventListener('input', (event) => {
+        this.teamDC = event.target.value;
+      });
+    }
+
     const hideNpcCheckbox = htmlElement.querySelector('input[name="hideNpcNames"]');
     if (hideNpcCheckbox) {
       hideNpcCheckbox.addEventListener('change', (event) => {
@@ -123,7 +235,10 @@ export class ContestedRollDialog extends HandlebarsApplicationMixin(ApplicationV
     const actorRollSelects = htmlElement.querySelectorAll('.actor-roll-type');
     actorRollSelects.forEach(select => {
       const actorId = select.dataset.actorId;
-      if (select.value) {
+      const selection = this.rollSelections.get(actorId);
+      if (selection) {
+        select.value = selection;
+      } else if (select.value) {
         this.rollSelections.set(actorId, select.value);
       }
 
@@ -145,13 +260,19 @@ export class ContestedRollDialog extends HandlebarsApplicationMixin(ApplicationV
 
     for (const actorEntry of this.actors) {
       const actor = actorEntry.actor || actorEntry;
-      const selection = this.rollSelections.get(actor.id);
+      const selection = this.rollSelections.get(ContestedRollDialog.getEntryId(actorEntry));
       if (!selection) {
         FlashAPI.notify('warn',game.i18n.format("FLASH_ROLLS.notifications.noRollSelected", { name: actor.name }));
         return;
       }
     }
 
+    const teams = this.teamMode ? this.getActiveTeams() : null;
+    if (this.teamMode && teams.length < 2) {
+      FlashAPI.notify('warn', game.i18n.localize("FLASH_ROLLS.notifications.twoTeamsRequired"));
+      return;
+    }
+
     const result = {
       actors: this.actors.map(actorEntry => {
         const actor = actorEntry.actor || actorEntry;
@@ -159,14 +280,24 @@ export class ContestedRollDialog extends HandlebarsApplicationMixin(ApplicationV
           actor: actor,
           uniqueId: actorEntry.uniqueId || actor.id,
           tokenId: actorEntry.tokenId || null,
-          rollType: this.rollSelections.get(actor.id)
+          rollType: this.rollSelections.get(ContestedRollDialog.getEntryId(actorEntry)),
+          team: teams ? this.getTeamFor(actorEntry) : null
         };
       }),
       rollMode: this.rollMode,
       flavor: this.flavor,
-      hideNpcNames: this.hideNpcNames
+      hideNpcNames: this.hideNpcNames,
+      tieBreaker: this.tieBreaker
     };
 
+    if (teams) {
+      const teamOrder = teams.map(team => team.id);
+      result.actors.sort((a, b) => teamOrder.indexOf(a.team) - teamOrder.indexOf(b.team));
+      result.teams = teams;
+      result.teamMethod = this.teamMethod;
+      result.teamDC = this.teamDC;
+    }
+
     await this._executeContestedRolls(result);
     this.close();
   }
@@ -197,7 +328,8 @@ export class ContestedRollDialog extends HandlebarsApplicationMixin(ApplicationV
           uniqueId: uniqueId,
           tokenId: tokenId,
           rollType: rollType,
-          rollKey: key
+          rollKey: key,
+          team: actorConfig.team ?? null
         };
       });
 
@@ -300,13 +432,18 @@ export class ContestedRollDialog extends HandlebarsApplicationMixin(ApplicationV
 
     for (const actorEntry of this.actors) {
       const actor = actorEntry.actor || actorEntry;
-      const selection = this.rollSelections.get(actor.id);
+      const selection = this.rollSelections.get(ContestedRollDialog.getEntryId(actorEntry));
       if (!selection) {
         FlashAPI.notify('warn',game.i18n.format("FLASH_ROLLS.notifications.noRollSelected", { name: actor.name }));
         return;
       }
     }
 
+    if (this.teamMode && this.getActiveTeams().length < 2) {
+      FlashAPI.notify('warn', game.i18n.localize("FLASH_ROLLS.notifications.twoTeamsRequired"));
+      return;
+    }
+
     const macroCode = this._generateMacroCode();
     LogUtil.log('Generated macro code:', [macroCode]);
 
@@ -323,8 +460,7 @@ export class ContestedRollDialog extends HandlebarsApplicationMixin(ApplicationV
    * Generate macro code for the current configuration
    */
   _generateMacroCode() {
-    const firstActor = this.actors[0].actor || this.actors[0];
-    const firstSelection = this.rollSelections.get(firstActor.id);
+    const firstSelection = this.rollSelections.get(ContestedRollDialog.getEntryId(this.actors[0]));
     if (!firstSelection) {
       FlashAPI.notify('warn',"Please select a roll type for all actors before creating a macro.");
       return null;
@@ -334,22 +470,28 @@ export class ContestedRollDialog extends HandlebarsApplicationMixin(ApplicationV
     const firstType = firstRoll[0] === 'ability' ? 'abilitycheck' : firstRoll[0];
     const firstKey = firstRoll[1];
 
-    const rollCommands = this.actors.map(actorEntry => {
+    const teams = this.teamMode ? this.getActiveTeams() : null;
+    const orderedActors = teams
+      ? [...this.actors].sort((a, b) => teams.findIndex(t => t.id === this.getTeamFor(a)) - teams.findIndex(t => t.id === this.getTeamFor(b)))
+      : this.actors;
+
+    const rollCommands = orderedActors.map((actorEntry, index) => {
       const a = actorEntry.actor || actorEntry;
-      const selection = this.rollSelections.get(a.id);
+      const selection = this.rollSelections.get(ContestedRollDialog.getEntryId(actorEntry));
       if (!selection) {
         return null;
       }
       const [type, key] = selection.split(':');
       const requestType = type === 'ability' ? 'abilitycheck' : type;
+      const rollTargetId = actorEntry.tokenId || a.id;
 
       if (type === 'dice') {
         return `  // ${a.name}: Custom Dice Roll
-  const actor${a.id} = game.actors.get("${a.id}");
-  if (actor${a.id}) {
-    const roll = await new Roll("${key}", actor${a.id}.getRollData()).evaluate();
+  const actor${index} = actorEntries[${index}].actor;
+  if (actor${index}) {
+    const roll = await new Roll("${key}", actor${index}.getRollData()).evaluate();
     await roll.toMessage({
-      speaker: ChatMessage.implementation.getSpeaker({ actor: actor${a.id} }),
+      speaker: ChatMessage.implementation.getSpeaker({ actor: actor${index} }),
       flavor: "${this.flavor || 'Custom Roll'}",
       rollMode: "${this.rollMode}",
       flags: {
@@ -365,7 +507,7 @@ export class ContestedRollDialog extends HandlebarsApplicationMixin(ApplicationV
   await FlashAPI.requestRoll({
     requestType: "${requestType}",
     rollKey: "${key}",
-    actorIds: ["${a.id}"],
+    actorIds: ["${rollTargetId}"],
     skipRollDialog: true,
     groupRollId: groupRollId,
     isContestedRoll: true
@@ -379,17 +521,26 @@ export class ContestedRollDialog extends HandlebarsApplicationMixin(ApplicationV
 
     const joinedCommands = rollCommands.join('\n\n');
 
-    const actorEntriesCode = this.actors.map(actorEntry => {
+    const actorEntriesCode = orderedActors.map(actorEntry => {
       const a = actorEntry.actor || actorEntry;
+      const [type, key] = this.rollSelections.get(ContestedRollDialog.getEntryId(actorEntry)).split(':');
+      const actorCode = actorEntry.tokenId
+        ? `canvas.tokens?.get("${actorEntry.tokenId}")?.actor || game.actors.get("${a.id}")`
+        : `game.actors.get("${a.id}")`;
       return `    {
-      actor: game.actors.get("${a.id}"),
-      uniqueId: "${a.id}",
-      tokenId: null
+      actor: ${actorCode},
+      uniqueId: "${ContestedRollDialog.getEntryId(actorEntry)}",
+      tokenId: ${actorEntry.tokenId ? `"${actorEntry.tokenId}"` : 'null'},
+      rollType: "${type}",
+      rollKey: "${key}"${teams ? `,
+      team: "${this.getTeamFor(actorEntry)}"` : ''}
     }`;
     }).join(',\n');
 
     return `// Flash Token Bar: Contested Roll
 // Roll Mode: ${this.rollMode}
+// Ties: ${this.tieBreaker}${teams ? `
+// Teams: ${teams.map(team => team.name).join(' vs ')}` : ''}
 ${this.flavor ? `// Flavor: ${this.flavor}` : ''}
 
 (async () => {
@@ -404,7 +555,7 @@ ${actorEntriesCode}
       actorEntries,
       "${firstType}",
       "${firstKey}",
-      { rollMode: "${this.rollMode}", flavor: "${this.flavor}", isContestedRoll: true },
+      { rollMode: "${this.rollMode}", flavor: "${this.flavor}", isContestedRoll: true, tieBreaker: "${this.tieBreaker}"${teams ? `, teams: ${JSON.stringify(teams)}, teamMethod: "${this.teamMethod}", teamDC: ${parseInt(this.teamDC) || 10}` : ''} },
       groupRollId
     );
 
@@ -448,7 +599,10 @@ ${joinedCommands}
           }),
           rollSelections: Array.from(this.rollSelections.entries()),
           rollMode: this.rollMode,
-          flavor: this.flavor
+          flavor: this.flavor,
+          tieBreaker: this.tieBreaker,
+          teams: this.teamMode ? this.getActiveTeams() : null,
+          teamAssignments: this.teamMode ? Array.from(this.teamAssignments.entries()) : null
         }
       }
     };
@@ -488,14 +642,34 @@ ${joinedCommands}
     return folder?.id || null;
   }
 
+  /**
+   * Get the teams that have at least one assigned actor
+   * @returns {Array<{id: string, name: string}>} Teams in display order
+   */
+  getActiveTeams() {
+    return this.teams
+      .filter(team => this.actors.some(a => this.getTeamFor(a) === team.id))
+      .map(team => ({ id: team.id, name: team.name || team.id }));
+  }
+
+  /**
+   * Handle add team button click
+   */
+  async _onAddTeam(event, target) {
+    const number = this.teams.length + 1;
+    this.teams.push({ id: `team${number}`, name: ContestedRollDialog.getDefaultTeamName(number) });
+    await this.render();
+  }
+
   /**
    * Handle delete actor button click
    */
   async _onDeleteActor(event, target) {
     const actorId = target.dataset.actorId;
     LogUtil.log('ContestedRollDialog _onDeleteActor', [actorId]);
+    if (this.actors.length <= 2) return;
 
-    this.actors = this.actors.filter(a => a.id !== actorId);
+    this.actors = this.actors.filter(a => ContestedRollDialog.getEntryId(a) !== actorId);
     this.rollSelections.delete(actorId);
 
     await this.render(true);
@@ -503,14 +677,16 @@ ${joinedCommands}
 
   /**
    * Show the dialog
+   * @param {Array} actors - Actor entries taking part in the contest
+   * @param {Object} [options] - Initial state: teams ([{ name, actorIds }]), teamMethod, teamDC, tieBreaker, rollType (e.g. "skill:ath")
    */
-  static async show(actors) {
+  static async show(actors, options = {}) {
     if (!actors || actors.length === 0) {
       FlashAPI.notify('warn',game.i18n.localize("FLASH_ROLLS.notifications.noActorsSelected"));
       return null;
     }
 
-    const dialog = new this({ actors });
+    const dialog = new this({ ...options, actors });
     dialog.render(true);
     return dialog;
   }
@@ -0,0 +1,201 @@
+import { MODULE_ID } from "../../../constants/General.mjs";
+import { DnDBMatchOverrides } from "../../integrations/dnd-beyond/DnDBMatchOverrides.mjs";
+
+const { ApplicationV2, HandlebarsApplicationMixin } = foundry.applications.api;
+
+/**
+ * GM dialog to review and edit the remembered D&D Beyond match choices
+ * Each override points a DDB item at a Foundry item, or marks it as always homebrew.
+ * Foundry items can be dropped on a row to set its target.
+ */
+export class MatchOverridesDialog extends HandlebarsApplicationMixin(ApplicationV2) {
+
+  static DEFAULT_OPTIONS = {
+    id: "flash5e-match-overrides",
+    classes: ["flash5e-dialog", "flash5e-match-overrides-dialog"],
+    tag: "div",
+    window: {
+      title: "FLASH_ROLLS.ui.dialogs.matchOverrides.title",
+      icon: "fas fa-thumbtack",
+      resizable: true,
+      positioned: true,
+      frame: true,
+      contentClasses: ["standard-form", "crlngn", "flash5e"]
+    },
+    position: {
+      width: 640,
+      height: "auto"
+    },
+    actions: {
+      "add-override": MatchOverridesDialog.prototype._onAddOverride,
+      "delete-override": MatchOverridesDialog.prototype._onDeleteOverride,
+      "export-overrides": MatchOverridesDialog.prototype._onExport,
+      "import-overrides": MatchOverridesDialog.prototype._onImport,
+      save: MatchOverridesDialog.prototype._onSave
+    }
+  };
+
+  static PARTS = {
+    main: {
+      template: `modules/${MODULE_ID}/templates/match-overrides-dialog.hbs`
+    }
+  };
+
+  constructor(options = {}) {
+    super(options);
+    this.overrides = MatchOverridesDialog._sortOverrides(Object.values(DnDBMatchOverrides.getAll()));
+  }
+
+  /**
+   * Open the overrides dialog
+   */
+  static show() {
+    if (!game.user.isGM) return;
+    const dialog = foundry.applications.instances.get(this.DEFAULT_OPTIONS.id) || new this();
+    dialog.render(true);
+  }
+
+  async _prepareContext(options = {}) {
+    const context = await super._prepareContext(options);
+    return {
+      ...context,
+      overrides: this.overrides.map((override, index) => ({ ...override, index })),
+      hasOverrides: this.overrides.length > 0
+    };
+  }
+
+  /** @override */
+  _onRender(context, options) {
+    super._onRender(context, options);
+
+    this.element.querySelectorAll(".override-row").forEach(row => {
+      row.addEventListener("dragover", event => event.preventDefault());
+      row.addEventListener("drop", this._onDropItem.bind(this));
+
+      const uuidInput = row.querySelector("input[name='uuid']");
+      row.querySelector("input[name='homebrew']")?.addEventListener("change", event => {
+        if (uuidInput) uuidInput.disabled = event.target.checked;
+      });
+    });
+  }
+
+  /**
+   * Set the target of a row from a dropped Foundry item
+   * @param {DragEvent} event
+   * @private
+   */
+  async _onDropItem(event) {
+    event.preventDefault();
+    const data = TextEditor.getDragEventData(event);
+    if (data.type !== "Item" || !data.uuid) return;
+
+    const item = await fromUuid(data.uuid);
+    if (!item) return;
+
+    this._readForm();
+    const override = this.overrides[Number(event.currentTarget.dataset.index)];
+    if (!override) return;
+
+    override.uuid = item.uuid;
+    override.foundryName = item.name;
+    override.homebrew = false;
+    this.render();
+  }
+
+  /**
+   * Copy the edited values of every row back into the overrides
+   * @private
+   */
+  _readForm() {
+    this.element?.querySelectorAll(".override-row").forEach(row => {
+      const override = this.overrides[Number(row.dataset.index)];
+      if (!override) return;
+
+      const nameInput = row.querySelector("input[name='ddbName']");
+      const uuidInput = row.querySelector("input[name='uuid']");
+      if (nameInput) override.ddbName = nameInput.value.trim();
+      if (uuidInput && uuidInput.value.trim() !== (override.uuid || "")) {
+        override.uuid = uuidInput.value.trim();
+        override.foundryName = fromUuidSync(override.uuid)?.name || null;
+      }
+      override.homebrew = row.querySelector("input[name='homebrew']")?.checked ?? override.homebrew;
+    });
+  }
+
+  /**
+   * Add an empty override, matched by DDB item name
+   * @private
+   */
+  _onAddOverride() {
+    this._readForm();
+    this.overrides.push({ ddbId: null, ddbName: "", uuid: null, foundryName: null, homebrew: false, isNew: true });
+    this.render();
+  }
+
+  /**
+   * Remove an override from the list
+   * @param {Event} event
+   * @param {HTMLElement} target
+   * @private
+   */
+  _onDeleteOverride(event, target) {
+    this._readForm();
+    this.overrides.splice(Number(target.dataset.index), 1);
+    this.render();
+  }
+
+  /**
+   * Download the saved overrides as a JSON file
+   * @private
+   */
+  _onExport() {
+    DnDBMatchOverrides.exportJSON();
+  }
+
+  /**
+   * Merge overrides from a JSON file and reload the list
+   * @private
+   */
+  _onImport() {
+    const input = document.createElement("input");
+    input.type = "file";
+    input.accept = ".json,application/json";
+    input.addEventListener("change", async () => {
+      const file = input.files?.[0];
+      if (!file) return;
+
+      const count = await DnDBMatchOverrides.importJSON(file);
+      if (count === null) {
+        ui.notifications.error(game.i18n.format("FLASH_ROLLS.ui.dialogs.matchOverrides.importFailed", { name: file.name }));
+        return;
+      }
+
+      ui.notifications.info(game.i18n.format("FLASH_ROLLS.ui.dialogs.matchOverrides.imported", { count }));
+      this.overrides = MatchOverridesDialog._sortOverrides(Object.values(DnDBMatchOverrides.getAll()));
+      this.render();
+    }, { once: true });
+    input.click();
+  }
+
+  /**
+   * Save the edited overrides
+   * Rows without a name, or without a target and not marked homebrew, are dropped
+   * @private
+   */
+  async _onSave() {
+    this._readForm();
+    await DnDBMatchOverrides.saveAll(this.overrides);
+    ui.notifications.info(game.i18n.localize("FLASH_ROLLS.ui.dialogs.matchOverrides.saved"));
+    this.close();
+  }
+
+  /**
+   * Sort overrides by DDB item name
+   * @param {Array} overrides
+   * @returns {Array}
+   * @private
+   */
+  static _sortOverrides(overrides) {
+    return overrides.sort((a, b) => a.ddbName.localeCompare(b.ddbName));
+  }
+}
@@ -6,6 +6,8 @@ import { GeneralUtil } from "../../utils/GeneralUtil.mjs";
 import { FlashAPI } from "../../core/FlashAPI.mjs";
 import { IconLayoutUtil } from "../../utils/IconLayoutUtil.mjs";
 import { LibWrapperUtil } from "../../utils/LibWrapperUtil.mjs";
+import { RollHelpers } from "../../helpers/RollHelpers.mjs";
+import { DnDBRollRouting } from "../../integrations/dnd-beyond/DnDBRollRouting.mjs";
 
 const { FormDataExtended } = foundry.applications.ux;
 
@@ -173,6 +175,20 @@ export class ModuleSettingsMenu extends HandlebarsApplicationMixin(ApplicationV2
             Object.assign(partContext, menuContext.fieldValues);
           }
 
+          // Group roll methods can be registered by other modules, so choices are built at render time
+          if (partId === 'groupRolls' && partContext.fields?.groupRollResultMode) {
+            partContext.fields.groupRollResultMode = {
+              ...partContext.fields.groupRollResultMode,
+              choices: RollHelpers.getGroupMethodChoices()
+            };
+            partContext.groupRollResultMode = RollHelpers.getSelectedGroupMethodId();
+          }
+
+          // Categories missing from the saved routing table follow the older roll ownership setting
+          if (partId === 'integrations') {
+            partContext.ddbRollRoutingRows = DnDBRollRouting.getRoutingRows(DnDBRollRouting.getRoutes());
+          }
+
           // Add icon layout data for interface settings
           if (partId === 'interfaceSettings') {
             partContext.iconConfigs = IconLayoutUtil.getIconConfigurations();
@@ -0,0 +1,134 @@
+import { MODULE_ID } from "../../../constants/General.mjs";
+import { getRollTypeDisplay } from "../../helpers/Helpers.mjs";
+import { LogUtil } from "../../utils/LogUtil.mjs";
+import { RollRequestManager } from "../../managers/RollRequestManager.mjs";
+
+const { ApplicationV2, HandlebarsApplicationMixin } = foundry.applications.api;
+
+/**
+ * Player panel listing roll requests that are still waiting to be rolled
+ * Requests can be rolled out of order, moved up or down the queue, or declined
+ */
+export class PendingRequestsDialog extends HandlebarsApplicationMixin(ApplicationV2) {
+
+  static DEFAULT_OPTIONS = {
+    id: "flash5e-pending-requests",
+    classes: ["flash5e-dialog", "flash5e-pending-requests"],
+    tag: "div",
+    window: {
+      title: "FLASH_ROLLS.ui.dialogs.pendingRequests.title",
+      icon: "fas fa-hourglass-half",
+      resizable: false,
+      positioned: true,
+      frame: true
+    },
+    position: {
+      width: 380,
+      height: "auto"
+    },
+    actions: {
+      roll: PendingRequestsDialog.prototype._onRoll,
+      "move-up": PendingRequestsDialog.prototype._onMoveUp,
+      "move-down": PendingRequestsDialog.prototype._onMoveDown,
+      decline: PendingRequestsDialog.prototype._onDecline
+    }
+  };
+
+  static PARTS = {
+    main: {
+      template: `modules/${MODULE_ID}/templates/pending-requests.hbs`
+    }
+  };
+
+  /**
+   * Get the open panel, if any
+   * @returns {PendingRequestsDialog|undefined}
+   */
+  static get instance() {
+    return foundry.applications.instances.get(this.DEFAULT_OPTIONS.id);
+  }
+
+  /**
+   * Open the panel, or bring it to the front if it's already open
+   */
+  static show() {
+    if (game.user.isGM) return;
+    const dialog = this.instance || new this();
+    dialog.render(true);
+  }
+
+  /**
+   * Re-render the panel if it's open, closing it once no requests are left
+   */
+  static refresh() {
+    const dialog = this.instance;
+    if (!dialog?.rendered) return;
+
+    if (RollRequestManager.pendingRequests.length === 0) {
+      dialog.close();
+    } else {
+      dialog.render();
+    }
+  }
+
+  /**
+   * Prepare application rendering context
+   */
+  async _prepareContext(options = {}) {
+    const context = await super._prepareContext(options);
+    const requests = RollRequestManager.pendingRequests;
+
+    return {
+      ...context,
+      requests: requests.map((entry, index) => {
+        const requestData = entry.requestData;
+        const actor = RollRequestManager.getRequestActor(requestData);
+        return {
+          requestId: entry.requestId,
+          actorName: actor?.name || game.i18n.localize("FLASH_ROLLS.ui.dialogs.pendingRequests.unknownActor"),
+          actorImg: actor?.img || CONST.DEFAULT_TOKEN,
+          rollLabel: getRollTypeDisplay(requestData.rollType, requestData.rollKey),
+          requestedBy: requestData.rollProcessConfig?._requestedBy || "GM",
+          receivedAt: new Date(entry.receivedAt).toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" }),
+          isActive: entry.requestId === RollRequestManager.activeRequestId,
+          canMoveUp: index > 0,
+          canMoveDown: index < requests.length - 1
+        };
+      })
+    };
+  }
+
+  /**
+   * Roll the selected request now
+   */
+  async _onRoll(event, target) {
+    const requestId = target.closest("[data-request-id]")?.dataset.requestId;
+    LogUtil.log("PendingRequestsDialog._onRoll", [requestId]);
+    if (requestId) await RollRequestManager.rollPendingRequest(requestId);
+  }
+
+  /**
+   * Move the selected request one position up
+   */
+  async _onMoveUp(event, target) {
+    const requestId = target.closest("[data-request-id]")?.dataset.requestId;
+    if (requestId) await RollRequestManager.movePendingRequest(requestId, -1);
+  }
+
+  /**
+   * Move the selected request one position down
+   */
+  async _onMoveDown(event, target) {
+    const requestId = target.closest("[data-request-id]")?.dataset.requestId;
+    if (requestId) await RollRequestManager.movePendingRequest(requestId, 1);
+  }
+
+  /**
+   * Decline the selected request and let the GM know
+   */
+  async _onDecline(event, target) {
+    const requestId = target.closest("[data-request-id]")?.dataset.requestId;
+    LogUtil.log("PendingRequestsDialog._onDecline", [requestId]);
+    if (requestId) await RollRequestManager.declinePendingRequest(requestId);
+  }
+}
@@ -5,6 +5,11 @@ import { SettingsUtil } from "../../utils/SettingsUtil.mjs";
 import { DnDBeyondIntegration } from "../../integrations/DnDBeyondIntegration.mjs";
 import { PatronSessionManager } from "../../managers/PatronSessionManager.mjs";
 import { DnDBCharacterImporter } from "../../integrations/dnd-beyond/DnDBCharacterImporter.mjs";
+import { DnDBCharacterSync } from "../../integrations/dnd-beyond/DnDBCharacterSync.mjs";
+import { DnDBHomebrewManager } from "../../integrations/dnd-beyond/DnDBHomebrewManager.mjs";
+import { DnDBRollRouting } from "../../integrations/dnd-beyond/DnDBRollRouting.mjs";
+import { MatchOverridesDialog } from "./MatchOverridesDialog.mjs";
+import { RollRoutingDialog } from "./RollRoutingDialog.mjs";
 
 const { ApplicationV2, HandlebarsApplicationMixin } = foundry.applications.api;
 
@@ -70,10 +75,13 @@ export class PremiumFeaturesDialog extends HandlebarsApplicationMixin(Applicatio
       refreshCharacters: PremiumFeaturesDialog.#onRefreshCharacters,
       mapCharacter: PremiumFeaturesDialog.#onMapCharacter,
       unlinkCharacter: PremiumFeaturesDialog.#onUnlinkCharacter,
+      editRollRouting: PremiumFeaturesDialog.#onEditRollRouting,
       importCharacter: PremiumFeaturesDialog.#onImportCharacter,
       syncCharacter: PremiumFeaturesDialog.#onSyncCharacter,
       importAll: PremiumFeaturesDialog.#onImportAll,
       syncAll: PremiumFeaturesDialog.#onSyncAll,
+      openMatchOverrides: PremiumFeaturesDialog.#onOpenMatchOverrides,
+      rematchPlaceholders: PremiumFeaturesDialog.#onRematchPlaceholders,
       save: PremiumFeaturesDialog.#onSave,
       toggleDdbSettings: PremiumFeaturesDialog.#onToggleDdbSettings
     }
@@ -172,7 +180,8 @@ export class PremiumFeaturesDialog extends HandlebarsApplicationMixin(Applicatio
         mappedActorId: mappingInfo.actor?.id,
         mappedActorName: mappingInfo.actor?.name,
         isMapped: !!mappingInfo.actor,
-        mappingSource: mappingInfo.source
+        mappingSource: mappingInfo.source,
+        hasRoutingOverrides: Object.keys(DnDBRollRouting.getOverrides(char.id)).length > 0
       };
     });
 
@@ -413,7 +422,8 @@ export class PremiumFeaturesDialog extends HandlebarsApplicationMixin(Applicatio
         mappedActorId: mappingInfo.actor?.id,
         mappedActorName: mappingInfo.actor?.name,
         isMapped: !!mappingInfo.actor,
-        mappingSource: mappingInfo.source
+        mappingSource: mappingInfo.source,
+        hasRoutingOverrides: Object.keys(DnDBRollRouting.getOverrides(char.id)).length > 0
       };
     });
 
@@ -430,14 +440,14 @@ export class PremiumFeaturesDialog extends HandlebarsApplicationMixin(Applicatio
           <span class="character-count">${characterCountText}</span>
           <div class="bulk-actions">
             <button type="button" data-action="importAll" class="import-all-btn"
-                    ${!hasDDBImporter || unmappedCount === 0 ? 'disabled' : ''}
-                    data-tooltip="${game.i18n.localize('FLASH_ROLLS.settings.premiumFeatures.importAllTooltip')}">
+                    ${unmappedCount === 0 ? 'disabled' : ''}
+                    data-tooltip="${game.i18n.localize(hasDDBImporter ? 'FLASH_ROLLS.settings.premiumFeatures.importAllTooltip' : 'FLASH_ROLLS.settings.premiumFeatures.importAllNativeTooltip')}">
               <i class="fas fa-download"></i>
               ${game.i18n.localize('FLASH_ROLLS.settings.premiumFeatures.importAll')}
             </button>
             <button type="button" data-action="syncAll" class="sync-all-btn"
-                    ${!hasDDBImporter || mappedCount === 0 ? 'disabled' : ''}
-                    data-tooltip="${game.i18n.localize('FLASH_ROLLS.settings.premiumFeatures.syncAllTooltip')}">
+                    ${mappedCount === 0 ? 'disabled' : ''}
+                    data-tooltip="${game.i18n.localize(hasDDBImporter ? 'FLASH_ROLLS.settings.premiumFeatures.syncAllTooltip' : 'FLASH_ROLLS.settings.premiumFeatures.syncAllNativeTooltip')}">
               <i class="fas fa-sync"></i>
               ${game.i18n.localize('FLASH_ROLLS.settings.premiumFeatures.syncAll')}
             </button>
@@ -458,6 +468,13 @@ export class PremiumFeaturesDialog extends HandlebarsApplicationMixin(Applicatio
                <i class="fas fa-circle-question"></i> ${game.i18n.localize('FLASH_ROLLS.settings.premiumFeatures.notMapped')}
              </span>`;
 
+        const routingBtnHtml = char.isMapped
+          ? `<button type="button" data-action="editRollRouting" data-character-id="${char.id}" data-character-name="${char.name}"
+                     class="routing-btn ${char.hasRoutingOverrides ? 'active' : ''}" data-tooltip="${game.i18n.localize('FLASH_ROLLS.settings.premiumFeatures.editRollRouting')}">
+               <i class="fas fa-route"></i>
+             </button>`
+          : '';
+
         const linkBtnHtml = char.isMapped
           ? `<button type="button" data-action="unlinkCharacter" data-character-id="${char.id}" data-character-name="${char.name}"
                      class="unlink-btn" data-tooltip="${game.i18n.localize('FLASH_ROLLS.settings.premiumFeatures.unlinkCharacter')}">
@@ -470,7 +487,7 @@ export class PremiumFeaturesDialog extends HandlebarsApplicationMixin(Applicatio
 
         const actionBtnHtml = char.isMapped
           ? `<button type="button" data-action="syncCharacter" data-character-id="${char.id}" data-actor-id="${char.mappedActorId}"
-                     ${hasDDBImporter ? `data-tooltip="${game.i18n.localize('FLASH_ROLLS.settings.premiumFeatures.syncCharacter')}"` : `disabled data-tooltip="${game.i18n.localize('FLASH_ROLLS.settings.premiumFeatures.ddbImporterRequired')}"`}
+                     data-tooltip="${hasDDBImporter ? game.i18n.localize('FLASH_ROLLS.settings.premiumFeatures.syncCharacter') : game.i18n.localize('FLASH_ROLLS.settings.premiumFeatures.syncCharacterNative')}"
                      class="sync-btn"><i class="fas fa-sync"></i></button>`
           : `<button type="button" data-action="importCharacter" data-character-id="${char.id}" data-character-name="${char.name}"
                      data-tooltip="${hasDDBImporter ? game.i18n.localize('FLASH_ROLLS.settings.premiumFeatures.importCharacter') : game.i18n.localize('FLASH_ROLLS.settings.premiumFeatures.importCharacterCompendium')}"
@@ -484,6 +501,7 @@ export class PremiumFeaturesDialog extends HandlebarsApplicationMixin(Applicatio
               ${mappingStatusHtml}
             </div>
             <div class="character-actions">
+              ${routingBtnHtml}
               ${linkBtnHtml}
               ${actionBtnHtml}
             </div>
@@ -893,6 +911,25 @@ export class PremiumFeaturesDialog extends HandlebarsApplicationMixin(Applicatio
     }
   }
 
+  /**
+   * Handle editing the roll routing overrides of a mapped character
+   * @param {Event} event
+   * @param {HTMLElement} target
+   */
+  static async #onEditRollRouting(event, target) {
+    const characterId = target.dataset.characterId;
+    const routes = await RollRoutingDialog.show({
+      characterName: target.dataset.characterName,
+      overrides: DnDBRollRouting.getOverrides(characterId),
+      defaults: DnDBRollRouting.getRoutes()
+    });
+    if (!routes) return;
+
+    await DnDBRollRouting.setOverrides(characterId, routes);
+    ui.notifications.info(game.i18n.format("FLASH_ROLLS.settings.premiumFeatures.rollRoutingSaved", { name: target.dataset.characterName }));
+    this._updateCharacterList();
+  }
+
   /**
    * Handle unlink character button click
    */
@@ -959,15 +996,12 @@ export class PremiumFeaturesDialog extends HandlebarsApplicationMixin(Applicatio
   }
 
   /**
-   * Handle sync character button click (uses ddb-importer)
+   * Handle sync character button click
+   * Uses ddb-importer if active, otherwise updates the actor in place after reviewing the changes
    */
   static async #onSyncCharacter(event, target) {
     const actorId = target.dataset.actorId;
-
-    if (!game.modules.get("ddb-importer")?.active) {
-      ui.notifications.error(game.i18n.localize("FLASH_ROLLS.settings.premiumFeatures.ddbImporterRequired"));
-      return;
-    }
+    const characterId = target.dataset.characterId;
 
     const actor = game.actors.get(actorId);
     if (!actor) {
@@ -978,6 +1012,13 @@ export class PremiumFeaturesDialog extends HandlebarsApplicationMixin(Applicatio
     try {
       ui.notifications.info(game.i18n.format("FLASH_ROLLS.settings.premiumFeatures.syncingCharacter", { name: actor.name }));
 
+      if (!game.modules.get("ddb-importer")?.active) {
+        if (await DnDBCharacterSync.syncCharacter(actor, characterId)) {
+          this._updateCharacterList();
+        }
+        return;
+      }
+
       const DDBImporter = game.modules.get("ddb-importer")?.api;
       if (DDBImporter?.importCharacter) {
         await DDBImporter.importCharacter({ actor });
@@ -1018,11 +1059,6 @@ export class PremiumFeaturesDialog extends HandlebarsApplicationMixin(Applicatio
    * Handle import all button click
    */
   static async #onImportAll(event, target) {
-    if (!game.modules.get("ddb-importer")?.active) {
-      ui.notifications.error(game.i18n.localize("FLASH_ROLLS.settings.premiumFeatures.ddbImporterRequired"));
-      return;
-    }
-
     const unmappedCharacters = (this._campaignCharacters || []).filter(char => {
       const mappingInfo = this._findActorForCharacter(char.id, char.name);
       return !mappingInfo.actor;
@@ -1033,6 +1069,11 @@ export class PremiumFeaturesDialog extends HandlebarsApplicationMixin(Applicatio
       return;
     }
 
+    if (!game.modules.get("ddb-importer")?.active) {
+      await this._importAllFromCompendiums(unmappedCharacters);
+      return;
+    }
+
     const DDBImporter = game.modules.get("ddb-importer")?.api;
     if (!DDBImporter?.importCharacter) {
       ui.notifications.error(game.i18n.localize("FLASH_ROLLS.settings.premiumFeatures.ddbImporterAPINotFound"));
@@ -1085,14 +1126,36 @@ export class PremiumFeaturesDialog extends HandlebarsApplicationMixin(Applicatio
     this._updateCharacterList();
   }
 
+  /**
+   * Import characters with the compendium pipeline, reviewing every character's matches in one dialog
+   * @param {Array<Object>} characters - Campaign characters to import
+   */
+  async _importAllFromCompendiums(characters) {
+    try {
+      const result = await DnDBCharacterImporter.importCampaign(characters.map(char => char.id), {
+        onProgress: message => this._setBulkOperationOverlay(true, message)
+      });
+
+      if (result) {
+        ui.notifications.info(game.i18n.format("FLASH_ROLLS.settings.premiumFeatures.bulkImportComplete", {
+          imported: result.imported.length,
+          failed: result.failed
+        }));
+      }
+    } catch (error) {
+      LogUtil.error("Campaign import failed:", [error]);
+      ui.notifications.error(game.i18n.localize("FLASH_ROLLS.settings.premiumFeatures.importFailed"));
+    }
+
+    this._setBulkOperationOverlay(false);
+    this._updateCharacterList();
+  }
+
   /**
    * Handle sync all button click
    */
   static async #onSyncAll(event, target) {
-    if (!game.modules.get("ddb-importer")?.active) {
-      ui.notifications.error(game.i18n.localize("FLASH_ROLLS.settings.premiumFeatures.ddbImporterRequired"));
-      return;
-    }
+    const hasDDBImporter = game.modules.get("ddb-importer")?.active;
 
     const mappedCharacters = (this._campaignCharacters || []).filter(char => {
       const mappingInfo = this._findActorForCharacter(char.id, char.name);
@@ -1108,7 +1171,7 @@ export class PremiumFeaturesDialog extends HandlebarsApplicationMixin(Applicatio
     }
 
     const DDBImporter = game.modules.get("ddb-importer")?.api;
-    if (!DDBImporter?.importCharacter) {
+    if (hasDDBImporter && !DDBImporter?.importCharacter) {
       ui.notifications.error(game.i18n.localize("FLASH_ROLLS.settings.premiumFeatures.ddbImporterAPINotFound"));
       return;
     }
@@ -1124,8 +1187,12 @@ export class PremiumFeaturesDialog extends HandlebarsApplicationMixin(Applicatio
       }));
 
       try {
-        await DDBImporter.importCharacter({ actor: char.actor });
-        synced++;
+        if (hasDDBImporter) {
+          await DDBImporter.importCharacter({ actor: char.actor });
+          synced++;
+        } else if (await DnDBCharacterSync.syncCharacter(char.actor, char.id)) {
+          synced++;
+        }
       } catch (error) {
         LogUtil.error(`Failed to sync ${char.actor.name}:`, [error]);
         failed++;
@@ -1140,6 +1207,25 @@ export class PremiumFeaturesDialog extends HandlebarsApplicationMixin(Applicatio
     this._updateCharacterList();
   }
 
+  /**
+   * Handle open match overrides button click
+   */
+  static #onOpenMatchOverrides(event, target) {
+    MatchOverridesDialog.show();
+  }
+
+  /**
+   * Handle re-match placeholders button click
+   */
+  static async #onRematchPlaceholders(event, target) {
+    target.disabled = true;
+    try {
+      await DnDBHomebrewManager.rematchPlaceholders();
+    } finally {
+      target.disabled = false;
+    }
+  }
+
   /**
    * Load initial data in background - does not block rendering
    */
@@ -0,0 +1,143 @@
+import { MODULE } from "../../../constants/General.mjs";
+
+const { ApplicationV2, HandlebarsApplicationMixin } = foundry.applications.api;
+
+/**
+ * Dialog listing placeholder items that now have a compendium match
+ * Each placeholder can be swapped for the match of choice on every actor using it
+ */
+export class RematchPlaceholdersDialog extends HandlebarsApplicationMixin(ApplicationV2) {
+  constructor(options = {}) {
+    super(options);
+    this.rematchData = options.rematchData || {};
+    this._resolve = null;
+  }
+
+  static DEFAULT_OPTIONS = {
+    id: "flash5e-rematch-placeholders",
+    classes: ["flash5e-dialog", "flash5e-rematch-placeholders-dialog"],
+    tag: "div",
+    window: {
+      title: "FLASH_ROLLS.ui.dialogs.rematchPlaceholders.title",
+      icon: "fas fa-wand-magic-sparkles",
+      resizable: true,
+      positioned: true,
+      frame: true,
+      contentClasses: ["standard-form", "crlngn", "flash5e"]
+    },
+    position: {
+      width: 600,
+      height: "auto"
+    },
+    actions: {
+      confirm: RematchPlaceholdersDialog.#onConfirm,
+      cancel: RematchPlaceholdersDialog.#onCancel
+    }
+  };
+
+  static PARTS = {
+    content: {
+      template: `modules/${MODULE.ID}/templates/rematch-placeholders.hbs`
+    },
+    footer: {
+      template: "templates/generic/form-footer.hbs"
+    }
+  };
+
+  async _prepareContext(options = {}) {
+    const context = await super._prepareContext(options);
+    const candidates = (this.rematchData.candidates || []).map((candidate, index) => ({
+      index,
+      name: candidate.name,
+      typeLabel: game.i18n.localize(CONFIG.Item.typeLabels[candidate.type] || candidate.type),
+      matches: candidate.matches,
+      actorCount: new Set(candidate.actorItems.map(item => item.parent?.uuid)).size,
+      actorNames: [...new Set(candidate.actorItems.map(item => item.parent?.name))].join(", ")
+    }));
+
+    return {
+      ...context,
+      candidates
+    };
+  }
+
+  async _preparePartContext(partId, context, options) {
+    const partContext = await super._preparePartContext(partId, context, options);
+
+    if (partId === "footer") {
+      partContext.buttons = [
+        { type: "button", icon: "fas fa-times", label: "Cancel", action: "cancel" },
+        { type: "button", icon: "fas fa-check", label: "FLASH_ROLLS.ui.dialogs.rematchPlaceholders.replace", action: "confirm", cssClass: "primary" }
+      ];
+    }
+
+    return partContext;
+  }
+
+  /**
+   * Factory method to show dialog and wait for user decision
+   * @param {Object} rematchData - The placeholder candidates to review
+   * @returns {Promise<Object|null>} The chosen replacements and options, or null if cancelled
+   */
+  static async show(rematchData) {
+    return new Promise((resolve) => {
+      const dialog = new RematchPlaceholdersDialog({ rematchData });
+      dialog._resolve = resolve;
+      dialog.render(true);
+    });
+  }
+
+  /**
+   * Get the checked placeholders with their chosen match
+   * @returns {Array<Object>} Candidates with a matchUuid
+   */
+  _getReplacements() {
+    const replacements = [];
+    this.element.querySelectorAll(".placeholder-row").forEach(row => {
+      if (!row.querySelector(".replace-checkbox")?.checked) return;
+
+      const candidate = this.rematchData.candidates[Number(row.dataset.index)];
+      const match = candidate?.matches[Number(row.querySelector(".match-select")?.value) || 0];
+      if (match) replacements.push({ ...candidate, matchUuid: match.uuid });
+    });
+    return replacements;
+  }
+
+  /**
+   * Handle confirm button click
+   * @param {Event} event
+   * @param {HTMLElement} target
+   */
+  static #onConfirm(event, target) {
+    if (this._resolve) {
+      this._resolve({
+        replacements: this._getReplacements(),
+        removeFromCompendium: !!this.element.querySelector("#removePlaceholders")?.checked
+      });
+      this._resolve = null;
+    }
+    this.close();
+  }
+
+  /**
+   * Handle cancel button click
+   * @param {Event} event
+   * @param {HTMLElement} target
+   */
+  static #onCancel(event, target) {
+    if (this._resolve) {
+      this._resolve(null);
+      this._resolve = null;
+    }
+    this.close();
+  }
+
+  /** @override */
+  close(options = {}) {
+    if (this._resolve) {
+      this._resolve(null);
+      this._resolve = null;
+    }
+    return super.close(options);
+  }
+}
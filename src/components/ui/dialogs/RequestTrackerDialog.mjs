@@ -0,0 +1,150 @@
+import { MODULE_ID } from "../../../constants/General.mjs";
+import { getRollTypeDisplay } from "../../helpers/Helpers.mjs";
+import { LogUtil } from "../../utils/LogUtil.mjs";
+import { RequestTrackerManager } from "../../managers/RequestTrackerManager.mjs";
+
+const { ApplicationV2, HandlebarsApplicationMixin } = foundry.applications.api;
+
+/**
+ * GM window listing roll requests sent to players that haven't been rolled yet
+ * Each request can be nudged, resent, cancelled or rolled locally by the GM
+ */
+export class RequestTrackerDialog extends HandlebarsApplicationMixin(ApplicationV2) {
+
+  static DEFAULT_OPTIONS = {
+    id: "flash5e-request-tracker",
+    classes: ["flash5e-dialog", "flash5e-request-tracker"],
+    tag: "div",
+    window: {
+      title: "FLASH_ROLLS.ui.dialogs.requestTracker.title",
+      icon: "fas fa-list-check",
+      resizable: true,
+      positioned: true,
+      frame: true
+    },
+    position: {
+      width: 560,
+      height: "auto"
+    },
+    actions: {
+      nudge: RequestTrackerDialog.prototype._onNudge,
+      resend: RequestTrackerDialog.prototype._onResend,
+      cancel: RequestTrackerDialog.prototype._onCancel,
+      "roll-locally": RequestTrackerDialog.prototype._onRollLocally
+    }
+  };
+
+  static PARTS = {
+    main: {
+      template: `modules/${MODULE_ID}/templates/request-tracker.hbs`
+    }
+  };
+
+  /**
+   * Get the open tracker window, if any
+   * @returns {RequestTrackerDialog|undefined}
+   */
+  static get instance() {
+    return foundry.applications.instances.get(this.DEFAULT_OPTIONS.id);
+  }
+
+  /**
+   * Open the tracker window, or bring it to the front if it's already open
+   */
+  static show() {
+    if (!game.user.isGM) return;
+    const dialog = this.instance || new this();
+    dialog.render(true);
+  }
+
+  /**
+   * Re-render the tracker window if it's open
+   */
+  static refresh() {
+    const dialog = this.instance;
+    if (dialog?.rendered) dialog.render();
+  }
+
+  /**
+   * Format the time since a request was sent
+   * @param {number} timestamp - When the request was sent
+   * @returns {string} Localized age, e.g. "3m"
+   */
+  static formatAge(timestamp) {
+    const seconds = Math.max(0, Math.floor((Date.now() - timestamp) / 1000));
+    if (seconds < 60) {
+      return game.i18n.format("FLASH_ROLLS.ui.dialogs.requestTracker.ageSeconds", { seconds });
+    }
+    const minutes = Math.floor(seconds / 60);
+    if (minutes < 60) {
+      return game.i18n.format("FLASH_ROLLS.ui.dialogs.requestTracker.ageMinutes", { minutes });
+    }
+    return game.i18n.format("FLASH_ROLLS.ui.dialogs.requestTracker.ageHours", {
+      hours: Math.floor(minutes / 60),
+      minutes: minutes % 60
+    });
+  }
+
+  /**
+   * Prepare application rendering context
+   */
+  async _prepareContext(options = {}) {
+    const context = await super._prepareContext(options);
+    const requests = [...RequestTrackerManager.openRequests.values()]
+      .sort((a, b) => a.sentAt - b.sentAt)
+      .map(entry => {
+        const owner = game.users.get(entry.userId);
+        return {
+          requestId: entry.requestId,
+          actorName: entry.actorName,
+          actorImg: entry.actorImg,
+          playerName: owner?.name || "",
+          playerActive: owner?.active === true,
+          rollLabel: getRollTypeDisplay(entry.requestData.rollType, entry.requestData.rollKey),
+          age: RequestTrackerDialog.formatAge(entry.sentAt),
+          groupRollId: entry.requestData.groupRollId || "",
+          reminders: entry.reminders,
+          timedOut: entry.timedOut === true
+        };
+      });
+
+    return {
+      ...context,
+      requests
+    };
+  }
+
+  /**
+   * Remind the player of the selected request
+   */
+  async _onNudge(event, target) {
+    const requestId = target.closest("[data-request-id]")?.dataset.requestId;
+    if (requestId) RequestTrackerManager.nudge(requestId);
+  }
+
+  /**
+   * Send the selected request to the player again
+   */
+  async _onResend(event, target) {
+    const requestId = target.closest("[data-request-id]")?.dataset.requestId;
+    if (requestId) RequestTrackerManager.resend(requestId);
+  }
+
+  /**
+   * Cancel the selected request
+   */
+  async _onCancel(event, target) {
+    const requestId = target.closest("[data-request-id]")?.dataset.requestId;
+    LogUtil.log("RequestTrackerDialog._onCancel", [requestId]);
+    if (requestId) RequestTrackerManager.cancel(requestId);
+  }
+
+  /**
+   * Roll the selected request on the GM's side
+   */
+  async _onRollLocally(event, target) {
+    const requestId = target.closest("[data-request-id]")?.dataset.requestId;
+    LogUtil.log("RequestTrackerDialog._onRollLocally", [requestId]);
+    if (requestId) await RequestTrackerManager.rollLocally(requestId);
+  }
+}
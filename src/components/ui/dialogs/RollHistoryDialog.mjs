@@ -0,0 +1,171 @@
+import { MODULE_ID } from "../../../constants/General.mjs";
+import { getRollTypeDisplay } from "../../helpers/Helpers.mjs";
+import { LogUtil } from "../../utils/LogUtil.mjs";
+import { FlashAPI } from "../../core/FlashAPI.mjs";
+import { RollHistoryManager } from "../../managers/RollHistoryManager.mjs";
+
+const { ApplicationV2, HandlebarsApplicationMixin } = foundry.applications.api;
+
+/**
+ * GM window browsing the recorded roll request history, with filters and JSON/CSV export
+ */
+export class RollHistoryDialog extends HandlebarsApplicationMixin(ApplicationV2) {
+
+  static DEFAULT_OPTIONS = {
+    id: "flash5e-roll-history",
+    classes: ["flash5e-dialog", "flash5e-roll-history"],
+    tag: "div",
+    window: {
+      title: "FLASH_ROLLS.ui.dialogs.rollHistory.title",
+      icon: "fas fa-clock-rotate-left",
+      resizable: true,
+      positioned: true,
+      frame: true
+    },
+    position: {
+      width: 760,
+      height: "auto"
+    },
+    actions: {
+      "export-json": RollHistoryDialog.prototype._onExportJSON,
+      "export-csv": RollHistoryDialog.prototype._onExportCSV,
+      clear: RollHistoryDialog.prototype._onClear
+    }
+  };
+
+  static PARTS = {
+    main: {
+      template: `modules/${MODULE_ID}/templates/roll-history.hbs`
+    }
+  };
+
+  /**
+   * Maximum number of rows rendered at once, exports always include every filtered entry
+   * @type {number}
+   */
+  static MAX_ROWS = 250;
+
+  /**
+   * Active filters
+   * @type {{actorId: string, rollType: string, date: string}}
+   */
+  filters = { actorId: '', rollType: '', date: '' };
+
+  /**
+   * Get the open history window, if any
+   * @returns {RollHistoryDialog|undefined}
+   */
+  static get instance() {
+    return foundry.applications.instances.get(this.DEFAULT_OPTIONS.id);
+  }
+
+  /**
+   * Open the history window, or bring it to the front if it's already open
+   * @param {Object} [filters] - Filters to apply, e.g. { actorId }
+   */
+  static show(filters = null) {
+    if (!game.user.isGM) return;
+    const dialog = this.instance || new this();
+    if (filters) dialog.filters = { actorId: '', rollType: '', date: '', ...filters };
+    dialog.render(true);
+  }
+
+  /**
+   * Re-render the history window if it's open
+   */
+  static refresh() {
+    const dialog = this.instance;
+    if (dialog?.rendered) dialog.render();
+  }
+
+  /**
+   * Prepare application rendering context
+   */
+  async _prepareContext(options = {}) {
+    const context = await super._prepareContext(options);
+    const allEntries = RollHistoryManager.getEntries();
+    const entries = RollHistoryManager.getFilteredEntries(this.filters);
+
+    const actors = new Map();
+    const rollTypes = new Map();
+    const dates = new Set();
+    for (const entry of allEntries) {
+      actors.set(entry.actorId, entry.actorName);
+      rollTypes.set(entry.rollType, getRollTypeDisplay(entry.rollType));
+      dates.add(entry.date);
+    }
+
+    const byLabel = (a, b) => a.label.localeCompare(b.label);
+    const rows = entries.slice(0, RollHistoryDialog.MAX_ROWS).map(entry => ({
+      ...entry,
+      time: new Date(entry.timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }),
+      isTimeout: entry.resolution !== 'rolled',
+      resolutionLabel: entry.resolution !== 'rolled'
+        ? game.i18n.localize(`FLASH_ROLLS.chat.timedOut.${entry.resolution}`)
+        : '',
+      isNat20: entry.d20 === 20,
+      isNat1: entry.d20 === 1
+    }));
+
+    return {
+      ...context,
+      filters: this.filters,
+      actorOptions: [...actors].map(([value, label]) => ({ value, label })).sort(byLabel),
+      rollTypeOptions: [...rollTypes].map(([value, label]) => ({ value, label })).sort(byLabel),
+      dateOptions: [...dates].sort().reverse(),
+      rows,
+      totalCount: entries.length,
+      isTruncated: entries.length > rows.length,
+      hasEntries: allEntries.length > 0,
+      isEnabled: RollHistoryManager.getLimit() > 0
+    };
+  }
+
+  /**
+   * Attach the filter listeners
+   */
+  _attachPartListeners(partId, htmlElement, options) {
+    super._attachPartListeners(partId, htmlElement, options);
+
+    htmlElement.querySelectorAll('.history-filter').forEach(select => {
+      select.addEventListener('change', (event) => {
+        this.filters[event.target.name] = event.target.value;
+        this.render();
+      });
+    });
+  }
+
+  /**
+   * Export the filtered entries as JSON
+   */
+  async _onExportJSON(event, target) {
+    RollHistoryManager.exportJSON(RollHistoryManager.getFilteredEntries(this.filters));
+  }
+
+  /**
+   * Export the filtered entries as CSV
+   */
+  async _onExportCSV(event, target) {
+    RollHistoryManager.exportCSV(RollHistoryManager.getFilteredEntries(this.filters));
+  }
+
+  /**
+   * Delete the whole history after confirmation
+   */
+  async _onClear(event, target) {
+    const confirmed = await foundry.applications.api.DialogV2.confirm({
+      window: {
+        title: game.i18n.localize("FLASH_ROLLS.ui.dialogs.rollHistory.clear"),
+        icon: "fas fa-trash"
+      },
+      content: `<p>${game.i18n.localize("FLASH_ROLLS.ui.dialogs.rollHistory.clearConfirm")}</p>`,
+      rejectClose: false
+    });
+    if (!confirmed) return;
+
+    LogUtil.log('RollHistoryDialog._onClear');
+    this.filters = { actorId: '', rollType: '', date: '' };
+    await RollHistoryManager.clear();
+    FlashAPI.notify('info', game.i18n.localize("FLASH_ROLLS.notifications.rollHistoryCleared"));
+  }
+}
@@ -0,0 +1,134 @@
+import { MODULE } from "../../../constants/General.mjs";
+import { getSettings } from "../../../constants/Settings.mjs";
+import { DnDBRollRouting } from "../../integrations/dnd-beyond/DnDBRollRouting.mjs";
+
+const { ApplicationV2, HandlebarsApplicationMixin } = foundry.applications.api;
+
+/**
+ * Dialog to override the D&D Beyond roll routing of a single character
+ * Categories left on the default follow the world routing table
+ */
+export class RollRoutingDialog extends HandlebarsApplicationMixin(ApplicationV2) {
+  constructor(options = {}) {
+    super(options);
+    this.routingData = options.routingData || {};
+    this._resolve = null;
+  }
+
+  static DEFAULT_OPTIONS = {
+    id: "flash5e-roll-routing",
+    classes: ["flash5e-dialog", "flash5e-roll-routing-dialog"],
+    tag: "div",
+    window: {
+      title: "FLASH_ROLLS.ui.dialogs.rollRouting.title",
+      icon: "fas fa-route",
+      resizable: false,
+      positioned: true,
+      frame: true,
+      contentClasses: ["standard-form", "crlngn", "flash5e"]
+    },
+    position: {
+      width: 420,
+      height: "auto"
+    },
+    actions: {
+      confirm: RollRoutingDialog.#onConfirm,
+      cancel: RollRoutingDialog.#onCancel
+    }
+  };
+
+  static PARTS = {
+    content: {
+      template: `modules/${MODULE.ID}/templates/roll-routing.hbs`
+    },
+    footer: {
+      template: "templates/generic/form-footer.hbs"
+    }
+  };
+
+  async _prepareContext(options = {}) {
+    const context = await super._prepareContext(options);
+    const choices = getSettings().ddbRollRouting.choices;
+    const defaults = this.routingData.defaults || {};
+
+    const rows = DnDBRollRouting.getRoutingRows(this.routingData.overrides).map(row => ({
+      ...row,
+      defaultLabel: game.i18n.format("FLASH_ROLLS.ui.dialogs.rollRouting.useDefault", { route: choices[defaults[row.key]] || "" })
+    }));
+
+    return {
+      ...context,
+      characterName: this.routingData.characterName,
+      rows,
+      choices
+    };
+  }
+
+  async _preparePartContext(partId, context, options) {
+    const partContext = await super._preparePartContext(partId, context, options);
+
+    if (partId === "footer") {
+      partContext.buttons = [
+        { type: "button", icon: "fas fa-times", label: "Cancel", action: "cancel" },
+        { type: "button", icon: "fas fa-check", label: "FLASH_ROLLS.ui.buttons.save", action: "confirm", cssClass: "primary" }
+      ];
+    }
+
+    return partContext;
+  }
+
+  /**
+   * Factory method to show dialog and wait for user decision
+   * @param {Object} routingData
+   * @param {string} routingData.characterName - Name of the DnDB character
+   * @param {Object<string, string>} routingData.overrides - Current route overrides of the character
+   * @param {Object<string, string>} routingData.defaults - World routing table
+   * @returns {Promise<Object<string, string>|null>} The chosen routes, empty for categories on the default, or null if cancelled
+   */
+  static async show(routingData) {
+    return new Promise((resolve) => {
+      const dialog = new RollRoutingDialog({ routingData });
+      dialog._resolve = resolve;
+      dialog.render(true);
+    });
+  }
+
+  /**
+   * Handle confirm button click
+   * @param {Event} event
+   * @param {HTMLElement} target
+   */
+  static #onConfirm(event, target) {
+    if (this._resolve) {
+      const routes = {};
+      this.element.querySelectorAll("select[data-category]").forEach(select => {
+        if (select.value) routes[select.dataset.category] = select.value;
+      });
+      this._resolve(routes);
+      this._resolve = null;
+    }
+    this.close();
+  }
+
+  /**
+   * Handle cancel button click
+   * @param {Event} event
+   * @param {HTMLElement} target
+   */
+  static #onCancel(event, target) {
+    if (this._resolve) {
+      this._resolve(null);
+      this._resolve = null;
+    }
+    this.close();
+  }
+
+  /** @override */
+  close(options = {}) {
+    if (this._resolve) {
+      this._resolve(null);
+      this._resolve = null;
+    }
+    return super.close(options);
+  }
+}
@@ -0,0 +1,233 @@
+import { MODULE_ID, ROLL_TYPES } from "../../../constants/General.mjs";
+import { getActorData } from "../../helpers/Helpers.mjs";
+import { RollSequenceManager } from "../../managers/RollSequenceManager.mjs";
+import { FlashAPI } from "../../core/FlashAPI.mjs";
+
+const { ApplicationV2, HandlebarsApplicationMixin } = foundry.applications.api;
+
+/**
+ * GM dialog to build a roll sequence for the selected actors
+ * Steps are requested in order, each one optionally limited to the actors who failed or passed the step before
+ * and rolled against a DC taken from the previous step's totals.
+ */
+export class RollSequenceDialog extends HandlebarsApplicationMixin(ApplicationV2) {
+
+  static DEFAULT_OPTIONS = {
+    id: "flash5e-roll-sequence",
+    classes: ["flash5e-dialog", "flash5e-roll-sequence-dialog"],
+    tag: "div",
+    window: {
+      title: "FLASH_ROLLS.ui.dialogs.rollSequence.title",
+      icon: "fas fa-list-ol",
+      resizable: false,
+      positioned: true,
+      frame: true
+    },
+    position: {
+      width: 560,
+      height: "auto"
+    },
+    actions: {
+      "add-step": RollSequenceDialog.prototype._onAddStep,
+      "delete-step": RollSequenceDialog.prototype._onDeleteStep,
+      "cancel-sequence": RollSequenceDialog.prototype._onCancelSequence,
+      run: RollSequenceDialog.prototype._onRun
+    }
+  };
+
+  static PARTS = {
+    main: {
+      template: `modules/${MODULE_ID}/templates/roll-sequence-dialog.hbs`
+    }
+  };
+
+  /**
+   * @param {Object} [options] - Application options
+   * @param {string[]} [options.actorIds] - Actor or token IDs rolling the sequence
+   */
+  constructor(options = {}) {
+    super(options);
+    this.actorIds = options.actorIds || [];
+    this.title = "";
+    this.steps = [RollSequenceDialog.getDefaultStep(), RollSequenceDialog.getDefaultStep()];
+  }
+
+  /**
+   * Get the open sequence dialog, if any
+   * @returns {RollSequenceDialog|undefined}
+   */
+  static get instance() {
+    return foundry.applications.instances.get(this.DEFAULT_OPTIONS.id);
+  }
+
+  /**
+   * Open the sequence dialog for a set of actors
+   * @param {string[]} actorIds - Actor or token IDs rolling the sequence
+   */
+  static show(actorIds) {
+    if (!game.user.isGM) return;
+    const dialog = this.instance || new this({ actorIds });
+    dialog.actorIds = actorIds;
+    dialog.render(true);
+  }
+
+  /**
+   * Re-render the sequence dialog if it's open
+   */
+  static refresh() {
+    const dialog = this.instance;
+    if (dialog?.rendered) dialog.render();
+  }
+
+  /**
+   * Get the settings of a newly added step
+   * @returns {Object} Step settings as edited in the dialog
+   */
+  static getDefaultStep() {
+    return { roll: "", dcMode: "fixed", dc: 10, offset: 0, actors: "all" };
+  }
+
+  /**
+   * Prepare application rendering context
+   */
+  async _prepareContext(options = {}) {
+    const context = await super._prepareContext(options);
+
+    const abilities = Object.entries(CONFIG.DND5E.abilities).map(([key, config]) => ({
+      key,
+      label: game.i18n.localize(config.label)
+    }));
+    const skills = Object.entries(CONFIG.DND5E.skills).map(([key, config]) => ({
+      key,
+      label: game.i18n.localize(config.label)
+    }));
+
+    return {
+      ...context,
+      title: this.title,
+      actors: this.actorIds.map(id => getActorData(id)).filter(actor => actor).map(actor => ({
+        name: actor.name,
+        img: actor.img
+      })),
+      steps: this.steps.map((step, index) => ({
+        ...step,
+        index,
+        number: index + 1,
+        isFirst: index === 0,
+        usesFixedDC: step.dcMode === "fixed"
+      })),
+      canDeleteSteps: this.steps.length > 1,
+      abilities,
+      skills,
+      rollTypes: {
+        ability: ROLL_TYPES.ABILITY_CHECK,
+        save: ROLL_TYPES.SAVING_THROW,
+        skill: ROLL_TYPES.SKILL
+      },
+      actorConditions: RollSequenceManager.ACTOR_CONDITIONS.map(value => ({
+        value,
+        label: game.i18n.localize(`FLASH_ROLLS.ui.dialogs.rollSequence.actors.${value}`)
+      })),
+      dcModes: ["fixed", ...RollSequenceManager.DC_SOURCES].map(value => ({
+        value,
+        label: game.i18n.localize(`FLASH_ROLLS.ui.dialogs.rollSequence.dcModes.${value}`)
+      })),
+      runningSequences: RollSequenceManager.getRunningSequences()
+    };
+  }
+
+  /**
+   * Attach event listeners
+   */
+  _attachPartListeners(partId, htmlElement, options) {
+    super._attachPartListeners(partId, htmlElement, options);
+
+    htmlElement.querySelector('input[name="title"]')?.addEventListener('input', (event) => {
+      this.title = event.target.value;
+    });
+
+    htmlElement.querySelectorAll('[data-step-field]').forEach(input => {
+      input.addEventListener('change', (event) => {
+        const step = this.steps[parseInt(event.target.dataset.stepIndex)];
+        if (!step) return;
+        step[event.target.dataset.stepField] = event.target.value;
+        if (event.target.dataset.stepField === 'dcMode') this.render();
+      });
+    });
+  }
+
+  /**
+   * Convert the steps edited in the dialog to sequence steps
+   * @returns {Object[]|null} The sequence steps, or null if a step has no roll selected
+   */
+  getSequenceSteps() {
+    if (this.steps.some(step => !step.roll)) return null;
+
+    return this.steps.map((step, index) => {
+      const [requestType, rollKey] = step.roll.split(':');
+      const sequenceStep = { requestType, rollKey };
+
+      if (index > 0 && step.actors !== 'all') {
+        sequenceStep.actors = step.actors;
+      }
+
+      if (index > 0 && step.dcMode !== 'fixed') {
+        sequenceStep.dcFrom = { use: step.dcMode, offset: parseInt(step.offset) || 0 };
+      } else if (step.dc !== "" && !Number.isNaN(parseInt(step.dc))) {
+        sequenceStep.dc = parseInt(step.dc);
+      }
+
+      return sequenceStep;
+    });
+  }
+
+  /**
+   * Handle add step button click
+   */
+  async _onAddStep(event, target) {
+    this.steps.push(RollSequenceDialog.getDefaultStep());
+    await this.render();
+  }
+
+  /**
+   * Handle delete step button click
+   */
+  async _onDeleteStep(event, target) {
+    if (this.steps.length <= 1) return;
+    this.steps.splice(parseInt(target.dataset.stepIndex), 1);
+    await this.render();
+  }
+
+  /**
+   * Handle cancel button click on a running sequence
+   */
+  async _onCancelSequence(event, target) {
+    RollSequenceManager.cancel(target.dataset.sequenceId);
+    await this.render();
+  }
+
+  /**
+   * Handle run button click
+   */
+  async _onRun(event, target) {
+    if (this.actorIds.length === 0) {
+      FlashAPI.notify('warn', game.i18n.localize("FLASH_ROLLS.notifications.noActorsSelected"));
+      return;
+    }
+
+    const steps = this.getSequenceSteps();
+    if (!steps) {
+      FlashAPI.notify('warn', game.i18n.localize("FLASH_ROLLS.notifications.sequenceStepNoRoll"));
+      return;
+    }
+
+    const stepError = RollSequenceManager.validateSteps(steps);
+    if (stepError) {
+      FlashAPI.notify('warn', stepError);
+      return;
+    }
+
+    RollSequenceManager.run(steps, { actorIds: this.actorIds, title: this.title || undefined });
+    this.close();
+  }
+}
@@ -0,0 +1,98 @@
+import { MODULE_ID } from "../../../constants/General.mjs";
+import { RollHistoryManager } from "../../managers/RollHistoryManager.mjs";
+import { RollHistoryDialog } from "./RollHistoryDialog.mjs";
+
+const { ApplicationV2, HandlebarsApplicationMixin } = foundry.applications.api;
+
+/**
+ * GM window showing an actor's roll statistics, computed from the roll history
+ */
+export class RollStatsDialog extends HandlebarsApplicationMixin(ApplicationV2) {
+
+  static DEFAULT_OPTIONS = {
+    id: "flash5e-roll-stats",
+    classes: ["flash5e-dialog", "flash5e-roll-stats"],
+    tag: "div",
+    window: {
+      title: "FLASH_ROLLS.ui.dialogs.rollStats.title",
+      icon: "fas fa-chart-column",
+      resizable: true,
+      positioned: true,
+      frame: true
+    },
+    position: {
+      width: 520,
+      height: "auto"
+    },
+    actions: {
+      "open-history": RollStatsDialog.prototype._onOpenHistory
+    }
+  };
+
+  static PARTS = {
+    main: {
+      template: `modules/${MODULE_ID}/templates/roll-stats.hbs`
+    }
+  };
+
+  /**
+   * @param {Actor} actor - The actor to show statistics for
+   * @param {Object} [options] - Application options
+   */
+  constructor(actor, options = {}) {
+    super(options);
+    this.actor = actor;
+  }
+
+  /**
+   * Get the open statistics window, if any
+   * @returns {RollStatsDialog|undefined}
+   */
+  static get instance() {
+    return foundry.applications.instances.get(this.DEFAULT_OPTIONS.id);
+  }
+
+  /**
+   * Open the statistics window for an actor, reusing the window if it's already open
+   * @param {Actor} actor - The actor to show statistics for
+   */
+  static show(actor) {
+    if (!game.user.isGM || !actor) return;
+    const dialog = this.instance || new this(actor);
+    dialog.actor = actor;
+    dialog.render(true);
+  }
+
+  /**
+   * Re-render the statistics window if it's open
+   */
+  static refresh() {
+    const dialog = this.instance;
+    if (dialog?.rendered) dialog.render();
+  }
+
+  /** @override */
+  get title() {
+    return game.i18n.format("FLASH_ROLLS.ui.dialogs.rollStats.titleActor", { actor: this.actor?.name || '' });
+  }
+
+  /**
+   * Prepare application rendering context
+   */
+  async _prepareContext(options = {}) {
+    const context = await super._prepareContext(options);
+    return {
+      ...context,
+      actorName: this.actor.name,
+      actorImg: this.actor.img,
+      stats: RollHistoryManager.getActorStats(this.actor.id)
+    };
+  }
+
+  /**
+   * Open the roll history filtered to this actor
+   */
+  async _onOpenHistory(event, target) {
+    RollHistoryDialog.show({ actorId: this.actor.id });
+  }
+}
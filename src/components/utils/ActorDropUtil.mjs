@@ -79,6 +79,7 @@ export class ActorDropUtil {
 
   /**
    * Handle the drop event when an actor is dropped into the menu
+   * A dropped D&D Beyond character JSON file is imported as a new actor instead
    * @param {DragEvent} event - The drop event
    * @param {RollRequestsMenu} menu - The menu instance
    */
@@ -98,6 +99,14 @@ export class ActorDropUtil {
     });
     LogUtil.log('ActorDropUtil.handleDrop - removed drag-over class from all elements');
 
+    const characterFile = [...(event.dataTransfer.files || [])].find(file => file.name.toLowerCase().endsWith('.json'));
+    if (characterFile) {
+      if (!game.user.isGM) return;
+      const { DnDBCharacterImporter } = await import('../integrations/dnd-beyond/DnDBCharacterImporter.mjs');
+      await DnDBCharacterImporter.importFromFile(characterFile);
+      return;
+    }
+
     try {
       const dragData = this.parseDragData(event);
       if (!dragData || dragData.type !== 'Actor') {
@@ -273,30 +273,47 @@ export class CanvasGraphicsUtil {
 
   /**
    * Draw placement preview for tokens
-   * @param {Array} previewTokens - Array of preview token data
-   * @param {Object} destination - Destination point {x, y}
+   * Each token is drawn at its own size, with its image once the texture is loaded.
+   * Tokens without a legal square are outlined in red.
+   * @param {Array} previewTokens - Array of preview token data, each with a data object holding width, height and texture
+   * @param {Array<{x: number, y: number, valid: boolean}>} positions - Top-left position of each preview token
    * @param {number} gridSize - Grid size
+   * @param {Object} [options] - Style options
+   * @param {number} [options.highlightIndex] - Index of the token to highlight, e.g. the next one to place
+   * @returns {Array<PIXI.DisplayObject>} Preview graphics
    */
-  static drawPlacementPreviews(previewTokens, destination, gridSize) {
+  static drawPlacementPreviews(previewTokens, positions, gridSize, options = {}) {
     const previews = [];
-    const offset = gridSize * 0.1;
 
     for (let i = 0; i < previewTokens.length; i++) {
-      const xOffset = (i % 3) * offset;
-      const yOffset = Math.floor(i / 3) * offset;
-
-      const shape = this.createRectangle(
-        destination.x - gridSize/2 + xOffset,
-        destination.y - gridSize/2 + yOffset,
-        gridSize,
-        gridSize,
-        { color: 0x00ff00, alpha: 0.8 }
-      );
+      const position = positions[i];
+      if (!position) continue;
+
+      const data = previewTokens[i].data || previewTokens[i];
+      const width = (data.width || 1) * gridSize;
+      const height = (data.height || 1) * gridSize;
+
+      const texture = data.texture?.src ? foundry.canvas.getTexture(data.texture.src) : null;
+      if (texture) {
+        const sprite = new PIXI.Sprite(texture);
+        sprite.x = position.x;
+        sprite.y = position.y;
+        sprite.width = width;
+        sprite.height = height;
+        sprite.alpha = 0.5;
+        previews.push(sprite);
+        this.addToRuler(sprite);
+      }
+
+      let color = 0x00ff00;
+      if (!position.valid) color = 0xff0000;
+      else if (i === options.highlightIndex) color = 0x00ccff;
 
+      const shape = this.createRectangle(position.x, position.y, width, height, { color, alpha: 0.8 });
       previews.push(shape);
       this.addToRuler(shape);
 
-      const text = this.createText(`${i + 1}`, destination.x + xOffset, destination.y + yOffset);
+      const text = this.createText(`${i + 1}`, position.x + width / 2, position.y + height / 2);
       previews.push(text);
       this.addToRuler(text);
     }
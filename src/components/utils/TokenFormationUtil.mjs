@@ -0,0 +1,327 @@
+import { PLACEMENT_FORMATIONS } from '../../constants/General.mjs';
+import { LogUtil } from './LogUtil.mjs';
+
+/**
+ * Utility class for arranging tokens in formations
+ * Works in grid cells, read from the scene grid's offsets: token sizes are rounded up to whole cells,
+ * and a square is legal when it is inside the scene, not covered by another token and not behind a wall.
+ */
+export class TokenFormationUtil {
+
+  /**
+   * Cell offsets sorted by distance, cached per search radius
+   * @type {Map<number, Array<{dx: number, dy: number}>>}
+   */
+  static _searchOffsets = new Map();
+
+  /**
+   * Arrange tokens in a formation around a point
+   * @param {Array<{width: number, height: number, actorId?: string}>} tokens - Token data in placement order
+   * @param {Object} center - Center point of the formation {x, y}
+   * @param {Object} [options]
+   * @param {string} [options.formation='cluster'] - A value of PLACEMENT_FORMATIONS
+   * @param {Scene} [options.scene] - The scene to place on, the viewed scene by default
+   * @param {string[]} [options.excludeTokenIds] - Tokens that don't block squares, e.g. the tokens being moved
+   * @param {Array<{actorId: string, dx: number, dy: number}>} [options.marchingOrder] - Saved marching order, for the marching order formation
+   * @param {boolean} [options.nudge=true] - Move tokens whose formation square is blocked to the nearest legal square
+   * @returns {Array<{x: number, y: number, valid: boolean, nudged: boolean}>} Top-left position of every token, in the same order
+   */
+  static arrange(tokens, center, options = {}) {
+    const scene = options.scene || canvas.scene;
+    const grid = scene.grid;
+    const centerCell = this._getCell(grid, center);
+    const slots = this.getFormationSlots(options.formation, tokens, options.marchingOrder);
+
+    const positions = tokens.map((token, index) => {
+      const cell = this._getTopLeftCell(centerCell.col + slots[index].dx, centerCell.row + slots[index].dy, this._getCellSize(token));
+      return this._getCellOrigin(grid, cell.col, cell.row);
+    });
+    return this.fitPositions(tokens, positions, center, options);
+  }
+
+  /**
+   * Check the squares of tokens moved or placed as a group, nudging blocked tokens to the nearest legal square
+   * Tokens are resolved in order, so earlier tokens keep their square when two compete for it.
+   * Tokens that aren't nudged keep their wanted position as is.
+   * @param {Array<{width: number, height: number}>} tokens - Token data
+   * @param {Array<{x: number, y: number}>} positions - Wanted top-left position of every token
+   * @param {Object} center - Center point of the group {x, y}, walls are tested from it
+   * @param {Object} [options]
+   * @param {Scene} [options.scene] - The destination scene, the viewed scene by default. Walls are only tested on the viewed scene
+   * @param {string[]} [options.excludeTokenIds] - Tokens that don't block squares, e.g. the tokens being moved
+   * @param {boolean} [options.nudge=true] - Move blocked tokens to the nearest legal square
+   * @returns {Array<{x: number, y: number, valid: boolean, nudged: boolean}>} Top-left position of every token, in the same order
+   */
+  static fitPositions(tokens, positions, center, options = {}) {
+    const scene = options.scene || canvas.scene;
+    const context = {
+      grid: scene.grid,
+      sceneRect: scene.dimensions?.sceneRect || null,
+      origin: { x: center.x, y: center.y },
+      testWalls: scene === canvas.scene,
+      occupied: this.getOccupiedCells(scene, options.excludeTokenIds)
+    };
+
+    const sizes = tokens.map(token => this._getCellSize(token));
+    const spacing = Math.max(1, ...sizes.map(size => Math.max(size.width, size.height)));
+    const maxRadius = Math.max(6, 2 * Math.ceil(Math.sqrt(tokens.length)) * spacing);
+
+    return tokens.map((token, index) => {
+      const size = sizes[index];
+      const wanted = positions[index];
+      const ideal = this.getTokenCell(context.grid, wanted);
+
+      if (this.isLegalCell(ideal.col, ideal.row, size, context)) {
+        this._occupy(context.occupied, ideal.col, ideal.row, size);
+        return { x: wanted.x, y: wanted.y, valid: true, nudged: false };
+      }
+
+      const cell = options.nudge !== false ? this.findNearestLegalCell(ideal.col, ideal.row, size, context, maxRadius) : null;
+      if (!cell) return { x: wanted.x, y: wanted.y, valid: false, nudged: false };
+
+      this._occupy(context.occupied, cell.col, cell.row, size);
+      const point = this._getCellOrigin(context.grid, cell.col, cell.row);
+      return { x: point.x, y: point.y, valid: true, nudged: true };
+    });
+  }
+
+  /**
+   * Get the cell of a token's top-left square
+   * @param {BaseGrid} grid - The scene grid
+   * @param {{x: number, y: number}} position - Top-left position of the token
+   * @returns {{col: number, row: number}}
+   */
+  static getTokenCell(grid, position) {
+    return this._getCell(grid, { x: position.x + grid.sizeX / 2, y: position.y + grid.sizeY / 2 });
+  }
+
+  /**
+   * Get the slot of every token in a formation, as cell offsets from the formation center
+   * Slots are spaced by the largest token, so bigger creatures don't overlap their neighbours
+   * @param {string} formation - A value of PLACEMENT_FORMATIONS
+   * @param {Array<{width: number, height: number, actorId?: string}>} tokens - Token data in placement order
+   * @param {Array<{actorId: string, dx: number, dy: number}>} [marchingOrder] - Saved marching order
+   * @returns {Array<{dx: number, dy: number}>}
+   */
+  static getFormationSlots(formation, tokens, marchingOrder = []) {
+    const count = tokens.length;
+    const spacing = Math.max(1, ...tokens.map(token => {
+      const size = this._getCellSize(token);
+      return Math.max(size.width, size.height);
+    }));
+
+    return tokens.map((token, index) => {
+      switch (formation) {
+        case PLACEMENT_FORMATIONS.LINE:
+          return { dx: Math.round(index - (count - 1) / 2) * spacing, dy: 0 };
+        case PLACEMENT_FORMATIONS.COLUMN:
+          return { dx: 0, dy: index * spacing };
+        case PLACEMENT_FORMATIONS.WEDGE: {
+          const rank = Math.ceil(index / 2);
+          const side = index % 2 === 1 ? -1 : 1;
+          return { dx: side * rank * spacing, dy: rank * spacing };
+        }
+        case PLACEMENT_FORMATIONS.CIRCLE: {
+          if (count === 1) return { dx: 0, dy: 0 };
+          const radius = Math.max(spacing, Math.ceil((count * spacing) / (2 * Math.PI)));
+          const angle = -Math.PI / 2 + (2 * Math.PI * index) / count;
+          return { dx: Math.round(radius * Math.cos(angle)), dy: Math.round(radius * Math.sin(angle)) };
+        }
+        case PLACEMENT_FORMATIONS.MARCHING_ORDER: {
+          const slot = (marchingOrder || []).find(entry => entry.actorId === token.actorId);
+          return slot ? { dx: slot.dx, dy: slot.dy } : { dx: 0, dy: 0 };
+        }
+        default:
+          return { dx: 0, dy: 0 };
+      }
+    });
+  }
+
+  /**
+   * Sort token data by a saved marching order, keeping tokens without a slot last
+   * @param {Array<{actorId?: string}>} tokens - Token data
+   * @param {Array<{actorId: string}>} marchingOrder - Saved marching order
+   * @returns {Array} Sorted copy of the token data
+   */
+  static sortByMarchingOrder(tokens, marchingOrder = []) {
+    const rank = (token) => {
+      const index = (marchingOrder || []).findIndex(entry => entry.actorId === token.actorId);
+      return index === -1 ? Infinity : index;
+    };
+    return [...tokens].sort((a, b) => rank(a) - rank(b));
+  }
+
+  /**
+   * Get the squares covered by the tokens of a scene
+   * @param {Scene} scene - The scene
+   * @param {string[]} [excludeTokenIds] - Tokens to leave out
+   * @returns {Set<string>} Cells as "col,row"
+   */
+  static getOccupiedCells(scene, excludeTokenIds = []) {
+    const occupied = new Set();
+
+    for (const tokenDoc of scene.tokens) {
+      if (excludeTokenIds?.includes(tokenDoc.id)) continue;
+      const cell = this.getTokenCell(scene.grid, tokenDoc);
+      this._occupy(occupied, cell.col, cell.row, this._getCellSize(tokenDoc));
+    }
+    return occupied;
+  }
+
+  /**
+   * Check if a token fits on a square
+   * @param {number} col - Column of the token's top-left cell
+   * @param {number} row - Row of the token's top-left cell
+   * @param {{width: number, height: number}} size - Token size in cells
+   * @param {Object} context - Placement context from fitPositions()
+   * @returns {boolean}
+   */
+  static isLegalCell(col, row, size, context) {
+    const { grid, sceneRect, occupied, origin } = context;
+    const { x, y } = this._getCellOrigin(grid, col, row);
+    const width = size.width * grid.sizeX;
+    const height = size.height * grid.sizeY;
+
+    if (sceneRect && (x < sceneRect.x || y < sceneRect.y
+      || x + width > sceneRect.x + sceneRect.width
+      || y + height > sceneRect.y + sceneRect.height)) {
+      return false;
+    }
+
+    for (let c = col; c < col + size.width; c++) {
+      for (let r = row; r < row + size.height; r++) {
+        if (occupied.has(`${c},${r}`)) return false;
+      }
+    }
+
+    if (context.testWalls && origin) {
+      const destination = { x: x + width / 2, y: y + height / 2 };
+      if (this._isBehindWall(origin, destination)) return false;
+    }
+    return true;
+  }
+
+  /**
+   * Find the legal square closest to a blocked one
+   * @param {number} col - Column of the blocked top-left cell
+   * @param {number} row - Row of the blocked top-left cell
+   * @param {{width: number, height: number}} size - Token size in cells
+   * @param {Object} context - Placement context from fitPositions()
+   * @param {number} [maxRadius=6] - How far to search, in cells
+   * @returns {{col: number, row: number}|null}
+   */
+  static findNearestLegalCell(col, row, size, context, maxRadius = 6) {
+    for (const { dx, dy } of this._getSearchOffsets(maxRadius)) {
+      if (dx === 0 && dy === 0) continue;
+      if (this.isLegalCell(col + dx, row + dy, size, context)) {
+        return { col: col + dx, row: row + dy };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Check if a wall blocks movement between two points on the viewed scene
+   * @param {Object} origin - Start point {x, y}
+   * @param {Object} destination - End point {x, y}
+   * @returns {boolean}
+   * @private
+   */
+  static _isBehindWall(origin, destination) {
+    if (origin.x === destination.x && origin.y === destination.y) return false;
+    try {
+      return !!CONFIG.Canvas.polygonBackends.move.testCollision(origin, destination, { type: "move", mode: "any" });
+    } catch (error) {
+      LogUtil.warn("TokenFormationUtil - Could not test wall collision", [error]);
+      return false;
+    }
+  }
+
+  /**
+   * Get the cell containing a point
+   * Gridless scenes have no offsets, so they are split in squares of the grid size
+   * @param {BaseGrid} grid - The scene grid
+   * @param {{x: number, y: number}} point - The point
+   * @returns {{col: number, row: number}}
+   * @private
+   */
+  static _getCell(grid, point) {
+    if (grid.isGridless) return { col: Math.floor(point.x / grid.size), row: Math.floor(point.y / grid.size) };
+    const { i, j } = grid.getOffset(point);
+    return { col: j, row: i };
+  }
+
+  /**
+   * Get the top-left point of a cell
+   * @param {BaseGrid} grid - The scene grid
+   * @param {number} col - Column of the cell
+   * @param {number} row - Row of the cell
+   * @returns {{x: number, y: number}}
+   * @private
+   */
+  static _getCellOrigin(grid, col, row) {
+    if (grid.isGridless) return { x: col * grid.size, y: row * grid.size };
+    return grid.getTopLeftPoint({ i: row, j: col });
+  }
+
+  /**
+   * Get a token's size in whole cells
+   * @param {{width: number, height: number}} token - Token data
+   * @returns {{width: number, height: number}}
+   * @private
+   */
+  static _getCellSize(token) {
+    return {
+      width: Math.max(1, Math.ceil(token?.width || 1)),
+      height: Math.max(1, Math.ceil(token?.height || 1))
+    };
+  }
+
+  /**
+   * Get the top-left cell of a token centered on a cell
+   * @param {number} col - Center column
+   * @param {number} row - Center row
+   * @param {{width: number, height: number}} size - Token size in cells
+   * @returns {{col: number, row: number}}
+   * @private
+   */
+  static _getTopLeftCell(col, row, size) {
+    return { col: col - Math.floor((size.width - 1) / 2), row: row - Math.floor((size.height - 1) / 2) };
+  }
+
+  /**
+   * Mark the cells covered by a token as occupied
+   * @param {Set<string>} occupied - Occupied cells
+   * @param {number} col - Top-left column
+   * @param {number} row - Top-left row
+   * @param {{width: number, height: number}} size - Token size in cells
+   * @private
+   */
+  static _occupy(occupied, col, row, size) {
+    for (let c = col; c < col + size.width; c++) {
+      for (let r = row; r < row + size.height; r++) {
+        occupied.add(`${c},${r}`);
+      }
+    }
+  }
+
+  /**
+   * Get cell offsets within a radius, closest first
+   * @param {number} radius - Search radius in cells
+   * @returns {Array<{dx: number, dy: number}>}
+   * @private
+   */
+  static _getSearchOffsets(radius) {
+    if (!this._searchOffsets.has(radius)) {
+      const offsets = [];
+      for (let dx = -radius; dx <= radius; dx++) {
+        for (let dy = -radius; dy <= radius; dy++) {
+          offsets.push({ dx, dy });
+        }
+      }
+      offsets.sort((a, b) => (a.dx * a.dx + a.dy * a.dy) - (b.dx * b.dx + b.dy * b.dy));
+      this._searchOffsets.set(radius, offsets);
+    }
+    return this._searchOffsets.get(radius);
+  }
+}
@@ -22,7 +22,11 @@ export const SOCKET_CALLS = {
   handleRollRequest: "handleRollRequest",
   removeTemplate: "removeTemplate",
   broadcastRollComplete: "broadcastRollComplete",
-  deleteChatMessage: "deleteChatMessage"
+  deleteChatMessage: "deleteChatMessage",
+  declineRollRequest: "declineRollRequest",
+  remindRollRequest: "remindRollRequest",
+  cancelRollRequest: "cancelRollRequest",
+  timeoutRollRequest: "timeoutRollRequest"
 };
 
 export const HOOK_NAMES = {
@@ -70,6 +74,56 @@ export const BUTTON_ACTION_TYPES = {
   ROLL_DAMAGE: "rollDamage"
 }
 
+export const CONTEST_TIE_BREAKERS = {
+  SHARED: "shared",
+  MODIFIER: "modifier",
+  REROLL: "reroll"
+};
+
+export const REQUEST_TIMEOUT_POLICIES = {
+  AUTO_ROLL: "autoRoll",
+  GM_ROLL: "gmRoll",
+  FAIL: "fail",
+  DROP: "drop"
+};
+
+export const DDB_ROLL_ROUTES = {
+  GM: "gm",
+  PLAYER: "player",
+  CHAT: "chat",
+  IGNORE: "ignore"
+};
+
+export const DDB_ROUTING_CATEGORIES = {
+  SAVE: "save",
+  CHECK: "check",
+  ATTACK: "attack",
+  DAMAGE: "damage",
+  HEALING: "healing",
+  INITIATIVE: "initiative"
+};
+
+export const PLACEMENT_FORMATIONS = {
+  CLUSTER: "cluster",
+  LINE: "line",
+  COLUMN: "column",
+  WEDGE: "wedge",
+  CIRCLE: "circle",
+  MARCHING_ORDER: "marchingOrder"
+};
+
+export const ROLL_OUTCOME_TYPES = {
+  STATUS: "status",
+  DAMAGE: "damage",
+  REQUEST: "request",
+  MACRO: "macro"
+};
+
+export const ROLL_OUTCOME_SCOPES = {
+  ACTOR: "actor",
+  GROUP: "group"
+};
+
 export const DICE_OPTIONS = {
   'd4': 'd4',
   'd6': 'd6',
@@ -19,6 +19,8 @@ export const HOOKS_CORE = {
   USER_CONNECTED: "userConnected",
   PRE_CREATE_CHAT_MESSAGE: "preCreateChatMessage",
   CREATE_CHAT_MESSAGE: "createChatMessage",
+  UPDATE_CHAT_MESSAGE: "updateChatMessage",
+  DELETE_CHAT_MESSAGE: "deleteChatMessage",
   RENDER_ROLL_CONFIGURATION_DIALOG: "renderRollConfigurationDialog",
   COLLAPSE_SIDE_BAR: "collapseSidebar",
   REFRESH_MEASURED_TEMPLATE: "refreshMeasuredTemplate",
@@ -37,6 +39,7 @@ export const HOOKS_CORE = {
   CLIENT_SETTING_CHANGED: "clientSettingChanged",
   GET_ACTOR_CONTEXT_OPTIONS: "getActorContextOptions",
   GET_CHAT_MESSAGE_CONTEXT_OPTIONS: "getChatMessageContextOptions",
+  GET_COMPENDIUM_CONTEXT_OPTIONS: "getCompendiumContextOptions",
   RENDER_ACTOR_DIRECTORY: "renderActorDirectory",
   CREATE_COMBATANT: "createCombatant",
   DELETE_COMBATANT: "deleteCombatant",
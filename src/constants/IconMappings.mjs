@@ -52,6 +52,30 @@ export const MODULE_ACTION_ICONS = {
     element: "flash5e-toggle-list",
     type: "checkbox"
   },
+  "request-tracker": {
+    id: "request-tracker",
+    icon: "fa-list-check",
+    labelKey: "FLASH_ROLLS.ui.inputs.requestTracker",
+    tooltipKey: "FLASH_ROLLS.ui.inputs.requestTracker",
+    element: "flash5e-request-tracker",
+    type: "button"
+  },
+  "roll-history": {
+    id: "roll-history",
+    icon: "fa-clock-rotate-left",
+    labelKey: "FLASH_ROLLS.ui.inputs.rollHistory",
+    tooltipKey: "FLASH_ROLLS.ui.inputs.rollHistory",
+    element: "flash5e-roll-history",
+    type: "button"
+  },
+  "import-ddb-file": {
+    id: "import-ddb-file",
+    icon: "fa-file-import",
+    labelKey: "FLASH_ROLLS.ui.inputs.importDnDBFile",
+    tooltipKey: "FLASH_ROLLS.ui.inputs.importDnDBFile",
+    element: "flash5e-import-ddb-file",
+    type: "button"
+  },
   "open-settings": {
     id: "open-settings",
     icon: "fa-cog",
@@ -183,6 +207,15 @@ export const ACTOR_ACTION_ICONS = {
     type: "button",
     cssClass: "bulk-action"
   },
+  "roll-sequence": {
+    id: "roll-sequence",
+    icon: "fa-list-ol",
+    labelKey: "FLASH_ROLLS.ui.inputs.rollSequence",
+    tooltipKey: "FLASH_ROLLS.ui.inputs.rollSequence",
+    element: "flash5e-roll-sequence",
+    type: "button",
+    cssClass: "bulk-action"
+  },
   "transform": {
     id: "transform",
     icon: "fa-frog",
@@ -234,7 +267,10 @@ export function getDefaultIconLayout() {
       { id: "group-rolls", icon: "fa-users-rectangle", enabled: true, order: 3 },
       { id: "show-options", icon: "fa-bars-sort", enabled: true, order: 4 },
       { id: "open-settings", icon: "fa-cog", enabled: true, order: 5 },
-      { id: "premium-features", icon: "fa-gem", enabled: true, order: 6 }
+      { id: "premium-features", icon: "fa-gem", enabled: true, order: 6 },
+      { id: "request-tracker", icon: "fa-list-check", enabled: true, order: 7 },
+      { id: "roll-history", icon: "fa-clock-rotate-left", enabled: true, order: 8 },
+      { id: "import-ddb-file", icon: "fa-file-import", enabled: true, order: 9 }
     ],
     actorActions: [
       { id: "filter-actors", icon: "fa-filter-list", enabled: true, order: 0 },
@@ -249,7 +285,8 @@ export function getDefaultIconLayout() {
       { id: "movement", icon: "fa-person-walking", enabled: true, order: 9 },
       { id: "heal-all", icon: "fa-heart-pulse", enabled: true, order: 10 },
       { id: "kill-all", icon: "fa-skull", enabled: true, order: 11 },
-      { id: "open-sheets", icon: "fa-square-user", enabled: true, order: 12 }
+      { id: "open-sheets", icon: "fa-square-user", enabled: true, order: 12 },
+      { id: "roll-sequence", icon: "fa-list-ol", enabled: true, order: 13 }
     ]
   };
 }
\ No newline at end of file
@@ -1,5 +1,6 @@
 import { ModuleSettingsMenu } from '../components/ui/dialogs/ModuleSettingsMenu.mjs';
 import { PremiumFeaturesDialog } from '../components/ui/dialogs/PremiumFeaturesDialog.mjs';
+import { MatchOverridesDialog } from '../components/ui/dialogs/MatchOverridesDialog.mjs';
 
 export function getSettingMenus() {
   return {
@@ -22,6 +23,16 @@ export function getSettingMenus() {
       icon: "fas fa-gem",
       propType: PremiumFeaturesDialog,
       restricted: true
+    },
+    ddbMatchOverrides: {
+      tab: '',
+      tag: game.i18n.localize("FLASH_ROLLS.settings.ddbMatchOverrides.label"),
+      name: game.i18n.localize("FLASH_ROLLS.settings.ddbMatchOverrides.label"),
+      label: game.i18n.localize("FLASH_ROLLS.settings.ddbMatchOverrides.buttonLabel"),
+      hint: game.i18n.localize("FLASH_ROLLS.settings.ddbMatchOverrides.hint"),
+      icon: "fas fa-thumbtack",
+      propType: MatchOverridesDialog,
+      restricted: true
     }
   };
 }
\ No newline at end of file
@@ -1,4 +1,5 @@
 import { getDefaultIconLayout } from "./IconMappings.mjs";
+import { DDB_ROLL_ROUTES, PLACEMENT_FORMATIONS } from "./General.mjs";
 
 export const SETTING_INPUT = {
   select: "select", 
@@ -33,6 +34,8 @@ export const getSettings = () => {
         'tooltipAutoDismiss',
         'templateRemovalTimeout',
         'tokenMovementSpeed',
+        'placementFormation',
+        'teleportKeepFormation',
         'autoBlockMovementInCombat',
         'disableNotifications'
       ],
@@ -46,6 +49,8 @@ export const getSettings = () => {
         removeTemplate: true,
         tooltipAutoDismiss: 2,
         tokenMovementSpeed: 6,
+        placementFormation: PLACEMENT_FORMATIONS.CLUSTER,
+        teleportKeepFormation: false,
         templateRemovalTimeout: 5,
         autoBlockMovementInCombat: false,
         disableNotifications: false
@@ -107,7 +112,7 @@ export const getSettings = () => {
       ],
       default: {
         groupRollsMsgEnabled: true,
-        groupRollResultMode: 1,
+        groupRollResultMode: "1",
         groupCalculationForSaves: false,
         showGroupDCToPlayers: false,
         showGroupResultToPlayers: true,
@@ -134,6 +139,10 @@ export const getSettings = () => {
         'consumptionConfigMode',
         'placeTemplateForPlayer',
         'showOfflineNotifications',
+        'requestExpiryMinutes',
+        'requestTimeoutSeconds',
+        'requestTimeoutPolicy',
+        'rollHistoryLimit',
         'initiateCombatOnRequest',
         'publicPlayerRolls',
         'useCondensedRollMessage',
@@ -146,6 +155,10 @@ export const getSettings = () => {
         consumptionConfigMode: 2,
         placeTemplateForPlayer: false,
         showOfflineNotifications: true,
+        requestExpiryMinutes: 0,
+        requestTimeoutSeconds: 0,
+        requestTimeoutPolicy: "gmRoll",
+        rollHistoryLimit: 1000,
         initiateCombatOnRequest: true,
         publicPlayerRolls: false,
         useCondensedRollMessage: false,
@@ -163,13 +176,24 @@ export const getSettings = () => {
       hint: game.i18n.localize("FLASH_ROLLS.settings.moduleSettingsMenu.hint"),
       propType: Object,
       fields: [
-        'ddbRollOwnership',
+        'ddbRollRouting',
+        'ddbRequestMatchSeconds',
+        'ddbMonsterTokenTarget',
         'ddbNoAutoConsumeSpellSlot',
         'ddbImportSourcePriority',
         'ddbImportSpellMode'
       ],
       default: {
-        ddbRollOwnership: 0,
+        ddbRollRouting: {
+          save: DDB_ROLL_ROUTES.GM,
+          check: DDB_ROLL_ROUTES.GM,
+          attack: DDB_ROLL_ROUTES.GM,
+          damage: DDB_ROLL_ROUTES.GM,
+          healing: DDB_ROLL_ROUTES.GM,
+          initiative: DDB_ROLL_ROUTES.GM
+        },
+        ddbRequestMatchSeconds: 120,
+        ddbMonsterTokenTarget: 1,
         ddbNoAutoConsumeSpellSlot: false,
         ddbImportSourcePriority: 0,
         ddbImportSpellMode: 0
@@ -277,15 +301,10 @@ export const getSettings = () => {
       tag: "group-roll-result-mode",
       label: game.i18n.localize("FLASH_ROLLS.settings.groupRollResultMode.label"),
       hint: game.i18n.localize("FLASH_ROLLS.settings.groupRollResultMode.hint"),
-      propType: Number,
+      propType: String,
       inputType: SETTING_INPUT.select,
-      choices: {
-        1: game.i18n.localize("FLASH_ROLLS.settings.groupRollResultMode.choices.1"),
-        2: game.i18n.localize("FLASH_ROLLS.settings.groupRollResultMode.choices.2"),
-        3: game.i18n.localize("FLASH_ROLLS.settings.groupRollResultMode.choices.3"),
-        4: game.i18n.localize("FLASH_ROLLS.settings.groupRollResultMode.choices.4")
-      },
-      default: 1,
+      // choices are filled from the group method registry when the settings menu renders
+      default: "1",
       scope: SETTING_SCOPE.world,
       config: false
     },
@@ -419,6 +438,78 @@ export const getSettings = () => {
       config: false
     },
 
+    requestExpiryMinutes: {
+      tag: "request-expiry-minutes",
+      label: game.i18n.localize("FLASH_ROLLS.settings.requestExpiryMinutes.label"),
+      hint: game.i18n.localize("FLASH_ROLLS.settings.requestExpiryMinutes.hint"),
+      propType: Number,
+      default: 0,
+      scope: SETTING_SCOPE.world,
+      config: false,
+      range: {
+        min: 0,
+        max: 60,
+        step: 1
+      }
+    },
+
+    requestTimeoutSeconds: {
+      tag: "request-timeout-seconds",
+      label: game.i18n.localize("FLASH_ROLLS.settings.requestTimeoutSeconds.label"),
+      hint: game.i18n.localize("FLASH_ROLLS.settings.requestTimeoutSeconds.hint"),
+      propType: Number,
+      default: 0,
+      scope: SETTING_SCOPE.world,
+      config: false,
+      range: {
+        min: 0,
+        max: 300,
+        step: 5
+      }
+    },
+
+    requestTimeoutPolicy: {
+      tag: "request-timeout-policy",
+      label: game.i18n.localize("FLASH_ROLLS.settings.requestTimeoutPolicy.label"),
+      hint: game.i18n.localize("FLASH_ROLLS.settings.requestTimeoutPolicy.hint"),
+      propType: String,
+      inputType: SETTING_INPUT.select,
+      choices: {
+        "autoRoll": game.i18n.localize("FLASH_ROLLS.settings.requestTimeoutPolicy.choices.autoRoll"),
+        "gmRoll": game.i18n.localize("FLASH_ROLLS.settings.requestTimeoutPolicy.choices.gmRoll"),
+        "fail": game.i18n.localize("FLASH_ROLLS.settings.requestTimeoutPolicy.choices.fail"),
+        "drop": game.i18n.localize("FLASH_ROLLS.settings.requestTimeoutPolicy.choices.drop")
+      },
+      default: "gmRoll",
+      scope: SETTING_SCOPE.world,
+      config: false
+    },
+
+    rollHistoryLimit: {
+      tag: "roll-history-limit",
+      label: game.i18n.localize("FLASH_ROLLS.settings.rollHistoryLimit.label"),
+      hint: game.i18n.localize("FLASH_ROLLS.settings.rollHistoryLimit.hint"),
+      propType: Number,
+      default: 1000,
+      scope: SETTING_SCOPE.world,
+      config: false,
+      range: {
+        min: 0,
+        max: 5000,
+        step: 100
+      }
+    },
+
+    rollHistory: {
+      tag: "roll-history",
+      label: "Roll History",
+      hint: "Stores recorded roll request results",
+      propType: Array,
+      default: [],
+      scope: SETTING_SCOPE.world,
+      config: false
+    },
+
     showRequestNotifications: {
       tag: "show-request-notifications",
       label: game.i18n.localize("FLASH_ROLLS.settings.showRequestNotifications.label"),
@@ -663,6 +754,31 @@ export const getSettings = () => {
       }
     },
 
+    placementFormation: {
+      tag: "placement-formation",
+      label: game.i18n.localize("FLASH_ROLLS.settings.placementFormation.label"),
+      hint: game.i18n.localize("FLASH_ROLLS.settings.placementFormation.hint"),
+      propType: String,
+      inputType: SETTING_INPUT.select,
+      choices: Object.fromEntries(Object.values(PLACEMENT_FORMATIONS).map(formation => [
+        formation,
+        game.i18n.localize(`FLASH_ROLLS.settings.placementFormation.choices.${formation}`)
+      ])),
+      default: PLACEMENT_FORMATIONS.CLUSTER,
+      scope: SETTING_SCOPE.world,
+      config: false
+    },
+
+    placementMarchingOrder: {
+      tag: "placement-marching-order",
+      label: "Placement Marching Order",
+      hint: "Stores the saved marching order used by the marching order formation",
+      propType: Array,
+      default: [],
+      scope: SETTING_SCOPE.world,
+      config: false
+    },
+
     tooltipAutoDismiss: {
       tag: "tooltip-auto-dismiss",
       label: game.i18n.localize("FLASH_ROLLS.settings.tooltipAutoDismiss.label"),
@@ -690,6 +806,17 @@ export const getSettings = () => {
       filePicker: "video"
     },
 
+    teleportKeepFormation: {
+      tag: "teleport-keep-formation",
+      label: game.i18n.localize("FLASH_ROLLS.settings.teleportKeepFormation.label"),
+      hint: game.i18n.localize("FLASH_ROLLS.settings.teleportKeepFormation.hint"),
+      propType: Boolean,
+      inputType: SETTING_INPUT.checkbox,
+      default: false,
+      scope: SETTING_SCOPE.world,
+      config: false
+    },
+
     legacyTokenAssociationsMigrated: {
       tag: "legacy-token-associations-migrated",
       label: game.i18n.localize("FLASH_ROLLS.settings.legacyTokenAssociationsMigrated.label"),
@@ -790,6 +917,16 @@ export const getSettings = () => {
       config: false
     },
 
+    ddbMatchOverrides: {
+      tag: "ddb-match-overrides",
+      label: game.i18n.localize("FLASH_ROLLS.settings.ddbMatchOverrides.label"),
+      hint: game.i18n.localize("FLASH_ROLLS.settings.ddbMatchOverrides.hint"),
+      propType: Object,
+      default: {},
+      scope: SETTING_SCOPE.world,
+      config: false
+    },
+
     ddbImportOwnership: {
       tag: "ddb-import-ownership",
       label: game.i18n.localize("FLASH_ROLLS.settings.ddbImportOwnership.label"),
@@ -816,6 +953,62 @@ export const getSettings = () => {
       config: false
     },
 
+    ddbRollRouting: {
+      tag: "ddb-roll-routing",
+      label: game.i18n.localize("FLASH_ROLLS.settings.ddbRollRouting.label"),
+      hint: game.i18n.localize("FLASH_ROLLS.settings.ddbRollRouting.hint"),
+      propType: Object,
+      choices: {
+        [DDB_ROLL_ROUTES.GM]: game.i18n.localize("FLASH_ROLLS.settings.ddbRollRouting.choices.gm"),
+        [DDB_ROLL_ROUTES.PLAYER]: game.i18n.localize("FLASH_ROLLS.settings.ddbRollRouting.choices.player"),
+        [DDB_ROLL_ROUTES.CHAT]: game.i18n.localize("FLASH_ROLLS.settings.ddbRollRouting.choices.chat"),
+        [DDB_ROLL_ROUTES.IGNORE]: game.i18n.localize("FLASH_ROLLS.settings.ddbRollRouting.choices.ignore")
+      },
+      default: {},
+      scope: SETTING_SCOPE.world,
+      config: false
+    },
+
+    ddbRollRoutingOverrides: {
+      tag: "ddb-roll-routing-overrides",
+      label: game.i18n.localize("FLASH_ROLLS.settings.ddbRollRoutingOverrides.label"),
+      hint: game.i18n.localize("FLASH_ROLLS.settings.ddbRollRoutingOverrides.hint"),
+      propType: Object,
+      default: {},
+      scope: SETTING_SCOPE.world,
+      config: false
+    },
+
+    ddbRequestMatchSeconds: {
+      tag: "ddb-request-match-seconds",
+      label: game.i18n.localize("FLASH_ROLLS.settings.ddbRequestMatchSeconds.label"),
+      hint: game.i18n.localize("FLASH_ROLLS.settings.ddbRequestMatchSeconds.hint"),
+      propType: Number,
+      default: 120,
+      scope: SETTING_SCOPE.world,
+      config: false,
+      range: {
+        min: 0,
+        max: 600,
+        step: 15
+      }
+    },
+
+    ddbMonsterTokenTarget: {
+      tag: "ddb-monster-token-target",
+      label: game.i18n.localize("FLASH_ROLLS.settings.ddbMonsterTokenTarget.label"),
+      hint: game.i18n.localize("FLASH_ROLLS.settings.ddbMonsterTokenTarget.hint"),
+      propType: Number,
+      inputType: SETTING_INPUT.select,
+      choices: {
+        0: game.i18n.localize("FLASH_ROLLS.settings.ddbMonsterTokenTarget.choices.0"),
+        1: game.i18n.localize("FLASH_ROLLS.settings.ddbMonsterTokenTarget.choices.1")
+      },
+      default: 1,
+      scope: SETTING_SCOPE.world,
+      config: false
+    },
+
     ddbNoAutoConsumeSpellSlot: {
       tag: "ddb-no-auto-consume-spell-slot",
       label: game.i18n.localize("FLASH_ROLLS.settings.ddbNoAutoConsumeSpellSlot.label"),